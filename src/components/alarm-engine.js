@@ -0,0 +1,586 @@
+/**
+ * Alarm processing and operator workflow from location alarm flags
+ * Compares each terminal's reported ALARM_FLAGS with its open alarms: a bit
+ * that turns on opens an alarm record, a bit that turns off closes it with
+ * the end position and duration. Only live reports in device time order
+ * count, so blind-area supplements never reopen alarms that are already over.
+ * Operators acknowledge alarms and add notes; critical alarms nobody
+ * acknowledges in time are escalated. Every step is written to the audit
+ * trail with who took it. Per-terminal alarm masks are kept on the platform
+ * and pushed to the terminal as parameter 0x0050.
+ */
+
+const EventEmitter = require('events');
+const {
+  ALARM_FLAGS,
+  MANUAL_CONFIRMATION_ALARM_FLAGS,
+  MESSAGE_IDS,
+  TERMINAL_PARAMETERS
+} = require('../models/jt808-messages');
+const { MessageFactory } = require('../utils/message-validator');
+const { flagNames } = require('../utils/location');
+const { ALARM_STATUSES, ALARM_ACTIONS, MASK_STATUSES } = require('./alarm-store');
+const { INVALID_ARGUMENT, apiError } = require('../utils/query');
+const Logger = require('../utils/logger');
+
+/**
+ * Alarm severities, most severe first
+ */
+const ALARM_SEVERITIES = {
+  CRITICAL: 'critical',
+  MAJOR: 'major',
+  MINOR: 'minor'
+};
+
+/**
+ * Severity by ALARM_FLAGS name; unlisted alarms (faults, pre-warnings) are minor
+ */
+const ALARM_SEVERITY_BY_TYPE = {
+  EMERGENCY_ALARM: ALARM_SEVERITIES.CRITICAL,
+  COLLISION_ROLLOVER_ALARM: ALARM_SEVERITIES.CRITICAL,
+  ROLLOVER_ALARM: ALARM_SEVERITIES.CRITICAL,
+  VEHICLE_THEFT: ALARM_SEVERITIES.CRITICAL,
+  VEHICLE_ILLEGAL_IGNITION: ALARM_SEVERITIES.CRITICAL,
+  VEHICLE_ILLEGAL_DISPLACEMENT: ALARM_SEVERITIES.CRITICAL,
+  OVERSPEED_ALARM: ALARM_SEVERITIES.MAJOR,
+  FATIGUE_DRIVING: ALARM_SEVERITIES.MAJOR,
+  DANGEROUS_DRIVING: ALARM_SEVERITIES.MAJOR,
+  MAIN_POWER_POWER_DOWN: ALARM_SEVERITIES.MAJOR,
+  CUMULATIVE_DRIVING_TIMEOUT: ALARM_SEVERITIES.MAJOR,
+  IN_OUT_AREA: ALARM_SEVERITIES.MAJOR,
+  IN_OUT_ROUTE: ALARM_SEVERITIES.MAJOR,
+  ROUTE_DRIVING_TIME_INSUFFICIENT_OR_OVERTIME: ALARM_SEVERITIES.MAJOR,
+  ROUTE_DEVIATION: ALARM_SEVERITIES.MAJOR,
+  OIL_ABNORMAL: ALARM_SEVERITIES.MAJOR,
+  ILLEGAL_DOOR_OPEN: ALARM_SEVERITIES.MAJOR
+};
+
+/**
+ * Default engine settings
+ */
+const ALARM_ENGINE_DEFAULTS = {
+  escalationTimeout: 300000, // ms an alarm may stay unacknowledged; 0 turns escalation off
+  escalationInterval: 15000, // ms between escalation checks
+  escalationSeverities: [ALARM_SEVERITIES.CRITICAL]
+};
+
+/**
+ * Actor of the steps the platform takes by itself
+ */
+const SYSTEM_ACTOR = 'system';
+
+/**
+ * Check a required text argument
+ * @param {*} value - Argument
+ * @param {string} name - Argument name for the error message
+ * @returns {string} Trimmed text
+ * @throws {Error} INVALID_ARGUMENT if it is not a non-empty string
+ */
+function requireText(value, name) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw apiError(INVALID_ARGUMENT, `${name} is required`);
+  }
+  return value.trim();
+}
+
+/**
+ * Alarm mask with the names of its masked alarms
+ * @param {string} phoneNumber - Terminal phone number
+ * @param {Object|null} mask - Stored alarm mask, or null if none was set
+ * @returns {Object} Alarm mask view
+ */
+function maskView(phoneNumber, mask) {
+  const stored = mask || {
+    phoneNumber,
+    mask: 0,
+    status: null,
+    commandId: null,
+    updatedAt: null,
+    updatedBy: null
+  };
+  return { ...stored, types: flagNames(stored.mask, ALARM_FLAGS) };
+}
+
+class AlarmEngine extends EventEmitter {
+  /**
+   * @param {SqliteAlarmStore} store - Alarm record store
+   * @param {DashcamTCPServer} server - Server confirmations and alarm masks are sent through
+   * @param {Object} options - Engine options
+   * @param {Object} options.severities - Severity overrides by ALARM_FLAGS name
+   * @param {number} options.escalationTimeout - Time an alarm may stay unacknowledged, in ms; 0 for never
+   * @param {number} options.escalationInterval - Time between escalation checks, in ms
+   * @param {Array<string>} options.escalationSeverities - Severities that escalate
+   */
+  constructor(store, server, options = {}) {
+    super();
+    this.store = store;
+    this.server = server;
+    this.severities = { ...ALARM_SEVERITY_BY_TYPE, ...options.severities };
+    this.escalationTimeout = options.escalationTimeout === undefined
+      ? ALARM_ENGINE_DEFAULTS.escalationTimeout
+      : options.escalationTimeout;
+    this.escalationInterval = options.escalationInterval || ALARM_ENGINE_DEFAULTS.escalationInterval;
+    this.escalationSeverities = options.escalationSeverities || ALARM_ENGINE_DEFAULTS.escalationSeverities;
+    this.devices = new Map(); // { lastTimestamp, open: Map<type, record> } per phone number
+    this.queues = new Map(); // Per-terminal processing chain, so reports apply in order
+    this.loading = Promise.resolve(); // Reports wait for load() so they apply on top of the stored state
+    this.masks = new Map(); // Stored alarm mask per phone number
+    this.timer = null;
+    this.escalating = null;
+
+    this.server.commands.on('result', (result) => {
+      this.handleCommandResult(result).catch((error) => {
+        Logger.error('Failed to record alarm mask result', { phoneNumber: result.phoneNumber, error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Severity of an alarm type
+   * @param {string} type - ALARM_FLAGS name
+   * @returns {string} Severity from ALARM_SEVERITIES
+   */
+  severityOf(type) {
+    return this.severities[type] || ALARM_SEVERITIES.MINOR;
+  }
+
+  /**
+   * Load the alarms still open and the alarm masks from a previous run
+   * Reports processed meanwhile wait until loading is done.
+   * @returns {Promise<number>} Number of open alarms
+   */
+  load() {
+    this.loading = this.restore();
+    return this.loading;
+  }
+
+  /**
+   * Read open alarms and alarm masks from the store
+   * @returns {Promise<number>} Number of open alarms
+   */
+  async restore() {
+    for (const mask of await this.store.listMasks()) {
+      this.masks.set(mask.phoneNumber, mask);
+    }
+
+    const alarms = await this.store.listOpen();
+    for (const alarm of alarms) {
+      const device = this.deviceOf(alarm.phoneNumber);
+      device.open.set(alarm.type, alarm);
+      if (!device.lastTimestamp || alarm.startedAt > device.lastTimestamp) {
+        device.lastTimestamp = alarm.startedAt;
+      }
+    }
+    return alarms.length;
+  }
+
+  /**
+   * Start periodic escalation checks
+   */
+  start() {
+    if (this.timer || this.escalationTimeout <= 0) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.escalate().catch((error) => {
+        Logger.error('Failed to escalate alarms', { error: error.message });
+      });
+    }, this.escalationInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop periodic escalation checks
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get or create the alarm state of a terminal
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Object} Mutable alarm state
+   */
+  deviceOf(phoneNumber) {
+    let device = this.devices.get(phoneNumber);
+    if (!device) {
+      device = { lastTimestamp: null, open: new Map() };
+      this.devices.set(phoneNumber, device);
+    }
+    return device;
+  }
+
+  /**
+   * Replace the in-memory copy of an open alarm after a workflow change
+   * @param {Object} alarm - Updated alarm record
+   */
+  remember(alarm) {
+    const device = this.devices.get(alarm.phoneNumber);
+    const open = device && device.open.get(alarm.type);
+    if (open && open.id === alarm.id) {
+      device.open.set(alarm.type, alarm);
+    }
+  }
+
+  /**
+   * Write an audit event
+   * @param {Object|null} alarm - Alarm the event is about, if any
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {string} action - Action from ALARM_ACTIONS
+   * @param {string} actor - Operator, or SYSTEM_ACTOR
+   * @param {string} note - Free text
+   * @returns {Promise<Object>} Stored event
+   */
+  audit(alarm, phoneNumber, action, actor, note = null) {
+    return this.store.addEvent({ alarmId: alarm ? alarm.id : null, phoneNumber, action, actor, note });
+  }
+
+  /**
+   * Apply reported locations, opening and closing alarm records on flag edges
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Array<Object>} locations - Normalized locations
+   * @param {Object} header - Header of the message they arrived in
+   * @returns {Promise<Object>} Records { opened, closed } changed by these locations
+   */
+  process(phoneNumber, locations, header = {}) {
+    const processing = (this.queues.get(phoneNumber) || this.loading)
+      .catch(() => {}) // A failed report does not block the next one
+      .then(() => this.apply(phoneNumber, locations, header));
+    this.queues.set(phoneNumber, processing);
+    return processing;
+  }
+
+  /**
+   * Apply reported locations in device time order
+   * Alarms masked for the terminal never open, even before it applies the mask.
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Array<Object>} locations - Normalized locations
+   * @param {Object} header - Message header
+   * @returns {Promise<Object>} Records { opened, closed }
+   */
+  async apply(phoneNumber, locations, header) {
+    const device = this.deviceOf(phoneNumber);
+    const mask = this.masks.has(phoneNumber) ? this.masks.get(phoneNumber).mask : 0;
+    const changes = { opened: [], closed: [] };
+    const ordered = locations
+      .filter((location) => location.timestamp)
+      .sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+
+    for (const location of ordered) {
+      if (device.lastTimestamp && location.timestamp < device.lastTimestamp) {
+        continue;
+      }
+      device.lastTimestamp = location.timestamp;
+      const position = { latitude: location.latitude, longitude: location.longitude };
+
+      for (const [type, record] of device.open) {
+        if (location.alarms.includes(type)) {
+          continue;
+        }
+        const closed = await this.store.close(record.id, { endedAt: location.timestamp, endPosition: position });
+        device.open.delete(type);
+        if (closed) {
+          await this.audit(closed, phoneNumber, ALARM_ACTIONS.CLOSED, SYSTEM_ACTOR);
+          changes.closed.push(closed);
+          this.emit('closed', closed);
+        }
+      }
+
+      for (const type of location.alarms) {
+        if (device.open.has(type) || ALARM_FLAGS[type] === undefined || (mask & ALARM_FLAGS[type]) !== 0) {
+          continue;
+        }
+        const opened = await this.store.open({
+          phoneNumber,
+          type,
+          flag: ALARM_FLAGS[type],
+          severity: this.severityOf(type),
+          startedAt: location.timestamp,
+          startPosition: position,
+          messageSequence: header.messageSequence
+        });
+        device.open.set(type, opened);
+        await this.audit(opened, phoneNumber, ALARM_ACTIONS.OPENED, SYSTEM_ACTOR);
+        changes.opened.push(opened);
+        this.emit('opened', opened);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Open alarms from memory
+   * @param {string} phoneNumber - Only this terminal's alarms, if given
+   * @returns {Array<Object>} Alarm records, oldest first
+   */
+  listOpen(phoneNumber) {
+    const devices = phoneNumber ? [this.devices.get(phoneNumber)].filter(Boolean) : Array.from(this.devices.values());
+    return devices
+      .flatMap((device) => Array.from(device.open.values()))
+      .sort((a, b) => (a.startedAt < b.startedAt ? -1 : a.startedAt > b.startedAt ? 1 : a.id - b.id));
+  }
+
+  /**
+   * Get an alarm record or fail
+   * @param {number} id - Alarm ID
+   * @returns {Promise<Object>} Alarm record
+   * @throws {Error} NOT_FOUND if the alarm is unknown
+   */
+  async require(id) {
+    const alarm = await this.store.get(id);
+    if (!alarm) {
+      throw apiError('NOT_FOUND', `Alarm ${id} not found`);
+    }
+    return alarm;
+  }
+
+  /**
+   * Confirm an alarm to the terminal with 0x8203 so it clears the bit
+   * Only alarms the standard leaves set until confirmed (MANUAL_CONFIRMATION_ALARM_FLAGS,
+   * e.g. the emergency button) can be confirmed. The record closes with the
+   * next report that has the bit cleared.
+   * @param {number} id - Alarm ID
+   * @param {string} operator - Who confirmed it
+   * @returns {Promise<Object>} { alarm, response } with the terminal's 0x0001 answer
+   * @throws {Error} NOT_FOUND, ALARM_NOT_CONFIRMABLE, or the sendCommand error
+   */
+  async confirm(id, operator = SYSTEM_ACTOR) {
+    const actor = requireText(operator, 'operator');
+    const alarm = await this.require(id);
+    if (alarm.status !== ALARM_STATUSES.OPEN || (alarm.flag & MANUAL_CONFIRMATION_ALARM_FLAGS) === 0) {
+      throw apiError('ALARM_NOT_CONFIRMABLE', `Alarm ${id} (${alarm.type}, ${alarm.status}) cannot be confirmed`);
+    }
+
+    const response = await this.server.sendCommand(
+      alarm.phoneNumber,
+      MESSAGE_IDS.MANUAL_CONFIRMATION_ALARM,
+      MessageFactory.createAlarmConfirmation(alarm.messageSequence || 0, alarm.flag)
+    );
+    if (!response.success) {
+      Logger.warn('Terminal did not accept alarm confirmation', {
+        phoneNumber: alarm.phoneNumber,
+        alarmId: id,
+        type: alarm.type,
+        result: response.resultName
+      });
+      return { alarm, response };
+    }
+
+    const confirmed = await this.store.markConfirmed(id);
+    await this.audit(confirmed, confirmed.phoneNumber, ALARM_ACTIONS.CONFIRMED, actor);
+    this.remember(confirmed);
+    this.emit('confirmed', confirmed);
+    return { alarm: confirmed, response };
+  }
+
+  /**
+   * Acknowledge an alarm, open or closed, stopping its escalation
+   * @param {number} id - Alarm ID
+   * @param {string} operator - Who acknowledged it
+   * @param {string} note - Optional note stored with the acknowledgement
+   * @returns {Promise<Object>} Acknowledged alarm record
+   * @throws {Error} INVALID_ARGUMENT, NOT_FOUND or ALARM_ALREADY_ACKNOWLEDGED
+   */
+  async acknowledge(id, operator, note) {
+    const actor = requireText(operator, 'operator');
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      throw apiError(INVALID_ARGUMENT, 'note must be a string');
+    }
+    const alarm = await this.require(id);
+    const acknowledged = await this.store.acknowledge(id, actor);
+    if (!acknowledged) {
+      throw apiError(
+        'ALARM_ALREADY_ACKNOWLEDGED',
+        `Alarm ${id} was already acknowledged by ${alarm.acknowledgedBy}`
+      );
+    }
+
+    await this.audit(acknowledged, acknowledged.phoneNumber, ALARM_ACTIONS.ACKNOWLEDGED, actor, note || null);
+    this.remember(acknowledged);
+    this.emit('acknowledged', acknowledged);
+    return acknowledged;
+  }
+
+  /**
+   * Add an operator note to an alarm
+   * @param {number} id - Alarm ID
+   * @param {string} operator - Who wrote it
+   * @param {string} note - Note text
+   * @returns {Promise<Object>} Stored audit event
+   * @throws {Error} INVALID_ARGUMENT or NOT_FOUND
+   */
+  async addNote(id, operator, note) {
+    const actor = requireText(operator, 'operator');
+    const text = requireText(note, 'note');
+    const alarm = await this.require(id);
+
+    const event = await this.audit(alarm, alarm.phoneNumber, ALARM_ACTIONS.NOTE, actor, text);
+    this.emit('note', event);
+    return event;
+  }
+
+  /**
+   * Escalate alarms of the escalation severities nobody acknowledged in time
+   * Runs one check at a time; overlapping calls share the running one.
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<Object>>} Escalated alarm records
+   */
+  escalate(now = new Date()) {
+    if (this.escalationTimeout <= 0) {
+      return Promise.resolve([]);
+    }
+    if (!this.escalating) {
+      this.escalating = this.escalateDue(now).finally(() => {
+        this.escalating = null;
+      });
+    }
+    return this.escalating;
+  }
+
+  /**
+   * Escalate the alarms that are due
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<Object>>} Escalated alarm records
+   */
+  async escalateDue(now) {
+    const due = await this.store.listUnacknowledged(
+      this.escalationSeverities,
+      new Date(now.getTime() - this.escalationTimeout)
+    );
+
+    const escalated = [];
+    for (const alarm of due) {
+      const record = await this.store.markEscalated(alarm.id, now);
+      if (!record) {
+        continue;
+      }
+      await this.audit(
+        record,
+        record.phoneNumber,
+        ALARM_ACTIONS.ESCALATED,
+        SYSTEM_ACTOR,
+        `Not acknowledged within ${Math.round(this.escalationTimeout / 1000)}s`
+      );
+      Logger.warn('Escalated unacknowledged alarm', {
+        phoneNumber: record.phoneNumber,
+        alarmId: record.id,
+        type: record.type,
+        severity: record.severity
+      });
+      this.remember(record);
+      this.emit('escalated', record);
+      escalated.push(record);
+    }
+    return escalated;
+  }
+
+  /**
+   * Alarm mask of a terminal
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Object} { phoneNumber, mask, types, status, commandId, updatedAt, updatedBy };
+   *   status is null when no mask was ever set
+   */
+  getMask(phoneNumber) {
+    return maskView(phoneNumber, this.masks.get(phoneNumber) || null);
+  }
+
+  /**
+   * Mask alarm types for a terminal, on the platform and on the terminal
+   * The platform stops opening records for masked types right away. The mask
+   * is sent as parameter 0x0050 (0x8103), queued until the terminal connects
+   * if it is offline; `status` tracks whether the terminal has accepted it.
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Array<string>} types - ALARM_FLAGS names to mask; empty to unmask all
+   * @param {string} operator - Who changed it
+   * @returns {Promise<Object>} Alarm mask, see getMask
+   * @throws {Error} INVALID_ARGUMENT for unknown types, or the command error after recording the failure
+   */
+  async setMask(phoneNumber, types, operator) {
+    const actor = requireText(operator, 'operator');
+    if (!Array.isArray(types) || types.some((type) => ALARM_FLAGS[type] === undefined)) {
+      throw apiError(INVALID_ARGUMENT, 'types must be an array of ALARM_FLAGS names');
+    }
+    const mask = types.reduce((bits, type) => (bits | ALARM_FLAGS[type]) >>> 0, 0);
+
+    const pending = await this.store.saveMask({ phoneNumber, mask, status: MASK_STATUSES.PENDING, updatedBy: actor });
+    this.masks.set(phoneNumber, pending);
+    await this.audit(null, phoneNumber, ALARM_ACTIONS.MASK_CHANGED, actor, types.join(', ') || 'none');
+    this.emit('mask', this.getMask(phoneNumber));
+
+    let result;
+    try {
+      result = await this.server.commands.send(
+        phoneNumber,
+        { type: 'set_parameters', parameters: [{ id: TERMINAL_PARAMETERS.ALARM_MASK, value: mask }] },
+        { queue: true }
+      );
+    } catch (error) {
+      await this.recordMaskResult(phoneNumber, MASK_STATUSES.FAILED, error.message);
+      throw error;
+    }
+
+    if (result.status === 'queued') {
+      this.masks.set(phoneNumber, await this.store.saveMask({
+        phoneNumber,
+        mask,
+        status: MASK_STATUSES.PENDING,
+        commandId: result.id,
+        updatedBy: actor
+      }));
+      return this.getMask(phoneNumber);
+    }
+    return this.recordMaskResult(
+      phoneNumber,
+      result.response.success ? MASK_STATUSES.APPLIED : MASK_STATUSES.FAILED,
+      result.response.success ? null : `Terminal answered ${result.response.resultName}`
+    );
+  }
+
+  /**
+   * Record whether the terminal accepted its alarm mask
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {string} status - MASK_STATUSES.APPLIED or MASK_STATUSES.FAILED
+   * @param {string} note - Failure reason
+   * @returns {Promise<Object>} Alarm mask, see getMask
+   */
+  async recordMaskResult(phoneNumber, status, note = null) {
+    this.masks.set(phoneNumber, await this.store.setMaskStatus(phoneNumber, status));
+    const action = status === MASK_STATUSES.APPLIED ? ALARM_ACTIONS.MASK_APPLIED : ALARM_ACTIONS.MASK_FAILED;
+    await this.audit(null, phoneNumber, action, SYSTEM_ACTOR, note);
+
+    const view = this.getMask(phoneNumber);
+    this.emit('mask', view);
+    return view;
+  }
+
+  /**
+   * Settle a queued alarm mask once its command is sent or expires
+   * @param {Object} result - Command result from CommandService
+   * @returns {Promise<Object|null>} Alarm mask, or null if the result is not a queued mask
+   */
+  async handleCommandResult(result) {
+    const mask = this.masks.get(result.phoneNumber);
+    if (!result.id || !mask || mask.commandId !== result.id) {
+      return null;
+    }
+
+    if (result.status === 'completed' && result.response.success) {
+      return this.recordMaskResult(result.phoneNumber, MASK_STATUSES.APPLIED);
+    }
+    return this.recordMaskResult(
+      result.phoneNumber,
+      MASK_STATUSES.FAILED,
+      result.error ? result.error.message : `Terminal answered ${result.response.resultName}`
+    );
+  }
+}
+
+module.exports = {
+  AlarmEngine,
+  ALARM_ENGINE_DEFAULTS,
+  ALARM_SEVERITIES,
+  ALARM_SEVERITY_BY_TYPE,
+  SYSTEM_ACTOR
+};
@@ -0,0 +1,579 @@
+/**
+ * SQLite-backed alarm records, audit trail and alarm masks
+ * One row per alarm occurrence: opened when a terminal sets an ALARM_FLAGS
+ * bit, closed when it clears it again. Times are device times (UTC); the
+ * workflow times (confirmed, acknowledged, escalated) and audit events are
+ * server times.
+ */
+
+const { invalidArgument, toISOTime, encodeCursor, decodeCursor, isTimeAndId } = require('../utils/query');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS alarms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phone_number TEXT NOT NULL,
+    type TEXT NOT NULL,
+    flag INTEGER NOT NULL,
+    severity TEXT NOT NULL,
+    status TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    ended_at TEXT,
+    start_latitude REAL,
+    start_longitude REAL,
+    end_latitude REAL,
+    end_longitude REAL,
+    message_sequence INTEGER,
+    confirmed_at TEXT,
+    acknowledged_at TEXT,
+    acknowledged_by TEXT,
+    escalated_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_alarms_device_status ON alarms (phone_number, status);
+  CREATE INDEX IF NOT EXISTS idx_alarms_started ON alarms (started_at);
+  CREATE TABLE IF NOT EXISTS alarm_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    alarm_id INTEGER,
+    phone_number TEXT NOT NULL,
+    action TEXT NOT NULL,
+    actor TEXT NOT NULL,
+    note TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_alarm_events_alarm ON alarm_events (alarm_id);
+  CREATE INDEX IF NOT EXISTS idx_alarm_events_device ON alarm_events (phone_number, created_at);
+  CREATE TABLE IF NOT EXISTS alarm_masks (
+    phone_number TEXT PRIMARY KEY,
+    mask INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    command_id TEXT,
+    updated_at TEXT NOT NULL,
+    updated_by TEXT NOT NULL
+  );
+`;
+
+/**
+ * Default store settings
+ */
+const ALARM_STORE_DEFAULTS = {
+  pageSize: 100,
+  maxPageSize: 1000
+};
+
+/**
+ * Alarm record states
+ */
+const ALARM_STATUSES = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+/**
+ * Audit trail actions
+ */
+const ALARM_ACTIONS = {
+  OPENED: 'opened',
+  CLOSED: 'closed',
+  CONFIRMED: 'confirmed',
+  ACKNOWLEDGED: 'acknowledged',
+  NOTE: 'note',
+  ESCALATED: 'escalated',
+  MASK_CHANGED: 'mask_changed',
+  MASK_APPLIED: 'mask_applied',
+  MASK_FAILED: 'mask_failed'
+};
+
+/**
+ * Alarm mask states: whether the terminal has accepted the platform setting
+ */
+const MASK_STATUSES = {
+  PENDING: 'pending',
+  APPLIED: 'applied',
+  FAILED: 'failed'
+};
+
+/**
+ * Convert an alarms row to an alarm record
+ * @param {Object} row - Database row
+ * @returns {Object|null} Alarm record
+ */
+function rowToAlarm(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    phoneNumber: row.phone_number,
+    type: row.type,
+    flag: row.flag,
+    severity: row.severity,
+    status: row.status,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    durationSeconds: row.ended_at
+      ? (new Date(row.ended_at).getTime() - new Date(row.started_at).getTime()) / 1000
+      : null,
+    startPosition: row.start_latitude === null ? null : { latitude: row.start_latitude, longitude: row.start_longitude },
+    endPosition: row.end_latitude === null ? null : { latitude: row.end_latitude, longitude: row.end_longitude },
+    messageSequence: row.message_sequence,
+    confirmedAt: row.confirmed_at,
+    acknowledgedAt: row.acknowledged_at,
+    acknowledgedBy: row.acknowledged_by,
+    escalatedAt: row.escalated_at
+  };
+}
+
+/**
+ * Convert an alarm_events row to an audit event
+ * @param {Object} row - Database row
+ * @returns {Object|null} Audit event
+ */
+function rowToEvent(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    alarmId: row.alarm_id,
+    phoneNumber: row.phone_number,
+    action: row.action,
+    actor: row.actor,
+    note: row.note,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Convert an alarm_masks row to an alarm mask
+ * @param {Object} row - Database row
+ * @returns {Object|null} Alarm mask
+ */
+function rowToMask(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    phoneNumber: row.phone_number,
+    mask: row.mask,
+    status: row.status,
+    commandId: row.command_id,
+    updatedAt: row.updated_at,
+    updatedBy: row.updated_by
+  };
+}
+
+class SqliteAlarmStore {
+  /**
+   * @param {Database} database - Database connection
+   * @param {Object} options - Store options
+   * @param {number} options.pageSize - Default history page size
+   * @param {number} options.maxPageSize - Largest history page size allowed
+   */
+  constructor(database, options = {}) {
+    this.database = database;
+    this.pageSize = options.pageSize || ALARM_STORE_DEFAULTS.pageSize;
+    this.maxPageSize = options.maxPageSize || ALARM_STORE_DEFAULTS.maxPageSize;
+    this.initializing = null;
+  }
+
+  /**
+   * Create schema on first use
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.initializing) {
+      this.initializing = this.database.exec(SCHEMA).catch((error) => {
+        this.initializing = null;
+        throw error;
+      });
+    }
+    return this.initializing;
+  }
+
+  /**
+   * Read and check a page size
+   * @param {number} limit - Requested page size
+   * @returns {number} Page size
+   * @throws {Error} INVALID_ARGUMENT if it is not an integer within range
+   */
+  limitOf(limit) {
+    const size = limit || this.pageSize;
+    if (!Number.isInteger(size) || size < 1 || size > this.maxPageSize) {
+      throw invalidArgument(`Page size must be an integer from 1 to ${this.maxPageSize}`);
+    }
+    return size;
+  }
+
+  /**
+   * Open an alarm record
+   * @param {Object} alarm - Alarm
+   * @param {string} alarm.phoneNumber - Terminal phone number
+   * @param {string} alarm.type - ALARM_FLAGS name
+   * @param {number} alarm.flag - ALARM_FLAGS bit
+   * @param {string} alarm.severity - Severity from ALARM_SEVERITIES
+   * @param {string} alarm.startedAt - Device time of the first report with the bit set
+   * @param {Object} alarm.startPosition - { latitude, longitude } at that time
+   * @param {number} alarm.messageSequence - Sequence number of the report, for 0x8203 confirmation
+   * @returns {Promise<Object>} Stored alarm record
+   */
+  async open(alarm) {
+    await this.init();
+    const { lastID } = await this.database.run(
+      `INSERT INTO alarms (phone_number, type, flag, severity, status, started_at,
+         start_latitude, start_longitude, message_sequence)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        alarm.phoneNumber,
+        alarm.type,
+        alarm.flag,
+        alarm.severity,
+        ALARM_STATUSES.OPEN,
+        alarm.startedAt,
+        alarm.startPosition ? alarm.startPosition.latitude : null,
+        alarm.startPosition ? alarm.startPosition.longitude : null,
+        alarm.messageSequence === undefined ? null : alarm.messageSequence
+      ]
+    );
+    return this.get(lastID);
+  }
+
+  /**
+   * Close an open alarm record
+   * @param {number} id - Alarm ID
+   * @param {Object} end - Alarm end
+   * @param {string} end.endedAt - Device time of the first report with the bit cleared
+   * @param {Object} end.endPosition - { latitude, longitude } at that time
+   * @returns {Promise<Object|null>} Closed alarm record, or null if it was not open
+   */
+  async close(id, { endedAt, endPosition }) {
+    await this.init();
+    const { changes } = await this.database.run(
+      `UPDATE alarms SET status = ?, ended_at = ?, end_latitude = ?, end_longitude = ?
+       WHERE id = ? AND status = ?`,
+      [
+        ALARM_STATUSES.CLOSED,
+        endedAt,
+        endPosition ? endPosition.latitude : null,
+        endPosition ? endPosition.longitude : null,
+        id,
+        ALARM_STATUSES.OPEN
+      ]
+    );
+    return changes > 0 ? this.get(id) : null;
+  }
+
+  /**
+   * Record that the platform confirmed an alarm to the terminal (0x8203)
+   * @param {number} id - Alarm ID
+   * @param {Date} confirmedAt - Confirmation time
+   * @returns {Promise<Object|null>} Alarm record
+   */
+  async markConfirmed(id, confirmedAt = new Date()) {
+    await this.init();
+    await this.database.run('UPDATE alarms SET confirmed_at = ? WHERE id = ?', [confirmedAt.toISOString(), id]);
+    return this.get(id);
+  }
+
+  /**
+   * Record that an operator acknowledged an alarm
+   * @param {number} id - Alarm ID
+   * @param {string} operator - Who acknowledged it
+   * @param {Date} acknowledgedAt - Acknowledgement time
+   * @returns {Promise<Object|null>} Alarm record, or null if it was already acknowledged
+   */
+  async acknowledge(id, operator, acknowledgedAt = new Date()) {
+    await this.init();
+    const { changes } = await this.database.run(
+      'UPDATE alarms SET acknowledged_at = ?, acknowledged_by = ? WHERE id = ? AND acknowledged_at IS NULL',
+      [acknowledgedAt.toISOString(), operator, id]
+    );
+    return changes > 0 ? this.get(id) : null;
+  }
+
+  /**
+   * Record that an unacknowledged alarm was escalated
+   * @param {number} id - Alarm ID
+   * @param {Date} escalatedAt - Escalation time
+   * @returns {Promise<Object|null>} Alarm record, or null if it was acknowledged or escalated meanwhile
+   */
+  async markEscalated(id, escalatedAt = new Date()) {
+    await this.init();
+    const { changes } = await this.database.run(
+      'UPDATE alarms SET escalated_at = ? WHERE id = ? AND acknowledged_at IS NULL AND escalated_at IS NULL',
+      [escalatedAt.toISOString(), id]
+    );
+    return changes > 0 ? this.get(id) : null;
+  }
+
+  /**
+   * Get one alarm record
+   * @param {number} id - Alarm ID
+   * @returns {Promise<Object|null>} Alarm record, or null if unknown
+   */
+  async get(id) {
+    await this.init();
+    return rowToAlarm(await this.database.get('SELECT * FROM alarms WHERE id = ?', [id]));
+  }
+
+  /**
+   * Open alarm records, oldest first
+   * @param {string} phoneNumber - Only this terminal's alarms, if given
+   * @returns {Promise<Array<Object>>} Alarm records
+   */
+  async listOpen(phoneNumber) {
+    await this.init();
+    const rows = phoneNumber
+      ? await this.database.all(
+        'SELECT * FROM alarms WHERE status = ? AND phone_number = ? ORDER BY started_at, id',
+        [ALARM_STATUSES.OPEN, phoneNumber]
+      )
+      : await this.database.all(
+        'SELECT * FROM alarms WHERE status = ? ORDER BY started_at, id',
+        [ALARM_STATUSES.OPEN]
+      );
+    return rows.map(rowToAlarm);
+  }
+
+  /**
+   * Unacknowledged, unescalated alarms of some severities that started before a time
+   * @param {Array<string>} severities - Severities to include
+   * @param {Date} startedBefore - Latest start time
+   * @returns {Promise<Array<Object>>} Alarm records, oldest first
+   */
+  async listUnacknowledged(severities, startedBefore) {
+    await this.init();
+    const rows = await this.database.all(
+      `SELECT * FROM alarms
+       WHERE acknowledged_at IS NULL AND escalated_at IS NULL AND started_at <= ?
+         AND severity IN (${severities.map(() => '?').join(', ')})
+       ORDER BY started_at, id`,
+      [startedBefore.toISOString(), ...severities]
+    );
+    return rows.map(rowToAlarm);
+  }
+
+  /**
+   * Page through alarm history, newest first
+   * @param {Object} filters - Filters, all optional
+   * @param {string} filters.phoneNumber - Terminal phone number
+   * @param {string} filters.type - ALARM_FLAGS name
+   * @param {string} filters.severity - Severity
+   * @param {string} filters.status - open or closed
+   * @param {boolean} filters.acknowledged - Only acknowledged (true) or unacknowledged (false) alarms
+   * @param {Date|string} filters.from - Earliest start time, inclusive
+   * @param {Date|string} filters.to - Latest start time, inclusive
+   * @param {Object} options - Paging options
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - nextCursor of the previous page
+   * @returns {Promise<Object>} { alarms, nextCursor } with nextCursor null on the last page
+   * @throws {Error} With code INVALID_ARGUMENT for invalid times, page sizes or cursors
+   */
+  async list(filters = {}, options = {}) {
+    const limit = this.limitOf(options.limit);
+    const conditions = [];
+    const params = [];
+    for (const [name, column] of [
+      ['phoneNumber', 'phone_number'],
+      ['type', 'type'],
+      ['severity', 'severity'],
+      ['status', 'status']
+    ]) {
+      if (filters[name] !== undefined) {
+        conditions.push(`${column} = ?`);
+        params.push(filters[name]);
+      }
+    }
+    if (filters.acknowledged !== undefined) {
+      conditions.push(filters.acknowledged ? 'acknowledged_at IS NOT NULL' : 'acknowledged_at IS NULL');
+    }
+    if (filters.from !== undefined) {
+      conditions.push('started_at >= ?');
+      params.push(toISOTime(filters.from, 'from'));
+    }
+    if (filters.to !== undefined) {
+      conditions.push('started_at <= ?');
+      params.push(toISOTime(filters.to, 'to'));
+    }
+    if (options.cursor) {
+      const [startedAt, id] = decodeCursor(options.cursor, isTimeAndId);
+      conditions.push('(started_at < ? OR (started_at = ? AND id < ?))');
+      params.push(startedAt, startedAt, id);
+    }
+
+    await this.init();
+    const rows = await this.database.all(
+      `SELECT * FROM alarms ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY started_at DESC, id DESC LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      alarms: page.map(rowToAlarm),
+      nextCursor: rows.length > limit ? encodeCursor([last.started_at, last.id]) : null
+    };
+  }
+
+  /**
+   * Append an audit event
+   * @param {Object} event - Event
+   * @param {number} event.alarmId - Alarm the event is about; none for mask changes
+   * @param {string} event.phoneNumber - Terminal phone number
+   * @param {string} event.action - Action from ALARM_ACTIONS
+   * @param {string} event.actor - Operator, or 'system'
+   * @param {string} event.note - Free text
+   * @param {Date} event.createdAt - Event time
+   * @returns {Promise<Object>} Stored event
+   */
+  async addEvent(event) {
+    await this.init();
+    const { lastID } = await this.database.run(
+      `INSERT INTO alarm_events (alarm_id, phone_number, action, actor, note, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        event.alarmId || null,
+        event.phoneNumber,
+        event.action,
+        event.actor,
+        event.note || null,
+        (event.createdAt || new Date()).toISOString()
+      ]
+    );
+    return rowToEvent(await this.database.get('SELECT * FROM alarm_events WHERE id = ?', [lastID]));
+  }
+
+  /**
+   * Page through the audit trail, oldest first
+   * @param {Object} filters - Filters, all optional
+   * @param {number} filters.alarmId - Alarm ID
+   * @param {string} filters.phoneNumber - Terminal phone number
+   * @param {string} filters.actor - Operator, or 'system'
+   * @param {string} filters.action - Action from ALARM_ACTIONS
+   * @param {Date|string} filters.from - Earliest event time, inclusive
+   * @param {Date|string} filters.to - Latest event time, inclusive
+   * @param {Object} options - Paging options
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - nextCursor of the previous page
+   * @returns {Promise<Object>} { events, nextCursor } with nextCursor null on the last page
+   * @throws {Error} With code INVALID_ARGUMENT for invalid times, page sizes or cursors
+   */
+  async listEvents(filters = {}, options = {}) {
+    const limit = this.limitOf(options.limit);
+    const conditions = [];
+    const params = [];
+    for (const [name, column] of [
+      ['alarmId', 'alarm_id'],
+      ['phoneNumber', 'phone_number'],
+      ['actor', 'actor'],
+      ['action', 'action']
+    ]) {
+      if (filters[name] !== undefined) {
+        conditions.push(`${column} = ?`);
+        params.push(filters[name]);
+      }
+    }
+    if (filters.from !== undefined) {
+      conditions.push('created_at >= ?');
+      params.push(toISOTime(filters.from, 'from'));
+    }
+    if (filters.to !== undefined) {
+      conditions.push('created_at <= ?');
+      params.push(toISOTime(filters.to, 'to'));
+    }
+    if (options.cursor) {
+      const [id] = decodeCursor(options.cursor, (key) => Array.isArray(key) && Number.isInteger(key[0]));
+      conditions.push('id > ?');
+      params.push(id);
+    }
+
+    await this.init();
+    const rows = await this.database.all(
+      `SELECT * FROM alarm_events ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY id LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    const page = rows.slice(0, limit);
+    return {
+      events: page.map(rowToEvent),
+      nextCursor: rows.length > limit ? encodeCursor([page[page.length - 1].id]) : null
+    };
+  }
+
+  /**
+   * Save a terminal's alarm mask
+   * @param {Object} mask - Alarm mask
+   * @param {string} mask.phoneNumber - Terminal phone number
+   * @param {number} mask.mask - Masked ALARM_FLAGS bits
+   * @param {string} mask.status - State from MASK_STATUSES
+   * @param {string} mask.commandId - ID of the queued 0x8103 command, while pending
+   * @param {string} mask.updatedBy - Operator who set it
+   * @param {Date} mask.updatedAt - Change time
+   * @returns {Promise<Object>} Stored alarm mask
+   */
+  async saveMask(mask) {
+    await this.init();
+    await this.database.run(
+      `INSERT INTO alarm_masks (phone_number, mask, status, command_id, updated_at, updated_by)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (phone_number) DO UPDATE SET
+         mask = excluded.mask, status = excluded.status, command_id = excluded.command_id,
+         updated_at = excluded.updated_at, updated_by = excluded.updated_by`,
+      [
+        mask.phoneNumber,
+        mask.mask,
+        mask.status,
+        mask.commandId || null,
+        (mask.updatedAt || new Date()).toISOString(),
+        mask.updatedBy
+      ]
+    );
+    return this.getMask(mask.phoneNumber);
+  }
+
+  /**
+   * Update the terminal state of an alarm mask
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {string} status - State from MASK_STATUSES
+   * @returns {Promise<Object|null>} Alarm mask
+   */
+  async setMaskStatus(phoneNumber, status) {
+    await this.init();
+    await this.database.run(
+      'UPDATE alarm_masks SET status = ?, command_id = NULL WHERE phone_number = ?',
+      [status, phoneNumber]
+    );
+    return this.getMask(phoneNumber);
+  }
+
+  /**
+   * Get a terminal's alarm mask
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Promise<Object|null>} Alarm mask, or null if none was set
+   */
+  async getMask(phoneNumber) {
+    await this.init();
+    return rowToMask(await this.database.get('SELECT * FROM alarm_masks WHERE phone_number = ?', [phoneNumber]));
+  }
+
+  /**
+   * Every saved alarm mask
+   * @returns {Promise<Array<Object>>} Alarm masks, ordered by phone number
+   */
+  async listMasks() {
+    await this.init();
+    const rows = await this.database.all('SELECT * FROM alarm_masks ORDER BY phone_number');
+    return rows.map(rowToMask);
+  }
+}
+
+module.exports = {
+  SqliteAlarmStore,
+  ALARM_STORE_DEFAULTS,
+  ALARM_STATUSES,
+  ALARM_ACTIONS,
+  MASK_STATUSES
+};
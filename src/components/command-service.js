@@ -0,0 +1,346 @@
+/**
+ * Operator commands for connected terminals
+ * Turns command descriptions ({ type, ...options }) into downlink bodies,
+ * sends them through the server and reports each result with a 'result'
+ * event. Commands for offline terminals fail with TERMINAL_OFFLINE, or are
+ * queued until the terminal authenticates again when asked to.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { MessageFactory } = require('../utils/message-validator');
+const { buildAreaSetting, buildAreaDeletion } = require('../utils/area-settings');
+const { MESSAGE_IDS, TEXT_FLAGS, TERMINAL_CONTROL_COMMANDS } = require('../models/jt808-messages');
+const { COMMAND_ABORTED } = require('./pending-commands');
+const { apiError, invalidArgument } = require('../utils/query');
+const Logger = require('../utils/logger');
+
+/**
+ * Default command service settings
+ */
+const COMMAND_SERVICE_DEFAULTS = {
+  queueTtl: 24 * 60 * 60 * 1000, // ms a queued command waits for its terminal
+  maxQueued: 20 // Queued commands per terminal
+};
+
+/**
+ * Error code of commands for terminals that are not connected
+ */
+const TERMINAL_OFFLINE = 'TERMINAL_OFFLINE';
+
+/**
+ * Error codes of commands that failed because the connection went away
+ */
+const OFFLINE_ERRORS = [TERMINAL_OFFLINE, COMMAND_ABORTED];
+
+/**
+ * Read an integer option within a range
+ * @param {Object} command - Command description
+ * @param {string} name - Option name
+ * @param {number} fallback - Value when the option is missing
+ * @param {number} max - Largest allowed value
+ * @returns {number} Option value
+ */
+function integerOption(command, name, fallback, max) {
+  const value = command[name] === undefined ? fallback : command[name];
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw invalidArgument(`${name} must be an integer from 0 to ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Encode one terminal parameter value
+ * Numbers default to DWORD and strings to text; `type` selects uint8,
+ * uint16, uint32, string or hex bytes explicitly.
+ * @param {Object} parameter - Parameter description { id, value, type }
+ * @returns {Object} Parameter { id, length, value } for createParameterSetting
+ */
+function encodeParameter(parameter) {
+  const { id, value } = parameter || {};
+  if (!Number.isInteger(id) || id < 0 || id > 0xffffffff) {
+    throw invalidArgument('Parameter id must be a 32-bit integer');
+  }
+
+  const type = parameter.type || (typeof value === 'string' ? 'string' : 'uint32');
+  const sizes = { uint8: 1, uint16: 2, uint32: 4 };
+  let encoded;
+  if (sizes[type]) {
+    if (!Number.isInteger(value) || value < 0 || value >= 2 ** (sizes[type] * 8)) {
+      throw invalidArgument(`Parameter 0x${id.toString(16).padStart(4, '0')} value must fit ${type}`);
+    }
+    encoded = Buffer.alloc(sizes[type]);
+    encoded.writeUIntBE(value, 0, sizes[type]);
+  } else if (type === 'string') {
+    encoded = Buffer.from(String(value), 'ascii');
+  } else if (type === 'hex' && typeof value === 'string' && /^([0-9a-f]{2})*$/i.test(value)) {
+    encoded = Buffer.from(value, 'hex');
+  } else {
+    throw invalidArgument(`Parameter 0x${id.toString(16).padStart(4, '0')} has an invalid type or value`);
+  }
+
+  if (encoded.length > 255) {
+    throw invalidArgument(`Parameter 0x${id.toString(16).padStart(4, '0')} value is longer than 255 bytes`);
+  }
+  return { id, length: encoded.length, value: encoded };
+}
+
+/**
+ * Downlink builders by command type
+ * Each returns { messageId, body } for the terminal's protocol version.
+ */
+const COMMAND_BUILDERS = {
+  text: (command, protocolVersion) => {
+    if (typeof command.text !== 'string' || command.text.length === 0) {
+      throw invalidArgument('text is required');
+    }
+    const flags = command.flags || ['TERMINAL_DISPLAY'];
+    if (!Array.isArray(flags) || flags.some((name) => TEXT_FLAGS[name] === undefined)) {
+      throw invalidArgument(`flags must list names from ${Object.keys(TEXT_FLAGS).join(', ')}`);
+    }
+    const flag = flags.reduce((bits, name) => bits | TEXT_FLAGS[name], 0);
+    let body;
+    try {
+      body = MessageFactory.createTextMessage(command.text, flag, protocolVersion, command.textType || 1);
+    } catch (error) {
+      throw invalidArgument(error.message);
+    }
+    return { messageId: MESSAGE_IDS.TEXT_MESSAGE_SEND, body };
+  },
+
+  location_query: () => ({ messageId: MESSAGE_IDS.LOCATION_INFO_QUERY, body: Buffer.alloc(0) }),
+
+  set_parameters: (command) => {
+    if (!Array.isArray(command.parameters) || command.parameters.length === 0 || command.parameters.length > 255) {
+      throw invalidArgument('parameters must list 1 to 255 parameters');
+    }
+    return {
+      messageId: MESSAGE_IDS.SET_TERMINAL_PARAMETERS,
+      body: MessageFactory.createParameterSetting(command.parameters.map(encodeParameter))
+    };
+  },
+
+  query_parameters: () => ({ messageId: MESSAGE_IDS.QUERY_TERMINAL_PARAMETERS, body: Buffer.alloc(0) }),
+
+  terminal_control: (command) => {
+    const commandFlag = typeof command.command === 'string'
+      ? TERMINAL_CONTROL_COMMANDS[command.command]
+      : command.command;
+    if (!Object.values(TERMINAL_CONTROL_COMMANDS).includes(commandFlag)) {
+      throw invalidArgument(`command must be one of ${Object.keys(TERMINAL_CONTROL_COMMANDS).join(', ')}`);
+    }
+    return {
+      messageId: MESSAGE_IDS.TERMINAL_CONTROL,
+      body: MessageFactory.createTerminalControl(commandFlag, command.parameter || '')
+    };
+  },
+
+  camera_shot: (command) => ({
+    messageId: MESSAGE_IDS.CAMERA_SHOT_COMMAND,
+    body: MessageFactory.createCameraShotCommand({
+      channelId: integerOption(command, 'channelId', 1, 0xff),
+      shotCommand: integerOption(command, 'shotCommand', 1, 0xffff), // Shots to take; 0 stops, 0xFFFF records video
+      shotInterval: integerOption(command, 'shotInterval', 0, 0xffff),
+      shotCount: integerOption(command, 'shotCount', 1, 0xffff),
+      saveFlag: integerOption(command, 'saveFlag', 0, 1),
+      resolution: integerOption(command, 'resolution', 1, 0xff),
+      quality: integerOption(command, 'quality', 5, 10),
+      brightness: integerOption(command, 'brightness', 128, 0xff),
+      contrast: integerOption(command, 'contrast', 64, 127),
+      saturation: integerOption(command, 'saturation', 64, 127),
+      chroma: integerOption(command, 'chroma', 128, 0xff)
+    })
+  }),
+
+  set_area: (command, protocolVersion) => buildAreaSetting(command.areaType, command.areas, {
+    settingType: command.settingType,
+    protocolVersion
+  }),
+
+  delete_area: (command) => buildAreaDeletion(command.areaType, command.ids)
+};
+
+class CommandService extends EventEmitter {
+  /**
+   * @param {DashcamTCPServer} server - Server the commands are sent through
+   * @param {Object} options - Service options
+   * @param {number} options.queueTtl - Time a queued command waits for its terminal, in milliseconds
+   * @param {number} options.maxQueued - Queued commands per terminal
+   */
+  constructor(server, options = {}) {
+    super();
+    this.server = server;
+    this.queueTtl = options.queueTtl || COMMAND_SERVICE_DEFAULTS.queueTtl;
+    this.maxQueued = options.maxQueued || COMMAND_SERVICE_DEFAULTS.maxQueued;
+    this.queues = new Map(); // Queued commands per phone number, oldest first
+    this.flushing = new Map(); // Latest flush per phone number, so flushes run one after another
+  }
+
+  /**
+   * Build the downlink for a command description
+   * @param {Object} command - Command description with `type` from COMMAND_BUILDERS
+   * @param {string} protocolVersion - Terminal protocol version
+   * @returns {Object} { messageId, body }
+   * @throws {Error} INVALID_ARGUMENT if the description is invalid
+   */
+  static build(command, protocolVersion) {
+    const builder = command && COMMAND_BUILDERS[command.type];
+    if (!builder) {
+      throw invalidArgument(`type must be one of ${Object.keys(COMMAND_BUILDERS).join(', ')}`);
+    }
+    return builder(command, protocolVersion);
+  }
+
+  /**
+   * Send a command, or queue it while the terminal is offline
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Object} command - Command description
+   * @param {Object} options - Send options
+   * @param {boolean} options.queue - Queue the command if the terminal is offline
+   * @returns {Promise<Object>} { status: 'completed', response } or { status: 'queued', ...queued command }
+   */
+  async send(phoneNumber, command, options = {}) {
+    CommandService.build(command, null); // Validate before queueing
+
+    if (!this.server.findConnection(phoneNumber)) {
+      if (!options.queue) {
+        throw apiError(TERMINAL_OFFLINE, `Terminal ${phoneNumber} is not connected`);
+      }
+      return { status: 'queued', ...this.enqueue(phoneNumber, command) };
+    }
+
+    return { status: 'completed', response: await this.execute(phoneNumber, command) };
+  }
+
+  /**
+   * Send a command to a connected terminal and report its result
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Object} command - Command description
+   * @param {string} id - Queued command ID, if it was queued
+   * @returns {Promise<Object>} Terminal response
+   */
+  async execute(phoneNumber, command, id = null) {
+    const connection = this.server.findConnection(phoneNumber);
+    const protocolVersion = connection ? connection.session.protocolVersion : null;
+    const { messageId, body } = CommandService.build(command, protocolVersion);
+
+    try {
+      const response = await this.server.sendCommand(phoneNumber, messageId, body);
+      this.emit('result', { id, phoneNumber, type: command.type, status: 'completed', response });
+      return response;
+    } catch (error) {
+      this.emit('result', {
+        id,
+        phoneNumber,
+        type: command.type,
+        status: 'failed',
+        error: { code: error.code || null, message: error.message }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a command until the terminal authenticates
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Object} command - Command description
+   * @returns {Object} Queued command { id, phoneNumber, command, queuedAt }
+   * @throws {Error} QUEUE_FULL if the terminal already has maxQueued commands waiting
+   */
+  enqueue(phoneNumber, command) {
+    const queue = this.queued(phoneNumber);
+    if (queue.length >= this.maxQueued) {
+      throw apiError('QUEUE_FULL', `Terminal ${phoneNumber} already has ${this.maxQueued} queued commands`);
+    }
+
+    const entry = { id: crypto.randomUUID(), phoneNumber, command, queuedAt: new Date() };
+    queue.push(entry);
+    this.queues.set(phoneNumber, queue);
+    return entry;
+  }
+
+  /**
+   * Commands waiting for a terminal, dropping expired ones
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Date} now - Current time
+   * @returns {Array<Object>} Queued commands, oldest first
+   */
+  queued(phoneNumber, now = new Date()) {
+    const queue = (this.queues.get(phoneNumber) || []).filter((entry) => {
+      if (now - entry.queuedAt <= this.queueTtl) {
+        return true;
+      }
+      this.emit('result', {
+        id: entry.id,
+        phoneNumber,
+        type: entry.command.type,
+        status: 'expired',
+        error: { code: TERMINAL_OFFLINE, message: `Terminal ${phoneNumber} did not connect in time` }
+      });
+      return false;
+    });
+
+    if (queue.length > 0) {
+      this.queues.set(phoneNumber, queue);
+    } else {
+      this.queues.delete(phoneNumber);
+    }
+    return queue;
+  }
+
+  /**
+   * Send the queued commands of a terminal that just authenticated, one at a time
+   * Commands still waiting when the terminal drops again stay queued, and so
+   * does the command in flight when the connection is lost. A flush started
+   * while another is running, e.g. after a quick reconnect, waits for it and
+   * only sends what is still queued then.
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Promise<number>} Number of commands sent
+   */
+  flush(phoneNumber) {
+    const previous = this.flushing.get(phoneNumber) || Promise.resolve();
+    const flushing = previous.catch(() => {}).then(() => this.sendQueued(phoneNumber));
+    this.flushing.set(phoneNumber, flushing);
+    const done = () => {
+      if (this.flushing.get(phoneNumber) === flushing) {
+        this.flushing.delete(phoneNumber);
+      }
+    };
+    flushing.then(done, done);
+    return flushing;
+  }
+
+  /**
+   * Send the queued commands of a terminal, oldest first, until it goes offline
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Promise<number>} Number of commands sent
+   */
+  async sendQueued(phoneNumber) {
+    let sent = 0;
+    for (const entry of this.queued(phoneNumber)) {
+      if (!this.server.findConnection(phoneNumber)) {
+        break;
+      }
+      this.queues.set(phoneNumber, this.queued(phoneNumber).filter((queued) => queued !== entry));
+      try {
+        await this.execute(phoneNumber, entry.command, entry.id);
+      } catch (error) {
+        if (OFFLINE_ERRORS.includes(error.code)) {
+          this.queues.set(phoneNumber, [entry, ...(this.queues.get(phoneNumber) || [])]);
+          break;
+        }
+        Logger.warn('Queued command failed', { phoneNumber, id: entry.id, type: entry.command.type, error: error.message });
+      }
+      sent++;
+    }
+    this.queued(phoneNumber); // Drop the queue once emptied, along with commands that expired meanwhile
+    return sent;
+  }
+}
+
+module.exports = {
+  CommandService,
+  COMMAND_SERVICE_DEFAULTS,
+  COMMAND_BUILDERS,
+  TERMINAL_OFFLINE
+};
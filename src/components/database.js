@@ -0,0 +1,124 @@
+/**
+ * Promise-based wrapper around a sqlite3 database connection
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+class Database {
+  /**
+   * @param {string} filename - Database file path, or ':memory:'
+   */
+  constructor(filename) {
+    this.filename = filename;
+    this.db = null;
+    this.opening = null;
+  }
+
+  /**
+   * Open the connection on first use
+   * @returns {Promise<Database>} This database once open
+   */
+  open() {
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        if (this.filename !== ':memory:') {
+          fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        }
+
+        const db = new sqlite3.Database(this.filename, (error) => {
+          if (error) {
+            this.opening = null;
+            reject(error);
+            return;
+          }
+          this.db = db;
+          resolve(this);
+        });
+      });
+    }
+    return this.opening;
+  }
+
+  /**
+   * Run a statement that returns no rows
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Object>} lastID and changes of the statement
+   */
+  async run(sql, params = []) {
+    await this.open();
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function onRun(error) {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  /**
+   * Fetch the first matching row
+   * @param {string} sql - SQL query
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Object|undefined>} Row, or undefined when none match
+   */
+  async get(sql, params = []) {
+    await this.open();
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row)));
+    });
+  }
+
+  /**
+   * Fetch all matching rows
+   * @param {string} sql - SQL query
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Array>} Matching rows
+   */
+  async all(sql, params = []) {
+    await this.open();
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+    });
+  }
+
+  /**
+   * Execute one or more statements without parameters (schema setup)
+   * @param {string} sql - SQL statements
+   * @returns {Promise<void>}
+   */
+  async exec(sql) {
+    await this.open();
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Close the connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.opening) {
+      return;
+    }
+    await this.opening;
+    return new Promise((resolve, reject) => {
+      this.db.close((error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        this.db = null;
+        this.opening = null;
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = Database;
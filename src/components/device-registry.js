@@ -0,0 +1,256 @@
+/**
+ * SQLite-backed registry of terminals allowed to connect
+ * Devices are keyed by the terminal phone number carried in every message header.
+ */
+
+const crypto = require('crypto');
+const { REGISTRATION_RESULTS } = require('../models/jt808-messages');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS devices (
+    phone_number TEXT PRIMARY KEY,
+    terminal_id TEXT,
+    plate_number TEXT,
+    plate_color INTEGER,
+    province_id INTEGER,
+    city_id INTEGER,
+    manufacturer_id TEXT,
+    device_model TEXT,
+    auth_code TEXT,
+    protocol_version TEXT,
+    registered_at TEXT,
+    imei TEXT,
+    software_version TEXT,
+    authenticated_at TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_devices_plate_number ON devices (plate_number);
+`;
+
+/**
+ * Convert a devices row to a device object
+ * @param {Object} row - Database row
+ * @returns {Object|null} Device object
+ */
+function rowToDevice(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    phoneNumber: row.phone_number,
+    terminalId: row.terminal_id,
+    plateNumber: row.plate_number,
+    plateColor: row.plate_color,
+    provinceId: row.province_id,
+    cityId: row.city_id,
+    manufacturerId: row.manufacturer_id,
+    deviceModel: row.device_model,
+    authCode: row.auth_code,
+    protocolVersion: row.protocol_version,
+    registeredAt: row.registered_at,
+    imei: row.imei,
+    softwareVersion: row.software_version,
+    authenticatedAt: row.authenticated_at,
+    createdAt: row.created_at
+  };
+}
+
+class DeviceRegistry {
+  /**
+   * @param {Database} database - Database connection
+   * @param {Object} options - Registry options
+   * @param {boolean} options.allowUnknownDevices - Accept registrations from terminals not provisioned in advance
+   */
+  constructor(database, options = {}) {
+    this.database = database;
+    this.allowUnknownDevices = options.allowUnknownDevices || false;
+    this.initializing = null;
+  }
+
+  /**
+   * Create schema on first use
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.initializing) {
+      this.initializing = this.database.exec(SCHEMA).catch((error) => {
+        this.initializing = null;
+        throw error;
+      });
+    }
+    return this.initializing;
+  }
+
+  /**
+   * Provision a device so it may register
+   * @param {Object} device - Device details
+   * @param {string} device.phoneNumber - Terminal phone number (12 digits for JT808-2013)
+   * @param {string} device.plateNumber - Expected plate number (optional)
+   * @param {string} device.terminalId - Expected terminal ID (optional)
+   * @returns {Promise<Object>} Stored device
+   */
+  async addDevice(device) {
+    if (!device || !device.phoneNumber) {
+      throw new Error('Device phone number is required');
+    }
+
+    await this.init();
+    await this.database.run(
+      `INSERT INTO devices (phone_number, terminal_id, plate_number, plate_color, created_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (phone_number) DO UPDATE SET
+         terminal_id = excluded.terminal_id,
+         plate_number = excluded.plate_number,
+         plate_color = excluded.plate_color`,
+      [
+        device.phoneNumber,
+        device.terminalId || null,
+        device.plateNumber || null,
+        device.plateColor === undefined ? null : device.plateColor,
+        new Date().toISOString()
+      ]
+    );
+
+    return this.getDevice(device.phoneNumber);
+  }
+
+  /**
+   * Remove a device and its registration
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Promise<boolean>} True if a device was removed
+   */
+  async removeDevice(phoneNumber) {
+    await this.init();
+    const { changes } = await this.database.run('DELETE FROM devices WHERE phone_number = ?', [phoneNumber]);
+    return changes > 0;
+  }
+
+  /**
+   * Get device by terminal phone number
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Promise<Object|null>} Device, or null if not provisioned
+   */
+  async getDevice(phoneNumber) {
+    await this.init();
+    const row = await this.database.get('SELECT * FROM devices WHERE phone_number = ?', [phoneNumber]);
+    return rowToDevice(row);
+  }
+
+  /**
+   * List all devices
+   * @returns {Promise<Array>} Devices ordered by phone number
+   */
+  async listDevices() {
+    await this.init();
+    const rows = await this.database.all('SELECT * FROM devices ORDER BY phone_number');
+    return rows.map(rowToDevice);
+  }
+
+  /**
+   * Register a terminal from its 0x0100 registration body
+   * @param {string} phoneNumber - Terminal phone number from the message header
+   * @param {Object} registration - Decoded TERMINAL_REGISTRATION body
+   * @param {string} protocolVersion - Protocol version the terminal registered with
+   * @returns {Promise<Object>} Registration result code and auth code
+   */
+  async registerTerminal(phoneNumber, registration, protocolVersion = null) {
+    let device = await this.getDevice(phoneNumber);
+
+    if (!device) {
+      if (!this.allowUnknownDevices) {
+        return { result: REGISTRATION_RESULTS.TERMINAL_NOT_FOUND, authCode: '' };
+      }
+      device = await this.addDevice({ phoneNumber });
+    }
+
+    // A different terminal than the one provisioned or already registered on this phone number
+    if (device.terminalId && device.terminalId !== registration.deviceId) {
+      const result = device.authCode
+        ? REGISTRATION_RESULTS.TERMINAL_ALREADY_REGISTERED
+        : REGISTRATION_RESULTS.TERMINAL_NOT_FOUND;
+      return { result, authCode: '' };
+    }
+
+    if (registration.plateNumber) {
+      // Terminal provisioned for a different vehicle
+      if (device.plateNumber && device.plateNumber !== registration.plateNumber) {
+        return { result: REGISTRATION_RESULTS.VEHICLE_NOT_FOUND, authCode: '' };
+      }
+
+      const vehicleOwner = await this.database.get(
+        `SELECT phone_number FROM devices
+         WHERE plate_number = ? AND phone_number != ? AND auth_code IS NOT NULL`,
+        [registration.plateNumber, phoneNumber]
+      );
+      if (vehicleOwner) {
+        return { result: REGISTRATION_RESULTS.VEHICLE_ALREADY_REGISTERED, authCode: '' };
+      }
+    }
+
+    // Re-registration of the same terminal keeps its auth code
+    const authCode = device.authCode || DeviceRegistry.generateAuthCode();
+
+    await this.database.run(
+      `UPDATE devices SET
+         terminal_id = ?, plate_number = ?, plate_color = ?, province_id = ?, city_id = ?,
+         manufacturer_id = ?, device_model = ?, auth_code = ?, protocol_version = ?, registered_at = ?
+       WHERE phone_number = ?`,
+      [
+        registration.deviceId,
+        registration.plateNumber || device.plateNumber,
+        registration.plateColor,
+        registration.provinceId,
+        registration.cityId,
+        registration.manufacturerId,
+        registration.deviceModel,
+        authCode,
+        protocolVersion,
+        new Date().toISOString(),
+        phoneNumber
+      ]
+    );
+
+    return { result: REGISTRATION_RESULTS.SUCCESS, authCode };
+  }
+
+  /**
+   * Check a terminal's auth code from its 0x0102 authentication body
+   * @param {string} phoneNumber - Terminal phone number from the message header
+   * @param {Object} authentication - Auth code, plus IMEI and software version for JT808-2019
+   * @returns {Promise<Object|null>} Authenticated device, or null if the auth code is wrong
+   */
+  async authenticateTerminal(phoneNumber, authentication) {
+    const device = await this.getDevice(phoneNumber);
+
+    if (!device || !device.authCode || device.authCode !== authentication.authCode) {
+      return null;
+    }
+
+    await this.database.run(
+      `UPDATE devices SET
+         imei = COALESCE(?, imei), software_version = COALESCE(?, software_version), authenticated_at = ?
+       WHERE phone_number = ?`,
+      [
+        authentication.imei || null,
+        authentication.softwareVersion || null,
+        new Date().toISOString(),
+        phoneNumber
+      ]
+    );
+
+    return this.getDevice(phoneNumber);
+  }
+
+  /**
+   * Generate a new authentication code
+   * @returns {string} Random alphanumeric auth code
+   */
+  static generateAuthCode() {
+    return crypto.randomBytes(8).toString('hex').toUpperCase();
+  }
+}
+
+module.exports = {
+  DeviceRegistry
+};
@@ -0,0 +1,139 @@
+/**
+ * In-memory latest state of every terminal
+ * Holds the newest position by device time, speed, ACC state, active alarms
+ * and online state so fleet overviews never query the location store.
+ */
+
+const EventEmitter = require('events');
+
+class FleetState extends EventEmitter {
+  constructor() {
+    super();
+    this.devices = new Map();
+  }
+
+  /**
+   * Get or create the state of a terminal
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Object} Mutable device state
+   */
+  entry(phoneNumber) {
+    let state = this.devices.get(phoneNumber);
+    if (!state) {
+      state = {
+        phoneNumber,
+        online: false,
+        onlineChangedAt: null,
+        latitude: null,
+        longitude: null,
+        altitude: null,
+        speed: null,
+        direction: null,
+        accOn: null,
+        positioned: null,
+        alarms: [],
+        timestamp: null, // Device time of the position
+        updatedAt: null
+      };
+      this.devices.set(phoneNumber, state);
+    }
+    return state;
+  }
+
+  /**
+   * Load the latest stored position of every terminal
+   * Positions already newer in the cache are kept.
+   * @param {LocationRepository} store - Location history store
+   * @returns {Promise<number>} Number of terminals seeded
+   */
+  async seed(store) {
+    const locations = await store.listLatest();
+    for (const location of locations) {
+      this.updateLocation(location.phoneNumber, location, { silent: true });
+    }
+    return locations.length;
+  }
+
+  /**
+   * Apply a normalized location
+   * Locations older than the cached one (e.g. blind-area supplements) are ignored.
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Object} location - Normalized location with an ISO timestamp
+   * @param {Object} options - Update options
+   * @param {boolean} options.silent - Do not emit 'location' or 'alarm'
+   * @returns {boolean} True if the cached position changed
+   */
+  updateLocation(phoneNumber, location, options = {}) {
+    const state = this.entry(phoneNumber);
+    if (!location.timestamp || (state.timestamp && location.timestamp < state.timestamp)) {
+      return false;
+    }
+
+    const raised = location.alarms.filter((name) => !state.alarms.includes(name));
+    const cleared = state.alarms.filter((name) => !location.alarms.includes(name));
+
+    Object.assign(state, {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      altitude: location.altitude,
+      speed: location.speed,
+      direction: location.direction,
+      accOn: location.accOn,
+      positioned: location.positioned,
+      alarms: location.alarms.slice(),
+      timestamp: location.timestamp,
+      updatedAt: new Date()
+    });
+
+    if (!options.silent) {
+      this.emit('location', this.get(phoneNumber));
+      if (raised.length > 0 || cleared.length > 0) {
+        this.emit('alarm', { phoneNumber, raised, cleared, state: this.get(phoneNumber) });
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Record a terminal going online or offline
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {boolean} online - True when a session authenticated, false when the last one closed
+   * @param {Date} now - Time of the change
+   * @returns {boolean} True if the online state changed
+   */
+  setOnline(phoneNumber, online, now = new Date()) {
+    const state = this.entry(phoneNumber);
+    if (state.online === online) {
+      return false;
+    }
+    state.online = online;
+    state.onlineChangedAt = now;
+    state.updatedAt = now;
+    this.emit(online ? 'online' : 'offline', this.get(phoneNumber));
+    return true;
+  }
+
+  /**
+   * Current state of one terminal
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Object|null} Copy of the device state, or null if unknown
+   */
+  get(phoneNumber) {
+    const state = this.devices.get(phoneNumber);
+    return state ? { ...state, alarms: state.alarms.slice() } : null;
+  }
+
+  /**
+   * Current state of every known terminal
+   * @returns {Array<Object>} Copies of the device states, ordered by phone number
+   */
+  snapshot() {
+    return Array.from(this.devices.keys())
+      .sort()
+      .map((phoneNumber) => this.get(phoneNumber));
+  }
+}
+
+module.exports = {
+  FleetState
+};
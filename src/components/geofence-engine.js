@@ -0,0 +1,540 @@
+/**
+ * Server-side geofencing on reported locations
+ * Platform geofences (circle, rectangle, polygon, route corridor) are
+ * checked against every positioned live location, independent of what the
+ * terminal itself supports. Emits 'enter', 'exit', 'dwell' and 'speeding'
+ * with the stored event. Like alarms, locations apply per terminal in device
+ * time order and older points are ignored.
+ *
+ * A geofence can also be synced down to a terminal as an area or route with
+ * the geofence ID, so the terminal raises its own alarms; the area and route
+ * alarms it reports back are emitted as 'terminal_alarm'.
+ */
+
+const EventEmitter = require('events');
+const { GEOFENCE_EVENTS } = require('./geofence-store');
+const { inCircle, inRectangle, inPolygon, distanceToPolyline } = require('../utils/geo');
+const { areaAlarmsOf } = require('../utils/area-settings');
+const { INVALID_ARGUMENT, apiError } = require('../utils/query');
+
+/**
+ * Geofence shapes
+ */
+const GEOFENCE_TYPES = {
+  CIRCLE: 'circle',
+  RECTANGLE: 'rectangle',
+  POLYGON: 'polygon',
+  ROUTE: 'route'
+};
+
+/**
+ * Check a position argument
+ * @param {*} value - Argument
+ * @param {string} name - Argument name for the error message
+ * @returns {Object} { latitude, longitude }
+ * @throws {Error} INVALID_ARGUMENT if it is not a valid position
+ */
+function positionOf(value, name) {
+  if (!value || typeof value !== 'object' ||
+    typeof value.latitude !== 'number' || Math.abs(value.latitude) > 90 ||
+    typeof value.longitude !== 'number' || Math.abs(value.longitude) > 180) {
+    throw apiError(INVALID_ARGUMENT, `${name} must be a { latitude, longitude } position`);
+  }
+  return { latitude: value.latitude, longitude: value.longitude };
+}
+
+/**
+ * Check a list of positions
+ * @param {*} value - Argument
+ * @param {number} minimum - Fewest positions allowed
+ * @returns {Array<Object>} Positions
+ * @throws {Error} INVALID_ARGUMENT if it is not an array of enough valid positions
+ */
+function pointsOf(value, minimum) {
+  if (!Array.isArray(value) || value.length < minimum) {
+    throw apiError(INVALID_ARGUMENT, `points must be an array of at least ${minimum} positions`);
+  }
+  return value.map((point, index) => positionOf(point, `points[${index}]`));
+}
+
+/**
+ * Check an optional positive number
+ * @param {*} value - Argument
+ * @param {string} name - Argument name for the error message
+ * @param {boolean} integer - Whether it must be an integer
+ * @returns {number|null} Number, or null if not given
+ * @throws {Error} INVALID_ARGUMENT if it is given but not a positive number
+ */
+function optionalPositive(value, name, integer = false) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'number' || !(value > 0) || (integer && !Number.isInteger(value))) {
+    throw apiError(INVALID_ARGUMENT, `${name} must be a positive ${integer ? 'integer' : 'number'}`);
+  }
+  return value;
+}
+
+/**
+ * Check a geofence definition and split it into its stored parts
+ * @param {Object} definition - { name, type, ...geometry, speedLimit, dwellTime, devices }
+ *   with geometry { center, radius } (circle), { topLeft, bottomRight } (rectangle),
+ *   { points } (polygon) or { points, width } (route)
+ * @returns {Object} { name, type, geometry, speedLimit, dwellTime, devices }
+ * @throws {Error} INVALID_ARGUMENT if the definition is invalid
+ */
+function validateGeofence(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw apiError(INVALID_ARGUMENT, 'Geofence must be an object');
+  }
+  if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+    throw apiError(INVALID_ARGUMENT, 'name is required');
+  }
+
+  let geometry;
+  switch (definition.type) {
+    case GEOFENCE_TYPES.CIRCLE:
+      geometry = {
+        center: positionOf(definition.center, 'center'),
+        radius: optionalPositive(definition.radius, 'radius')
+      };
+      if (geometry.radius === null) {
+        throw apiError(INVALID_ARGUMENT, 'radius is required');
+      }
+      break;
+    case GEOFENCE_TYPES.RECTANGLE:
+      geometry = {
+        topLeft: positionOf(definition.topLeft, 'topLeft'),
+        bottomRight: positionOf(definition.bottomRight, 'bottomRight')
+      };
+      if (geometry.topLeft.latitude <= geometry.bottomRight.latitude ||
+        geometry.topLeft.longitude >= geometry.bottomRight.longitude) {
+        throw apiError(INVALID_ARGUMENT, 'topLeft must be north-west of bottomRight');
+      }
+      break;
+    case GEOFENCE_TYPES.POLYGON:
+      geometry = { points: pointsOf(definition.points, 3) };
+      break;
+    case GEOFENCE_TYPES.ROUTE:
+      geometry = {
+        points: pointsOf(definition.points, 2),
+        width: optionalPositive(definition.width, 'width')
+      };
+      if (geometry.width === null) {
+        throw apiError(INVALID_ARGUMENT, 'width is required');
+      }
+      break;
+    default:
+      throw apiError(INVALID_ARGUMENT, `type must be one of ${Object.values(GEOFENCE_TYPES).join(', ')}`);
+  }
+
+  const devices = definition.devices === undefined ? null : definition.devices;
+  if (devices !== null && (!Array.isArray(devices) || devices.some((phoneNumber) => typeof phoneNumber !== 'string'))) {
+    throw apiError(INVALID_ARGUMENT, 'devices must be an array of phone numbers');
+  }
+
+  return {
+    name: definition.name.trim(),
+    type: definition.type,
+    geometry,
+    speedLimit: optionalPositive(definition.speedLimit, 'speedLimit'),
+    dwellTime: optionalPositive(definition.dwellTime, 'dwellTime', true),
+    devices
+  };
+}
+
+/**
+ * Whether a position lies inside a geofence
+ * @param {Object} geofence - Geofence
+ * @param {Object} position - { latitude, longitude }
+ * @returns {boolean} True if inside
+ */
+function contains(geofence, position) {
+  switch (geofence.type) {
+    case GEOFENCE_TYPES.CIRCLE:
+      return inCircle(position, geofence.center, geofence.radius);
+    case GEOFENCE_TYPES.RECTANGLE:
+      return inRectangle(position, geofence.topLeft, geofence.bottomRight);
+    case GEOFENCE_TYPES.POLYGON:
+      return inPolygon(position, geofence.points);
+    case GEOFENCE_TYPES.ROUTE:
+      return distanceToPolyline(position, geofence.points) <= geofence.width / 2;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Widest route segment a terminal can hold; the 0x8606 segment width is one byte
+ */
+const MAX_TERMINAL_ROUTE_WIDTH = 0xff;
+
+/**
+ * Whether a geofence applies to a terminal
+ * @param {Object} geofence - Geofence
+ * @param {string} phoneNumber - Terminal phone number
+ * @returns {boolean} True if the geofence has no device list or lists the terminal
+ */
+function appliesTo(geofence, phoneNumber) {
+  return !geofence.devices || geofence.devices.includes(phoneNumber);
+}
+
+/**
+ * Terminal area or route description of a geofence
+ * The terminal area ID is the geofence ID and its speed limit is the
+ * geofence's, rounded to whole km/h.
+ * @param {Object} geofence - Geofence
+ * @param {Object} options - Terminal-only settings
+ * @param {Array<string>} options.flags - AREA_ATTRIBUTES alarm and action names,
+ *   default ENTER_ALARM_PLATFORM and EXIT_ALARM_PLATFORM
+ * @param {string} options.startTime - Start of the active time range (YYMMDDHHMMSS)
+ * @param {string} options.endTime - End of the active time range (YYMMDDHHMMSS)
+ * @param {number} options.overspeedDuration - Seconds over the limit before alarming
+ * @param {number} options.nightMaxSpeed - JT808-2019 night speed limit (km/h)
+ * @returns {Object} Area description for buildAreaSetting
+ */
+function areaOf(geofence, options = {}) {
+  const { type, id, name, center, radius, topLeft, bottomRight, points, width } = geofence;
+  return {
+    id,
+    name,
+    ...(type === GEOFENCE_TYPES.CIRCLE && { center, radius }),
+    ...(type === GEOFENCE_TYPES.RECTANGLE && { topLeft, bottomRight }),
+    ...(type === GEOFENCE_TYPES.POLYGON && { points }),
+    ...(type === GEOFENCE_TYPES.ROUTE && { points, width }),
+    flags: options.flags || ['ENTER_ALARM_PLATFORM', 'EXIT_ALARM_PLATFORM'],
+    startTime: options.startTime,
+    endTime: options.endTime,
+    maxSpeed: geofence.speedLimit === null ? undefined : Math.round(geofence.speedLimit),
+    overspeedDuration: options.overspeedDuration,
+    nightMaxSpeed: options.nightMaxSpeed
+  };
+}
+
+class GeofenceEngine extends EventEmitter {
+  /**
+   * @param {SqliteGeofenceStore} store - Geofence and event store
+   * @param {CommandService} commands - Command service used to sync geofences to terminals
+   */
+  constructor(store, commands = null) {
+    super();
+    this.store = store;
+    this.commands = commands;
+    this.geofences = new Map(); // Geofence by ID
+    this.devices = new Map(); // { lastTimestamp, zones: Map<geofenceId, visit> } per phone number
+    this.queues = new Map(); // Per-terminal processing chain, so reports apply in order
+    this.loading = Promise.resolve(); // Reports wait for load() so they apply on top of the stored state
+  }
+
+  /**
+   * Load geofences, and which terminals are inside them, from a previous run
+   * Reports processed meanwhile wait until loading is done.
+   * @returns {Promise<number>} Number of geofences
+   */
+  load() {
+    this.loading = this.restore();
+    return this.loading;
+  }
+
+  /**
+   * Read geofences and the terminals inside them from the store
+   * Terminals a geofence no longer applies to are left outside it, as they
+   * are when its device list changes while running.
+   * @returns {Promise<number>} Number of geofences
+   */
+  async restore() {
+    for (const geofence of await this.store.list()) {
+      this.geofences.set(geofence.id, geofence);
+    }
+    for (const event of await this.store.listInside()) {
+      const geofence = this.geofences.get(event.geofenceId);
+      if (geofence && appliesTo(geofence, event.phoneNumber)) {
+        this.deviceOf(event.phoneNumber).zones.set(event.geofenceId, {
+          enteredAt: event.timestamp,
+          dwelled: event.dwelled,
+          speeding: false
+        });
+      }
+    }
+    return this.geofences.size;
+  }
+
+  /**
+   * Get or create the geofence state of a terminal
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Object} Mutable state
+   */
+  deviceOf(phoneNumber) {
+    let device = this.devices.get(phoneNumber);
+    if (!device) {
+      device = { lastTimestamp: null, zones: new Map() };
+      this.devices.set(phoneNumber, device);
+    }
+    return device;
+  }
+
+  /**
+   * Every geofence
+   * @returns {Array<Object>} Geofences, ordered by name
+   */
+  list() {
+    return Array.from(this.geofences.values()).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  }
+
+  /**
+   * Get a geofence or fail
+   * @param {number} id - Geofence ID
+   * @returns {Object} Geofence
+   * @throws {Error} NOT_FOUND if the geofence is unknown
+   */
+  get(id) {
+    const geofence = this.geofences.get(id);
+    if (!geofence) {
+      throw apiError('NOT_FOUND', `Geofence ${id} not found`);
+    }
+    return geofence;
+  }
+
+  /**
+   * Fail if another geofence already has a name
+   * @param {string} name - Geofence name
+   * @param {number} id - ID of the geofence being changed, if any
+   * @throws {Error} GEOFENCE_NAME_TAKEN
+   */
+  checkName(name, id = null) {
+    for (const geofence of this.geofences.values()) {
+      if (geofence.name === name && geofence.id !== id) {
+        throw apiError('GEOFENCE_NAME_TAKEN', `Geofence ${name} already exists`);
+      }
+    }
+  }
+
+  /**
+   * Create a geofence
+   * @param {Object} definition - Geofence definition, see validateGeofence
+   * @returns {Promise<Object>} Stored geofence
+   * @throws {Error} INVALID_ARGUMENT or GEOFENCE_NAME_TAKEN
+   */
+  async create(definition) {
+    const geofence = validateGeofence(definition);
+    this.checkName(geofence.name);
+
+    const created = await this.store.create(geofence);
+    this.geofences.set(created.id, created);
+    return created;
+  }
+
+  /**
+   * Replace a geofence's definition
+   * Terminals inside it stay inside until a location shows otherwise.
+   * @param {number} id - Geofence ID
+   * @param {Object} definition - Geofence definition, see validateGeofence
+   * @returns {Promise<Object>} Updated geofence
+   * @throws {Error} NOT_FOUND, INVALID_ARGUMENT or GEOFENCE_NAME_TAKEN
+   */
+  async update(id, definition) {
+    this.get(id);
+    const geofence = validateGeofence(definition);
+    this.checkName(geofence.name, id);
+
+    const updated = await this.store.update(id, geofence);
+    this.geofences.set(id, updated);
+    return updated;
+  }
+
+  /**
+   * Delete a geofence without raising exit events
+   * @param {number} id - Geofence ID
+   * @returns {Promise<Object>} Deleted geofence
+   * @throws {Error} NOT_FOUND
+   */
+  async delete(id) {
+    const geofence = this.get(id);
+    await this.store.delete(id);
+    this.geofences.delete(id);
+    for (const device of this.devices.values()) {
+      device.zones.delete(id);
+    }
+    return geofence;
+  }
+
+  /**
+   * Send a geofence to a terminal as an area or route
+   * The terminal keeps its copy until it is synced again or removed; changing
+   * or deleting the platform geofence does not touch it. Routes wider than a
+   * terminal segment can be are only checked by the platform.
+   * @param {number} id - Geofence ID
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Object} options - Terminal-only settings, see areaOf, and
+   * @param {string} options.settingType - update, append or modify for circles and rectangles, default append
+   * @param {boolean} options.queue - Queue the command if the terminal is offline
+   * @returns {Promise<Object>} Command result from CommandService.send
+   * @throws {Error} NOT_FOUND, INVALID_ARGUMENT, or a command error
+   */
+  async syncToDevice(id, phoneNumber, options = {}) {
+    const geofence = this.get(id);
+    if (geofence.type === GEOFENCE_TYPES.ROUTE && Math.round(geofence.width) > MAX_TERMINAL_ROUTE_WIDTH) {
+      throw apiError(INVALID_ARGUMENT, `Route ${geofence.name} is ${geofence.width} m wide, more than the ` +
+        `${MAX_TERMINAL_ROUTE_WIDTH} m a terminal route segment can hold; only the platform checks it`);
+    }
+    const command = {
+      type: 'set_area',
+      areaType: geofence.type,
+      settingType: options.settingType,
+      areas: [areaOf(geofence, options)]
+    };
+    return this.commands.send(phoneNumber, command, { queue: options.queue === true });
+  }
+
+  /**
+   * Delete a geofence's area or route from a terminal
+   * @param {number} id - Geofence ID
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Object} options - Send options
+   * @param {boolean} options.queue - Queue the command if the terminal is offline
+   * @returns {Promise<Object>} Command result from CommandService.send
+   * @throws {Error} NOT_FOUND, or a command error
+   */
+  async removeFromDevice(id, phoneNumber, options = {}) {
+    const geofence = this.get(id);
+    const command = { type: 'delete_area', areaType: geofence.type, ids: [id] };
+    return this.commands.send(phoneNumber, command, { queue: options.queue === true });
+  }
+
+  /**
+   * Geofences a terminal is inside
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Array<Object>} { geofenceId, name, enteredAt }, ordered by name
+   */
+  insideOf(phoneNumber) {
+    const device = this.devices.get(phoneNumber);
+    if (!device) {
+      return [];
+    }
+    return Array.from(device.zones.entries())
+      .map(([geofenceId, visit]) => ({
+        geofenceId,
+        name: this.geofences.get(geofenceId).name,
+        enteredAt: visit.enteredAt
+      }))
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  }
+
+  /**
+   * Check reported locations against every geofence that applies to the terminal
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Array<Object>} locations - Normalized locations
+   * @returns {Promise<Array<Object>>} Events raised by these locations, in order
+   */
+  process(phoneNumber, locations) {
+    const processing = (this.queues.get(phoneNumber) || this.loading)
+      .catch(() => {}) // A failed report does not block the next one
+      .then(() => this.apply(phoneNumber, locations));
+    this.queues.set(phoneNumber, processing);
+    return processing;
+  }
+
+  /**
+   * Apply positioned locations in device time order
+   * Each event is stored before the terminal's zones change, so a failed
+   * insert leaves them matching the stored events and the next report retries.
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Array<Object>} locations - Normalized locations
+   * @returns {Promise<Array<Object>>} Events raised
+   */
+  async apply(phoneNumber, locations) {
+    const device = this.deviceOf(phoneNumber);
+    const events = [];
+    const ordered = locations
+      .filter((location) => location.timestamp && location.positioned !== false)
+      .sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+
+    for (const location of ordered) {
+      if (device.lastTimestamp && location.timestamp < device.lastTimestamp) {
+        continue;
+      }
+      device.lastTimestamp = location.timestamp;
+      const position = { latitude: location.latitude, longitude: location.longitude };
+      this.reportTerminalAlarms(phoneNumber, location, position);
+      const raise = async (geofence, type, durationSeconds = null) => {
+        const event = await this.store.addEvent({
+          geofenceId: geofence.id,
+          geofenceName: geofence.name,
+          phoneNumber,
+          type,
+          timestamp: location.timestamp,
+          position,
+          speed: location.speed,
+          durationSeconds
+        });
+        events.push(event);
+        this.emit(type, event);
+      };
+
+      for (const geofence of this.geofences.values()) {
+        let visit = device.zones.get(geofence.id);
+        if (!appliesTo(geofence, phoneNumber)) {
+          device.zones.delete(geofence.id);
+          continue;
+        }
+
+        const elapsed = visit ? (new Date(location.timestamp) - new Date(visit.enteredAt)) / 1000 : 0;
+        if (!contains(geofence, position)) {
+          if (visit) {
+            await raise(geofence, GEOFENCE_EVENTS.EXIT, elapsed);
+            device.zones.delete(geofence.id);
+          }
+          continue;
+        }
+
+        if (!visit) {
+          await raise(geofence, GEOFENCE_EVENTS.ENTER);
+          visit = { enteredAt: location.timestamp, dwelled: false, speeding: false };
+          device.zones.set(geofence.id, visit);
+        } else if (geofence.dwellTime && !visit.dwelled && elapsed >= geofence.dwellTime) {
+          await raise(geofence, GEOFENCE_EVENTS.DWELL, elapsed);
+          visit.dwelled = true;
+        }
+
+        const speeding = geofence.speedLimit !== null && location.speed > geofence.speedLimit;
+        if (speeding && !visit.speeding) {
+          await raise(geofence, GEOFENCE_EVENTS.SPEEDING);
+        }
+        visit.speeding = speeding;
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Emit the area and route alarms a terminal reported with a location
+   * Area IDs are matched to geofences of the same type synced by syncToDevice;
+   * alarms for areas set up some other way have no geofence.
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Object} location - Normalized location
+   * @param {Object} position - { latitude, longitude }
+   */
+  reportTerminalAlarms(phoneNumber, location, position) {
+    for (const alarm of areaAlarmsOf(location.additionalInfo)) {
+      const geofence = this.geofences.get(alarm.areaId);
+      const synced = geofence && geofence.type === alarm.areaType;
+      this.emit('terminal_alarm', {
+        phoneNumber,
+        timestamp: location.timestamp,
+        position,
+        ...alarm,
+        geofenceId: synced ? geofence.id : null,
+        geofenceName: synced ? geofence.name : null
+      });
+    }
+  }
+}
+
+module.exports = {
+  GeofenceEngine,
+  GEOFENCE_TYPES,
+  validateGeofence,
+  contains,
+  areaOf
+};
@@ -0,0 +1,330 @@
+/**
+ * SQLite-backed platform geofences and their events
+ * Geofences are kept as a type plus JSON geometry. Events are written as
+ * they happen, with the device time of the location that triggered them,
+ * and outlive the geofence they were raised for.
+ */
+
+const { invalidArgument, toISOTime, encodeCursor, decodeCursor, isTimeAndId } = require('../utils/query');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS geofences (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    type TEXT NOT NULL,
+    geometry TEXT NOT NULL,
+    speed_limit REAL,
+    dwell_time INTEGER,
+    devices TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS geofence_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    geofence_id INTEGER NOT NULL,
+    geofence_name TEXT NOT NULL,
+    phone_number TEXT NOT NULL,
+    type TEXT NOT NULL,
+    occurred_at TEXT NOT NULL,
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    speed REAL,
+    duration_seconds REAL
+  );
+  CREATE INDEX IF NOT EXISTS idx_geofence_events_zone ON geofence_events (geofence_id, phone_number);
+  CREATE INDEX IF NOT EXISTS idx_geofence_events_device ON geofence_events (phone_number, occurred_at);
+`;
+
+/**
+ * Default store settings
+ */
+const GEOFENCE_STORE_DEFAULTS = {
+  pageSize: 100,
+  maxPageSize: 1000
+};
+
+/**
+ * Geofence event types
+ */
+const GEOFENCE_EVENTS = {
+  ENTER: 'enter',
+  EXIT: 'exit',
+  DWELL: 'dwell',
+  SPEEDING: 'speeding'
+};
+
+/**
+ * Convert a geofences row to a geofence
+ * @param {Object} row - Database row
+ * @returns {Object|null} Geofence
+ */
+function rowToGeofence(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    ...JSON.parse(row.geometry),
+    speedLimit: row.speed_limit,
+    dwellTime: row.dwell_time,
+    devices: row.devices === null ? null : JSON.parse(row.devices),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Convert a geofence_events row to a geofence event
+ * @param {Object} row - Database row
+ * @returns {Object|null} Geofence event
+ */
+function rowToEvent(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    geofenceId: row.geofence_id,
+    geofenceName: row.geofence_name,
+    phoneNumber: row.phone_number,
+    type: row.type,
+    timestamp: row.occurred_at,
+    position: { latitude: row.latitude, longitude: row.longitude },
+    speed: row.speed,
+    durationSeconds: row.duration_seconds
+  };
+}
+
+class SqliteGeofenceStore {
+  /**
+   * @param {Database} database - Database connection
+   * @param {Object} options - Store options
+   * @param {number} options.pageSize - Default event page size
+   * @param {number} options.maxPageSize - Largest event page size allowed
+   */
+  constructor(database, options = {}) {
+    this.database = database;
+    this.pageSize = options.pageSize || GEOFENCE_STORE_DEFAULTS.pageSize;
+    this.maxPageSize = options.maxPageSize || GEOFENCE_STORE_DEFAULTS.maxPageSize;
+    this.initializing = null;
+  }
+
+  /**
+   * Create schema on first use
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.initializing) {
+      this.initializing = this.database.exec(SCHEMA).catch((error) => {
+        this.initializing = null;
+        throw error;
+      });
+    }
+    return this.initializing;
+  }
+
+  /**
+   * Store a new geofence
+   * @param {Object} geofence - Validated geofence { name, type, geometry, speedLimit, dwellTime, devices }
+   * @returns {Promise<Object>} Stored geofence
+   */
+  async create(geofence) {
+    await this.init();
+    const now = new Date().toISOString();
+    const { lastID } = await this.database.run(
+      `INSERT INTO geofences (name, type, geometry, speed_limit, dwell_time, devices, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        geofence.name,
+        geofence.type,
+        JSON.stringify(geofence.geometry),
+        geofence.speedLimit,
+        geofence.dwellTime,
+        geofence.devices === null ? null : JSON.stringify(geofence.devices),
+        now,
+        now
+      ]
+    );
+    return this.get(lastID);
+  }
+
+  /**
+   * Replace a geofence's definition
+   * @param {number} id - Geofence ID
+   * @param {Object} geofence - Validated geofence, as for create
+   * @returns {Promise<Object|null>} Updated geofence, or null if unknown
+   */
+  async update(id, geofence) {
+    await this.init();
+    const { changes } = await this.database.run(
+      `UPDATE geofences SET name = ?, type = ?, geometry = ?, speed_limit = ?, dwell_time = ?, devices = ?,
+         updated_at = ?
+       WHERE id = ?`,
+      [
+        geofence.name,
+        geofence.type,
+        JSON.stringify(geofence.geometry),
+        geofence.speedLimit,
+        geofence.dwellTime,
+        geofence.devices === null ? null : JSON.stringify(geofence.devices),
+        new Date().toISOString(),
+        id
+      ]
+    );
+    return changes > 0 ? this.get(id) : null;
+  }
+
+  /**
+   * Delete a geofence; its events are kept
+   * @param {number} id - Geofence ID
+   * @returns {Promise<boolean>} True if it existed
+   */
+  async delete(id) {
+    await this.init();
+    const { changes } = await this.database.run('DELETE FROM geofences WHERE id = ?', [id]);
+    return changes > 0;
+  }
+
+  /**
+   * Get one geofence
+   * @param {number} id - Geofence ID
+   * @returns {Promise<Object|null>} Geofence, or null if unknown
+   */
+  async get(id) {
+    await this.init();
+    return rowToGeofence(await this.database.get('SELECT * FROM geofences WHERE id = ?', [id]));
+  }
+
+  /**
+   * Every geofence
+   * @returns {Promise<Array<Object>>} Geofences, ordered by name
+   */
+  async list() {
+    await this.init();
+    const rows = await this.database.all('SELECT * FROM geofences ORDER BY name');
+    return rows.map(rowToGeofence);
+  }
+
+  /**
+   * Store a geofence event
+   * @param {Object} event - Event { geofenceId, geofenceName, phoneNumber, type, timestamp,
+   *   position, speed, durationSeconds }
+   * @returns {Promise<Object>} Stored event
+   */
+  async addEvent(event) {
+    await this.init();
+    const { lastID } = await this.database.run(
+      `INSERT INTO geofence_events (geofence_id, geofence_name, phone_number, type, occurred_at,
+         latitude, longitude, speed, duration_seconds)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        event.geofenceId,
+        event.geofenceName,
+        event.phoneNumber,
+        event.type,
+        event.timestamp,
+        event.position.latitude,
+        event.position.longitude,
+        event.speed === undefined ? null : event.speed,
+        event.durationSeconds === undefined ? null : event.durationSeconds
+      ]
+    );
+    return rowToEvent(await this.database.get('SELECT * FROM geofence_events WHERE id = ?', [lastID]));
+  }
+
+  /**
+   * Page through geofence events, oldest first
+   * @param {Object} filters - Filters, all optional
+   * @param {number} filters.geofenceId - Geofence ID
+   * @param {string} filters.phoneNumber - Terminal phone number
+   * @param {string} filters.type - Event type from GEOFENCE_EVENTS
+   * @param {Date|string} filters.from - Earliest device time, inclusive
+   * @param {Date|string} filters.to - Latest device time, inclusive
+   * @param {Object} options - Paging options
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - nextCursor of the previous page
+   * @returns {Promise<Object>} { events, nextCursor } with nextCursor null on the last page
+   * @throws {Error} With code INVALID_ARGUMENT for invalid times, page sizes or cursors
+   */
+  async listEvents(filters = {}, options = {}) {
+    const limit = options.limit || this.pageSize;
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.maxPageSize) {
+      throw invalidArgument(`Page size must be an integer from 1 to ${this.maxPageSize}`);
+    }
+
+    const conditions = [];
+    const params = [];
+    for (const [name, column] of [
+      ['geofenceId', 'geofence_id'],
+      ['phoneNumber', 'phone_number'],
+      ['type', 'type']
+    ]) {
+      if (filters[name] !== undefined) {
+        conditions.push(`${column} = ?`);
+        params.push(filters[name]);
+      }
+    }
+    if (filters.from !== undefined) {
+      conditions.push('occurred_at >= ?');
+      params.push(toISOTime(filters.from, 'from'));
+    }
+    if (filters.to !== undefined) {
+      conditions.push('occurred_at <= ?');
+      params.push(toISOTime(filters.to, 'to'));
+    }
+    if (options.cursor) {
+      const [occurredAt, id] = decodeCursor(options.cursor, isTimeAndId);
+      conditions.push('(occurred_at > ? OR (occurred_at = ? AND id > ?))');
+      params.push(occurredAt, occurredAt, id);
+    }
+
+    await this.init();
+    const rows = await this.database.all(
+      `SELECT * FROM geofence_events ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY occurred_at, id LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      events: page.map(rowToEvent),
+      nextCursor: rows.length > limit ? encodeCursor([last.occurred_at, last.id]) : null
+    };
+  }
+
+  /**
+   * Terminals still inside a geofence according to the stored events
+   * An enter with no later exit for the same geofence and terminal means inside.
+   * @returns {Promise<Array<Object>>} Enter events, each with `dwelled` set if a dwell event followed
+   */
+  async listInside() {
+    await this.init();
+    const rows = await this.database.all(
+      `SELECT e.*, EXISTS (
+           SELECT 1 FROM geofence_events d
+           WHERE d.geofence_id = e.geofence_id AND d.phone_number = e.phone_number
+             AND d.type = ? AND d.id > e.id
+         ) AS dwelled
+       FROM geofence_events e
+       WHERE e.type = ? AND NOT EXISTS (
+         SELECT 1 FROM geofence_events x
+         WHERE x.geofence_id = e.geofence_id AND x.phone_number = e.phone_number
+           AND x.type IN (?, ?) AND x.id > e.id
+       )
+       ORDER BY e.id`,
+      [GEOFENCE_EVENTS.DWELL, GEOFENCE_EVENTS.ENTER, GEOFENCE_EVENTS.ENTER, GEOFENCE_EVENTS.EXIT]
+    );
+    return rows.map((row) => ({ ...rowToEvent(row), dwelled: row.dwelled === 1 }));
+  }
+}
+
+module.exports = {
+  SqliteGeofenceStore,
+  GEOFENCE_STORE_DEFAULTS,
+  GEOFENCE_EVENTS
+};
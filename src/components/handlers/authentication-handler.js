@@ -0,0 +1,53 @@
+/**
+ * Terminal authentication handler (0x0102)
+ */
+
+const { MessageSerializer } = require('../../utils/message-validator');
+const { GENERAL_RESPONSE_RESULTS } = require('../../models/jt808-messages');
+const Logger = require('../../utils/logger');
+
+class AuthenticationHandler {
+  /**
+   * @param {DeviceRegistry} registry - Device registry
+   */
+  constructor(registry) {
+    this.registry = registry;
+  }
+
+  /**
+   * Check the auth code against the registry and authenticate the session
+   * @param {MessageContext} context - Message context
+   * @returns {Promise<boolean>} True if the terminal was authenticated
+   */
+  async handle(context) {
+    const { session, header, rawBody } = context;
+    const authentication = MessageSerializer.deserializeAuthentication(rawBody, context.protocolVersion);
+    const device = await this.registry.authenticateTerminal(header.deviceId, authentication);
+
+    if (!device) {
+      await context.respond(GENERAL_RESPONSE_RESULTS.FAILURE);
+      Logger.warn('Terminal authentication failed', {
+        connectionId: session.id,
+        phoneNumber: header.deviceId
+      });
+      return false;
+    }
+
+    // Terminals that skip registration on reconnect keep the version they registered with
+    session.setProtocolVersion(device.protocolVersion || context.protocolVersion, header.versionNumber);
+    session.authenticate(header.deviceId, authentication);
+    await context.respond(GENERAL_RESPONSE_RESULTS.SUCCESS);
+
+    Logger.info('Terminal authenticated', {
+      connectionId: session.id,
+      phoneNumber: header.deviceId,
+      imei: authentication.imei,
+      softwareVersion: authentication.softwareVersion
+    });
+    return true;
+  }
+}
+
+module.exports = {
+  AuthenticationHandler
+};
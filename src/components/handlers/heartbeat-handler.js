@@ -0,0 +1,21 @@
+/**
+ * Terminal heartbeat handler (0x0002)
+ */
+
+const { GENERAL_RESPONSE_RESULTS } = require('../../models/jt808-messages');
+
+class HeartbeatHandler {
+  /**
+   * Record the heartbeat on the session and acknowledge it with 0x8001
+   * @param {MessageContext} context - Message context
+   * @returns {Promise<void>}
+   */
+  async handle(context) {
+    context.session.recordHeartbeat();
+    await context.respond(GENERAL_RESPONSE_RESULTS.SUCCESS);
+  }
+}
+
+module.exports = {
+  HeartbeatHandler
+};
@@ -0,0 +1,49 @@
+/**
+ * Location report handler (0x0200) and location batch report handler (0x0704)
+ */
+
+const { MESSAGE_IDS, GENERAL_RESPONSE_RESULTS } = require('../../models/jt808-messages');
+const { normalizeLocation, normalizeLocationBatch } = require('../../utils/location');
+const Logger = require('../../utils/logger');
+
+class LocationReportHandler {
+  /**
+   * @param {LocationRepository} store - Location history store
+   * @param {Function} onLocations - Called with (phoneNumber, locations, header) once they are stored
+   */
+  constructor(store, onLocations = () => {}) {
+    this.store = store;
+    this.onLocations = onLocations;
+  }
+
+  /**
+   * Normalize the reported locations, store them and acknowledge with 0x8001
+   * The acknowledgement follows the write, so a terminal whose points could not
+   * be stored keeps them and reports them again.
+   * @param {MessageContext} context - Message context with decoded LOCATION_REPORT or LOCATION_BATCH_REPORT body
+   * @returns {Promise<Array<Object>>} Normalized locations
+   */
+  async handle(context) {
+    const { header, body } = context;
+    const locations = header.messageId === MESSAGE_IDS.LOCATION_BATCH_REPORT
+      ? normalizeLocationBatch(body)
+      : [normalizeLocation(body)];
+
+    const counts = await this.store.save(header.deviceId, locations, { messageId: header.messageId });
+    if (counts.skipped > 0) {
+      Logger.warn('Locations without a valid device time not stored', {
+        phoneNumber: header.deviceId,
+        messageId: `0x${header.messageId.toString(16).padStart(4, '0')}`,
+        skipped: counts.skipped
+      });
+    }
+
+    await context.respond(GENERAL_RESPONSE_RESULTS.SUCCESS);
+    this.onLocations(header.deviceId, locations, header);
+    return locations;
+  }
+}
+
+module.exports = {
+  LocationReportHandler
+};
@@ -0,0 +1,101 @@
+/**
+ * Handler for terminal answers that carry data instead of a general response:
+ * location query response (0x0201), query terminal parameters response (0x0104)
+ * and camera shot response (0x0805)
+ */
+
+const { MESSAGE_IDS, GENERAL_RESPONSE_RESULTS } = require('../../models/jt808-messages');
+const { normalizeLocation } = require('../../utils/location');
+const Logger = require('../../utils/logger');
+
+/**
+ * Platform command each response answers
+ */
+const COMMAND_BY_RESPONSE = {
+  [MESSAGE_IDS.LOCATION_QUERY_RESPONSE]: MESSAGE_IDS.LOCATION_INFO_QUERY,
+  [MESSAGE_IDS.QUERY_TERMINAL_PARAMETERS_RESPONSE]: MESSAGE_IDS.QUERY_TERMINAL_PARAMETERS,
+  [MESSAGE_IDS.CAMERA_SHOT_IMMEDIATELY]: MESSAGE_IDS.CAMERA_SHOT_COMMAND
+};
+
+/**
+ * Camera shot response result names by code
+ */
+const CAMERA_SHOT_RESULTS = ['success', 'failure', 'channel_not_supported'];
+
+class QueryResponseHandler {
+  /**
+   * @param {LocationRepository} store - Location history store for 0x0201 positions
+   * @param {Function} onLocations - Called with (phoneNumber, locations, header) once they are stored
+   */
+  constructor(store, onLocations = () => {}) {
+    this.store = store;
+    this.onLocations = onLocations;
+  }
+
+  /**
+   * Describe a decoded response for the command's issuer
+   * @param {number} messageId - Response message ID
+   * @param {Object} body - Decoded response body
+   * @returns {Object} Reply sequence and message ID, result code and name, success flag and the answered data
+   */
+  static describe(messageId, body) {
+    const response = {
+      replySequence: body.replySequence,
+      replyMessageId: COMMAND_BY_RESPONSE[messageId],
+      result: GENERAL_RESPONSE_RESULTS.SUCCESS,
+      resultName: 'success',
+      success: true
+    };
+
+    if (messageId === MESSAGE_IDS.LOCATION_QUERY_RESPONSE) {
+      response.location = normalizeLocation(body);
+    } else if (messageId === MESSAGE_IDS.QUERY_TERMINAL_PARAMETERS_RESPONSE) {
+      response.parameters = body.parameters.map((parameter) => ({
+        id: parameter.id,
+        value: parameter.value.toString('hex')
+      }));
+    } else {
+      response.result = body.result;
+      response.resultName = CAMERA_SHOT_RESULTS[body.result] || 'unknown';
+      response.success = body.result === 0;
+      response.multimediaIds = body.multimediaIds || [];
+    }
+
+    return response;
+  }
+
+  /**
+   * Settle the pending command the terminal is answering
+   * Responses are not acknowledged. Queried positions are stored like reports,
+   * and queried parameters update the session's timeouts.
+   * @param {MessageContext} context - Message context with a decoded response body
+   * @returns {Promise<boolean>} True if a pending command matched
+   */
+  async handle(context) {
+    const { session, header, body } = context;
+    const response = QueryResponseHandler.describe(header.messageId, body);
+
+    if (response.location) {
+      await this.store.save(header.deviceId, [response.location], { messageId: header.messageId });
+      this.onLocations(header.deviceId, [response.location], header);
+    }
+    if (header.messageId === MESSAGE_IDS.QUERY_TERMINAL_PARAMETERS_RESPONSE) {
+      session.applyParameters(body.parameters);
+    }
+
+    const matched = session.pendingCommands.resolve(response.replySequence, response.replyMessageId, response);
+    if (!matched) {
+      Logger.warn('Terminal response matches no pending command', {
+        connectionId: session.id,
+        phoneNumber: header.deviceId,
+        replySequence: response.replySequence,
+        messageId: `0x${header.messageId.toString(16).padStart(4, '0')}`
+      });
+    }
+    return matched;
+  }
+}
+
+module.exports = {
+  QueryResponseHandler
+};
@@ -0,0 +1,51 @@
+/**
+ * Terminal registration handler (0x0100)
+ */
+
+const { MessageFactory } = require('../../utils/message-validator');
+const { MESSAGE_IDS, REGISTRATION_RESULTS } = require('../../models/jt808-messages');
+const Logger = require('../../utils/logger');
+
+class RegistrationHandler {
+  /**
+   * @param {DeviceRegistry} registry - Device registry
+   */
+  constructor(registry) {
+    this.registry = registry;
+  }
+
+  /**
+   * Check the terminal against the registry and reply with 0x8100
+   * @param {MessageContext} context - Message context with decoded TERMINAL_REGISTRATION body
+   * @returns {Promise<Object>} Registration result and auth code
+   */
+  async handle(context) {
+    const { header, body } = context;
+    const registration = await this.registry.registerTerminal(header.deviceId, body, context.protocolVersion);
+
+    await context.reply(
+      MESSAGE_IDS.TERMINAL_REGISTRATION_RESPONSE,
+      MessageFactory.createRegistrationResponse(header.messageSequence, registration.result, registration.authCode)
+    );
+
+    const logData = {
+      phoneNumber: header.deviceId,
+      terminalId: body.deviceId,
+      plateNumber: body.plateNumber,
+      protocolVersion: context.protocolVersion,
+      result: registration.result
+    };
+    if (registration.result === REGISTRATION_RESULTS.SUCCESS) {
+      context.session.markRegistered(header.deviceId);
+      Logger.info('Terminal registered', logData);
+    } else {
+      Logger.warn('Terminal registration rejected', logData);
+    }
+
+    return registration;
+  }
+}
+
+module.exports = {
+  RegistrationHandler
+};
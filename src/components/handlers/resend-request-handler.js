@@ -0,0 +1,55 @@
+/**
+ * Terminal resend subpackage request handler (0x0005)
+ */
+
+const { GENERAL_RESPONSE_RESULTS } = require('../../models/jt808-messages');
+const Logger = require('../../utils/logger');
+
+class ResendRequestHandler {
+  /**
+   * @param {SentPacketCache} sentPackets - Frames of split downlinks sent to terminals
+   */
+  constructor(sentPackets) {
+    this.sentPackets = sentPackets;
+  }
+
+  /**
+   * Send the requested packets of a split downlink again
+   * The resent packets answer the request; a 0x8001 failure is sent only when
+   * nothing can be resent.
+   * @param {MessageContext} context - Message context with decoded TERMINAL_RESEND_SUBPACKAGE_REQUEST body
+   * @returns {Promise<boolean>} True if the packets were resent
+   */
+  async handle(context) {
+    const { session, header, body } = context;
+    const { frames, error } = this.sentPackets.resend(header.deviceId, body.originalSequence, body.packetIds);
+
+    if (error) {
+      await context.respond(GENERAL_RESPONSE_RESULTS.FAILURE);
+      Logger.warn('Cannot resend packets requested by terminal', {
+        connectionId: session.id,
+        phoneNumber: header.deviceId,
+        originalSequence: body.originalSequence,
+        packetIds: body.packetIds,
+        error
+      });
+      return false;
+    }
+
+    for (const frame of frames) {
+      await context.write(frame);
+    }
+
+    Logger.info('Resent packets requested by terminal', {
+      connectionId: session.id,
+      phoneNumber: header.deviceId,
+      originalSequence: body.originalSequence,
+      packetIds: body.packetIds
+    });
+    return true;
+  }
+}
+
+module.exports = {
+  ResendRequestHandler
+};
@@ -0,0 +1,60 @@
+/**
+ * Terminal general response handler (0x0001)
+ */
+
+const { GENERAL_RESPONSE_RESULTS } = require('../../models/jt808-messages');
+const Logger = require('../../utils/logger');
+
+/**
+ * Result names by code, e.g. 3 -> 'not_supported'
+ */
+const RESULT_NAMES = Object.fromEntries(
+  Object.entries(GENERAL_RESPONSE_RESULTS).map(([name, code]) => [code, name.toLowerCase()])
+);
+
+class TerminalResponseHandler {
+  /**
+   * Describe a decoded terminal general response for the command's issuer
+   * @param {Object} body - Decoded TERMINAL_GENERAL_RESPONSE body
+   * @returns {Object} Reply sequence, reply message ID, result code and name, and a success flag
+   */
+  static describe(body) {
+    return {
+      replySequence: body.replySequence,
+      replyMessageId: body.replyMessageId,
+      result: body.result,
+      resultName: RESULT_NAMES[body.result] || 'unknown',
+      success: body.result === GENERAL_RESPONSE_RESULTS.SUCCESS
+    };
+  }
+
+  /**
+   * Settle the pending platform command the terminal is answering
+   * General responses are not acknowledged.
+   * @param {MessageContext} context - Message context with decoded TERMINAL_GENERAL_RESPONSE body
+   * @returns {Promise<boolean>} True if a pending command matched
+   */
+  async handle(context) {
+    const { session, header } = context;
+    const response = TerminalResponseHandler.describe(context.body);
+    const logData = {
+      connectionId: session.id,
+      phoneNumber: header.deviceId,
+      replySequence: response.replySequence,
+      replyMessageId: `0x${response.replyMessageId.toString(16).padStart(4, '0')}`,
+      result: response.resultName
+    };
+
+    const matched = session.pendingCommands.resolve(response.replySequence, response.replyMessageId, response);
+    if (!matched) {
+      Logger.warn('Terminal response matches no pending command', logData);
+    } else if (!response.success) {
+      Logger.warn('Terminal did not accept command', logData);
+    }
+    return matched;
+  }
+}
+
+module.exports = {
+  TerminalResponseHandler
+};
@@ -0,0 +1,676 @@
+/**
+ * JSON HTTP API for devices, sessions, positions, commands, alarms and geofences
+ * Plain `http` request handling, no framework. Every response is JSON:
+ * single resources as { data }, lists as { data, pagination: { limit, nextCursor } }
+ * and failures as { error: { code, message } }.
+ */
+
+const crypto = require('crypto');
+const { ALARM_STATUSES, MASK_STATUSES } = require('./alarm-store');
+const { INVALID_ARGUMENT, apiError, encodeCursor, decodeCursor } = require('../utils/query');
+const Logger = require('../utils/logger');
+
+/**
+ * Default API settings
+ */
+const HTTP_API_DEFAULTS = {
+  pageSize: 100,
+  maxPageSize: 1000,
+  maxBodySize: 64 * 1024, // Bytes
+  dashboard: { tileUrl: null, attribution: '' } // Map tiles for the dashboard; none draws a plain grid
+};
+
+/**
+ * API error codes and their HTTP status
+ */
+const API_ERRORS = {
+  INVALID_ARGUMENT: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  TERMINAL_OFFLINE: 409,
+  COMMAND_ABORTED: 409,
+  QUEUE_FULL: 409,
+  ALARM_NOT_CONFIRMABLE: 409,
+  ALARM_ALREADY_ACKNOWLEDGED: 409,
+  GEOFENCE_NAME_TAKEN: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  INTERNAL_ERROR: 500,
+  COMMAND_TIMEOUT: 504
+};
+
+/**
+ * Responses with a status other than 200 are wrapped as { [STATUS]: status, body }
+ */
+const STATUS = Symbol('status');
+
+/**
+ * Device details safe to expose (the auth code stays private)
+ * @param {Object} device - Device from the registry
+ * @returns {Object} Device view
+ */
+function deviceView(device) {
+  const { authCode, ...view } = device;
+  return view;
+}
+
+/**
+ * Digest an API token so lookups do not compare the token itself
+ * @param {string} token - API token
+ * @returns {string} SHA-256 hex digest
+ */
+function tokenDigest(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class HttpApi {
+  /**
+   * @param {DashcamTCPServer} server - Server whose devices, sessions and positions are served
+   * @param {Object} options - API options
+   * @param {number} options.pageSize - Default page size
+   * @param {number} options.maxPageSize - Largest page size allowed
+   * @param {number} options.maxBodySize - Largest request body accepted, in bytes
+   * @param {Object} options.dashboard - Dashboard settings { tileUrl, attribution }
+   * @param {Object} options.tokens - Operator name by API token; when set, every method but GET needs one
+   */
+  constructor(server, options = {}) {
+    this.server = server;
+    this.pageSize = options.pageSize || HTTP_API_DEFAULTS.pageSize;
+    this.maxPageSize = options.maxPageSize || HTTP_API_DEFAULTS.maxPageSize;
+    this.maxBodySize = options.maxBodySize || HTTP_API_DEFAULTS.maxBodySize;
+    this.dashboard = { ...HTTP_API_DEFAULTS.dashboard, ...options.dashboard };
+    this.tokens = new Map(
+      Object.entries(options.tokens || {}).map(([token, operator]) => [tokenDigest(token), operator])
+    );
+    this.routes = [];
+
+    this.route('GET', /^\/api\/devices$/, (params, query) => this.listDevices(query));
+    this.route('GET', /^\/api\/devices\/(\d+)$/, ([phoneNumber]) => this.getDevice(phoneNumber));
+    this.route('GET', /^\/api\/devices\/(\d+)\/position$/, ([phoneNumber]) => this.getPosition(phoneNumber));
+    this.route('GET', /^\/api\/devices\/(\d+)\/track$/, ([phoneNumber], query) => this.getTrack(phoneNumber, query));
+    this.route('GET', /^\/api\/devices\/(\d+)\/commands$/, ([phoneNumber]) => this.listQueuedCommands(phoneNumber));
+    this.route('POST', /^\/api\/devices\/(\d+)\/commands$/, ([phoneNumber], query, request) =>
+      this.sendCommand(phoneNumber, request)
+    );
+    this.route('GET', /^\/api\/devices\/(\d+)\/alarms$/, ([phoneNumber]) => this.listOpenAlarms(phoneNumber));
+    this.route('GET', /^\/api\/devices\/(\d+)\/alarm-mask$/, ([phoneNumber]) => this.getAlarmMask(phoneNumber));
+    this.route('PUT', /^\/api\/devices\/(\d+)\/alarm-mask$/, ([phoneNumber], query, request, operator) =>
+      this.setAlarmMask(phoneNumber, request, operator)
+    );
+    this.route('GET', /^\/api\/alarms$/, () => this.listOpenAlarms());
+    this.route('GET', /^\/api\/alarms\/history$/, (params, query) => this.listAlarmHistory(query));
+    this.route('GET', /^\/api\/alarms\/events$/, (params, query) => this.listAlarmEvents(query));
+    this.route('GET', /^\/api\/alarms\/(\d+)$/, ([id]) => this.getAlarm(Number(id)));
+    this.route('GET', /^\/api\/alarms\/(\d+)\/events$/, ([id], query) => this.listAlarmEvents(query, Number(id)));
+    this.route('POST', /^\/api\/alarms\/(\d+)\/confirm$/, ([id], query, request, operator) =>
+      this.confirmAlarm(Number(id), request, operator)
+    );
+    this.route('POST', /^\/api\/alarms\/(\d+)\/acknowledge$/, ([id], query, request, operator) =>
+      this.acknowledgeAlarm(Number(id), request, operator)
+    );
+    this.route('POST', /^\/api\/alarms\/(\d+)\/notes$/, ([id], query, request, operator) =>
+      this.addAlarmNote(Number(id), request, operator)
+    );
+    this.route('GET', /^\/api\/devices\/(\d+)\/geofences$/, ([phoneNumber]) => ({
+      data: this.server.geofences.insideOf(phoneNumber)
+    }));
+    this.route('GET', /^\/api\/geofences$/, () => ({ data: this.server.geofences.list() }));
+    this.route('POST', /^\/api\/geofences$/, (params, query, request) => this.createGeofence(request));
+    this.route('GET', /^\/api\/geofences\/events$/, (params, query) => this.listGeofenceEvents(query));
+    this.route('GET', /^\/api\/geofences\/(\d+)$/, ([id]) => ({ data: this.server.geofences.get(Number(id)) }));
+    this.route('PUT', /^\/api\/geofences\/(\d+)$/, ([id], query, request) => this.updateGeofence(Number(id), request));
+    this.route('POST', /^\/api\/geofences\/(\d+)\/devices\/(\d+)$/, ([id, phoneNumber], query, request) =>
+      this.syncGeofence(Number(id), phoneNumber, request)
+    );
+    this.route('DELETE', /^\/api\/geofences\/(\d+)\/devices\/(\d+)$/, ([id, phoneNumber], query, request) =>
+      this.unsyncGeofence(Number(id), phoneNumber, request)
+    );
+    this.route('DELETE', /^\/api\/geofences\/(\d+)$/, async ([id]) => ({
+      data: await this.server.geofences.delete(Number(id))
+    }));
+    this.route('GET', /^\/api\/dashboard$/, () => ({ data: this.dashboard }));
+    this.route('GET', /^\/api\/fleet$/, () => ({ data: this.server.getFleetSnapshot() }));
+    this.route('GET', /^\/api\/sessions$/, (params, query) => this.listSessions(query));
+    this.route('DELETE', /^\/api\/sessions\/(\d+)$/, ([connectionId]) => this.disconnectSession(connectionId));
+  }
+
+  /**
+   * Add a route
+   * @param {string} method - HTTP method
+   * @param {RegExp} pattern - Path pattern; capture groups become the handler's params
+   * @param {Function} handler - Function (params, query, request, operator) returning the response body or a
+   *   promise of it; operator is the API token's operator, or null when no tokens are configured
+   * @returns {HttpApi} This API for chaining
+   */
+  route(method, pattern, handler) {
+    this.routes.push({ method, pattern, handler });
+    return this;
+  }
+
+  /**
+   * Answer a request
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   * @returns {Promise<void>}
+   */
+  async handle(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    try {
+      const matches = this.routes
+        .map((route) => ({ route, match: route.pattern.exec(url.pathname) }))
+        .filter(({ match }) => match);
+      if (matches.length === 0) {
+        throw apiError('NOT_FOUND', `No route for ${url.pathname}`);
+      }
+
+      const matched = matches.find(({ route }) => route.method === request.method);
+      if (!matched) {
+        throw apiError('METHOD_NOT_ALLOWED', `${request.method} is not allowed on ${url.pathname}`);
+      }
+
+      const operator = request.method === 'GET' ? null : this.authenticate(request);
+      const body = await matched.route.handler(matched.match.slice(1), url.searchParams, request, operator);
+      if (body[STATUS]) {
+        HttpApi.send(response, body[STATUS], body.body);
+      } else {
+        HttpApi.send(response, 200, body);
+      }
+    } catch (error) {
+      const code = API_ERRORS[error.code] ? error.code : 'INTERNAL_ERROR';
+      if (code === 'INTERNAL_ERROR') {
+        Logger.error('HTTP API request failed', { method: request.method, path: url.pathname, error: error.message });
+      }
+      HttpApi.send(response, API_ERRORS[code], {
+        error: { code, message: code === 'INTERNAL_ERROR' ? 'Internal server error' : error.message }
+      });
+    }
+  }
+
+  /**
+   * Check the request's bearer token
+   * @param {http.IncomingMessage} request - HTTP request
+   * @returns {string|null} Operator of the token, or null when no tokens are configured
+   * @throws {Error} UNAUTHORIZED if tokens are configured and the request has none of them
+   */
+  authenticate(request) {
+    if (this.tokens.size === 0) {
+      return null;
+    }
+    const [scheme, token] = (request.headers.authorization || '').split(' ');
+    const operator = scheme === 'Bearer' && token ? this.tokens.get(tokenDigest(token)) : undefined;
+    if (operator === undefined) {
+      throw apiError('UNAUTHORIZED', 'A valid API token is required');
+    }
+    return operator;
+  }
+
+  /**
+   * Write a JSON response
+   * @param {http.ServerResponse} response - HTTP response
+   * @param {number} status - HTTP status code
+   * @param {Object} body - Response body
+   */
+  static send(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  }
+
+  /**
+   * Read a JSON object request body; an empty body reads as {}
+   * @param {http.IncomingMessage} request - HTTP request
+   * @returns {Promise<Object>} Parsed body
+   * @throws {Error} PAYLOAD_TOO_LARGE past maxBodySize, INVALID_ARGUMENT if it is not a JSON object
+   */
+  async readJson(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+      size += chunk.length;
+      if (size > this.maxBodySize) {
+        throw apiError('PAYLOAD_TOO_LARGE', `Request body exceeds ${this.maxBodySize} bytes`);
+      }
+      chunks.push(chunk);
+    }
+    if (size === 0) {
+      return {};
+    }
+
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      throw apiError(INVALID_ARGUMENT, 'Request body must be JSON');
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw apiError(INVALID_ARGUMENT, 'Request body must be a JSON object');
+    }
+    return body;
+  }
+
+  /**
+   * Read the page size from the query
+   * @param {URLSearchParams} query - Query parameters
+   * @returns {number} Page size
+   * @throws {Error} INVALID_ARGUMENT if the limit is not an integer within range
+   */
+  limitOf(query) {
+    if (!query.has('limit')) {
+      return this.pageSize;
+    }
+    const limit = Number(query.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.maxPageSize) {
+      throw apiError(INVALID_ARGUMENT, `limit must be an integer from 1 to ${this.maxPageSize}`);
+    }
+    return limit;
+  }
+
+  /**
+   * Page through an in-memory list sorted by a unique key
+   * @param {Array} items - Items
+   * @param {Function} keyOf - Returns the sort key of an item
+   * @param {URLSearchParams} query - Query with optional limit and cursor
+   * @returns {Object} List response { data, pagination }
+   */
+  paginate(items, keyOf, query) {
+    const limit = this.limitOf(query);
+    const sorted = items.slice().sort((a, b) => (keyOf(a) < keyOf(b) ? -1 : keyOf(a) > keyOf(b) ? 1 : 0));
+    const after = query.get('cursor') ? decodeCursor(query.get('cursor')) : null;
+    const remaining = after === null ? sorted : sorted.filter((item) => keyOf(item) > after);
+    const data = remaining.slice(0, limit);
+
+    return {
+      data,
+      pagination: {
+        limit,
+        nextCursor: remaining.length > limit ? encodeCursor(keyOf(data[data.length - 1])) : null
+      }
+    };
+  }
+
+  /**
+   * GET /api/devices - registered devices with their online state
+   * @param {URLSearchParams} query - Query with optional limit and cursor
+   * @returns {Promise<Object>} List response
+   */
+  async listDevices(query) {
+    const devices = await this.server.registry.listDevices();
+    const page = this.paginate(devices, (device) => device.phoneNumber, query);
+    page.data = page.data.map((device) => ({
+      ...deviceView(device),
+      online: Boolean(this.server.findConnection(device.phoneNumber))
+    }));
+    return page;
+  }
+
+  /**
+   * GET /api/devices/:phoneNumber - one device with its latest cached state
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Promise<Object>} Device response
+   */
+  async getDevice(phoneNumber) {
+    const device = await this.server.registry.getDevice(phoneNumber);
+    if (!device) {
+      throw apiError('NOT_FOUND', `Device ${phoneNumber} not found`);
+    }
+    return {
+      data: {
+        ...deviceView(device),
+        online: Boolean(this.server.findConnection(phoneNumber)),
+        state: this.server.fleetState.get(phoneNumber)
+      }
+    };
+  }
+
+  /**
+   * GET /api/devices/:phoneNumber/position - latest position, from memory when cached
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Promise<Object>} Position response
+   */
+  async getPosition(phoneNumber) {
+    const state = this.server.fleetState.get(phoneNumber);
+    if (state && state.timestamp) {
+      return { data: state };
+    }
+
+    const location = await this.server.locationStore.getLatest(phoneNumber);
+    if (!location) {
+      throw apiError('NOT_FOUND', `No position for device ${phoneNumber}`);
+    }
+    return { data: location };
+  }
+
+  /**
+   * GET /api/devices/:phoneNumber/track?from&to&limit&cursor - positions between two times
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {URLSearchParams} query - Query with from, to and optional limit and cursor
+   * @returns {Promise<Object>} List response
+   */
+  async getTrack(phoneNumber, query) {
+    for (const name of ['from', 'to']) {
+      if (!query.get(name)) {
+        throw apiError(INVALID_ARGUMENT, `${name} is required`);
+      }
+    }
+
+    const limit = this.limitOf(query);
+    const { locations, nextCursor } = await this.server.locationStore.getTrack(
+      phoneNumber,
+      query.get('from'),
+      query.get('to'),
+      { limit, cursor: query.get('cursor') || undefined }
+    );
+    return { data: locations, pagination: { limit, nextCursor } };
+  }
+
+  /**
+   * POST /api/devices/:phoneNumber/commands - send a command and wait for the terminal's answer
+   * The body is a command description ({ type, ...options }, see CommandService)
+   * with an optional `queue` flag to hold it until an offline terminal connects.
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {http.IncomingMessage} request - HTTP request
+   * @returns {Promise<Object>} Terminal response, or 202 with the queued command
+   */
+  async sendCommand(phoneNumber, request) {
+    const { queue, ...command } = await this.readJson(request);
+    await this.requireDevice(phoneNumber);
+
+    return this.commandResponse(await this.server.commands.send(phoneNumber, command, { queue: queue === true }));
+  }
+
+  /**
+   * Answer a command result
+   * @param {Object} result - Result of CommandService.send
+   * @returns {Object} Terminal response, or 202 with the queued command
+   */
+  commandResponse(result) {
+    if (result.status === 'queued') {
+      const { status, ...queued } = result;
+      return { [STATUS]: 202, body: { data: { status, ...queued } } };
+    }
+    return { data: result };
+  }
+
+  /**
+   * Fail unless a terminal is registered or connected
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Promise<void>}
+   * @throws {Error} NOT_FOUND
+   */
+  async requireDevice(phoneNumber) {
+    const device = await this.server.registry.getDevice(phoneNumber);
+    if (!device && !this.server.findConnection(phoneNumber)) {
+      throw apiError('NOT_FOUND', `Device ${phoneNumber} not found`);
+    }
+  }
+
+  /**
+   * GET /api/devices/:phoneNumber/commands - commands queued for an offline terminal
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Object} Queued commands, oldest first
+   */
+  listQueuedCommands(phoneNumber) {
+    return { data: this.server.commands.queued(phoneNumber) };
+  }
+
+  /**
+   * GET /api/alarms and /api/devices/:phone/alarms - alarms still open, oldest first
+   * @param {string} phoneNumber - Only this terminal's alarms, if given
+   * @returns {Object} Alarms response
+   */
+  listOpenAlarms(phoneNumber) {
+    return { data: this.server.alarms.listOpen(phoneNumber) };
+  }
+
+  /**
+   * GET /api/alarms/:id - one alarm record, open or closed
+   * @param {number} id - Alarm ID
+   * @returns {Promise<Object>} Alarm response
+   */
+  async getAlarm(id) {
+    const alarm = await this.server.alarms.store.get(id);
+    if (!alarm) {
+      throw apiError('NOT_FOUND', `Alarm ${id} not found`);
+    }
+    return { data: alarm };
+  }
+
+  /**
+   * GET /api/alarms/history - alarm records, open and closed, newest first
+   * Optional filters: phoneNumber, type, severity, status (open or closed),
+   * acknowledged (true or false), and from/to on the start time.
+   * @param {URLSearchParams} query - Query with filters and optional limit and cursor
+   * @returns {Promise<Object>} List response
+   */
+  async listAlarmHistory(query) {
+    const filters = {};
+    for (const name of ['phoneNumber', 'type', 'severity', 'status', 'from', 'to']) {
+      if (query.has(name)) {
+        filters[name] = query.get(name);
+      }
+    }
+    if (filters.status !== undefined && !Object.values(ALARM_STATUSES).includes(filters.status)) {
+      throw apiError(INVALID_ARGUMENT, 'status must be open or closed');
+    }
+    if (query.has('acknowledged')) {
+      if (!['true', 'false'].includes(query.get('acknowledged'))) {
+        throw apiError(INVALID_ARGUMENT, 'acknowledged must be true or false');
+      }
+      filters.acknowledged = query.get('acknowledged') === 'true';
+    }
+
+    const limit = this.limitOf(query);
+    const { alarms, nextCursor } = await this.server.alarms.store.list(filters, {
+      limit,
+      cursor: query.get('cursor') || undefined
+    });
+    return { data: alarms, pagination: { limit, nextCursor } };
+  }
+
+  /**
+   * GET /api/alarms/events and /api/alarms/:id/events - audit trail, oldest first
+   * Optional filters: phoneNumber, actor, action, and from/to on the event time.
+   * @param {URLSearchParams} query - Query with filters and optional limit and cursor
+   * @param {number} alarmId - Only this alarm's events, if given
+   * @returns {Promise<Object>} List response
+   */
+  async listAlarmEvents(query, alarmId) {
+    const filters = alarmId === undefined ? {} : { alarmId };
+    for (const name of ['phoneNumber', 'actor', 'action', 'from', 'to']) {
+      if (query.has(name)) {
+        filters[name] = query.get(name);
+      }
+    }
+    if (alarmId !== undefined) {
+      await this.getAlarm(alarmId);
+    }
+
+    const limit = this.limitOf(query);
+    const { events, nextCursor } = await this.server.alarms.store.listEvents(filters, {
+      limit,
+      cursor: query.get('cursor') || undefined
+    });
+    return { data: events, pagination: { limit, nextCursor } };
+  }
+
+  /**
+   * POST /api/alarms/:id/confirm - confirm an alarm to the terminal (0x8203)
+   * The token's operator, or without tokens the optional body { operator }, records who confirmed it.
+   * @param {number} id - Alarm ID
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {string|null} operator - Operator of the API token
+   * @returns {Promise<Object>} { alarm, response } with the terminal's answer
+   */
+  async confirmAlarm(id, request, operator) {
+    const body = await this.readJson(request);
+    return { data: await this.server.alarms.confirm(id, operator ?? body.operator) };
+  }
+
+  /**
+   * POST /api/alarms/:id/acknowledge - acknowledge an alarm with { operator, note }
+   * @param {number} id - Alarm ID
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {string|null} operator - Operator of the API token, used instead of the body's
+   * @returns {Promise<Object>} Acknowledged alarm
+   */
+  async acknowledgeAlarm(id, request, operator) {
+    const body = await this.readJson(request);
+    return { data: await this.server.alarms.acknowledge(id, operator ?? body.operator, body.note) };
+  }
+
+  /**
+   * POST /api/alarms/:id/notes - add a note { operator, note } to an alarm
+   * @param {number} id - Alarm ID
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {string|null} operator - Operator of the API token, used instead of the body's
+   * @returns {Promise<Object>} 201 with the audit event
+   */
+  async addAlarmNote(id, request, operator) {
+    const body = await this.readJson(request);
+    const event = await this.server.alarms.addNote(id, operator ?? body.operator, body.note);
+    return { [STATUS]: 201, body: { data: event } };
+  }
+
+  /**
+   * GET /api/devices/:phoneNumber/alarm-mask - masked alarm types and whether the terminal applied them
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Object} Alarm mask response
+   */
+  getAlarmMask(phoneNumber) {
+    return { data: this.server.alarms.getMask(phoneNumber) };
+  }
+
+  /**
+   * PUT /api/devices/:phoneNumber/alarm-mask - mask alarm types with { operator, types }
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {string|null} operator - Operator of the API token, used instead of the body's
+   * @returns {Promise<Object>} Alarm mask, 202 while the terminal has not received it
+   */
+  async setAlarmMask(phoneNumber, request, operator) {
+    const body = await this.readJson(request);
+    await this.requireDevice(phoneNumber);
+
+    const mask = await this.server.alarms.setMask(phoneNumber, body.types, operator ?? body.operator);
+    return mask.status === MASK_STATUSES.PENDING ? { [STATUS]: 202, body: { data: mask } } : { data: mask };
+  }
+
+  /**
+   * POST /api/geofences - create a geofence
+   * @param {http.IncomingMessage} request - HTTP request with the geofence definition
+   * @returns {Promise<Object>} 201 with the stored geofence
+   */
+  async createGeofence(request) {
+    const geofence = await this.server.geofences.create(await this.readJson(request));
+    return { [STATUS]: 201, body: { data: geofence } };
+  }
+
+  /**
+   * PUT /api/geofences/:id - replace a geofence's definition
+   * @param {number} id - Geofence ID
+   * @param {http.IncomingMessage} request - HTTP request with the geofence definition
+   * @returns {Promise<Object>} Updated geofence
+   */
+  async updateGeofence(id, request) {
+    return { data: await this.server.geofences.update(id, await this.readJson(request)) };
+  }
+
+  /**
+   * POST /api/geofences/:id/devices/:phoneNumber - send a geofence to a terminal as an area or route
+   * Optional body: settingType, flags, startTime, endTime, overspeedDuration, nightMaxSpeed, queue.
+   * @param {number} id - Geofence ID
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {http.IncomingMessage} request - HTTP request
+   * @returns {Promise<Object>} Terminal response, or 202 with the queued command
+   */
+  async syncGeofence(id, phoneNumber, request) {
+    const options = await this.readJson(request);
+    this.server.geofences.get(id);
+    await this.requireDevice(phoneNumber);
+
+    return this.commandResponse(await this.server.geofences.syncToDevice(id, phoneNumber, options));
+  }
+
+  /**
+   * DELETE /api/geofences/:id/devices/:phoneNumber - delete a geofence's area or route from a terminal
+   * Optional body: queue.
+   * @param {number} id - Geofence ID
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {http.IncomingMessage} request - HTTP request
+   * @returns {Promise<Object>} Terminal response, or 202 with the queued command
+   */
+  async unsyncGeofence(id, phoneNumber, request) {
+    const { queue } = await this.readJson(request);
+    this.server.geofences.get(id);
+    await this.requireDevice(phoneNumber);
+
+    return this.commandResponse(await this.server.geofences.removeFromDevice(id, phoneNumber, { queue }));
+  }
+
+  /**
+   * GET /api/geofences/events - geofence events, oldest first
+   * Optional filters: geofenceId, phoneNumber, type, and from/to on the device time.
+   * @param {URLSearchParams} query - Query with filters and optional limit and cursor
+   * @returns {Promise<Object>} List response
+   */
+  async listGeofenceEvents(query) {
+    const filters = {};
+    for (const name of ['phoneNumber', 'type', 'from', 'to']) {
+      if (query.has(name)) {
+        filters[name] = query.get(name);
+      }
+    }
+    if (query.has('geofenceId')) {
+      filters.geofenceId = Number(query.get('geofenceId'));
+      if (!Number.isInteger(filters.geofenceId)) {
+        throw apiError(INVALID_ARGUMENT, 'geofenceId must be an integer');
+      }
+    }
+
+    const limit = this.limitOf(query);
+    const { events, nextCursor } = await this.server.geofences.store.listEvents(filters, {
+      limit,
+      cursor: query.get('cursor') || undefined
+    });
+    return { data: events, pagination: { limit, nextCursor } };
+  }
+
+  /**
+   * GET /api/sessions - open terminal sessions
+   * @param {URLSearchParams} query - Query with optional limit and cursor
+   * @returns {Object} List response
+   */
+  listSessions(query) {
+    const sessions = this.server.getConnections().map((connection) => ({
+      connectionId: connection.id,
+      phoneNumber: connection.phoneNumber,
+      state: connection.state,
+      remoteAddress: connection.remoteAddress,
+      remotePort: connection.remotePort,
+      protocolVersion: connection.protocolVersion,
+      connectedAt: connection.connectedAt,
+      authenticatedAt: connection.authenticatedAt,
+      lastHeartbeatAt: connection.lastHeartbeatAt,
+      lastSeenAt: connection.lastSeenAt,
+      pendingCommands: connection.pendingCommands
+    }));
+    return this.paginate(sessions, (session) => session.connectionId, query);
+  }
+
+  /**
+   * DELETE /api/sessions/:connectionId - close a terminal session
+   * @param {string} connectionId - Connection ID
+   * @returns {Object} Close response
+   */
+  disconnectSession(connectionId) {
+    if (!this.server.disconnect(Number(connectionId), 'closed via HTTP API')) {
+      throw apiError('NOT_FOUND', `Session ${connectionId} not found`);
+    }
+    return { data: { connectionId: Number(connectionId), closed: true } };
+  }
+}
+
+module.exports = {
+  HttpApi,
+  HTTP_API_DEFAULTS,
+  API_ERRORS
+};
@@ -0,0 +1,83 @@
+/**
+ * Periodic sweeper closing sessions whose terminals have gone silent
+ * Dead cellular links often never close the TCP connection, so sessions are
+ * closed once nothing arrives for a multiple of the heartbeat interval.
+ */
+
+const Logger = require('../utils/logger');
+
+/**
+ * Default sweeper settings
+ */
+const IDLE_SWEEPER_DEFAULTS = {
+  timeoutMultiplier: 3,
+  sweepInterval: 10000 // ms
+};
+
+class IdleSweeper {
+  /**
+   * @param {Function} getSessions - Returns the sessions to check
+   * @param {Object} options - Sweeper options
+   * @param {number} options.timeoutMultiplier - Allowed silence as a multiple of the heartbeat interval
+   * @param {number} options.sweepInterval - Time between sweeps in milliseconds
+   */
+  constructor(getSessions, options = {}) {
+    this.getSessions = getSessions;
+    this.timeoutMultiplier = options.timeoutMultiplier || IDLE_SWEEPER_DEFAULTS.timeoutMultiplier;
+    this.sweepInterval = options.sweepInterval || IDLE_SWEEPER_DEFAULTS.sweepInterval;
+    this.timer = null;
+  }
+
+  /**
+   * Start periodic sweeping
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.sweep(), this.sweepInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop periodic sweeping
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Close every idle session
+   * @param {Date} now - Current time
+   * @returns {Array} Sessions that were closed
+   */
+  sweep(now = new Date()) {
+    const closed = [];
+
+    for (const session of this.getSessions()) {
+      if (!session.isIdle(this.timeoutMultiplier, now)) {
+        continue;
+      }
+
+      const silentSeconds = Math.round((now - session.lastSeenAt) / 1000);
+      const reason = `idle timeout: no data for ${silentSeconds}s (heartbeat interval ${session.heartbeatInterval}s)`;
+
+      if (session.close(reason)) {
+        Logger.warn('Closed idle dashcam session', {
+          connectionId: session.id,
+          phoneNumber: session.phoneNumber,
+          reason
+        });
+        closed.push(session);
+      }
+    }
+
+    return closed;
+  }
+}
+
+module.exports = {
+  IdleSweeper,
+  IDLE_SWEEPER_DEFAULTS
+};
@@ -0,0 +1,354 @@
+/**
+ * WebSocket live feed of positions, alarms, session changes and command results
+ * Browser clients connect to /api/live on the HTTP server and receive JSON
+ * events { type, phoneNumber, timestamp, data } for every terminal or only
+ * the ones they subscribe to. Clients that stop answering pings or fall too
+ * far behind are dropped so one slow consumer cannot hold server memory.
+ */
+
+const crypto = require('crypto');
+const {
+  OPCODES,
+  CLOSE_CODES,
+  acceptKey,
+  encodeFrame,
+  encodeClose,
+  WebSocketFrameDecoder
+} = require('../utils/websocket');
+const Logger = require('../utils/logger');
+
+/**
+ * Default live feed settings
+ */
+const LIVE_FEED_DEFAULTS = {
+  path: '/api/live',
+  pingInterval: 30000, // ms between pings; clients silent for a whole interval are dropped
+  maxBufferedBytes: 1024 * 1024, // Unsent bytes a client may fall behind before it is dropped
+  maxPayload: 64 * 1024 // Largest client message, in bytes
+};
+
+/**
+ * Read the subscription of a device list
+ * @param {*} devices - 'all' or an array of phone numbers
+ * @returns {Set<string>|null} Subscribed phone numbers, or null for every device
+ * @throws {Error} If the list is neither 'all' nor an array of strings
+ */
+function subscriptionOf(devices) {
+  if (devices === 'all' || devices === undefined) {
+    return null;
+  }
+  if (!Array.isArray(devices) || devices.some((phoneNumber) => typeof phoneNumber !== 'string')) {
+    throw new Error('devices must be "all" or an array of phone numbers');
+  }
+  return new Set(devices);
+}
+
+class LiveFeed {
+  /**
+   * @param {DashcamTCPServer} server - Server whose fleet state and commands are streamed
+   * @param {Object} options - Feed options
+   * @param {string} options.path - Upgrade path
+   * @param {number} options.pingInterval - Time between pings, in milliseconds
+   * @param {number} options.maxBufferedBytes - Unsent bytes after which a client is dropped
+   * @param {number} options.maxPayload - Largest client message, in bytes
+   */
+  constructor(server, options = {}) {
+    this.server = server;
+    this.path = options.path || LIVE_FEED_DEFAULTS.path;
+    this.pingInterval = options.pingInterval || LIVE_FEED_DEFAULTS.pingInterval;
+    this.maxBufferedBytes = options.maxBufferedBytes || LIVE_FEED_DEFAULTS.maxBufferedBytes;
+    this.maxPayload = options.maxPayload || LIVE_FEED_DEFAULTS.maxPayload;
+    this.clients = new Set();
+    this.timer = null;
+
+    this.listeners = [
+      [server.fleetState, 'location', (state) => this.publish('location', state.phoneNumber, state)],
+      [server.fleetState, 'alarm', ({ phoneNumber, raised, cleared, state }) =>
+        this.publish('alarm', phoneNumber, { raised, cleared, alarms: state.alarms, state })],
+      [server.fleetState, 'online', (state) => this.publish('online', state.phoneNumber, state)],
+      [server.fleetState, 'offline', (state) => this.publish('offline', state.phoneNumber, state)],
+      [server.commands, 'result', (result) => this.publish('command', result.phoneNumber, result)],
+      [server.alarms, 'opened', (alarm) => this.publish('alarm_opened', alarm.phoneNumber, alarm)],
+      [server.alarms, 'closed', (alarm) => this.publish('alarm_closed', alarm.phoneNumber, alarm)],
+      [server.alarms, 'confirmed', (alarm) => this.publish('alarm_confirmed', alarm.phoneNumber, alarm)],
+      [server.alarms, 'acknowledged', (alarm) => this.publish('alarm_acknowledged', alarm.phoneNumber, alarm)],
+      [server.alarms, 'escalated', (alarm) => this.publish('alarm_escalated', alarm.phoneNumber, alarm)],
+      [server.alarms, 'note', (event) => this.publish('alarm_note', event.phoneNumber, event)],
+      [server.alarms, 'mask', (mask) => this.publish('alarm_mask', mask.phoneNumber, mask)],
+      [server.geofences, 'enter', (event) => this.publish('geofence_enter', event.phoneNumber, event)],
+      [server.geofences, 'exit', (event) => this.publish('geofence_exit', event.phoneNumber, event)],
+      [server.geofences, 'dwell', (event) => this.publish('geofence_dwell', event.phoneNumber, event)],
+      [server.geofences, 'speeding', (event) => this.publish('geofence_speeding', event.phoneNumber, event)],
+      [server.geofences, 'terminal_alarm', (event) => this.publish('geofence_terminal_alarm', event.phoneNumber, event)]
+    ];
+    for (const [emitter, event, listener] of this.listeners) {
+      emitter.on(event, listener);
+    }
+  }
+
+  /**
+   * Accept WebSocket upgrades on an HTTP server and start pinging clients
+   * @param {http.Server} httpServer - HTTP server
+   * @returns {LiveFeed} This feed for chaining
+   */
+  attach(httpServer) {
+    httpServer.on('upgrade', (request, socket, head) => this.handleUpgrade(request, socket, head));
+    httpServer.on('close', () => this.close());
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.heartbeat(), this.pingInterval);
+      if (this.timer.unref) {
+        this.timer.unref();
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Complete the WebSocket handshake, or refuse the upgrade
+   * The optional `devices` query parameter (comma separated) sets the initial subscription.
+   * @param {http.IncomingMessage} request - Upgrade request
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - Bytes received after the request headers
+   * @returns {Object|null} Client, or null if the upgrade was refused
+   */
+  handleUpgrade(request, socket, head) {
+    const url = new URL(request.url, 'http://localhost');
+    const key = request.headers['sec-websocket-key'];
+    let status = null;
+    if (url.pathname !== this.path) {
+      status = '404 Not Found';
+    } else if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+      status = '400 Bad Request';
+    } else if (request.headers['sec-websocket-version'] !== '13') {
+      status = '426 Upgrade Required';
+    }
+    if (status) {
+      socket.end(`HTTP/1.1 ${status}\r\nSec-WebSocket-Version: 13\r\nConnection: close\r\n\r\n`);
+      return null;
+    }
+
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+
+    const devices = url.searchParams.get('devices');
+    const client = {
+      id: crypto.randomUUID(),
+      socket,
+      decoder: new WebSocketFrameDecoder({ maxPayload: this.maxPayload }),
+      devices: devices ? new Set(devices.split(',').filter(Boolean)) : null,
+      excluded: new Set(), // Devices unsubscribed from while subscribed to all
+      alive: true,
+      closing: false
+    };
+    this.clients.add(client);
+
+    socket.on('data', (data) => this.handleData(client, data));
+    socket.on('close', () => this.clients.delete(client));
+    socket.on('error', (error) => {
+      Logger.warn('Live feed client error', { clientId: client.id, error: error.message });
+      socket.destroy();
+    });
+
+    this.sendSubscription(client);
+    if (head && head.length > 0) {
+      this.handleData(client, head);
+    }
+    return client;
+  }
+
+  /**
+   * Process bytes received from a client
+   * @param {Object} client - Feed client
+   * @param {Buffer} data - Received bytes
+   */
+  handleData(client, data) {
+    let messages;
+    try {
+      messages = client.decoder.push(data);
+    } catch (error) {
+      this.closeClient(client, error.closeCode || CLOSE_CODES.PROTOCOL_ERROR, error.message);
+      return;
+    }
+
+    for (const { opcode, payload } of messages) {
+      client.alive = true;
+      if (opcode === OPCODES.PING) {
+        this.write(client, encodeFrame(OPCODES.PONG, payload));
+      } else if (opcode === OPCODES.CLOSE) {
+        this.closeClient(client, CLOSE_CODES.NORMAL);
+      } else if (opcode === OPCODES.TEXT) {
+        this.handleMessage(client, payload.toString('utf8'));
+      } else if (opcode === OPCODES.BINARY) {
+        this.closeClient(client, CLOSE_CODES.UNSUPPORTED_DATA, 'Binary messages are not supported');
+      }
+    }
+  }
+
+  /**
+   * Apply a client message: { type: 'subscribe' | 'unsubscribe', devices }
+   * Subscribing replaces the subscription; unsubscribing removes devices from it,
+   * or while subscribed to all, keeps every device but those.
+   * @param {Object} client - Feed client
+   * @param {string} text - JSON message
+   */
+  handleMessage(client, text) {
+    try {
+      const message = JSON.parse(text);
+      if (message.type === 'subscribe') {
+        client.devices = subscriptionOf(message.devices);
+        client.excluded = new Set();
+      } else if (message.type === 'unsubscribe') {
+        const removed = subscriptionOf(message.devices);
+        if (removed === null) {
+          client.devices = new Set();
+          client.excluded = new Set();
+        } else if (client.devices === null) {
+          removed.forEach((phoneNumber) => client.excluded.add(phoneNumber));
+        } else {
+          removed.forEach((phoneNumber) => client.devices.delete(phoneNumber));
+        }
+      } else {
+        throw new Error('type must be subscribe or unsubscribe');
+      }
+      this.sendSubscription(client);
+    } catch (error) {
+      this.send(client, {
+        type: 'error',
+        phoneNumber: null,
+        timestamp: new Date().toISOString(),
+        data: { message: error.message }
+      });
+    }
+  }
+
+  /**
+   * Tell a client what it is subscribed to
+   * @param {Object} client - Feed client
+   */
+  sendSubscription(client) {
+    this.send(client, {
+      type: 'subscribed',
+      phoneNumber: null,
+      timestamp: new Date().toISOString(),
+      data: client.devices
+        ? { devices: Array.from(client.devices).sort() }
+        : { devices: 'all', except: Array.from(client.excluded).sort() }
+    });
+  }
+
+  /**
+   * Send an event to every client subscribed to the terminal
+   * @param {string} type - Event type: location, alarm, alarm_opened, alarm_closed,
+   *   alarm_confirmed, alarm_acknowledged, alarm_escalated, alarm_note, alarm_mask,
+   *   geofence_enter, geofence_exit, geofence_dwell, geofence_speeding,
+   *   geofence_terminal_alarm, online, offline or command
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Object} data - Event data
+   * @returns {number} Number of clients the event was sent to
+   */
+  publish(type, phoneNumber, data) {
+    const frame = encodeFrame(OPCODES.TEXT, JSON.stringify({
+      type,
+      phoneNumber,
+      timestamp: new Date().toISOString(),
+      data
+    }));
+
+    let sent = 0;
+    for (const client of this.clients) {
+      if (client.devices ? client.devices.has(phoneNumber) : !client.excluded.has(phoneNumber)) {
+        sent += this.write(client, frame) ? 1 : 0;
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * Send one JSON message to a client
+   * @param {Object} client - Feed client
+   * @param {Object} message - Message
+   * @returns {boolean} True if the message was written
+   */
+  send(client, message) {
+    return this.write(client, encodeFrame(OPCODES.TEXT, JSON.stringify(message)));
+  }
+
+  /**
+   * Write a frame, dropping the client if it has fallen too far behind
+   * @param {Object} client - Feed client
+   * @param {Buffer} frame - Encoded frame
+   * @returns {boolean} True if the frame was written
+   */
+  write(client, frame) {
+    if (client.closing || client.socket.destroyed) {
+      return false;
+    }
+    if (client.socket.writableLength + frame.length > this.maxBufferedBytes) {
+      Logger.warn('Dropping slow live feed client', {
+        clientId: client.id,
+        bufferedBytes: client.socket.writableLength
+      });
+      this.clients.delete(client);
+      client.socket.destroy();
+      return false;
+    }
+    client.socket.write(frame);
+    return true;
+  }
+
+  /**
+   * Ping every client, dropping those that did not answer the previous ping
+   */
+  heartbeat() {
+    for (const client of this.clients) {
+      if (!client.alive) {
+        this.clients.delete(client);
+        client.socket.destroy();
+        continue;
+      }
+      client.alive = false;
+      this.write(client, encodeFrame(OPCODES.PING));
+    }
+  }
+
+  /**
+   * Send a close frame and end the connection
+   * @param {Object} client - Feed client
+   * @param {number} code - Close status code
+   * @param {string} reason - Close reason
+   */
+  closeClient(client, code, reason = '') {
+    if (client.closing) {
+      return;
+    }
+    this.write(client, encodeClose(code, reason));
+    client.closing = true;
+    this.clients.delete(client);
+    client.socket.end();
+  }
+
+  /**
+   * Close every client and stop listening to the server
+   */
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const client of this.clients) {
+      this.closeClient(client, CLOSE_CODES.GOING_AWAY, 'server shutting down');
+    }
+    for (const [emitter, event, listener] of this.listeners) {
+      emitter.removeListener(event, listener);
+    }
+  }
+}
+
+module.exports = {
+  LiveFeed,
+  LIVE_FEED_DEFAULTS
+};
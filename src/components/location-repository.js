@@ -0,0 +1,58 @@
+/**
+ * Location history repository interface
+ * Storage backends extend this class; the server and API only use these methods.
+ * Locations are normalized objects from utils/location.js.
+ */
+
+class LocationRepository {
+  /**
+   * Store locations reported by a terminal
+   * Points already stored (e.g. resent blind-area supplements) are skipped,
+   * as are points without a valid device time.
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Array<Object>} locations - Normalized locations
+   * @param {Object} options - Save options
+   * @param {number} options.messageId - Message the locations arrived in (0x0200 or 0x0704)
+   * @param {Date} options.receivedAt - Receive time
+   * @returns {Promise<Object>} Counts { inserted, duplicates, skipped }
+   */
+  async save(phoneNumber, locations, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement save`);
+  }
+
+  /**
+   * Page through a terminal's track in time order
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Date|string} from - Start time, inclusive
+   * @param {Date|string} to - End time, inclusive
+   * @param {Object} options - Paging options
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - nextCursor of the previous page
+   * @returns {Promise<Object>} { locations, nextCursor } with nextCursor null on the last page
+   * @throws {Error} With code INVALID_ARGUMENT for invalid times, page sizes or cursors
+   */
+  async getTrack(phoneNumber, from, to, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement getTrack`);
+  }
+
+  /**
+   * Latest location of a terminal by device time
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Promise<Object|null>} Location, or null if none is stored
+   */
+  async getLatest(phoneNumber) {
+    throw new Error(`${this.constructor.name} does not implement getLatest`);
+  }
+
+  /**
+   * Latest location of every terminal
+   * @returns {Promise<Array<Object>>} One location per terminal, ordered by phone number
+   */
+  async listLatest() {
+    throw new Error(`${this.constructor.name} does not implement listLatest`);
+  }
+}
+
+module.exports = {
+  LocationRepository
+};
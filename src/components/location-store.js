@@ -0,0 +1,212 @@
+/**
+ * SQLite-backed location history
+ * Points are keyed by terminal and device time (UTC). A unique index on the
+ * point itself drops blind-area supplements the terminal sends again.
+ */
+
+const { LocationRepository } = require('./location-repository');
+const { STATUS_FLAGS, ALARM_FLAGS } = require('../models/jt808-messages');
+const { flagNames } = require('../utils/location');
+const { invalidArgument, toISOTime, encodeCursor, decodeCursor, isTimeAndId } = require('../utils/query');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS locations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phone_number TEXT NOT NULL,
+    recorded_at TEXT NOT NULL,
+    received_at TEXT NOT NULL,
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    altitude INTEGER,
+    speed REAL,
+    direction INTEGER,
+    alarm_flag INTEGER NOT NULL,
+    status_flag INTEGER NOT NULL,
+    blind_area INTEGER NOT NULL DEFAULT 0,
+    message_id INTEGER,
+    additional_info TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_locations_device_time ON locations (phone_number, recorded_at);
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_locations_point
+    ON locations (phone_number, recorded_at, latitude, longitude, alarm_flag, status_flag);
+`;
+
+const COLUMNS = [
+  'phone_number',
+  'recorded_at',
+  'received_at',
+  'latitude',
+  'longitude',
+  'altitude',
+  'speed',
+  'direction',
+  'alarm_flag',
+  'status_flag',
+  'blind_area',
+  'message_id',
+  'additional_info'
+];
+
+/**
+ * Default store settings
+ */
+const LOCATION_STORE_DEFAULTS = {
+  pageSize: 500,
+  maxPageSize: 5000,
+  insertChunkSize: 50 // Rows per INSERT, well under SQLite's bound parameter limit
+};
+
+/**
+ * Convert a locations row to a location object
+ * @param {Object} row - Database row
+ * @returns {Object|null} Location object
+ */
+function rowToLocation(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    phoneNumber: row.phone_number,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    altitude: row.altitude,
+    speed: row.speed,
+    direction: row.direction,
+    timestamp: row.recorded_at,
+    receivedAt: row.received_at,
+    accOn: (row.status_flag & STATUS_FLAGS.ACC_ON) !== 0,
+    positioned: (row.status_flag & STATUS_FLAGS.POSITIONING) !== 0,
+    alarmFlag: row.alarm_flag,
+    statusFlag: row.status_flag,
+    alarms: flagNames(row.alarm_flag, ALARM_FLAGS),
+    statuses: flagNames(row.status_flag, STATUS_FLAGS),
+    blindArea: row.blind_area === 1,
+    messageId: row.message_id,
+    additionalInfo: row.additional_info ? JSON.parse(row.additional_info) : null
+  };
+}
+
+class SqliteLocationStore extends LocationRepository {
+  /**
+   * @param {Database} database - Database connection
+   * @param {Object} options - Store options
+   * @param {number} options.pageSize - Default track page size
+   * @param {number} options.maxPageSize - Largest track page size allowed
+   */
+  constructor(database, options = {}) {
+    super();
+    this.database = database;
+    this.maxPageSize = options.maxPageSize || LOCATION_STORE_DEFAULTS.maxPageSize;
+    this.pageSize = Math.min(options.pageSize || LOCATION_STORE_DEFAULTS.pageSize, this.maxPageSize);
+    this.initializing = null;
+  }
+
+  /**
+   * Create schema on first use
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.initializing) {
+      this.initializing = this.database.exec(SCHEMA).catch((error) => {
+        this.initializing = null;
+        throw error;
+      });
+    }
+    return this.initializing;
+  }
+
+  async save(phoneNumber, locations, options = {}) {
+    await this.init();
+    const receivedAt = (options.receivedAt || new Date()).toISOString();
+    const rows = locations
+      .filter((location) => location.timestamp)
+      .map((location) => [
+        phoneNumber,
+        location.timestamp,
+        receivedAt,
+        location.latitude,
+        location.longitude,
+        location.altitude,
+        location.speed,
+        location.direction,
+        location.alarmFlag,
+        location.statusFlag,
+        location.blindArea ? 1 : 0,
+        options.messageId === undefined ? null : options.messageId,
+        location.additionalInfo ? JSON.stringify(location.additionalInfo) : null
+      ]);
+
+    let inserted = 0;
+    const placeholders = `(${COLUMNS.map(() => '?').join(', ')})`;
+    for (let start = 0; start < rows.length; start += LOCATION_STORE_DEFAULTS.insertChunkSize) {
+      const chunk = rows.slice(start, start + LOCATION_STORE_DEFAULTS.insertChunkSize);
+      const { changes } = await this.database.run(
+        `INSERT OR IGNORE INTO locations (${COLUMNS.join(', ')})
+         VALUES ${chunk.map(() => placeholders).join(', ')}`,
+        chunk.flat()
+      );
+      inserted += changes;
+    }
+
+    return {
+      inserted,
+      duplicates: rows.length - inserted,
+      skipped: locations.length - rows.length
+    };
+  }
+
+  async getTrack(phoneNumber, from, to, options = {}) {
+    const limit = options.limit || this.pageSize;
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.maxPageSize) {
+      throw invalidArgument(`Page size must be an integer from 1 to ${this.maxPageSize}`);
+    }
+
+    const conditions = ['phone_number = ?', 'recorded_at >= ?', 'recorded_at <= ?'];
+    const params = [phoneNumber, toISOTime(from, 'start'), toISOTime(to, 'end')];
+    if (options.cursor) {
+      const [recordedAt, id] = decodeCursor(options.cursor, isTimeAndId);
+      conditions.push('(recorded_at > ? OR (recorded_at = ? AND id > ?))');
+      params.push(recordedAt, recordedAt, id);
+    }
+
+    await this.init();
+    const rows = await this.database.all(
+      `SELECT * FROM locations WHERE ${conditions.join(' AND ')}
+       ORDER BY recorded_at, id LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      locations: page.map(rowToLocation),
+      nextCursor: rows.length > limit ? encodeCursor([last.recorded_at, last.id]) : null
+    };
+  }
+
+  async getLatest(phoneNumber) {
+    await this.init();
+    const row = await this.database.get(
+      'SELECT * FROM locations WHERE phone_number = ? ORDER BY recorded_at DESC, id DESC LIMIT 1',
+      [phoneNumber]
+    );
+    return rowToLocation(row);
+  }
+
+  async listLatest() {
+    await this.init();
+    const rows = await this.database.all(
+      `SELECT * FROM (
+         SELECT *, ROW_NUMBER() OVER (PARTITION BY phone_number ORDER BY recorded_at DESC, id DESC) AS position
+         FROM locations
+       ) WHERE position = 1 ORDER BY phone_number`
+    );
+    return rows.map(rowToLocation);
+  }
+}
+
+module.exports = {
+  SqliteLocationStore,
+  LOCATION_STORE_DEFAULTS
+};
@@ -0,0 +1,144 @@
+/**
+ * JT808 message dispatch pipeline
+ * Routes parsed frames to handlers registered by message ID
+ */
+
+const { MessageSerializer, MessageFactory } = require('../utils/message-validator');
+const { MESSAGE_IDS, GENERAL_RESPONSE_RESULTS } = require('../models/jt808-messages');
+
+/**
+ * Context passed to message handlers
+ */
+class MessageContext {
+  /**
+   * @param {Object} options - Context options
+   * @param {Object} options.session - Session the message arrived on
+   * @param {MessageHeader} options.header - Parsed message header
+   * @param {Buffer} options.rawBody - Undecoded message body
+   * @param {Function} options.send - Function (messageId, body) sending a downlink to the terminal
+   * @param {Function} options.write - Function (frame) writing an already wrapped frame to the terminal
+   * @param {string} options.protocolVersion - Protocol version used to decode the body (defaults to the header's)
+   */
+  constructor({ session, header, rawBody, send, write, protocolVersion }) {
+    this.session = session;
+    this.header = header;
+    this.rawBody = rawBody;
+    this.protocolVersion = protocolVersion || header.protocolVersion;
+    this.body = null; // Decoded body, set by the dispatcher
+    this.send = send;
+    this.writeFrame = write;
+  }
+
+  /**
+   * Send a downlink message to the terminal
+   * @param {number} messageId - Downlink message ID
+   * @param {Buffer} body - Message body
+   * @returns {*} Result of the send function
+   */
+  reply(messageId, body) {
+    return this.send(messageId, body);
+  }
+
+  /**
+   * Write an already wrapped frame to the terminal, e.g. a cached packet being resent
+   * @param {Buffer} frame - Wrapped JT808 frame
+   * @returns {*} Result of the write function
+   */
+  write(frame) {
+    return this.writeFrame(frame);
+  }
+
+  /**
+   * Answer the message with a platform general response (0x8001)
+   * @param {number} result - Result code from GENERAL_RESPONSE_RESULTS
+   * @returns {*} Result of the send function
+   */
+  respond(result = GENERAL_RESPONSE_RESULTS.SUCCESS) {
+    const body = MessageFactory.createGeneralResponse(
+      this.header.messageSequence,
+      this.header.messageId,
+      result
+    );
+    return this.reply(MESSAGE_IDS.PLATFORM_GENERAL_RESPONSE, body);
+  }
+}
+
+/**
+ * Handler registry keyed by message ID
+ */
+class MessageDispatcher {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register handler for a message ID
+   * @param {number} messageId - Message ID from MESSAGE_IDS
+   * @param {Function} handler - Async function receiving a MessageContext
+   * @returns {MessageDispatcher} This dispatcher for chaining
+   */
+  register(messageId, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for message 0x${messageId.toString(16).padStart(4, '0')} must be a function`);
+    }
+    this.handlers.set(messageId, handler);
+    return this;
+  }
+
+  /**
+   * Remove handler for a message ID
+   * @param {number} messageId - Message ID
+   * @returns {boolean} True if a handler was removed
+   */
+  unregister(messageId) {
+    return this.handlers.delete(messageId);
+  }
+
+  /**
+   * Check if a handler is registered
+   * @param {number} messageId - Message ID
+   * @returns {boolean} True if handler exists
+   */
+  hasHandler(messageId) {
+    return this.handlers.has(messageId);
+  }
+
+  /**
+   * Dispatch message to its handler
+   * Unknown message IDs are answered with result 3 (not supported), bodies
+   * that fail to decode with result 2 and handler errors with result 1.
+   * @param {MessageContext} context - Message context
+   * @returns {Promise<Object>} Dispatch outcome with status and optional error
+   */
+  async dispatch(context) {
+    const { messageId } = context.header;
+    const handler = this.handlers.get(messageId);
+
+    if (!handler) {
+      await context.respond(GENERAL_RESPONSE_RESULTS.NOT_SUPPORTED);
+      return { status: 'unsupported' };
+    }
+
+    if (MessageSerializer.getStructure(messageId, context.protocolVersion)) {
+      try {
+        context.body = MessageSerializer.deserialize(messageId, context.rawBody, context.protocolVersion);
+      } catch (error) {
+        await context.respond(GENERAL_RESPONSE_RESULTS.MESSAGE_ERROR);
+        return { status: 'invalid', error };
+      }
+    }
+
+    try {
+      await handler(context);
+      return { status: 'handled' };
+    } catch (error) {
+      await context.respond(GENERAL_RESPONSE_RESULTS.FAILURE);
+      return { status: 'failed', error };
+    }
+  }
+}
+
+module.exports = {
+  MessageDispatcher,
+  MessageContext
+};
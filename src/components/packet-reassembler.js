@@ -0,0 +1,277 @@
+/**
+ * Reassembly of multi-packet (sub-package) uplink messages
+ * Terminals split bodies over 1023 bytes into packets numbered 1..total with
+ * consecutive sequence numbers. Packets are collected per device, message ID
+ * and first sequence number until the set is complete. Gaps are reported with
+ * a 'missing' event so the platform can request them again (0x8003). Gaps left
+ * when the last packet arrives are only reported after a short grace period,
+ * so packets merely reordered in transit are not requested twice.
+ */
+
+const EventEmitter = require('events');
+const Logger = require('../utils/logger');
+
+/**
+ * Default reassembly settings
+ */
+const PACKET_REASSEMBLER_DEFAULTS = {
+  timeout: 30000, // ms without a new packet before missing packets are requested again
+  maxResendRequests: 3, // Resend requests per set before it is dropped
+  resendDelay: 3000, // ms after the last packet before earlier missing ones are requested
+  sweepInterval: 5000, // ms
+  maxPendingSets: 64
+};
+
+/**
+ * Sequence number of packet 1 given any packet of the set
+ * @param {number} sequence - Packet sequence number
+ * @param {number} current - Packet number (1-based)
+ * @returns {number} First sequence number, wrapped to 16 bits
+ */
+function firstSequenceOf(sequence, current) {
+  return (sequence - (current - 1) + 0x10000) & 0xffff;
+}
+
+class PacketReassembler extends EventEmitter {
+  /**
+   * @param {Object} options - Reassembler options
+   * @param {number} options.timeout - Time without a new packet before missing packets are requested, in milliseconds
+   * @param {number} options.maxResendRequests - Resend requests per set before it is dropped
+   * @param {number} options.resendDelay - Grace period after the last packet before missing ones are requested, in milliseconds
+   * @param {number} options.sweepInterval - Time between expiry sweeps in milliseconds
+   * @param {number} options.maxPendingSets - Incomplete sets kept before the oldest is dropped
+   */
+  constructor(options = {}) {
+    super();
+    this.timeout = options.timeout || PACKET_REASSEMBLER_DEFAULTS.timeout;
+    this.maxResendRequests = options.maxResendRequests ?? PACKET_REASSEMBLER_DEFAULTS.maxResendRequests;
+    this.resendDelay = options.resendDelay ?? PACKET_REASSEMBLER_DEFAULTS.resendDelay;
+    this.sweepInterval = options.sweepInterval || PACKET_REASSEMBLER_DEFAULTS.sweepInterval;
+    this.maxPendingSets = options.maxPendingSets || PACKET_REASSEMBLER_DEFAULTS.maxPendingSets;
+    this.sets = new Map(); // Insertion order is oldest first
+    this.timer = null;
+  }
+
+  /**
+   * Build the key identifying a packet set
+   * @param {string} deviceId - Terminal phone number
+   * @param {number} messageId - Message ID
+   * @param {number} firstSequence - Sequence number of packet 1
+   * @returns {string} Set key
+   */
+  static keyOf(deviceId, messageId, firstSequence) {
+    return `${deviceId}:${messageId}:${firstSequence}`;
+  }
+
+  /**
+   * Add one packet
+   * Duplicates are ignored; packets may arrive in any order. When the last
+   * packet arrives with earlier ones still missing, they are requested by the
+   * first sweep after the resend delay unless they turn up in the meantime.
+   * @param {MessageHeader} header - Packet header with messagePackage
+   * @param {Buffer} body - Packet body
+   * @param {Date} now - Receive time
+   * @returns {Object|null} Reassembled message { header, body } once complete, otherwise null
+   * @throws {Error} If the package info is invalid
+   */
+  push(header, body, now = new Date()) {
+    const { total, current } = header.messagePackage;
+
+    if (total < 1 || current < 1 || current > total) {
+      throw new Error(`Invalid package info: packet ${current} of ${total}`);
+    }
+
+    const firstSequence = firstSequenceOf(header.messageSequence, current);
+    const key = PacketReassembler.keyOf(header.deviceId, header.messageId, firstSequence);
+    let set = this.sets.get(key);
+
+    if (!set) {
+      set = {
+        key,
+        deviceId: header.deviceId,
+        messageId: header.messageId,
+        firstSequence,
+        total,
+        packets: new Map(),
+        firstHeader: null,
+        resendRequests: 0,
+        resendDueAt: null,
+        startedAt: now,
+        updatedAt: now
+      };
+      this.sets.set(key, set);
+      this.enforceLimit();
+    } else if (set.total !== total) {
+      throw new Error(`Package total changed from ${set.total} to ${total} for ${key}`);
+    }
+
+    set.updatedAt = now;
+    if (set.packets.has(current)) {
+      return null;
+    }
+
+    set.packets.set(current, body);
+    if (current === 1) {
+      set.firstHeader = header;
+    }
+
+    if (set.packets.size < total) {
+      if (current === total) {
+        set.resendDueAt = new Date(now.getTime() + this.resendDelay);
+      }
+      return null;
+    }
+
+    this.sets.delete(key);
+    return PacketReassembler.assemble(set);
+  }
+
+  /**
+   * Join the packets of a complete set into one logical message
+   * The header is packet 1's, with the length of the joined body.
+   * @param {Object} set - Complete packet set
+   * @returns {Object} Reassembled message { header, body }
+   */
+  static assemble(set) {
+    const parts = [];
+    for (let current = 1; current <= set.total; current++) {
+      parts.push(set.packets.get(current));
+    }
+    const body = Buffer.concat(parts);
+
+    const header = Object.assign(Object.create(Object.getPrototypeOf(set.firstHeader)), set.firstHeader, {
+      messageLength: body.length
+    });
+
+    return { header, body };
+  }
+
+  /**
+   * Packet numbers still missing from a set
+   * @param {Object} set - Packet set
+   * @returns {Array<number>} Missing packet numbers in ascending order
+   */
+  static missingPackets(set) {
+    const missing = [];
+    for (let current = 1; current <= set.total; current++) {
+      if (!set.packets.has(current)) {
+        missing.push(current);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Report the missing packets of a set so they can be requested again
+   * @param {Object} set - Incomplete packet set
+   * @returns {boolean} False once the resend request limit is reached
+   */
+  requestMissing(set) {
+    if (set.resendRequests >= this.maxResendRequests) {
+      return false;
+    }
+
+    set.resendRequests++;
+    this.emit('missing', {
+      deviceId: set.deviceId,
+      messageId: set.messageId,
+      firstSequence: set.firstSequence,
+      total: set.total,
+      missing: PacketReassembler.missingPackets(set),
+      attempt: set.resendRequests
+    });
+    return true;
+  }
+
+  /**
+   * Drop the oldest incomplete sets beyond the limit
+   */
+  enforceLimit() {
+    while (this.sets.size > this.maxPendingSets) {
+      const [oldest] = this.sets.values();
+      this.drop(oldest, 'too many incomplete packet sets');
+    }
+  }
+
+  /**
+   * Remove an incomplete set and report it
+   * @param {Object} set - Packet set
+   * @param {string} reason - Drop reason
+   */
+  drop(set, reason) {
+    this.sets.delete(set.key);
+    const summary = {
+      deviceId: set.deviceId,
+      messageId: set.messageId,
+      firstSequence: set.firstSequence,
+      total: set.total,
+      received: set.packets.size,
+      missing: PacketReassembler.missingPackets(set),
+      reason
+    };
+
+    Logger.warn('Dropped incomplete multi-packet message', {
+      ...summary,
+      messageId: `0x${set.messageId.toString(16).padStart(4, '0')}`,
+      missing: summary.missing.length
+    });
+    this.emit('expired', summary);
+  }
+
+  /**
+   * Request the missing packets of every set whose resend delay has passed or
+   * that has not received a packet within the timeout, dropping sets whose
+   * resend requests are used up
+   * @param {Date} now - Current time
+   * @returns {number} Number of sets dropped
+   */
+  sweep(now = new Date()) {
+    let dropped = 0;
+    for (const set of Array.from(this.sets.values())) {
+      const resendDue = set.resendDueAt !== null && now >= set.resendDueAt;
+      if (!resendDue && now - set.updatedAt <= this.timeout) {
+        continue;
+      }
+      set.resendDueAt = null;
+      if (this.requestMissing(set)) {
+        set.updatedAt = now;
+      } else {
+        this.drop(set, 'reassembly timeout');
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * Number of incomplete sets
+   * @returns {number} Pending set count
+   */
+  pending() {
+    return this.sets.size;
+  }
+
+  /**
+   * Start periodic expiry sweeps
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.sweep(), this.sweepInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop periodic expiry sweeps
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = {
+  PacketReassembler,
+  PACKET_REASSEMBLER_DEFAULTS
+};
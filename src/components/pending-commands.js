@@ -0,0 +1,158 @@
+/**
+ * Platform commands awaiting a terminal general response (0x0001)
+ * Commands are matched by the sequence number and message ID the terminal
+ * echoes back. Unanswered commands are retransmitted with the standard's
+ * growing timeout T(N+1) = T(N) × (N+1), where T(0) is the TCP response
+ * timeout (parameter 0x0002) and N the retransmission number (up to parameter
+ * 0x0003), so the waits are T, 2T, 6T, 24T…
+ */
+
+const { GENERAL_RESPONSE_RESULTS } = require('../models/jt808-messages');
+
+/**
+ * Error code of commands the terminal never answered
+ */
+const COMMAND_TIMEOUT = 'COMMAND_TIMEOUT';
+
+/**
+ * Error code of commands dropped before an answer, e.g. because the session closed
+ */
+const COMMAND_ABORTED = 'COMMAND_ABORTED';
+
+class PendingCommands {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  /**
+   * Build the key of a pending command
+   * @param {number} sequenceNumber - Sequence number the terminal will reply to
+   * @param {number} messageId - Command message ID
+   * @returns {string} Command key
+   */
+  static keyOf(sequenceNumber, messageId) {
+    return `${sequenceNumber}:${messageId}`;
+  }
+
+  /**
+   * Track a sent command until the terminal answers
+   * Split commands are answered per packet; the reply to the last packet
+   * settles the command, while a non-success reply to any packet settles it early.
+   * @param {Object} command - Sent command
+   * @param {number} command.messageId - Command message ID
+   * @param {Array<number>} command.sequenceNumbers - Sequence numbers of its packets, first to last
+   * @param {Function} command.retransmit - Sends the command again
+   * @param {number} command.timeout - First response timeout T in milliseconds
+   * @param {number} command.retransmissions - Retransmissions before giving up
+   * @returns {Promise<Object>} Resolves with the terminal response
+   */
+  add({ messageId, sequenceNumbers, retransmit, timeout, retransmissions }) {
+    return new Promise((resolve, reject) => {
+      const command = {
+        messageId,
+        sequenceNumbers,
+        keys: sequenceNumbers.map((sequenceNumber) => PendingCommands.keyOf(sequenceNumber, messageId)),
+        attempt: 0,
+        delay: timeout,
+        waited: 0,
+        timer: null,
+        resolve,
+        reject
+      };
+
+      const wait = () => {
+        // Each wait grows from the previous one: T(N+1) = T(N) × (N+1)
+        const delay = command.attempt === 0 ? timeout : command.delay * (command.attempt + 1);
+        command.delay = delay;
+        command.timer = setTimeout(() => {
+          command.waited += delay;
+          if (command.attempt >= retransmissions) {
+            const first = sequenceNumbers[0];
+            const error = new Error(
+              `No response to 0x${messageId.toString(16).padStart(4, '0')} (sequence ${first}) ` +
+              `after ${command.attempt + 1} attempts over ${command.waited / 1000}s`
+            );
+            error.code = COMMAND_TIMEOUT;
+            this.settle(command);
+            reject(error);
+            return;
+          }
+          command.attempt++;
+          retransmit(command.attempt);
+          wait();
+        }, delay);
+        if (command.timer.unref) {
+          command.timer.unref();
+        }
+      };
+
+      for (const key of command.keys) {
+        this.commands.set(key, command);
+      }
+      wait();
+    });
+  }
+
+  /**
+   * Match a terminal general response to a pending command
+   * @param {number} replySequence - Sequence number the terminal replied to
+   * @param {number} replyMessageId - Message ID the terminal replied to
+   * @param {Object} response - Terminal response passed to the command's issuer
+   * @param {number} response.result - Result code from GENERAL_RESPONSE_RESULTS
+   * @returns {boolean} True if the response matched a pending command
+   */
+  resolve(replySequence, replyMessageId, response) {
+    const command = this.commands.get(PendingCommands.keyOf(replySequence, replyMessageId));
+    if (!command) {
+      return false;
+    }
+
+    const isLast = replySequence === command.sequenceNumbers[command.sequenceNumbers.length - 1];
+    if (!isLast && response.result === GENERAL_RESPONSE_RESULTS.SUCCESS) {
+      this.commands.delete(PendingCommands.keyOf(replySequence, replyMessageId));
+      return true;
+    }
+
+    this.settle(command);
+    command.resolve(response);
+    return true;
+  }
+
+  /**
+   * Fail every pending command, e.g. when the session closes
+   * @param {string} reason - Failure reason
+   */
+  rejectAll(reason) {
+    for (const command of new Set(this.commands.values())) {
+      const error = new Error(reason);
+      error.code = COMMAND_ABORTED;
+      this.settle(command);
+      command.reject(error);
+    }
+  }
+
+  /**
+   * Stop tracking a command
+   * @param {Object} command - Pending command
+   */
+  settle(command) {
+    clearTimeout(command.timer);
+    for (const key of command.keys) {
+      this.commands.delete(key);
+    }
+  }
+
+  /**
+   * Number of pending commands
+   * @returns {number} Pending command count
+   */
+  size() {
+    return new Set(this.commands.values()).size;
+  }
+}
+
+module.exports = {
+  PendingCommands,
+  COMMAND_TIMEOUT,
+  COMMAND_ABORTED
+};
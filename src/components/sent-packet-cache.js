@@ -0,0 +1,107 @@
+/**
+ * Cache of split downlink messages kept for terminal resend requests (0x0005)
+ * Each entry holds the wrapped frames of one multi-packet message, keyed by
+ * terminal and the sequence number of packet 1.
+ */
+
+/**
+ * Default cache settings
+ */
+const SENT_PACKET_CACHE_DEFAULTS = {
+  ttl: 120000, // ms a split message stays available for resending
+  maxResends: 3 // Resend requests honoured per message
+};
+
+class SentPacketCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} options.ttl - Time a split message stays available, in milliseconds
+   * @param {number} options.maxResends - Resend requests honoured per message
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl || SENT_PACKET_CACHE_DEFAULTS.ttl;
+    this.maxResends = options.maxResends ?? SENT_PACKET_CACHE_DEFAULTS.maxResends;
+    this.entries = new Map();
+  }
+
+  /**
+   * Build the key identifying a split message
+   * @param {string} deviceId - Terminal phone number
+   * @param {number} firstSequence - Sequence number of packet 1
+   * @returns {string} Entry key
+   */
+  static keyOf(deviceId, firstSequence) {
+    return `${deviceId}:${firstSequence}`;
+  }
+
+  /**
+   * Keep the frames of a split message
+   * @param {string} deviceId - Terminal phone number
+   * @param {number} firstSequence - Sequence number of packet 1
+   * @param {Array<Buffer>} frames - Wrapped frames, packet 1 first
+   * @param {Date} now - Send time
+   */
+  record(deviceId, firstSequence, frames, now = new Date()) {
+    this.prune(now);
+    this.entries.set(SentPacketCache.keyOf(deviceId, firstSequence), {
+      frames,
+      resends: 0,
+      sentAt: now
+    });
+  }
+
+  /**
+   * Look up packets a terminal asks for again
+   * @param {string} deviceId - Terminal phone number
+   * @param {number} firstSequence - Sequence number of packet 1
+   * @param {Array<number>} packetIds - Requested packet numbers (1-based)
+   * @param {Date} now - Request time
+   * @returns {Object} { frames } on success, otherwise { error } describing why nothing can be resent
+   */
+  resend(deviceId, firstSequence, packetIds, now = new Date()) {
+    this.prune(now);
+    const key = SentPacketCache.keyOf(deviceId, firstSequence);
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return { error: `no split message with first sequence ${firstSequence}` };
+    }
+
+    if (entry.resends >= this.maxResends) {
+      return { error: `resend limit of ${this.maxResends} reached for first sequence ${firstSequence}` };
+    }
+
+    const invalid = packetIds.filter((id) => id < 1 || id > entry.frames.length);
+    if (invalid.length > 0) {
+      return { error: `packet numbers out of range 1-${entry.frames.length}: ${invalid.join(', ')}` };
+    }
+
+    entry.resends++;
+    return { frames: packetIds.map((id) => entry.frames[id - 1]) };
+  }
+
+  /**
+   * Forget messages older than the TTL
+   * @param {Date} now - Current time
+   */
+  prune(now = new Date()) {
+    for (const [key, entry] of this.entries) {
+      if (now - entry.sentAt > this.ttl) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Number of cached split messages
+   * @returns {number} Entry count
+   */
+  size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = {
+  SentPacketCache,
+  SENT_PACKET_CACHE_DEFAULTS
+};
@@ -0,0 +1,269 @@
+/**
+ * Terminal session state machine
+ * Tracks one TCP connection from connect through registration and authentication to close.
+ */
+
+const EventEmitter = require('events');
+const { MESSAGE_IDS, TERMINAL_PARAMETERS } = require('../models/jt808-messages');
+const { PendingCommands } = require('./pending-commands');
+
+/**
+ * Session states
+ */
+const SESSION_STATES = {
+  CONNECTED: 'connected',
+  REGISTERED: 'registered',
+  AUTHENTICATED: 'authenticated',
+  CLOSED: 'closed'
+};
+
+/**
+ * Default terminal heartbeat interval in seconds
+ */
+const DEFAULT_HEARTBEAT_INTERVAL = 60;
+
+/**
+ * Default TCP response timeout (parameter 0x0002) in seconds and
+ * retransmission count (parameter 0x0003)
+ */
+const DEFAULT_RESPONSE_TIMEOUT = 10;
+const DEFAULT_RETRANSMISSION_COUNT = 3;
+
+/**
+ * Allowed state transitions
+ * Terminals that already hold an auth code skip registration.
+ */
+const TRANSITIONS = {
+  [SESSION_STATES.CONNECTED]: [SESSION_STATES.REGISTERED, SESSION_STATES.AUTHENTICATED, SESSION_STATES.CLOSED],
+  [SESSION_STATES.REGISTERED]: [SESSION_STATES.REGISTERED, SESSION_STATES.AUTHENTICATED, SESSION_STATES.CLOSED],
+  [SESSION_STATES.AUTHENTICATED]: [SESSION_STATES.REGISTERED, SESSION_STATES.AUTHENTICATED, SESSION_STATES.CLOSED],
+  [SESSION_STATES.CLOSED]: []
+};
+
+/**
+ * Messages accepted before the session is authenticated
+ */
+const UNAUTHENTICATED_MESSAGE_IDS = [
+  MESSAGE_IDS.TERMINAL_REGISTRATION,
+  MESSAGE_IDS.TERMINAL_AUTH,
+  MESSAGE_IDS.TERMINAL_UNREGISTER
+];
+
+class Session extends EventEmitter {
+  /**
+   * @param {number} id - Connection ID
+   * @param {net.Socket} socket - Terminal socket
+   * @param {Object} info - Connection info shared with connection listings
+   * @param {Object} options - Session options
+   * @param {number} options.heartbeatInterval - Expected terminal heartbeat interval in seconds
+   * @param {number} options.responseTimeout - TCP response timeout in seconds
+   * @param {number} options.retransmissionCount - Command retransmissions before giving up
+   */
+  constructor(id, socket, info, options = {}) {
+    super();
+    this.id = id;
+    this.socket = socket;
+    this.info = info;
+    this.state = SESSION_STATES.CONNECTED;
+    this.phoneNumber = null;
+    this.protocolVersion = null; // Decided once at registration or authentication
+    this.versionNumber = null; // JT808-2019 header protocol version number
+    this.imei = null;
+    this.softwareVersion = null;
+    this.authenticatedAt = null;
+    this.closeReason = null;
+    this.closedAt = null;
+    this.heartbeatInterval = options.heartbeatInterval || DEFAULT_HEARTBEAT_INTERVAL;
+    this.responseTimeout = options.responseTimeout || DEFAULT_RESPONSE_TIMEOUT;
+    this.retransmissionCount = options.retransmissionCount ?? DEFAULT_RETRANSMISSION_COUNT;
+    this.sequenceNumber = 0; // Next downlink sequence number
+    this.pendingCommands = new PendingCommands();
+    this.lastSeenAt = new Date();
+    this.lastHeartbeatAt = null;
+  }
+
+  /**
+   * Move to a new state
+   * @param {string} state - Target state from SESSION_STATES
+   * @throws {Error} If the transition is not allowed
+   */
+  transition(state) {
+    const previous = this.state;
+    if (!TRANSITIONS[previous].includes(state)) {
+      throw new Error(`Invalid session transition: ${previous} -> ${state}`);
+    }
+    this.state = state;
+    this.emit('statechange', state, previous);
+  }
+
+  /**
+   * Fix the protocol version used to decode and encode this session's messages
+   * The first decision wins; later calls leave it unchanged.
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS
+   * @param {number} versionNumber - JT808-2019 header protocol version number
+   * @returns {boolean} False if the version was already decided
+   */
+  setProtocolVersion(protocolVersion, versionNumber = null) {
+    if (this.protocolVersion) {
+      return false;
+    }
+    this.protocolVersion = protocolVersion;
+    this.versionNumber = versionNumber;
+    return true;
+  }
+
+  /**
+   * Record a successful registration
+   * @param {string} phoneNumber - Terminal phone number
+   */
+  markRegistered(phoneNumber) {
+    this.transition(SESSION_STATES.REGISTERED);
+    this.phoneNumber = phoneNumber;
+  }
+
+  /**
+   * Record a successful authentication and bind the terminal phone number
+   * @param {string} phoneNumber - Terminal phone number
+   * @param {Object} details - IMEI and software version (JT808-2019 only)
+   */
+  authenticate(phoneNumber, details = {}) {
+    this.phoneNumber = phoneNumber;
+    this.imei = details.imei || null;
+    this.softwareVersion = details.softwareVersion || null;
+    this.authenticatedAt = new Date();
+    this.info.deviceId = phoneNumber;
+    this.transition(SESSION_STATES.AUTHENTICATED);
+  }
+
+  /**
+   * Record traffic from the terminal
+   * @param {Date} now - Receive time
+   */
+  touch(now = new Date()) {
+    this.lastSeenAt = now;
+  }
+
+  /**
+   * Record a heartbeat (0x0002) from the terminal
+   * @param {Date} now - Receive time
+   */
+  recordHeartbeat(now = new Date()) {
+    this.lastHeartbeatAt = now;
+    this.touch(now);
+  }
+
+  /**
+   * Reserve downlink sequence numbers
+   * Numbers wrap from 65535 to 0; split messages reserve one per packet.
+   * @param {number} count - Numbers to reserve
+   * @returns {number} First reserved sequence number
+   */
+  nextSequence(count = 1) {
+    const first = this.sequenceNumber;
+    this.sequenceNumber = (this.sequenceNumber + count) & 0xffff;
+    return first;
+  }
+
+  /**
+   * Apply terminal parameters known to affect the session
+   * @param {Array} parameters - Parameter objects with id and value Buffer
+   */
+  applyParameters(parameters) {
+    for (const parameter of parameters) {
+      if (parameter.value.length !== 4) {
+        continue;
+      }
+      const value = parameter.value.readUInt32BE(0);
+      if (parameter.id === TERMINAL_PARAMETERS.HEARTBEAT_INTERVAL) {
+        this.heartbeatInterval = value || this.heartbeatInterval;
+      } else if (parameter.id === TERMINAL_PARAMETERS.TCP_TIMEOUT) {
+        this.responseTimeout = value || this.responseTimeout;
+      } else if (parameter.id === TERMINAL_PARAMETERS.TCP_RETRANSMISSION_COUNT) {
+        this.retransmissionCount = value;
+      }
+    }
+  }
+
+  /**
+   * Check whether the terminal has been silent too long
+   * @param {number} timeoutMultiplier - Allowed silence as a multiple of the heartbeat interval
+   * @param {Date} now - Current time
+   * @returns {boolean} True if the session is idle
+   */
+  isIdle(timeoutMultiplier, now = new Date()) {
+    return now - this.lastSeenAt > this.heartbeatInterval * timeoutMultiplier * 1000;
+  }
+
+  /**
+   * Check whether the session is authenticated
+   * @returns {boolean} True once authentication succeeded
+   */
+  isAuthenticated() {
+    return this.state === SESSION_STATES.AUTHENTICATED;
+  }
+
+  /**
+   * Check whether a message may be processed on this session
+   * @param {number} messageId - Message ID
+   * @param {string} phoneNumber - Terminal phone number from the message header
+   * @returns {boolean} True if the message is accepted
+   */
+  accepts(messageId, phoneNumber) {
+    if (this.state === SESSION_STATES.CLOSED) {
+      return false;
+    }
+    if (UNAUTHENTICATED_MESSAGE_IDS.includes(messageId)) {
+      return true;
+    }
+    return this.isAuthenticated() && phoneNumber === this.phoneNumber;
+  }
+
+  /**
+   * Close the session and its socket
+   * @param {string} reason - Close reason
+   * @returns {boolean} False if the session was already closed
+   */
+  close(reason) {
+    if (this.state === SESSION_STATES.CLOSED) {
+      return false;
+    }
+    this.closeReason = reason;
+    this.closedAt = new Date();
+    this.transition(SESSION_STATES.CLOSED);
+    if (this.socket && !this.socket.destroyed) {
+      this.socket.destroy();
+    }
+    this.pendingCommands.rejectAll(`Session closed: ${reason}`);
+    return true;
+  }
+
+  /**
+   * Session summary for connection listings
+   * @returns {Object} Serializable session details
+   */
+  toJSON() {
+    return {
+      state: this.state,
+      phoneNumber: this.phoneNumber,
+      protocolVersion: this.protocolVersion,
+      imei: this.imei,
+      softwareVersion: this.softwareVersion,
+      authenticatedAt: this.authenticatedAt,
+      heartbeatInterval: this.heartbeatInterval,
+      pendingCommands: this.pendingCommands.size(),
+      lastSeenAt: this.lastSeenAt,
+      lastHeartbeatAt: this.lastHeartbeatAt,
+      closedAt: this.closedAt,
+      closeReason: this.closeReason
+    };
+  }
+}
+
+module.exports = {
+  Session,
+  SESSION_STATES,
+  UNAUTHENTICATED_MESSAGE_IDS,
+  DEFAULT_HEARTBEAT_INTERVAL,
+  DEFAULT_RESPONSE_TIMEOUT,
+  DEFAULT_RETRANSMISSION_COUNT
+};
@@ -0,0 +1,104 @@
+/**
+ * Static file serving for the built-in dashboard
+ * Serves files from one directory under a URL prefix, never outside it.
+ * Files are read on request, so edits show up without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Content types by file extension
+ */
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+class StaticFiles {
+  /**
+   * @param {string} root - Directory to serve
+   * @param {Object} options - Serving options
+   * @param {string} options.prefix - URL prefix the directory is mounted at, e.g. '/dashboard'
+   * @param {string} options.index - File served for the prefix itself
+   */
+  constructor(root, options = {}) {
+    this.root = path.resolve(root);
+    this.prefix = options.prefix || '';
+    this.index = options.index || 'index.html';
+  }
+
+  /**
+   * Resolve a URL path to a file inside the root
+   * @param {string} pathname - URL path
+   * @returns {string|null} Absolute file path, or null if the path is outside the prefix or root
+   */
+  resolve(pathname) {
+    if (pathname !== this.prefix && !pathname.startsWith(`${this.prefix}/`)) {
+      return null;
+    }
+
+    let relative;
+    try {
+      relative = decodeURIComponent(pathname.slice(this.prefix.length)).replace(/^\/+/, '');
+    } catch (error) {
+      return null;
+    }
+    const file = path.resolve(this.root, relative || this.index);
+    return file === this.root || file.startsWith(this.root + path.sep) ? file : null;
+  }
+
+  /**
+   * Answer a request if it names a file under the prefix
+   * @param {http.IncomingMessage} request - HTTP request
+   * @param {http.ServerResponse} response - HTTP response
+   * @returns {Promise<boolean>} True if the request was answered
+   */
+  async handle(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return false;
+    }
+    if (pathname === this.prefix && this.prefix) {
+      // Relative asset URLs in the index need the trailing slash
+      response.writeHead(301, { Location: `${this.prefix}/` });
+      response.end();
+      return true;
+    }
+
+    const file = this.resolve(pathname);
+    if (!file) {
+      return false;
+    }
+
+    let content;
+    try {
+      content = await fs.promises.readFile(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'EISDIR') {
+        throw error;
+      }
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found');
+      return true;
+    }
+
+    response.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+      'Content-Length': content.length,
+      'Cache-Control': 'no-cache'
+    });
+    response.end(request.method === 'HEAD' ? undefined : content);
+    return true;
+  }
+}
+
+module.exports = {
+  StaticFiles,
+  CONTENT_TYPES
+};
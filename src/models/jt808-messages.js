@@ -8,11 +8,15 @@
  */
 const MESSAGE_IDS = {
   // Terminal -> Platform messages
+  TERMINAL_GENERAL_RESPONSE: 0x0001,
   TERMINAL_REGISTRATION: 0x0100,
   TERMINAL_UNREGISTER: 0x0003,
   TERMINAL_AUTH: 0x0102,
   TERMINAL_HEARTBEAT: 0x0002,
+  TERMINAL_RESEND_SUBPACKAGE_REQUEST: 0x0005,
+  QUERY_TERMINAL_PARAMETERS_RESPONSE: 0x0104,
   LOCATION_REPORT: 0x0200,
+  LOCATION_QUERY_RESPONSE: 0x0201,
   LOCATION_BATCH_REPORT: 0x0704,
   MULTIMEDIA_EVENT_UPLOAD: 0x0800,
   MULTIMEDIA_DATA_UPLOAD: 0x0801,
@@ -26,7 +30,7 @@ const MESSAGE_IDS = {
 
   // Platform -> Terminal messages
   PLATFORM_GENERAL_RESPONSE: 0x8001,
-  PLATFORM_HEARTBEAT: 0x8003,
+  PLATFORM_RESEND_SUBPACKAGE_REQUEST: 0x8003,
   TERMINAL_REGISTRATION_RESPONSE: 0x8100,
   SET_TERMINAL_PARAMETERS: 0x8103,
   QUERY_TERMINAL_PARAMETERS: 0x8104,
@@ -63,6 +67,291 @@ const MESSAGE_IDS = {
   PLATFORM_RSA_PUBLIC_KEY: 0x8a00,
 };
 
+/**
+ * Location basic information followed by additional information items,
+ * shared by 0x0200, each 0x0704 item and 0x0201
+ */
+const LOCATION_REPORT_FIELDS = [
+  { name: "alarmFlag", type: "uint32", description: "Alarm flag" },
+  { name: "statusFlag", type: "uint32", description: "Status flag" },
+  {
+    name: "latitude",
+    type: "uint32",
+    description: "Latitude (degrees * 10^6)",
+  },
+  {
+    name: "longitude",
+    type: "uint32",
+    description: "Longitude (degrees * 10^6)",
+  },
+  { name: "altitude", type: "uint16", description: "Altitude (meters)" },
+  { name: "speed", type: "uint16", description: "Speed (0.1 km/h)" },
+  {
+    name: "direction",
+    type: "uint16",
+    description: "Direction (0-359 degrees)",
+  },
+  {
+    name: "timestamp",
+    type: "bcd",
+    length: 6,
+    description: "Time (YYMMDDHHMMSS)",
+  },
+  {
+    name: "additionalInfo",
+    type: "additionalInfo",
+    description: "Additional information items (ID, length, value)",
+  },
+];
+
+/**
+ * Time range of an area or route, present when attribute bit 0 is set
+ */
+const AREA_TIME_FIELDS = [
+  {
+    name: "startTime",
+    type: "bcd",
+    length: 6,
+    flagField: "attributes",
+    flagMask: 0x0001,
+    description: "Start time (YYMMDDHHMMSS, 00 fields repeat)",
+  },
+  {
+    name: "endTime",
+    type: "bcd",
+    length: 6,
+    flagField: "attributes",
+    flagMask: 0x0001,
+    description: "End time (YYMMDDHHMMSS, 00 fields repeat)",
+  },
+];
+
+/**
+ * Speed limit of an area, present when attribute bit 1 is set
+ */
+const AREA_SPEED_FIELDS = [
+  {
+    name: "maxSpeed",
+    type: "uint16",
+    flagField: "attributes",
+    flagMask: 0x0002,
+    description: "Maximum speed (km/h)",
+  },
+  {
+    name: "overspeedDuration",
+    type: "uint8",
+    flagField: "attributes",
+    flagMask: 0x0002,
+    description: "Overspeed duration before alarming (seconds)",
+  },
+];
+
+/**
+ * JT808-2019 night speed limit, present when the speed limit bit is set
+ */
+const AREA_NIGHT_SPEED_FIELD = {
+  name: "nightMaxSpeed",
+  type: "uint16",
+  flagField: "attributes",
+  flagMask: 0x0002,
+  description: "Night maximum speed (km/h)",
+};
+
+/**
+ * JT808-2019 area or route name
+ */
+const AREA_NAME_FIELDS = [
+  { name: "nameLength", type: "uint16", description: "Name length" },
+  {
+    name: "name",
+    type: "bytes",
+    lengthField: "nameLength",
+    description: "GBK encoded name",
+  },
+];
+
+/**
+ * One circular area of 0x8600
+ */
+const CIRCULAR_AREA_FIELDS = [
+  { name: "areaId", type: "uint32", description: "Area ID" },
+  {
+    name: "attributes",
+    type: "uint16",
+    description: "Area attributes (AREA_ATTRIBUTES)",
+  },
+  {
+    name: "centerLatitude",
+    type: "uint32",
+    description: "Center latitude (degrees * 10^6)",
+  },
+  {
+    name: "centerLongitude",
+    type: "uint32",
+    description: "Center longitude (degrees * 10^6)",
+  },
+  { name: "radius", type: "uint32", description: "Radius (meters)" },
+  ...AREA_TIME_FIELDS,
+  ...AREA_SPEED_FIELDS,
+];
+
+/**
+ * One rectangular area of 0x8602
+ */
+const RECTANGULAR_AREA_FIELDS = [
+  { name: "areaId", type: "uint32", description: "Area ID" },
+  {
+    name: "attributes",
+    type: "uint16",
+    description: "Area attributes (AREA_ATTRIBUTES)",
+  },
+  {
+    name: "topLeftLatitude",
+    type: "uint32",
+    description: "Top left latitude (degrees * 10^6)",
+  },
+  {
+    name: "topLeftLongitude",
+    type: "uint32",
+    description: "Top left longitude (degrees * 10^6)",
+  },
+  {
+    name: "bottomRightLatitude",
+    type: "uint32",
+    description: "Bottom right latitude (degrees * 10^6)",
+  },
+  {
+    name: "bottomRightLongitude",
+    type: "uint32",
+    description: "Bottom right longitude (degrees * 10^6)",
+  },
+  ...AREA_TIME_FIELDS,
+  ...AREA_SPEED_FIELDS,
+];
+
+/**
+ * One polygon vertex of 0x8604
+ */
+const POLYGON_POINT_FIELDS = [
+  {
+    name: "latitude",
+    type: "uint32",
+    description: "Vertex latitude (degrees * 10^6)",
+  },
+  {
+    name: "longitude",
+    type: "uint32",
+    description: "Vertex longitude (degrees * 10^6)",
+  },
+];
+
+/**
+ * 0x8604 fields up to and including the vertices
+ */
+const POLYGON_AREA_FIELDS = [
+  { name: "areaId", type: "uint32", description: "Area ID" },
+  {
+    name: "attributes",
+    type: "uint16",
+    description: "Area attributes (AREA_ATTRIBUTES)",
+  },
+  ...AREA_TIME_FIELDS,
+  ...AREA_SPEED_FIELDS,
+  { name: "pointCount", type: "uint16", description: "Number of vertices" },
+  {
+    name: "points",
+    type: "array",
+    itemType: "structure",
+    itemFields: POLYGON_POINT_FIELDS,
+    countField: "pointCount",
+    description: "Vertices",
+  },
+];
+
+/**
+ * One turning point of 0x8606 and the route segment that starts there
+ */
+const ROUTE_POINT_FIELDS = [
+  { name: "pointId", type: "uint32", description: "Turning point ID" },
+  { name: "segmentId", type: "uint32", description: "Segment ID" },
+  {
+    name: "latitude",
+    type: "uint32",
+    description: "Turning point latitude (degrees * 10^6)",
+  },
+  {
+    name: "longitude",
+    type: "uint32",
+    description: "Turning point longitude (degrees * 10^6)",
+  },
+  { name: "width", type: "uint8", description: "Segment width (meters)" },
+  {
+    name: "segmentAttributes",
+    type: "uint8",
+    description: "Segment attributes (ROUTE_SEGMENT_ATTRIBUTES)",
+  },
+  {
+    name: "tooLongThreshold",
+    type: "uint16",
+    flagField: "segmentAttributes",
+    flagMask: 0x01,
+    description: "Driving time too long threshold (seconds)",
+  },
+  {
+    name: "insufficientThreshold",
+    type: "uint16",
+    flagField: "segmentAttributes",
+    flagMask: 0x01,
+    description: "Driving time insufficient threshold (seconds)",
+  },
+  {
+    name: "maxSpeed",
+    type: "uint16",
+    flagField: "segmentAttributes",
+    flagMask: 0x02,
+    description: "Maximum speed (km/h)",
+  },
+  {
+    name: "overspeedDuration",
+    type: "uint8",
+    flagField: "segmentAttributes",
+    flagMask: 0x02,
+    description: "Overspeed duration before alarming (seconds)",
+  },
+];
+
+/**
+ * 0x8606 fields before the turning points
+ */
+const ROUTE_HEADER_FIELDS = [
+  { name: "routeId", type: "uint32", description: "Route ID" },
+  {
+    name: "attributes",
+    type: "uint16",
+    description: "Route attributes (AREA_ATTRIBUTES time and alarm bits)",
+  },
+  ...AREA_TIME_FIELDS,
+  { name: "pointCount", type: "uint16", description: "Number of turning points" },
+];
+
+/**
+ * Body of the area and route deletions 0x8601, 0x8603, 0x8605 and 0x8607
+ */
+const AREA_DELETION_FIELDS = [
+  {
+    name: "areaCount",
+    type: "uint8",
+    description: "Number of areas, 0 deletes every area of the type",
+  },
+  {
+    name: "areaIds",
+    type: "array",
+    itemType: "uint32",
+    countField: "areaCount",
+    description: "Area or route IDs",
+  },
+];
+
 /**
  * Message structure definitions
  */
@@ -96,6 +385,54 @@ const MESSAGE_STRUCTURES = {
     ],
   },
 
+  [MESSAGE_IDS.PLATFORM_RESEND_SUBPACKAGE_REQUEST]: {
+    name: "Platform Resend Subpackage Request",
+    direction: "down",
+    fields: [
+      {
+        name: "originalSequence",
+        type: "uint16",
+        description: "Sequence number of the first packet",
+      },
+      {
+        name: "packetCount",
+        type: "uint8",
+        description: "Number of packets to resend",
+      },
+      {
+        name: "packetIds",
+        type: "array",
+        itemType: "uint16",
+        countField: "packetCount",
+        description: "Packet numbers to resend",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.TERMINAL_RESEND_SUBPACKAGE_REQUEST]: {
+    name: "Terminal Resend Subpackage Request",
+    direction: "up",
+    fields: [
+      {
+        name: "originalSequence",
+        type: "uint16",
+        description: "Sequence number of the first packet",
+      },
+      {
+        name: "packetCount",
+        type: "uint8",
+        description: "Number of packets to resend",
+      },
+      {
+        name: "packetIds",
+        type: "array",
+        itemType: "uint16",
+        countField: "packetCount",
+        description: "Packet numbers to resend",
+      },
+    ],
+  },
+
   [MESSAGE_IDS.TERMINAL_REGISTRATION_RESPONSE]: {
     name: "Terminal Registration Response",
     direction: "down",
@@ -139,6 +476,30 @@ const MESSAGE_STRUCTURES = {
     fields: [], // No body data
   },
 
+  [MESSAGE_IDS.TERMINAL_GENERAL_RESPONSE]: {
+    name: "Terminal General Response",
+    direction: "up",
+    fields: [
+      {
+        name: "replySequence",
+        type: "uint16",
+        description: "Sequence number of the platform message answered",
+      },
+      {
+        name: "replyMessageId",
+        type: "uint16",
+        description: "Message ID of the platform message answered",
+      },
+      {
+        name: "result",
+        type: "uint8",
+        enum: [0, 1, 2, 3, 4],
+        description:
+          "Result (0=success, 1=failure, 2=message error, 3=not supported, 4=alarm confirmation)",
+      },
+    ],
+  },
+
   [MESSAGE_IDS.PLATFORM_GENERAL_RESPONSE]: {
     name: "Platform General Response",
     direction: "down",
@@ -165,60 +526,31 @@ const MESSAGE_STRUCTURES = {
   [MESSAGE_IDS.LOCATION_REPORT]: {
     name: "Location Information Report",
     direction: "up",
-    fields: [
-      { name: "alarmFlag", type: "uint32", description: "Alarm flag" },
-      { name: "statusFlag", type: "uint32", description: "Status flag" },
-      {
-        name: "latitude",
-        type: "uint32",
-        description: "Latitude (degrees * 10^6)",
-      },
-      {
-        name: "longitude",
-        type: "uint32",
-        description: "Longitude (degrees * 10^6)",
-      },
-      { name: "altitude", type: "uint16", description: "Altitude (meters)" },
-      { name: "speed", type: "uint16", description: "Speed (0.1 km/h)" },
-      {
-        name: "direction",
-        type: "uint16",
-        description: "Direction (0-359 degrees)",
-      },
-      {
-        name: "timestamp",
-        type: "bcd",
-        length: 6,
-        description: "Time (YYMMDDHHMMSS)",
-      },
-      {
-        name: "additionalInfo",
-        type: "bytes",
-        variable: true,
-        description: "Additional information",
-      },
-    ],
+    fields: LOCATION_REPORT_FIELDS,
   },
 
   [MESSAGE_IDS.LOCATION_BATCH_REPORT]: {
     name: "Location Batch Report",
     direction: "up",
     fields: [
-      {
-        name: "dataType",
-        type: "uint8",
-        description: "Data type (0=normal, 1=blind area supplement)",
-      },
       {
         name: "itemCount",
         type: "uint16",
         description: "Number of location items",
       },
       {
-        name: "locationItems",
+        name: "dataType",
+        type: "uint8",
+        enum: [0, 1],
+        description: "Data type (0=normal batch, 1=blind area supplement)",
+      },
+      {
+        name: "locations",
         type: "array",
-        itemType: "location",
-        description: "Array of location data",
+        itemType: "locationReport",
+        countField: "itemCount",
+        description:
+          "Location reports, each prefixed with its 2-byte length and laid out as a 0x0200 body",
       },
     ],
   },
@@ -286,6 +618,116 @@ const MESSAGE_STRUCTURES = {
     ],
   },
 
+  [MESSAGE_IDS.LOCATION_QUERY_RESPONSE]: {
+    name: "Location Query Response",
+    direction: "up",
+    fields: [
+      {
+        name: "replySequence",
+        type: "uint16",
+        description: "Sequence number of the 0x8201 query",
+      },
+      ...LOCATION_REPORT_FIELDS,
+    ],
+  },
+
+  [MESSAGE_IDS.QUERY_TERMINAL_PARAMETERS_RESPONSE]: {
+    name: "Query Terminal Parameters Response",
+    direction: "up",
+    fields: [
+      {
+        name: "replySequence",
+        type: "uint16",
+        description: "Sequence number of the 0x8104 query",
+      },
+      {
+        name: "parameterCount",
+        type: "uint8",
+        description: "Number of parameters",
+      },
+      {
+        name: "parameters",
+        type: "array",
+        itemType: "parameter",
+        description: "Parameter list",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.CAMERA_SHOT_IMMEDIATELY]: {
+    name: "Camera Shot Response",
+    direction: "up",
+    fields: [
+      {
+        name: "replySequence",
+        type: "uint16",
+        description: "Sequence number of the 0x8801 command",
+      },
+      {
+        name: "result",
+        type: "uint8",
+        description: "Result (0=success, 1=failure, 2=channel not supported)",
+      },
+      {
+        name: "multimediaIdCount",
+        type: "uint16",
+        optional: true,
+        description: "Number of multimedia IDs (success only)",
+      },
+      {
+        name: "multimediaIds",
+        type: "array",
+        itemType: "uint32",
+        countField: "multimediaIdCount",
+        optional: true,
+        description: "Multimedia IDs of the shots taken",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.TEXT_MESSAGE_SEND]: {
+    name: "Text Message Send",
+    direction: "down",
+    fields: [
+      { name: "flag", type: "uint8", description: "Text flags (TEXT_FLAGS)" },
+      {
+        name: "text",
+        type: "bytes",
+        variable: true,
+        description: "GBK encoded text",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.LOCATION_INFO_QUERY]: {
+    name: "Location Information Query",
+    direction: "down",
+    fields: [],
+  },
+
+  [MESSAGE_IDS.QUERY_TERMINAL_PARAMETERS]: {
+    name: "Query Terminal Parameters",
+    direction: "down",
+    fields: [],
+  },
+
+  [MESSAGE_IDS.MANUAL_CONFIRMATION_ALARM]: {
+    name: "Manual Confirmation Alarm",
+    direction: "down",
+    fields: [
+      {
+        name: "replySequence",
+        type: "uint16",
+        description: "Sequence number of the alarm message, 0 for all",
+      },
+      {
+        name: "alarmType",
+        type: "uint32",
+        description: "Alarm bits to confirm (MANUAL_CONFIRMATION_ALARM_FLAGS)",
+      },
+    ],
+  },
+
   [MESSAGE_IDS.CAMERA_SHOT_COMMAND]: {
     name: "Camera Shot Command",
     direction: "down",
@@ -311,10 +753,371 @@ const MESSAGE_STRUCTURES = {
       { name: "chroma", type: "uint8", description: "Chroma (0-255)" },
     ],
   },
+
+  [MESSAGE_IDS.SET_CIRCULAR_AREA]: {
+    name: "Set Circular Area",
+    direction: "down",
+    fields: [
+      {
+        name: "settingType",
+        type: "uint8",
+        enum: [0, 1, 2],
+        description: "Setting type (AREA_SETTING_TYPES)",
+      },
+      { name: "areaCount", type: "uint8", description: "Number of areas" },
+      {
+        name: "areas",
+        type: "array",
+        itemType: "structure",
+        itemFields: CIRCULAR_AREA_FIELDS,
+        countField: "areaCount",
+        description: "Circular areas",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.DELETE_CIRCULAR_AREA]: {
+    name: "Delete Circular Area",
+    direction: "down",
+    fields: AREA_DELETION_FIELDS,
+  },
+
+  [MESSAGE_IDS.SET_RECTANGULAR_AREA]: {
+    name: "Set Rectangular Area",
+    direction: "down",
+    fields: [
+      {
+        name: "settingType",
+        type: "uint8",
+        enum: [0, 1, 2],
+        description: "Setting type (AREA_SETTING_TYPES)",
+      },
+      { name: "areaCount", type: "uint8", description: "Number of areas" },
+      {
+        name: "areas",
+        type: "array",
+        itemType: "structure",
+        itemFields: RECTANGULAR_AREA_FIELDS,
+        countField: "areaCount",
+        description: "Rectangular areas",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.DELETE_RECTANGULAR_AREA]: {
+    name: "Delete Rectangular Area",
+    direction: "down",
+    fields: AREA_DELETION_FIELDS,
+  },
+
+  [MESSAGE_IDS.SET_POLYGON_AREA]: {
+    name: "Set Polygon Area",
+    direction: "down",
+    fields: POLYGON_AREA_FIELDS,
+  },
+
+  [MESSAGE_IDS.DELETE_POLYGON_AREA]: {
+    name: "Delete Polygon Area",
+    direction: "down",
+    fields: AREA_DELETION_FIELDS,
+  },
+
+  [MESSAGE_IDS.SET_ROUTE]: {
+    name: "Set Route",
+    direction: "down",
+    fields: [
+      ...ROUTE_HEADER_FIELDS,
+      {
+        name: "points",
+        type: "array",
+        itemType: "structure",
+        itemFields: ROUTE_POINT_FIELDS,
+        countField: "pointCount",
+        description: "Turning points",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.DELETE_ROUTE]: {
+    name: "Delete Route",
+    direction: "down",
+    fields: AREA_DELETION_FIELDS,
+  },
+};
+
+/**
+ * JT808-2013 structures that differ from the 2011 layout
+ */
+const MESSAGE_STRUCTURES_2013 = {
+  [MESSAGE_IDS.TERMINAL_REGISTRATION]: {
+    name: "Terminal Registration (2013)",
+    direction: "up",
+    fields: [
+      { name: "provinceId", type: "uint16", description: "Province ID" },
+      { name: "cityId", type: "uint16", description: "City ID" },
+      {
+        name: "manufacturerId",
+        type: "string",
+        length: 5,
+        description: "Manufacturer ID",
+      },
+      {
+        name: "deviceModel",
+        type: "string",
+        length: 20,
+        description: "Device Model",
+      },
+      { name: "deviceId", type: "string", length: 7, description: "Device ID" },
+      { name: "plateColor", type: "uint8", description: "Plate Color" },
+      {
+        name: "plateNumber",
+        type: "string",
+        variable: true,
+        description: "Plate Number",
+      },
+    ],
+  },
+};
+
+/**
+ * JT808-2019 structures that differ from the 2011/2013 layout
+ */
+const MESSAGE_STRUCTURES_2019 = {
+  [MESSAGE_IDS.PLATFORM_RESEND_SUBPACKAGE_REQUEST]: {
+    name: "Platform Resend Subpackage Request (2019)",
+    direction: "down",
+    fields: [
+      {
+        name: "originalSequence",
+        type: "uint16",
+        description: "Sequence number of the first packet",
+      },
+      {
+        name: "packetCount",
+        type: "uint16",
+        description: "Number of packets to resend",
+      },
+      {
+        name: "packetIds",
+        type: "array",
+        itemType: "uint16",
+        countField: "packetCount",
+        description: "Packet numbers to resend",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.TERMINAL_RESEND_SUBPACKAGE_REQUEST]: {
+    name: "Terminal Resend Subpackage Request (2019)",
+    direction: "up",
+    fields: [
+      {
+        name: "originalSequence",
+        type: "uint16",
+        description: "Sequence number of the first packet",
+      },
+      {
+        name: "packetCount",
+        type: "uint16",
+        description: "Number of packets to resend",
+      },
+      {
+        name: "packetIds",
+        type: "array",
+        itemType: "uint16",
+        countField: "packetCount",
+        description: "Packet numbers to resend",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.TERMINAL_REGISTRATION]: {
+    name: "Terminal Registration (2019)",
+    direction: "up",
+    fields: [
+      { name: "provinceId", type: "uint16", description: "Province ID" },
+      { name: "cityId", type: "uint16", description: "City ID" },
+      {
+        name: "manufacturerId",
+        type: "string",
+        length: 11,
+        description: "Manufacturer ID",
+      },
+      {
+        name: "deviceModel",
+        type: "string",
+        length: 30,
+        description: "Device Model",
+      },
+      { name: "deviceId", type: "string", length: 30, description: "Device ID" },
+      { name: "plateColor", type: "uint8", description: "Plate Color" },
+      {
+        name: "plateNumber",
+        type: "string",
+        variable: true,
+        description: "Plate Number",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.TEXT_MESSAGE_SEND]: {
+    name: "Text Message Send (2019)",
+    direction: "down",
+    fields: [
+      { name: "flag", type: "uint8", description: "Text flags (TEXT_FLAGS)" },
+      {
+        name: "textType",
+        type: "uint8",
+        enum: [1, 2],
+        description: "Text type (1=notice, 2=service)",
+      },
+      {
+        name: "text",
+        type: "bytes",
+        variable: true,
+        description: "GBK encoded text",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.TERMINAL_AUTH]: {
+    name: "Terminal Authentication (2019)",
+    direction: "up",
+    fields: [
+      {
+        name: "authCodeLength",
+        type: "uint8",
+        description: "Authentication code length",
+      },
+      {
+        name: "authCode",
+        type: "string",
+        lengthField: "authCodeLength",
+        description: "Authentication code from registration response",
+      },
+      { name: "imei", type: "string", length: 15, description: "Terminal IMEI" },
+      {
+        name: "softwareVersion",
+        type: "string",
+        length: 20,
+        description: "Software version number",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.SET_CIRCULAR_AREA]: {
+    name: "Set Circular Area (2019)",
+    direction: "down",
+    fields: [
+      {
+        name: "settingType",
+        type: "uint8",
+        enum: [0, 1, 2],
+        description: "Setting type (AREA_SETTING_TYPES)",
+      },
+      { name: "areaCount", type: "uint8", description: "Number of areas" },
+      {
+        name: "areas",
+        type: "array",
+        itemType: "structure",
+        itemFields: [
+          ...CIRCULAR_AREA_FIELDS,
+          AREA_NIGHT_SPEED_FIELD,
+          ...AREA_NAME_FIELDS,
+        ],
+        countField: "areaCount",
+        description: "Circular areas",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.SET_RECTANGULAR_AREA]: {
+    name: "Set Rectangular Area (2019)",
+    direction: "down",
+    fields: [
+      {
+        name: "settingType",
+        type: "uint8",
+        enum: [0, 1, 2],
+        description: "Setting type (AREA_SETTING_TYPES)",
+      },
+      { name: "areaCount", type: "uint8", description: "Number of areas" },
+      {
+        name: "areas",
+        type: "array",
+        itemType: "structure",
+        itemFields: [
+          ...RECTANGULAR_AREA_FIELDS,
+          AREA_NIGHT_SPEED_FIELD,
+          ...AREA_NAME_FIELDS,
+        ],
+        countField: "areaCount",
+        description: "Rectangular areas",
+      },
+    ],
+  },
+
+  [MESSAGE_IDS.SET_POLYGON_AREA]: {
+    name: "Set Polygon Area (2019)",
+    direction: "down",
+    fields: [
+      ...POLYGON_AREA_FIELDS,
+      AREA_NIGHT_SPEED_FIELD,
+      ...AREA_NAME_FIELDS,
+    ],
+  },
+
+  [MESSAGE_IDS.SET_ROUTE]: {
+    name: "Set Route (2019)",
+    direction: "down",
+    fields: [
+      ...ROUTE_HEADER_FIELDS,
+      {
+        name: "points",
+        type: "array",
+        itemType: "structure",
+        itemFields: [
+          ...ROUTE_POINT_FIELDS,
+          {
+            name: "nightMaxSpeed",
+            type: "uint16",
+            flagField: "segmentAttributes",
+            flagMask: 0x02,
+            description: "Night maximum speed (km/h)",
+          },
+        ],
+        countField: "pointCount",
+        description: "Turning points",
+      },
+      ...AREA_NAME_FIELDS,
+    ],
+  },
+};
+
+/**
+ * General response result codes (0x0001 / 0x8001)
+ */
+const GENERAL_RESPONSE_RESULTS = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  MESSAGE_ERROR: 2,
+  NOT_SUPPORTED: 3,
+  ALARM_CONFIRMATION: 4,
+};
+
+/**
+ * Terminal registration response result codes (0x8100)
+ */
+const REGISTRATION_RESULTS = {
+  SUCCESS: 0,
+  VEHICLE_ALREADY_REGISTERED: 1,
+  VEHICLE_NOT_FOUND: 2,
+  TERMINAL_ALREADY_REGISTERED: 3,
+  TERMINAL_NOT_FOUND: 4,
 };
 
 /**
- * Alarm flag bit definitions
+ * Alarm flag bit definitions (JT808-2013/2019; bits 15-17 are reserved)
  */
 const ALARM_FLAGS = {
   EMERGENCY_ALARM: 0x00000001,
@@ -332,19 +1135,25 @@ const ALARM_FLAGS = {
   ROAD_TRANSPORT_CERTIFICATE_IC_CARD_MODULE_FAULT: 0x00001000,
   OVERSPEED_WARNING: 0x00002000,
   FATIGUE_DRIVING_WARNING: 0x00004000,
-  ILLEGAL_IGNITION: 0x00008000,
-  ILLEGAL_DISPLACEMENT: 0x00010000,
-  VSS_FAULT: 0x00020000,
-  OIL_ABNORMAL: 0x00040000,
-  VEHICLE_THEFT: 0x00080000,
-  VEHICLE_ILLEGAL_IGNITION: 0x00100000,
-  VEHICLE_ILLEGAL_DISPLACEMENT: 0x00200000,
-  COLLISION_ROLLOVER_ALARM: 0x00400000,
-  ROLLOVER_ALARM: 0x00800000,
+  CUMULATIVE_DRIVING_TIMEOUT: 0x00040000,
+  PARKING_TIMEOUT: 0x00080000,
+  IN_OUT_AREA: 0x00100000,
+  IN_OUT_ROUTE: 0x00200000,
+  ROUTE_DRIVING_TIME_INSUFFICIENT_OR_OVERTIME: 0x00400000,
+  ROUTE_DEVIATION: 0x00800000,
+  VSS_FAULT: 0x01000000,
+  OIL_ABNORMAL: 0x02000000,
+  VEHICLE_THEFT: 0x04000000,
+  VEHICLE_ILLEGAL_IGNITION: 0x08000000,
+  VEHICLE_ILLEGAL_DISPLACEMENT: 0x10000000,
+  COLLISION_ROLLOVER_ALARM: 0x20000000,
+  ROLLOVER_ALARM: 0x40000000,
+  ILLEGAL_DOOR_OPEN: 0x80000000,
 };
 
 /**
  * Status flag bit definitions
+ * LOAD_STATUS spans bits 8-9 (0 empty, 1 half, 3 full).
  */
 const STATUS_FLAGS = {
   ACC_ON: 0x00000001,
@@ -355,19 +1164,128 @@ const STATUS_FLAGS = {
   LATITUDE_LONGITUDE_ENCRYPTED: 0x00000020,
   FORWARD_COLLISION_WARNING: 0x00000040,
   LANE_DEPARTURE_WARNING: 0x00000080,
-  LOAD_STATUS: 0x00000100,
-  VEHICLE_OIL_CIRCUIT_NORMAL: 0x00000200,
-  VEHICLE_CIRCUIT_NORMAL: 0x00000400,
-  DOOR_LOCK: 0x00000800,
-  DOOR1_OPEN: 0x00001000,
-  DOOR2_OPEN: 0x00002000,
-  DOOR3_OPEN: 0x00004000,
-  DOOR4_OPEN: 0x00008000,
-  DOOR5_OPEN: 0x00010000,
-  GPS_POSITIONING: 0x00020000,
-  BEIDOU_POSITIONING: 0x00040000,
-  GLONASS_POSITIONING: 0x00080000,
-  GALILEO_POSITIONING: 0x00100000,
+  LOAD_STATUS: 0x00000300,
+  OIL_CIRCUIT_DISCONNECTED: 0x00000400,
+  CIRCUIT_DISCONNECTED: 0x00000800,
+  DOOR_LOCK: 0x00001000,
+  DOOR1_OPEN: 0x00002000,
+  DOOR2_OPEN: 0x00004000,
+  DOOR3_OPEN: 0x00008000,
+  DOOR4_OPEN: 0x00010000,
+  DOOR5_OPEN: 0x00020000,
+  GPS_POSITIONING: 0x00040000,
+  BEIDOU_POSITIONING: 0x00080000,
+  GLONASS_POSITIONING: 0x00100000,
+  GALILEO_POSITIONING: 0x00200000,
+};
+
+/**
+ * Alarm bits the terminal keeps set until the platform confirms them with 0x8203
+ */
+const MANUAL_CONFIRMATION_ALARM_FLAGS =
+  ALARM_FLAGS.EMERGENCY_ALARM |
+  ALARM_FLAGS.DANGEROUS_DRIVING |
+  ALARM_FLAGS.IN_OUT_AREA |
+  ALARM_FLAGS.IN_OUT_ROUTE |
+  ALARM_FLAGS.ROUTE_DRIVING_TIME_INSUFFICIENT_OR_OVERTIME |
+  ALARM_FLAGS.VEHICLE_ILLEGAL_IGNITION |
+  ALARM_FLAGS.VEHICLE_ILLEGAL_DISPLACEMENT;
+
+/**
+ * Text message (0x8300) flag bits
+ */
+const TEXT_FLAGS = {
+  EMERGENCY: 0x01,
+  TERMINAL_DISPLAY: 0x04,
+  TTS: 0x08,
+  ADVERTISING_SCREEN: 0x10, // JT808-2013; 2019 uses bit 5 for CAN fault codes
+};
+
+/**
+ * Terminal control (0x8105) command words
+ */
+const TERMINAL_CONTROL_COMMANDS = {
+  WIRELESS_UPGRADE: 1,
+  CONNECT_SERVER: 2,
+  POWER_OFF: 3,
+  RESET: 4,
+  FACTORY_RESET: 5,
+  CLOSE_DATA_COMMUNICATION: 6,
+  CLOSE_WIRELESS_COMMUNICATION: 7,
+};
+
+/**
+ * Location batch report (0x0704) data types
+ */
+const LOCATION_BATCH_TYPES = {
+  NORMAL: 0,
+  BLIND_AREA_SUPPLEMENT: 1,
+};
+
+/**
+ * Location report (0x0200) additional information item IDs
+ */
+const LOCATION_ADDITIONAL_INFO = {
+  MILEAGE: 0x01,
+  FUEL: 0x02,
+  RECORDER_SPEED: 0x03,
+  MANUAL_ALARM_ID: 0x04,
+  OVERSPEED_ALARM: 0x11,
+  AREA_ROUTE_ALARM: 0x12,
+  ROUTE_DRIVING_TIME_ALARM: 0x13,
+  EXTENDED_VEHICLE_SIGNALS: 0x25,
+  IO_STATUS: 0x2a,
+  ANALOG: 0x2b,
+  SIGNAL_STRENGTH: 0x30,
+  GNSS_SATELLITES: 0x31,
+};
+
+/**
+ * Area or route type in location additional information (0x11, 0x12)
+ */
+const AREA_TYPES = {
+  NONE: 0,
+  CIRCLE: 1,
+  RECTANGLE: 2,
+  POLYGON: 3,
+  ROUTE: 4,
+};
+
+/**
+ * Area and route setting (0x8600, 0x8602) types
+ */
+const AREA_SETTING_TYPES = {
+  UPDATE: 0, // Replace every area of the type
+  APPEND: 1,
+  MODIFY: 2,
+};
+
+/**
+ * Area (0x8600, 0x8602, 0x8604) attribute bits
+ * Routes (0x8606) use the time range and alarm bits only.
+ */
+const AREA_ATTRIBUTES = {
+  TIME_RANGE: 0x0001,
+  SPEED_LIMIT: 0x0002,
+  ENTER_ALARM_DRIVER: 0x0004,
+  ENTER_ALARM_PLATFORM: 0x0008,
+  EXIT_ALARM_DRIVER: 0x0010,
+  EXIT_ALARM_PLATFORM: 0x0020,
+  SOUTH_LATITUDE: 0x0040,
+  WEST_LONGITUDE: 0x0080,
+  DOOR_OPENING_FORBIDDEN: 0x0100,
+  COMMUNICATION_OFF_ON_ENTER: 0x4000,
+  GNSS_COLLECTION_ON_ENTER: 0x8000,
+};
+
+/**
+ * Route segment (0x8606 turning point) attribute bits
+ */
+const ROUTE_SEGMENT_ATTRIBUTES = {
+  DRIVING_TIME: 0x01,
+  SPEED_LIMIT: 0x02,
+  SOUTH_LATITUDE: 0x04,
+  WEST_LONGITUDE: 0x08,
 };
 
 /**
@@ -497,8 +1415,21 @@ const EVENT_CODES = {
 module.exports = {
   MESSAGE_IDS,
   MESSAGE_STRUCTURES,
+  MESSAGE_STRUCTURES_2013,
+  MESSAGE_STRUCTURES_2019,
+  GENERAL_RESPONSE_RESULTS,
+  REGISTRATION_RESULTS,
   ALARM_FLAGS,
+  MANUAL_CONFIRMATION_ALARM_FLAGS,
   STATUS_FLAGS,
+  TEXT_FLAGS,
+  TERMINAL_CONTROL_COMMANDS,
+  LOCATION_BATCH_TYPES,
+  LOCATION_ADDITIONAL_INFO,
+  AREA_TYPES,
+  AREA_SETTING_TYPES,
+  AREA_ATTRIBUTES,
+  ROUTE_SEGMENT_ATTRIBUTES,
   TERMINAL_PARAMETERS,
   MULTIMEDIA_TYPES,
   MULTIMEDIA_FORMATS,
@@ -0,0 +1,673 @@
+/**
+ * Fleet dashboard
+ * Plain browser script with no dependencies: loads devices and the fleet
+ * snapshot from the JSON API, follows the live feed and draws positions and
+ * tracks on a canvas. Map tiles are only drawn when the server is configured
+ * with a tile URL, so the page also works without internet access.
+ */
+
+(function () {
+  'use strict';
+
+  const TILE_SIZE = 256;
+  const MIN_ZOOM = 2;
+  const MAX_ZOOM = 19;
+  const MAX_TRACK_PAGES = 10;
+  const MAX_EVENTS = 200;
+  const TOKEN_KEY = 'jt808.apiToken';
+
+  const state = {
+    config: { tileUrl: null, attribution: '' },
+    devices: new Map(), // Registry entry and fleet state by phone number
+    selected: null,
+    track: [],
+    view: { longitude: 114.06, latitude: 22.54, zoom: 10 },
+    tiles: new Map(), // Loaded tile images by URL
+    socket: null,
+    reconnectDelay: 1000
+  };
+
+  const elements = {};
+  [
+    'feed-status', 'device-filter', 'online-only', 'device-list', 'map', 'zoom-in', 'zoom-out', 'fit',
+    'map-attribution', 'device-details', 'detail-title', 'detail-fields', 'detail-alarms', 'track-hours',
+    'command-form', 'command-type', 'text-options', 'command-text', 'command-tts', 'camera-options',
+    'command-channel', 'command-queue', 'event-log'
+  ].forEach((id) => {
+    elements[id] = document.getElementById(id);
+  });
+  const context = elements.map.getContext('2d');
+
+  /**
+   * Call the JSON API
+   * Requests other than GET carry the API token kept in local storage; when the
+   * server asks for one, the operator is prompted and the request is retried.
+   * @param {string} path - API path
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>} Response body
+   * @throws {Error} With the API error message for non-2xx answers
+   */
+  async function api(path, options = {}) {
+    const token = window.localStorage.getItem(TOKEN_KEY);
+    const headers = options.method && token ? { ...options.headers, Authorization: `Bearer ${token}` } : options.headers;
+    const response = await fetch(path, { ...options, headers });
+    const body = await response.json();
+    if (response.status === 401) {
+      const entered = window.prompt(token ? 'API token rejected, enter another' : 'API token');
+      if (entered) {
+        window.localStorage.setItem(TOKEN_KEY, entered.trim());
+        return api(path, options);
+      }
+    }
+    if (!response.ok) {
+      throw new Error(body.error ? `${body.error.code}: ${body.error.message}` : `HTTP ${response.status}`);
+    }
+    return body;
+  }
+
+  /**
+   * Read every page of a list endpoint
+   * @param {string} path - List path, with or without a query
+   * @param {number} maxPages - Pages to read at most
+   * @returns {Promise<Array>} Items
+   */
+  async function listAll(path, maxPages = Infinity) {
+    const items = [];
+    let cursor = null;
+    for (let page = 0; page < maxPages; page++) {
+      const separator = path.includes('?') ? '&' : '?';
+      const body = await api(cursor ? `${path}${separator}cursor=${encodeURIComponent(cursor)}` : path);
+      items.push(...body.data);
+      cursor = body.pagination.nextCursor;
+      if (!cursor) {
+        break;
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Get or create the dashboard entry of a terminal
+   * @param {string} phoneNumber - Terminal phone number
+   * @returns {Object} Device entry
+   */
+  function deviceOf(phoneNumber) {
+    let device = state.devices.get(phoneNumber);
+    if (!device) {
+      device = { phoneNumber, plateNumber: null, online: false, latitude: null, longitude: null, alarms: [] };
+      state.devices.set(phoneNumber, device);
+    }
+    return device;
+  }
+
+  // Web Mercator projection in world pixels at the current zoom
+
+  function project(longitude, latitude, zoom) {
+    const scale = TILE_SIZE * Math.pow(2, zoom);
+    const sin = Math.sin((Math.max(-85.05, Math.min(85.05, latitude)) * Math.PI) / 180);
+    return {
+      x: ((longitude + 180) / 360) * scale,
+      y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+    };
+  }
+
+  function unproject(x, y, zoom) {
+    const scale = TILE_SIZE * Math.pow(2, zoom);
+    const n = Math.PI - (2 * Math.PI * y) / scale;
+    return {
+      longitude: (x / scale) * 360 - 180,
+      latitude: (180 / Math.PI) * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)))
+    };
+  }
+
+  /**
+   * Screen position of a coordinate
+   * @param {number} longitude - Longitude in degrees
+   * @param {number} latitude - Latitude in degrees
+   * @returns {Object} { x, y } in canvas CSS pixels
+   */
+  function toScreen(longitude, latitude) {
+    const { view } = state;
+    const center = project(view.longitude, view.latitude, view.zoom);
+    const point = project(longitude, latitude, view.zoom);
+    return {
+      x: point.x - center.x + elements.map.clientWidth / 2,
+      y: point.y - center.y + elements.map.clientHeight / 2
+    };
+  }
+
+  function resizeCanvas() {
+    const ratio = window.devicePixelRatio || 1;
+    elements.map.width = elements.map.clientWidth * ratio;
+    elements.map.height = elements.map.clientHeight * ratio;
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    draw();
+  }
+
+  /**
+   * Fetch a tile image, redrawing once it loads
+   * @param {string} url - Tile URL
+   * @returns {HTMLImageElement|null} Loaded image, or null while loading or after a failure
+   */
+  function tile(url) {
+    let entry = state.tiles.get(url);
+    if (!entry) {
+      entry = { image: new Image(), loaded: false };
+      entry.image.onload = () => {
+        entry.loaded = true;
+        draw();
+      };
+      entry.image.src = url;
+      state.tiles.set(url, entry);
+      if (state.tiles.size > 500) {
+        state.tiles.delete(state.tiles.keys().next().value);
+      }
+    }
+    return entry.loaded ? entry.image : null;
+  }
+
+  function drawTiles(width, height) {
+    const zoom = Math.round(state.view.zoom);
+    const scale = Math.pow(2, state.view.zoom - zoom);
+    const center = project(state.view.longitude, state.view.latitude, zoom);
+    const left = center.x - width / 2 / scale;
+    const top = center.y - height / 2 / scale;
+    const count = Math.pow(2, zoom);
+
+    for (let x = Math.floor(left / TILE_SIZE); x <= Math.floor((left + width / scale) / TILE_SIZE); x++) {
+      for (let y = Math.max(0, Math.floor(top / TILE_SIZE)); y <= Math.min(count - 1, Math.floor((top + height / scale) / TILE_SIZE)); y++) {
+        const wrapped = ((x % count) + count) % count;
+        const url = state.config.tileUrl.replace('{z}', zoom).replace('{x}', wrapped).replace('{y}', y);
+        const image = tile(url);
+        if (image) {
+          context.drawImage(
+            image,
+            (x * TILE_SIZE - left) * scale,
+            (y * TILE_SIZE - top) * scale,
+            TILE_SIZE * scale,
+            TILE_SIZE * scale
+          );
+        }
+      }
+    }
+  }
+
+  function drawGraticule(width, height) {
+    const start = project(state.view.longitude, state.view.latitude, state.view.zoom);
+    const northWest = unproject(start.x - width / 2, start.y - height / 2, state.view.zoom);
+    const southEast = unproject(start.x + width / 2, start.y + height / 2, state.view.zoom);
+    const span = Math.max(southEast.longitude - northWest.longitude, 1e-6);
+    const step = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 45]
+      .find((candidate) => span / candidate <= 10) || 90;
+
+    context.strokeStyle = '#cbd6e2';
+    context.fillStyle = '#829ab1';
+    context.lineWidth = 1;
+    context.font = '11px system-ui, sans-serif';
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+
+    for (let longitude = Math.ceil(northWest.longitude / step) * step; longitude <= southEast.longitude; longitude += step) {
+      const { x } = toScreen(longitude, state.view.latitude);
+      context.beginPath();
+      context.moveTo(x, 0);
+      context.lineTo(x, height);
+      context.stroke();
+      context.fillText(longitude.toFixed(decimals), x + 2, height - 4);
+    }
+    for (let latitude = Math.ceil(southEast.latitude / step) * step; latitude <= northWest.latitude; latitude += step) {
+      const { y } = toScreen(state.view.longitude, latitude);
+      context.beginPath();
+      context.moveTo(0, y);
+      context.lineTo(width, y);
+      context.stroke();
+      context.fillText(latitude.toFixed(decimals), 2, y - 2);
+    }
+  }
+
+  function drawTrack() {
+    const points = state.track.filter((point) => point.latitude !== null);
+    if (points.length < 2) {
+      return;
+    }
+    context.strokeStyle = '#2680c2';
+    context.lineWidth = 3;
+    context.lineJoin = 'round';
+    context.beginPath();
+    points.forEach((point, index) => {
+      const { x, y } = toScreen(point.longitude, point.latitude);
+      if (index === 0) {
+        context.moveTo(x, y);
+      } else {
+        context.lineTo(x, y);
+      }
+    });
+    context.stroke();
+  }
+
+  function drawDevice(device) {
+    const { x, y } = toScreen(device.longitude, device.latitude);
+    const selected = device.phoneNumber === state.selected;
+    const color = device.alarms.length > 0 ? '#d64545' : device.online ? '#27ab83' : '#829ab1';
+
+    context.save();
+    context.translate(x, y);
+    if (device.speed > 0 && device.direction !== null) {
+      context.save();
+      context.rotate((device.direction * Math.PI) / 180);
+      context.fillStyle = color;
+      context.beginPath();
+      context.moveTo(0, -16);
+      context.lineTo(5, -8);
+      context.lineTo(-5, -8);
+      context.closePath();
+      context.fill();
+      context.restore();
+    }
+    context.fillStyle = color;
+    context.strokeStyle = selected ? '#102a43' : '#fff';
+    context.lineWidth = selected ? 3 : 2;
+    context.beginPath();
+    context.arc(0, 0, selected ? 8 : 6, 0, Math.PI * 2);
+    context.fill();
+    context.stroke();
+
+    context.font = '12px system-ui, sans-serif';
+    context.fillStyle = '#102a43';
+    context.fillText(device.plateNumber || device.phoneNumber, 10, 4);
+    context.restore();
+  }
+
+  function draw() {
+    const width = elements.map.clientWidth;
+    const height = elements.map.clientHeight;
+    context.clearRect(0, 0, width, height);
+
+    if (state.config.tileUrl) {
+      drawTiles(width, height);
+    } else {
+      drawGraticule(width, height);
+    }
+    drawTrack();
+    Array.from(state.devices.values())
+      .filter((device) => device.latitude !== null && device.longitude !== null)
+      .sort((a, b) => (a.phoneNumber === state.selected) - (b.phoneNumber === state.selected))
+      .forEach(drawDevice);
+  }
+
+  /**
+   * Center and zoom the map on a set of coordinates
+   * @param {Array<Object>} points - Objects with latitude and longitude
+   */
+  function fitTo(points) {
+    const located = points.filter((point) => point.latitude !== null && point.longitude !== null);
+    if (located.length === 0) {
+      return;
+    }
+    const longitudes = located.map((point) => point.longitude);
+    const latitudes = located.map((point) => point.latitude);
+    const west = Math.min(...longitudes);
+    const east = Math.max(...longitudes);
+    const south = Math.min(...latitudes);
+    const north = Math.max(...latitudes);
+
+    let zoom = MAX_ZOOM - 3;
+    for (; zoom > MIN_ZOOM; zoom--) {
+      const northWest = project(west, north, zoom);
+      const southEast = project(east, south, zoom);
+      if (southEast.x - northWest.x < elements.map.clientWidth * 0.8 && southEast.y - northWest.y < elements.map.clientHeight * 0.8) {
+        break;
+      }
+    }
+    const northWest = project(west, north, zoom);
+    const southEast = project(east, south, zoom);
+    const center = unproject((northWest.x + southEast.x) / 2, (northWest.y + southEast.y) / 2, zoom);
+    state.view = { longitude: center.longitude, latitude: center.latitude, zoom };
+    draw();
+  }
+
+  function zoomBy(delta, anchorX, anchorY) {
+    const { view } = state;
+    const width = elements.map.clientWidth;
+    const height = elements.map.clientHeight;
+    const x = anchorX === undefined ? width / 2 : anchorX;
+    const y = anchorY === undefined ? height / 2 : anchorY;
+    const center = project(view.longitude, view.latitude, view.zoom);
+    const anchor = unproject(center.x + x - width / 2, center.y + y - height / 2, view.zoom);
+
+    const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, view.zoom + delta));
+    const anchorPoint = project(anchor.longitude, anchor.latitude, zoom);
+    const next = unproject(anchorPoint.x - (x - width / 2), anchorPoint.y - (y - height / 2), zoom);
+    state.view = { longitude: next.longitude, latitude: next.latitude, zoom };
+    draw();
+  }
+
+  function bindMap() {
+    let drag = null;
+    let moved = false;
+
+    elements.map.addEventListener('mousedown', (event) => {
+      drag = { x: event.clientX, y: event.clientY, center: project(state.view.longitude, state.view.latitude, state.view.zoom) };
+      moved = false;
+      elements.map.classList.add('dragging');
+    });
+    window.addEventListener('mousemove', (event) => {
+      if (!drag) {
+        return;
+      }
+      moved = moved || Math.abs(event.clientX - drag.x) + Math.abs(event.clientY - drag.y) > 3;
+      const next = unproject(drag.center.x - (event.clientX - drag.x), drag.center.y - (event.clientY - drag.y), state.view.zoom);
+      state.view = { ...state.view, longitude: next.longitude, latitude: next.latitude };
+      draw();
+    });
+    window.addEventListener('mouseup', () => {
+      drag = null;
+      elements.map.classList.remove('dragging');
+    });
+
+    elements.map.addEventListener('click', (event) => {
+      if (moved) {
+        return;
+      }
+      const rect = elements.map.getBoundingClientRect();
+      const hit = Array.from(state.devices.values()).find((device) => {
+        if (device.latitude === null) {
+          return false;
+        }
+        const point = toScreen(device.longitude, device.latitude);
+        return Math.hypot(point.x - (event.clientX - rect.left), point.y - (event.clientY - rect.top)) < 10;
+      });
+      if (hit) {
+        select(hit.phoneNumber);
+      }
+    });
+
+    elements.map.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      const rect = elements.map.getBoundingClientRect();
+      zoomBy(event.deltaY < 0 ? 0.5 : -0.5, event.clientX - rect.left, event.clientY - rect.top);
+    }, { passive: false });
+
+    elements['zoom-in'].addEventListener('click', () => zoomBy(1));
+    elements['zoom-out'].addEventListener('click', () => zoomBy(-1));
+    elements.fit.addEventListener('click', () => fitTo(Array.from(state.devices.values())));
+    window.addEventListener('resize', resizeCanvas);
+  }
+
+  function formatTime(value) {
+    return value ? new Date(value).toLocaleString() : '—';
+  }
+
+  function alarmBadges(alarms) {
+    return alarms.map((name) => {
+      const badge = document.createElement('span');
+      badge.className = 'badge';
+      badge.textContent = name.replace(/_/g, ' ').toLowerCase();
+      return badge;
+    });
+  }
+
+  function renderDeviceList() {
+    const filter = elements['device-filter'].value.trim().toLowerCase();
+    const onlineOnly = elements['online-only'].checked;
+    const devices = Array.from(state.devices.values())
+      .filter((device) => !onlineOnly || device.online)
+      .filter((device) => !filter || `${device.phoneNumber} ${device.plateNumber || ''}`.toLowerCase().includes(filter))
+      .sort((a, b) => (b.online - a.online) || a.phoneNumber.localeCompare(b.phoneNumber));
+
+    elements['device-list'].replaceChildren(...devices.map((device) => {
+      const item = document.createElement('li');
+      item.className = device.phoneNumber === state.selected ? 'selected' : '';
+      item.addEventListener('click', () => select(device.phoneNumber));
+
+      const name = document.createElement('div');
+      name.className = 'device-name';
+      const dot = document.createElement('span');
+      dot.className = device.online ? 'dot online' : 'dot';
+      name.append(dot, document.createTextNode(device.plateNumber || device.phoneNumber));
+
+      const meta = document.createElement('div');
+      meta.className = 'device-meta';
+      meta.textContent = device.speed !== null && device.speed !== undefined
+        ? `${device.phoneNumber} · ${device.speed} km/h · ${formatTime(device.timestamp)}`
+        : device.phoneNumber;
+
+      const badges = document.createElement('div');
+      badges.className = 'badges';
+      badges.append(...alarmBadges(device.alarms));
+
+      item.append(name, meta, badges);
+      return item;
+    }));
+  }
+
+  function renderDetails() {
+    const device = state.selected ? state.devices.get(state.selected) : null;
+    elements['device-details'].hidden = !device;
+    if (!device) {
+      return;
+    }
+
+    elements['detail-title'].textContent = device.plateNumber || device.phoneNumber;
+    const fields = [
+      ['Phone', device.phoneNumber],
+      ['Status', device.online ? 'Online' : 'Offline'],
+      ['Position', device.latitude !== null ? `${device.latitude.toFixed(6)}, ${device.longitude.toFixed(6)}` : '—'],
+      ['Speed', device.speed !== null && device.speed !== undefined ? `${device.speed} km/h` : '—'],
+      ['Heading', device.direction !== null && device.direction !== undefined ? `${device.direction}°` : '—'],
+      ['ACC', device.accOn === null || device.accOn === undefined ? '—' : device.accOn ? 'On' : 'Off'],
+      ['Device time', formatTime(device.timestamp)]
+    ];
+    elements['detail-fields'].replaceChildren(...fields.flatMap(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const definition = document.createElement('dd');
+      definition.textContent = value;
+      return [term, definition];
+    }));
+    elements['detail-alarms'].replaceChildren(...alarmBadges(device.alarms));
+  }
+
+  function render() {
+    renderDeviceList();
+    renderDetails();
+    draw();
+  }
+
+  function logEvent(text, kind) {
+    const item = document.createElement('li');
+    item.className = kind || '';
+    const time = document.createElement('time');
+    time.textContent = new Date().toLocaleTimeString();
+    item.append(time, document.createTextNode(text));
+    elements['event-log'].prepend(item);
+    while (elements['event-log'].children.length > MAX_EVENTS) {
+      elements['event-log'].lastChild.remove();
+    }
+  }
+
+  async function loadTrack() {
+    const phoneNumber = state.selected;
+    const hours = Number(elements['track-hours'].value);
+    state.track = [];
+    if (!phoneNumber || hours === 0) {
+      draw();
+      return;
+    }
+
+    const to = new Date();
+    const from = new Date(to.getTime() - hours * 3600 * 1000);
+    try {
+      const points = await listAll(
+        `/api/devices/${phoneNumber}/track?from=${from.toISOString()}&to=${to.toISOString()}&limit=1000`,
+        MAX_TRACK_PAGES
+      );
+      if (state.selected === phoneNumber) {
+        state.track = points;
+        draw();
+      }
+    } catch (error) {
+      logEvent(`Track of ${phoneNumber}: ${error.message}`, 'error');
+    }
+  }
+
+  function select(phoneNumber) {
+    state.selected = phoneNumber;
+    const device = state.devices.get(phoneNumber);
+    if (device && device.latitude !== null) {
+      state.view = { ...state.view, longitude: device.longitude, latitude: device.latitude };
+    }
+    render();
+    loadTrack();
+  }
+
+  function applyState(update) {
+    const device = deviceOf(update.phoneNumber);
+    Object.assign(device, update, { plateNumber: device.plateNumber || update.plateNumber || null });
+    if (update.phoneNumber === state.selected && update.latitude !== null && Number(elements['track-hours'].value) > 0) {
+      const last = state.track[state.track.length - 1];
+      if (!last || last.timestamp !== update.timestamp) {
+        state.track.push({ latitude: update.latitude, longitude: update.longitude, timestamp: update.timestamp });
+      }
+    }
+  }
+
+  function handleEvent(event) {
+    const name = event.phoneNumber ? (deviceOf(event.phoneNumber).plateNumber || event.phoneNumber) : '';
+    switch (event.type) {
+      case 'location':
+        applyState(event.data);
+        break;
+      case 'alarm':
+        applyState(event.data.state);
+        if (event.data.raised.length > 0) {
+          logEvent(`${name}: alarm ${event.data.raised.join(', ')}`, 'alarm');
+        }
+        if (event.data.cleared.length > 0) {
+          logEvent(`${name}: cleared ${event.data.cleared.join(', ')}`);
+        }
+        break;
+      case 'online':
+      case 'offline':
+        applyState(event.data);
+        logEvent(`${name} ${event.type}`);
+        break;
+      case 'command':
+        logEvent(
+          `${name}: ${event.data.type} ${event.data.status}` +
+          (event.data.error ? ` (${event.data.error.message})` : event.data.response ? ` (${event.data.response.resultName})` : ''),
+          event.data.status === 'completed' ? '' : 'error'
+        );
+        break;
+      case 'error':
+        logEvent(`Live feed: ${event.data.message}`, 'error');
+        break;
+      default:
+        return;
+    }
+    render();
+  }
+
+  function connectFeed() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${window.location.host}/api/live`);
+    state.socket = socket;
+
+    socket.addEventListener('open', () => {
+      state.reconnectDelay = 1000;
+      elements['feed-status'].textContent = 'Live';
+      elements['feed-status'].className = 'status online';
+    });
+    socket.addEventListener('message', (message) => {
+      try {
+        handleEvent(JSON.parse(message.data));
+      } catch (error) {
+        logEvent(`Live feed: ${error.message}`, 'error');
+      }
+    });
+    socket.addEventListener('close', () => {
+      elements['feed-status'].textContent = 'Live feed disconnected';
+      elements['feed-status'].className = 'status offline';
+      setTimeout(connectFeed, state.reconnectDelay);
+      state.reconnectDelay = Math.min(state.reconnectDelay * 2, 30000);
+    });
+  }
+
+  function commandFromForm() {
+    const type = elements['command-type'].value;
+    switch (type) {
+      case 'text':
+        return {
+          type,
+          text: elements['command-text'].value,
+          flags: elements['command-tts'].checked ? ['TERMINAL_DISPLAY', 'TTS'] : ['TERMINAL_DISPLAY']
+        };
+      case 'camera_shot':
+        return { type, channelId: Number(elements['command-channel'].value) };
+      case 'terminal_control':
+        return { type, command: 'RESET' };
+      default:
+        return { type };
+    }
+  }
+
+  function bindCommands() {
+    elements['command-type'].addEventListener('change', () => {
+      elements['text-options'].hidden = elements['command-type'].value !== 'text';
+      elements['camera-options'].hidden = elements['command-type'].value !== 'camera_shot';
+    });
+
+    elements['command-form'].addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const phoneNumber = state.selected;
+      const command = commandFromForm();
+      if (command.type === 'terminal_control' && !window.confirm(`Reset terminal ${phoneNumber}?`)) {
+        return;
+      }
+
+      logEvent(`${phoneNumber}: sending ${command.type}`);
+      try {
+        const { data } = await api(`/api/devices/${phoneNumber}/commands`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...command, queue: elements['command-queue'].checked })
+        });
+        if (data.status === 'queued') {
+          logEvent(`${phoneNumber}: ${command.type} queued until the terminal connects`);
+        } else if (data.response.location) {
+          applyState({ phoneNumber, ...data.response.location });
+          render();
+        }
+      } catch (error) {
+        logEvent(`${phoneNumber}: ${error.message}`, 'error');
+      }
+    });
+  }
+
+  async function start() {
+    bindMap();
+    bindCommands();
+    elements['device-filter'].addEventListener('input', renderDeviceList);
+    elements['online-only'].addEventListener('change', renderDeviceList);
+    elements['track-hours'].addEventListener('change', loadTrack);
+    resizeCanvas();
+
+    try {
+      state.config = { ...state.config, ...(await api('/api/dashboard')).data };
+      elements['map-attribution'].textContent = state.config.attribution || '';
+
+      const [devices, fleet] = await Promise.all([listAll('/api/devices?limit=1000'), api('/api/fleet')]);
+      devices.forEach((device) => Object.assign(deviceOf(device.phoneNumber), {
+        plateNumber: device.plateNumber || null,
+        online: device.online
+      }));
+      fleet.data.forEach(applyState);
+      render();
+      fitTo(Array.from(state.devices.values()));
+    } catch (error) {
+      logEvent(`Loading devices failed: ${error.message}`, 'error');
+    }
+    connectFeed();
+  }
+
+  start();
+})();
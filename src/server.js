@@ -1,13 +1,124 @@
 const net = require("net");
 const http = require("http");
-const path = require("path");
 const fs = require("fs");
+const path = require("path");
+const { FrameDecoder } = require("./utils/frame-decoder");
+const {
+  MessageParser,
+  PROTOCOL_VERSIONS,
+} = require("./utils/message-parser");
+const { wrapMessage } = require("./utils/checksum");
+const { MessageFactory } = require("./utils/message-validator");
+const Logger = require("./utils/logger");
+const {
+  MessageDispatcher,
+  MessageContext,
+} = require("./components/message-dispatcher");
+const Database = require("./components/database");
+const { DeviceRegistry } = require("./components/device-registry");
+const {
+  RegistrationHandler,
+} = require("./components/handlers/registration-handler");
+const {
+  AuthenticationHandler,
+} = require("./components/handlers/authentication-handler");
+const {
+  HeartbeatHandler,
+} = require("./components/handlers/heartbeat-handler");
+const {
+  ResendRequestHandler,
+} = require("./components/handlers/resend-request-handler");
+const {
+  TerminalResponseHandler,
+} = require("./components/handlers/terminal-response-handler");
+const {
+  LocationReportHandler,
+} = require("./components/handlers/location-report-handler");
+const { Session, SESSION_STATES } = require("./components/session");
+const { IdleSweeper } = require("./components/idle-sweeper");
+const { PacketReassembler } = require("./components/packet-reassembler");
+const { SentPacketCache } = require("./components/sent-packet-cache");
+const { SqliteLocationStore } = require("./components/location-store");
+const { FleetState } = require("./components/fleet-state");
+const { HttpApi } = require("./components/http-api");
+const { CommandService } = require("./components/command-service");
+const { LiveFeed } = require("./components/live-feed");
+const { StaticFiles } = require("./components/static-files");
+const { SqliteAlarmStore } = require("./components/alarm-store");
+const { AlarmEngine } = require("./components/alarm-engine");
+const { SqliteGeofenceStore } = require("./components/geofence-store");
+const { GeofenceEngine } = require("./components/geofence-engine");
+const {
+  QueryResponseHandler,
+} = require("./components/handlers/query-response-handler");
+const {
+  MESSAGE_IDS,
+  GENERAL_RESPONSE_RESULTS,
+} = require("./models/jt808-messages");
+
+/**
+ * Parse API tokens given as comma-separated operator:token pairs
+ * @param {string} value - Environment value, e.g. "alice:s3cret,bob:t0ken"
+ * @returns {Object} Operator name by token
+ */
+function parseApiTokens(value) {
+  const tokens = {};
+  (value || "").split(",").forEach((pair) => {
+    const separator = pair.indexOf(":");
+    const operator = pair.slice(0, separator).trim();
+    const token = pair.slice(separator + 1).trim();
+    if (separator > 0 && operator && token) {
+      tokens[token] = operator;
+    }
+  });
+  return tokens;
+}
+
+const API_TOKENS = parseApiTokens(process.env.API_TOKENS);
 
 // Configuration - Use environment variables for Render deployment
 const CONFIG = {
   TCP_PORT: parseInt(process.env.PORT, 10) || 7001,
   HOST: "0.0.0.0",
   LOG_DIR: process.env.LOG_DIR || "logs",
+  MAX_FRAME_BUFFER: parseInt(process.env.MAX_FRAME_BUFFER, 10) || 4096,
+  DB_PATH: process.env.DB_PATH || "data/jt808.db",
+  ALLOW_UNKNOWN_DEVICES: process.env.ALLOW_UNKNOWN_DEVICES === "true",
+  // Terminal heartbeat interval (parameter 0x0001) in seconds
+  HEARTBEAT_INTERVAL: parseInt(process.env.HEARTBEAT_INTERVAL, 10) || 60,
+  IDLE_TIMEOUT_MULTIPLIER:
+    parseFloat(process.env.IDLE_TIMEOUT_MULTIPLIER) || 3,
+  IDLE_SWEEP_INTERVAL: parseInt(process.env.IDLE_SWEEP_INTERVAL, 10) || 10000,
+  // Time to wait for the missing packets of a multi-packet message (ms)
+  REASSEMBLY_TIMEOUT: parseInt(process.env.REASSEMBLY_TIMEOUT, 10) || 30000,
+  // Grace period after the last packet before earlier missing ones are requested (ms)
+  REASSEMBLY_RESEND_DELAY:
+    parseInt(process.env.REASSEMBLY_RESEND_DELAY, 10) || 3000,
+  // Command response timeout T in seconds and retransmissions, until the
+  // terminal reports its own TCP timeout (0x0002) and retransmission count (0x0003)
+  RESPONSE_TIMEOUT: parseInt(process.env.RESPONSE_TIMEOUT, 10) || 10,
+  RETRANSMISSION_COUNT: parseInt(process.env.RETRANSMISSION_COUNT, 10) || 3,
+  // Resend requests per multi-packet message, in either direction
+  RESEND_REQUEST_LIMIT: parseInt(process.env.RESEND_REQUEST_LIMIT, 10) || 3,
+  CLOSED_CONNECTION_HISTORY: 100,
+  // How long commands queued for an offline terminal wait (ms), and how many per terminal
+  COMMAND_QUEUE_TTL: parseInt(process.env.COMMAND_QUEUE_TTL, 10) || 86400000,
+  COMMAND_QUEUE_LIMIT: parseInt(process.env.COMMAND_QUEUE_LIMIT, 10) || 20,
+  // Time a critical alarm may stay unacknowledged before it is escalated (ms, 0 = never)
+  ALARM_ESCALATION_TIMEOUT: process.env.ALARM_ESCALATION_TIMEOUT
+    ? parseInt(process.env.ALARM_ESCALATION_TIMEOUT, 10)
+    : 300000,
+  ALARM_ESCALATION_INTERVAL:
+    parseInt(process.env.ALARM_ESCALATION_INTERVAL, 10) || 15000,
+  // Map tile URL template for the dashboard, e.g. http://tiles.local/{z}/{x}/{y}.png
+  DASHBOARD_TILE_URL: process.env.DASHBOARD_TILE_URL || null,
+  DASHBOARD_TILE_ATTRIBUTION: process.env.DASHBOARD_TILE_ATTRIBUTION || "",
+  // Operator name by token; with none configured, anyone reaching the API may send commands
+  API_TOKENS,
+  // The API is only reachable from this machine unless tokens are configured
+  HTTP_HOST:
+    process.env.HTTP_HOST ||
+    (Object.keys(API_TOKENS).length > 0 ? "0.0.0.0" : "127.0.0.1"),
 };
 
 // Debug logging for Render deployment
@@ -25,55 +136,112 @@ if (!fs.existsSync(CONFIG.LOG_DIR)) {
   }
 }
 
-// Simple logger
-class Logger {
-  static log(level, message, data = null) {
-    const timestamp = new Date().toISOString();
-    const logEntry = `[${timestamp}] ${level.toUpperCase()}: ${message}`;
-
-    console.log(logEntry);
-    if (data) {
-      console.log("Data:", data);
-    }
-
-    // Only write to file in development mode
-    if (process.env.NODE_ENV !== "production") {
-      try {
-        const logFile = path.join(
-          CONFIG.LOG_DIR,
-          `server-${new Date().toISOString().split("T")[0]}.log`
-        );
-        const logLine = data
-          ? `${logEntry} | Data: ${JSON.stringify(data)}\n`
-          : `${logEntry}\n`;
-        fs.appendFileSync(logFile, logLine);
-      } catch (error) {
-        console.warn(`Failed to write to log file: ${error.message}`);
-      }
-    }
-  }
-
-  static info(message, data) {
-    this.log("info", message, data);
-  }
-  static warn(message, data) {
-    this.log("warn", message, data);
-  }
-  static error(message, data) {
-    this.log("error", message, data);
-  }
-}
-
 // Connection tracking
 const connections = new Map();
+const closedConnections = []; // Most recent first, for connection listings
 let connectionCounter = 0;
 
 // Basic TCP Server
 class DashcamTCPServer {
-  constructor(port = CONFIG.TCP_PORT, host = CONFIG.HOST) {
+  constructor(port = CONFIG.TCP_PORT, host = CONFIG.HOST, options = {}) {
     this.port = port;
     this.host = host;
     this.server = null;
+    this.dispatcher = options.dispatcher || new MessageDispatcher();
+    this.registry =
+      options.registry ||
+      new DeviceRegistry(new Database(CONFIG.DB_PATH), {
+        allowUnknownDevices: CONFIG.ALLOW_UNKNOWN_DEVICES,
+      });
+    this.locationStore =
+      options.locationStore || new SqliteLocationStore(this.registry.database);
+    this.fleetState = new FleetState();
+    this.commands = new CommandService(this, {
+      queueTtl: CONFIG.COMMAND_QUEUE_TTL,
+      maxQueued: CONFIG.COMMAND_QUEUE_LIMIT,
+    });
+    this.alarms = new AlarmEngine(
+      options.alarmStore || new SqliteAlarmStore(this.registry.database),
+      this,
+      {
+        escalationTimeout: CONFIG.ALARM_ESCALATION_TIMEOUT,
+        escalationInterval: CONFIG.ALARM_ESCALATION_INTERVAL,
+      }
+    );
+    this.geofences = new GeofenceEngine(
+      options.geofenceStore || new SqliteGeofenceStore(this.registry.database),
+      this.commands
+    );
+    this.idleSweeper = new IdleSweeper(
+      () => Array.from(connections.values()).map((conn) => conn.session),
+      {
+        timeoutMultiplier: CONFIG.IDLE_TIMEOUT_MULTIPLIER,
+        sweepInterval: CONFIG.IDLE_SWEEP_INTERVAL,
+      }
+    );
+    this.reassembler = new PacketReassembler({
+      timeout: CONFIG.REASSEMBLY_TIMEOUT,
+      maxResendRequests: CONFIG.RESEND_REQUEST_LIMIT,
+      resendDelay: CONFIG.REASSEMBLY_RESEND_DELAY,
+    });
+    this.reassembler.on("missing", (request) =>
+      this.requestMissingPackets(request)
+    );
+    this.sentPackets = new SentPacketCache({
+      maxResends: CONFIG.RESEND_REQUEST_LIMIT,
+    });
+
+    this.registerHandlers();
+  }
+
+  registerHandlers() {
+    const registration = new RegistrationHandler(this.registry);
+    const authentication = new AuthenticationHandler(this.registry);
+    const heartbeat = new HeartbeatHandler();
+    const resendRequest = new ResendRequestHandler(this.sentPackets);
+    const terminalResponse = new TerminalResponseHandler();
+    const locationReport = new LocationReportHandler(
+      this.locationStore,
+      (phoneNumber, locations, header) =>
+        this.handleLocations(phoneNumber, locations, header)
+    );
+    const queryResponse = new QueryResponseHandler(
+      this.locationStore,
+      (phoneNumber, locations, header) =>
+        this.handleLocations(phoneNumber, locations, header)
+    );
+
+    this.dispatcher.register(MESSAGE_IDS.TERMINAL_REGISTRATION, (context) =>
+      registration.handle(context)
+    );
+    this.dispatcher.register(MESSAGE_IDS.TERMINAL_AUTH, (context) =>
+      authentication.handle(context)
+    );
+    this.dispatcher.register(MESSAGE_IDS.TERMINAL_HEARTBEAT, (context) =>
+      heartbeat.handle(context)
+    );
+    this.dispatcher.register(
+      MESSAGE_IDS.TERMINAL_RESEND_SUBPACKAGE_REQUEST,
+      (context) => resendRequest.handle(context)
+    );
+    this.dispatcher.register(MESSAGE_IDS.TERMINAL_GENERAL_RESPONSE, (context) =>
+      terminalResponse.handle(context)
+    );
+    this.dispatcher.register(MESSAGE_IDS.LOCATION_REPORT, (context) =>
+      locationReport.handle(context)
+    );
+    this.dispatcher.register(MESSAGE_IDS.LOCATION_BATCH_REPORT, (context) =>
+      locationReport.handle(context)
+    );
+    for (const messageId of [
+      MESSAGE_IDS.LOCATION_QUERY_RESPONSE,
+      MESSAGE_IDS.QUERY_TERMINAL_PARAMETERS_RESPONSE,
+      MESSAGE_IDS.CAMERA_SHOT_IMMEDIATELY,
+    ]) {
+      this.dispatcher.register(messageId, (context) =>
+        queryResponse.handle(context)
+      );
+    }
   }
 
   start() {
@@ -91,6 +259,33 @@ class DashcamTCPServer {
       );
       Logger.info("Server ready to accept dashcam connections");
     });
+
+    this.idleSweeper.start();
+    this.reassembler.start();
+    this.alarms.start();
+
+    this.fleetState
+      .seed(this.locationStore)
+      .then((count) => Logger.info("Loaded latest fleet positions", { count }))
+      .catch((error) => {
+        Logger.error("Failed to load latest fleet positions", {
+          error: error.message,
+        });
+      });
+
+    this.alarms
+      .load()
+      .then((count) => Logger.info("Loaded open alarms", { count }))
+      .catch((error) => {
+        Logger.error("Failed to load open alarms", { error: error.message });
+      });
+
+    this.geofences
+      .load()
+      .then((count) => Logger.info("Loaded geofences", { count }))
+      .catch((error) => {
+        Logger.error("Failed to load geofences", { error: error.message });
+      });
   }
 
   handleConnection(socket) {
@@ -100,12 +295,29 @@ class DashcamTCPServer {
       remoteAddress: socket.remoteAddress,
       remotePort: socket.remotePort,
       connectedAt: new Date(),
-      deviceId: null, // Will be set during registration
+      deviceId: null, // Will be set during authentication
     };
+    const session = new Session(connectionId, socket, clientInfo, {
+      heartbeatInterval: CONFIG.HEARTBEAT_INTERVAL,
+      responseTimeout: CONFIG.RESPONSE_TIMEOUT,
+      retransmissionCount: CONFIG.RETRANSMISSION_COUNT,
+    });
+
+    // A terminal reconnecting replaces its previous session
+    session.on("statechange", (state) => {
+      if (state === SESSION_STATES.AUTHENTICATED) {
+        this.closeDuplicateSessions(connectionId, session.phoneNumber);
+        this.fleetState.setOnline(session.phoneNumber, true);
+        this.flushQueuedCommands(connectionId, session.phoneNumber);
+      }
+    });
 
     connections.set(connectionId, {
       socket,
       info: clientInfo,
+      session,
+      decoder: new FrameDecoder({ maxBufferSize: CONFIG.MAX_FRAME_BUFFER }),
+      queue: Promise.resolve(), // Messages are processed in arrival order
     });
 
     // Always log new connections from external IPs (real dashcams)
@@ -127,6 +339,8 @@ class DashcamTCPServer {
 
     // Handle connection close
     socket.on("close", () => {
+      session.close("connection closed by terminal");
+
       // Only log connection closures in development
       if (process.env.NODE_ENV !== "production") {
         Logger.info("Dashcam connection closed", {
@@ -134,9 +348,10 @@ class DashcamTCPServer {
           remoteAddress: clientInfo.remoteAddress,
           deviceId: clientInfo.deviceId,
           duration: Date.now() - clientInfo.connectedAt.getTime(),
+          reason: session.closeReason,
         });
       }
-      connections.delete(connectionId);
+      this.removeConnection(connectionId);
     });
 
     // Handle connection errors
@@ -152,7 +367,8 @@ class DashcamTCPServer {
           error: err.message,
         });
       }
-      connections.delete(connectionId);
+      session.close(`connection error: ${err.message}`);
+      this.removeConnection(connectionId);
     });
 
     // Send welcome message (for testing purposes)
@@ -163,6 +379,8 @@ class DashcamTCPServer {
     const connection = connections.get(connectionId);
     if (!connection) return;
 
+    connection.session.touch();
+
     // Check if this is a health check request (HTTP HEAD request)
     const dataStr = data.toString("ascii");
     const isHealthCheck =
@@ -180,87 +398,487 @@ class DashcamTCPServer {
       });
     }
 
-    // For now, just echo back a simple response
-    // This will be replaced with proper JT808 protocol handling in later tasks
-    const response = Buffer.from([
-      0x7e, 0x80, 0x01, 0x00, 0x05, 0x01, 0x23, 0x45, 0x67, 0x89, 0x00, 0x01,
-      0x00, 0x7e,
-    ]);
-    connection.socket.write(response);
+    // Reassemble complete frames from the byte stream
+    const { decoder } = connection;
+    const overflowsBefore = decoder.overflowCount;
+    const frames = decoder.push(data);
 
-    // Only log response for non-health checks
-    if (!isHealthCheck) {
-      Logger.info("Sent response to dashcam", {
+    if (decoder.overflowCount > overflowsBefore) {
+      Logger.warn("Frame buffer limit exceeded, discarded buffered data", {
+        connectionId,
+        maxBufferSize: decoder.maxBufferSize,
+        droppedBytes: decoder.droppedBytes,
+      });
+    }
+
+    for (const frame of frames) {
+      this.handleFrame(connectionId, frame);
+    }
+  }
+
+  handleFrame(connectionId, frame) {
+    const connection = connections.get(connectionId);
+    if (!connection) return;
+
+    const message = MessageParser.parseMessage(
+      frame,
+      connection.info.deviceId || `connection-${connectionId}`
+    );
+
+    if (!message.success) {
+      Logger.warn("Dropped invalid JT808 frame", {
+        connectionId,
+        error: message.error,
+        frameHex: frame.toString("hex"),
+      });
+      return;
+    }
+
+    const { header, body } = message;
+    const { session } = connection;
+    const context = new MessageContext({
+      session,
+      header,
+      rawBody: body,
+      send: (messageId, responseBody) =>
+        this.sendMessage(
+          connectionId,
+          header.deviceId,
+          messageId,
+          responseBody,
+          this.getHeaderOptions(session, header)
+        ),
+      write: (frame) => this.writeFrame(connectionId, frame),
+    });
+
+    connection.queue = connection.queue
+      .then(() => {
+        // Registration (or a 2019 header) decides the version for the rest of the session
+        if (!session.protocolVersion) {
+          const detected = MessageParser.detectProtocolVersion(header, body);
+          if (detected) {
+            session.setProtocolVersion(detected, header.versionNumber);
+          }
+        }
+        context.protocolVersion =
+          session.protocolVersion || header.protocolVersion;
+
+        // Business messages require an authenticated session
+        if (!session.accepts(header.messageId, header.deviceId)) {
+          context.respond(GENERAL_RESPONSE_RESULTS.FAILURE);
+          return { status: "rejected" };
+        }
+
+        // Sub-packages are held until the whole message has arrived
+        if (header.messagePackage) {
+          let assembled;
+          try {
+            assembled = this.reassembler.push(header, body);
+          } catch (error) {
+            context.respond(GENERAL_RESPONSE_RESULTS.MESSAGE_ERROR);
+            return { status: "invalid", error };
+          }
+          if (!assembled) {
+            return { status: "buffered" };
+          }
+          context.header = assembled.header;
+          context.rawBody = assembled.body;
+        }
+
+        return this.dispatcher.dispatch(context);
+      })
+      .then((outcome) => {
+        const messageIdHex = `0x${header.messageId
+          .toString(16)
+          .padStart(4, "0")}`;
+
+        if (outcome.status === "rejected") {
+          Logger.warn("Rejected message from unauthenticated session", {
+            connectionId,
+            messageId: messageIdHex,
+            state: connection.session.state,
+            phoneNumber: header.deviceId,
+          });
+        } else if (outcome.status === "unsupported") {
+          Logger.warn("No handler for message, replied not supported", {
+            connectionId,
+            messageId: messageIdHex,
+          });
+        } else if (outcome.error) {
+          Logger.error("Message handling failed", {
+            connectionId,
+            messageId: messageIdHex,
+            status: outcome.status,
+            error: outcome.error.message,
+          });
+        }
+      })
+      .catch((error) => {
+        Logger.error("Message dispatch error", {
+          connectionId,
+          error: error.message,
+        });
+      });
+  }
+
+  sendMessage(
+    connectionId,
+    deviceId,
+    messageId,
+    body = Buffer.alloc(0),
+    headerOptions = {}
+  ) {
+    return (
+      this.transmit(connectionId, deviceId, messageId, body, headerOptions) !==
+      null
+    );
+  }
+
+  transmit(connectionId, deviceId, messageId, body, headerOptions = {}) {
+    const connection = connections.get(connectionId);
+    if (!connection || connection.socket.destroyed) return null;
+
+    // Bodies over 1023 bytes go out as numbered sub-packages, each taking
+    // the next sequence number of the session
+    const count = MessageParser.packetCount(body.length);
+    const firstSequence = connection.session.nextSequence(count);
+    const frames = MessageParser.createMessagePackets(
+      messageId,
+      deviceId,
+      body,
+      firstSequence,
+      headerOptions
+    ).map(wrapMessage);
+    const sequenceNumbers = frames.map(
+      (frame, index) => (firstSequence + index) & 0xffff
+    );
+
+    // Kept so the terminal can ask for lost packets with 0x0005
+    if (frames.length > 1) {
+      this.sentPackets.record(deviceId, firstSequence, frames);
+    }
+
+    this.writeFrames(connectionId, messageId, frames);
+    return { sequenceNumbers, frames };
+  }
+
+  writeFrames(connectionId, messageId, frames) {
+    const messageIdHex = `0x${messageId.toString(16).padStart(4, "0")}`;
+    return frames.every((frame, index) =>
+      this.writeFrame(
         connectionId,
-        responseLength: response.length,
-        responseHex: response.toString("hex"),
+        frame,
+        frames.length > 1
+          ? { messageId: messageIdHex, packet: `${index + 1}/${frames.length}` }
+          : { messageId: messageIdHex }
+      )
+    );
+  }
+
+  sendCommand(deviceId, messageId, body = Buffer.alloc(0)) {
+    const connection = this.findConnection(deviceId);
+    if (!connection) {
+      const error = new Error(`Terminal ${deviceId} is not connected`);
+      error.code = "TERMINAL_OFFLINE";
+      return Promise.reject(error);
+    }
+
+    const { session } = connection;
+    const connectionId = connection.info.id;
+    const sent = this.transmit(
+      connectionId,
+      deviceId,
+      messageId,
+      body,
+      this.getHeaderOptions(session, {})
+    );
+    if (!sent) {
+      const error = new Error(`Connection to ${deviceId} is closed`);
+      error.code = "TERMINAL_OFFLINE";
+      return Promise.reject(error);
+    }
+    const { sequenceNumbers, frames } = sent;
+
+    return session.pendingCommands.add({
+      messageId,
+      sequenceNumbers,
+      timeout: session.responseTimeout * 1000,
+      retransmissions: session.retransmissionCount,
+      retransmit: (attempt) => {
+        Logger.warn("No response from dashcam, retransmitting command", {
+          connectionId,
+          phoneNumber: deviceId,
+          messageId: `0x${messageId.toString(16).padStart(4, "0")}`,
+          sequenceNumber: sequenceNumbers[0],
+          attempt,
+        });
+        this.writeFrames(connectionId, messageId, frames);
+      },
+    });
+  }
+
+  writeFrame(connectionId, frame, details = {}) {
+    const connection = connections.get(connectionId);
+    if (!connection || connection.socket.destroyed) return false;
+
+    connection.socket.write(frame);
+
+    Logger.info("Sent message to dashcam", {
+      connectionId,
+      ...details,
+      responseLength: frame.length,
+      responseHex: frame.toString("hex"),
+    });
+    return true;
+  }
+
+  disconnect(connectionId, reason) {
+    const connection = connections.get(connectionId);
+    if (!connection || !connection.session.close(reason)) return false;
+
+    Logger.info("Closed dashcam session", {
+      connectionId,
+      phoneNumber: connection.session.phoneNumber,
+      reason,
+    });
+    return true;
+  }
+
+  findConnection(deviceId) {
+    return Array.from(connections.values()).find(
+      (conn) =>
+        conn.session.isAuthenticated() && conn.session.phoneNumber === deviceId
+    );
+  }
+
+  requestMissingPackets({ deviceId, firstSequence, missing, attempt }) {
+    const connection = this.findConnection(deviceId);
+    if (!connection) return false;
+
+    Logger.warn("Requesting missing packets from dashcam", {
+      connectionId: connection.info.id,
+      phoneNumber: deviceId,
+      firstSequence,
+      missing,
+      attempt,
+    });
+
+    const { session } = connection;
+    return this.sendMessage(
+      connection.info.id,
+      deviceId,
+      MESSAGE_IDS.PLATFORM_RESEND_SUBPACKAGE_REQUEST,
+      MessageFactory.createResendSubpackageRequest(
+        firstSequence,
+        missing,
+        session.protocolVersion
+      ),
+      this.getHeaderOptions(session, {})
+    );
+  }
+
+  getHeaderOptions(session, header) {
+    // Downlinks use the session's protocol version; before it is decided
+    // they mirror the header the terminal used
+    const protocolVersion = session.protocolVersion || header.protocolVersion;
+    if (protocolVersion !== PROTOCOL_VERSIONS.JT808_2019) {
+      return {};
+    }
+    return {
+      protocolVersion,
+      versionNumber: session.versionNumber ?? header.versionNumber,
+    };
+  }
+
+  closeDuplicateSessions(connectionId, phoneNumber) {
+    connections.forEach((conn, id) => {
+      if (id !== connectionId && conn.session.phoneNumber === phoneNumber) {
+        Logger.warn("Closing previous session for re-authenticated terminal", {
+          connectionId: id,
+          phoneNumber,
+        });
+        conn.session.close("replaced by new connection");
+      }
+    });
+  }
+
+  removeConnection(connectionId) {
+    const connection = connections.get(connectionId);
+    if (!connection) return;
+
+    connections.delete(connectionId);
+    const { phoneNumber } = connection.session;
+    if (
+      connection.session.authenticatedAt &&
+      phoneNumber &&
+      !this.findConnection(phoneNumber)
+    ) {
+      this.fleetState.setOnline(phoneNumber, false);
+    }
+    closedConnections.unshift({
+      ...connection.info,
+      ...connection.session.toJSON(),
+    });
+    closedConnections.length = Math.min(
+      closedConnections.length,
+      CONFIG.CLOSED_CONNECTION_HISTORY
+    );
+  }
+
+  flushQueuedCommands(connectionId, phoneNumber) {
+    // Queued commands follow the authentication response, without holding
+    // up the messages that answer them
+    const connection = connections.get(connectionId);
+    const processed = connection ? connection.queue : Promise.resolve();
+    processed
+      .then(() => this.commands.flush(phoneNumber))
+      .catch((error) => {
+        Logger.error("Failed to send queued commands", {
+          connectionId,
+          phoneNumber,
+          error: error.message,
+        });
       });
+  }
+
+  handleLocations(phoneNumber, locations, header) {
+    for (const location of locations) {
+      this.fleetState.updateLocation(phoneNumber, location);
     }
+    this.alarms.process(phoneNumber, locations, header).catch((error) => {
+      Logger.error("Failed to process alarms", {
+        phoneNumber,
+        error: error.message,
+      });
+    });
+    this.geofences.process(phoneNumber, locations).catch((error) => {
+      Logger.error("Failed to check geofences", {
+        phoneNumber,
+        error: error.message,
+      });
+    });
+  }
+
+  getFleetSnapshot() {
+    return this.fleetState.snapshot();
   }
 
-  getConnections() {
-    return Array.from(connections.values()).map((conn) => conn.info);
+  getConnections(options = {}) {
+    const active = Array.from(connections.values()).map((conn) => ({
+      ...conn.info,
+      ...conn.session.toJSON(),
+    }));
+    return options.includeClosed ? active.concat(closedConnections) : active;
   }
 
   stop() {
     if (this.server) {
       Logger.info("Shutting down server...");
+      this.idleSweeper.stop();
+      this.reassembler.stop();
+      this.alarms.stop();
 
       // Close all connections
       connections.forEach((conn, id) => {
-        conn.socket.destroy();
+        conn.session.close("server shutting down");
         connections.delete(id);
       });
 
       this.server.close(() => {
         Logger.info("Server stopped");
       });
+
+      this.registry.database.close().catch((error) => {
+        Logger.error("Failed to close database", { error: error.message });
+      });
     }
   }
 }
 
-// Health check HTTP server for Render
-const healthServer = http.createServer((req, res) => {
-  if (req.url === "/health") {
-    res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(
-      JSON.stringify({
-        status: "healthy",
-        service: "JT808/JT1078 Dashcam Server",
-        timestamp: new Date().toISOString(),
-        connections: connections.size,
-        uptime: process.uptime(),
-      })
+// Health check, JSON API, live feed and dashboard HTTP server
+function createHttpServer(dashcamServer) {
+  const api = new HttpApi(dashcamServer, {
+    dashboard: {
+      tileUrl: CONFIG.DASHBOARD_TILE_URL,
+      attribution: CONFIG.DASHBOARD_TILE_ATTRIBUTION,
+    },
+    tokens: CONFIG.API_TOKENS,
+  });
+  const dashboard = new StaticFiles(path.join(__dirname, "public/dashboard"), {
+    prefix: "/dashboard",
+  });
+  const httpServer = http.createServer((req, res) => {
+    if (req.url === "/health") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(
+        JSON.stringify({
+          status: "healthy",
+          service: "JT808/JT1078 Dashcam Server",
+          timestamp: new Date().toISOString(),
+          connections: connections.size,
+          uptime: process.uptime(),
+        })
+      );
+      return;
+    }
+    if (req.url === "/") {
+      res.writeHead(302, { Location: "/dashboard/" });
+      res.end();
+      return;
+    }
+    dashboard
+      .handle(req, res)
+      .then((served) => served || api.handle(req, res))
+      .catch((error) => {
+        Logger.error("Failed to serve dashboard file", {
+          path: req.url,
+          error: error.message,
+        });
+        res.writeHead(500);
+        res.end();
+      });
+  });
+  new LiveFeed(dashcamServer).attach(httpServer);
+  return httpServer;
+}
+
+// Only listen when run directly, so tests can require this module
+if (require.main === module) {
+  // Create main TCP server
+  const server = new DashcamTCPServer();
+
+  // Start health check and API server on a different port
+  const healthPort =
+    parseInt(process.env.HEALTH_PORT, 10) || CONFIG.TCP_PORT + 1;
+  createHttpServer(server).listen(healthPort, CONFIG.HTTP_HOST, () => {
+    Logger.info(
+      `Health check and API server listening on ${CONFIG.HTTP_HOST}:${healthPort}`
     );
-  } else {
-    res.writeHead(404, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({ error: "Not found" }));
-  }
-});
-
-// Start health check server on a different port
-const healthPort = parseInt(process.env.HEALTH_PORT, 10) || CONFIG.TCP_PORT + 1;
-healthServer.listen(healthPort, () => {
-  Logger.info(`Health check server listening on port ${healthPort}`);
-});
-
-// Create and start main TCP server
-const server = new DashcamTCPServer();
-
-// Graceful shutdown
-process.on("SIGINT", () => {
-  Logger.info("Received SIGINT, shutting down gracefully...");
-  server.stop();
-  process.exit(0);
-});
-
-process.on("SIGTERM", () => {
-  Logger.info("Received SIGTERM, shutting down gracefully...");
-  server.stop();
-  process.exit(0);
-});
-
-// Start the server
-server.start();
-
-module.exports = { DashcamTCPServer, Logger };
+    if (
+      Object.keys(CONFIG.API_TOKENS).length === 0 &&
+      !["127.0.0.1", "::1", "localhost"].includes(CONFIG.HTTP_HOST)
+    ) {
+      Logger.warn(
+        "API_TOKENS is not set: anyone reaching the API can send commands to terminals"
+      );
+    }
+  });
+
+  // Graceful shutdown
+  process.on("SIGINT", () => {
+    Logger.info("Received SIGINT, shutting down gracefully...");
+    server.stop();
+    process.exit(0);
+  });
+
+  process.on("SIGTERM", () => {
+    Logger.info("Received SIGTERM, shutting down gracefully...");
+    server.stop();
+    process.exit(0);
+  });
+
+  // Start the server
+  server.start();
+}
+
+module.exports = { DashcamTCPServer, Logger, createHttpServer };
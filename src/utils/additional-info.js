@@ -0,0 +1,148 @@
+/**
+ * Location report additional information decoding
+ * The tail of a 0x0200 body is a list of items: ID (BYTE), length (BYTE), value.
+ */
+
+const { LOCATION_ADDITIONAL_INFO, AREA_TYPES } = require('../models/jt808-messages');
+
+/**
+ * Decoders for known item IDs
+ * Each entry names the decoded field, the value length it expects (null for
+ * variable) and converts the value buffer.
+ */
+const ITEM_DECODERS = {
+  [LOCATION_ADDITIONAL_INFO.MILEAGE]: {
+    name: 'mileage', // km
+    length: 4,
+    decode: (value) => value.readUInt32BE(0) / 10
+  },
+  [LOCATION_ADDITIONAL_INFO.FUEL]: {
+    name: 'fuel', // L
+    length: 2,
+    decode: (value) => value.readUInt16BE(0) / 10
+  },
+  [LOCATION_ADDITIONAL_INFO.RECORDER_SPEED]: {
+    name: 'recorderSpeed', // km/h
+    length: 2,
+    decode: (value) => value.readUInt16BE(0) / 10
+  },
+  [LOCATION_ADDITIONAL_INFO.MANUAL_ALARM_ID]: {
+    name: 'manualAlarmId',
+    length: 2,
+    decode: (value) => value.readUInt16BE(0)
+  },
+  [LOCATION_ADDITIONAL_INFO.OVERSPEED_ALARM]: {
+    name: 'overspeedAlarm',
+    length: null, // 1 byte, or 5 with an area/route ID
+    decode: (value) => {
+      const locationType = value.readUInt8(0);
+      if (locationType === AREA_TYPES.NONE) {
+        return { locationType, areaId: null };
+      }
+      return { locationType, areaId: value.readUInt32BE(1) };
+    }
+  },
+  [LOCATION_ADDITIONAL_INFO.AREA_ROUTE_ALARM]: {
+    name: 'areaRouteAlarm',
+    length: 6,
+    decode: (value) => ({
+      locationType: value.readUInt8(0),
+      areaId: value.readUInt32BE(1),
+      direction: value.readUInt8(5) === 0 ? 'in' : 'out'
+    })
+  },
+  [LOCATION_ADDITIONAL_INFO.ROUTE_DRIVING_TIME_ALARM]: {
+    name: 'routeDrivingTimeAlarm',
+    length: 7,
+    decode: (value) => ({
+      routeId: value.readUInt32BE(0),
+      drivingTime: value.readUInt16BE(4), // s
+      result: value.readUInt8(6) === 0 ? 'insufficient' : 'too_long'
+    })
+  },
+  [LOCATION_ADDITIONAL_INFO.EXTENDED_VEHICLE_SIGNALS]: {
+    name: 'extendedSignals',
+    length: 4,
+    decode: (value) => value.readUInt32BE(0)
+  },
+  [LOCATION_ADDITIONAL_INFO.IO_STATUS]: {
+    name: 'ioStatus',
+    length: 2,
+    decode: (value) => value.readUInt16BE(0)
+  },
+  [LOCATION_ADDITIONAL_INFO.ANALOG]: {
+    name: 'analog',
+    length: 4,
+    decode: (value) => {
+      const raw = value.readUInt32BE(0);
+      return { ad0: raw & 0xffff, ad1: raw >>> 16 };
+    }
+  },
+  [LOCATION_ADDITIONAL_INFO.SIGNAL_STRENGTH]: {
+    name: 'signalStrength',
+    length: 1,
+    decode: (value) => value.readUInt8(0)
+  },
+  [LOCATION_ADDITIONAL_INFO.GNSS_SATELLITES]: {
+    name: 'gnssSatellites',
+    length: 1,
+    decode: (value) => value.readUInt8(0)
+  }
+};
+
+/**
+ * Check whether a value has the length its decoder expects
+ * @param {number} id - Item ID
+ * @param {Buffer} value - Item value
+ * @returns {boolean} True if the value can be decoded
+ */
+function hasExpectedLength(id, value) {
+  if (id === LOCATION_ADDITIONAL_INFO.OVERSPEED_ALARM) {
+    return value.length === 1 ? value[0] === AREA_TYPES.NONE : value.length === 5;
+  }
+  return value.length === ITEM_DECODERS[id].length;
+}
+
+/**
+ * Decode additional information items
+ * Unknown, vendor-specific and malformed items are kept as hex strings under
+ * `unknown`, keyed by their ID (e.g. '0xe1').
+ * @param {Buffer} buffer - Additional information bytes
+ * @returns {Object} Decoded items by name, plus `unknown`
+ * @throws {Error} If an item runs past the end of the buffer
+ */
+function decodeAdditionalInfo(buffer) {
+  const info = { unknown: {} };
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    if (offset + 2 > buffer.length) {
+      throw new Error(`Truncated additional info item at offset ${offset}`);
+    }
+
+    const id = buffer[offset];
+    const length = buffer[offset + 1];
+    const start = offset + 2;
+    if (start + length > buffer.length) {
+      throw new Error(
+        `Additional info item 0x${id.toString(16).padStart(2, '0')} length ${length} exceeds remaining ${buffer.length - start} bytes`
+      );
+    }
+
+    const value = buffer.subarray(start, start + length);
+    const decoder = ITEM_DECODERS[id];
+    if (decoder && hasExpectedLength(id, value)) {
+      info[decoder.name] = decoder.decode(value);
+    } else {
+      info.unknown[`0x${id.toString(16).padStart(2, '0')}`] = value.toString('hex');
+    }
+
+    offset = start + length;
+  }
+
+  return info;
+}
+
+module.exports = {
+  decodeAdditionalInfo
+};
@@ -0,0 +1,390 @@
+/**
+ * Terminal-side areas and routes (0x8600-0x8607)
+ * Turns area and route descriptions in signed degrees into setting and
+ * deletion bodies, and reads the area and route alarm items (0x11, 0x12,
+ * 0x13) that terminals report back in 0x0200. Area types are the lowercase
+ * AREA_TYPES names: circle, rectangle, polygon and route.
+ */
+
+const { MessageFactory } = require('./message-validator');
+const { invalidArgument } = require('./query');
+const {
+  MESSAGE_IDS,
+  AREA_TYPES,
+  AREA_SETTING_TYPES,
+  AREA_ATTRIBUTES,
+  ROUTE_SEGMENT_ATTRIBUTES
+} = require('../models/jt808-messages');
+
+/**
+ * Option names of the area attribute bits that are not derived from the area itself
+ */
+const AREA_FLAG_NAMES = [
+  'ENTER_ALARM_DRIVER',
+  'ENTER_ALARM_PLATFORM',
+  'EXIT_ALARM_DRIVER',
+  'EXIT_ALARM_PLATFORM',
+  'DOOR_OPENING_FORBIDDEN',
+  'COMMUNICATION_OFF_ON_ENTER',
+  'GNSS_COLLECTION_ON_ENTER'
+];
+
+/**
+ * Routes only take the alarm bits
+ */
+const ROUTE_FLAG_NAMES = AREA_FLAG_NAMES.slice(0, 4);
+
+/**
+ * Setting and deletion message IDs by area type
+ */
+const AREA_MESSAGES = {
+  circle: { set: MESSAGE_IDS.SET_CIRCULAR_AREA, delete: MESSAGE_IDS.DELETE_CIRCULAR_AREA },
+  rectangle: { set: MESSAGE_IDS.SET_RECTANGULAR_AREA, delete: MESSAGE_IDS.DELETE_RECTANGULAR_AREA },
+  polygon: { set: MESSAGE_IDS.SET_POLYGON_AREA, delete: MESSAGE_IDS.DELETE_POLYGON_AREA },
+  route: { set: MESSAGE_IDS.SET_ROUTE, delete: MESSAGE_IDS.DELETE_ROUTE }
+};
+
+/**
+ * Check an integer within a range
+ * @param {*} value - Value
+ * @param {string} name - Name for the error message
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} Value
+ */
+function integerOf(value, name, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw invalidArgument(`${name} must be an integer from ${min} to ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Check the type of an area
+ * @param {string} areaType - Area type
+ * @returns {string} Area type
+ */
+function areaTypeOf(areaType) {
+  if (!AREA_MESSAGES[areaType]) {
+    throw invalidArgument(`areaType must be one of ${Object.keys(AREA_MESSAGES).join(', ')}`);
+  }
+  return areaType;
+}
+
+/**
+ * Encode a position as unsigned coordinates and hemisphere bits
+ * @param {Object} position - { latitude, longitude } in signed degrees
+ * @param {string} name - Name for the error message
+ * @returns {Object} { latitude, longitude } in degrees * 10^6, south and west flags
+ */
+function coordinatesOf(position, name) {
+  if (!position || typeof position !== 'object' ||
+    typeof position.latitude !== 'number' || Math.abs(position.latitude) > 90 ||
+    typeof position.longitude !== 'number' || Math.abs(position.longitude) > 180) {
+    throw invalidArgument(`${name} must be a { latitude, longitude } position`);
+  }
+  return {
+    latitude: Math.round(Math.abs(position.latitude) * 1e6),
+    longitude: Math.round(Math.abs(position.longitude) * 1e6),
+    south: position.latitude < 0,
+    west: position.longitude < 0
+  };
+}
+
+/**
+ * Hemisphere attribute bits shared by every position of an area
+ * @param {Array<Object>} coordinates - Results of coordinatesOf
+ * @returns {number} SOUTH_LATITUDE and WEST_LONGITUDE bits
+ * @throws {Error} INVALID_ARGUMENT if the positions lie in different hemispheres
+ */
+function hemisphereOf(coordinates) {
+  const [first] = coordinates;
+  if (coordinates.some((point) => point.south !== first.south || point.west !== first.west)) {
+    throw invalidArgument('Area must not cross the equator or the prime meridian');
+  }
+  return (first.south ? AREA_ATTRIBUTES.SOUTH_LATITUDE : 0) | (first.west ? AREA_ATTRIBUTES.WEST_LONGITUDE : 0);
+}
+
+/**
+ * Combine named attribute flags
+ * @param {Array<string>} flags - Names from AREA_ATTRIBUTES
+ * @param {Array<string>} allowed - Names this kind of area takes
+ * @returns {number} Attribute bits
+ */
+function flagsOf(flags = [], allowed) {
+  if (!Array.isArray(flags) || flags.some((name) => !allowed.includes(name))) {
+    throw invalidArgument(`flags must list names from ${allowed.join(', ')}`);
+  }
+  return flags.reduce((bits, name) => bits | AREA_ATTRIBUTES[name], 0);
+}
+
+/**
+ * Time range fields and attribute bit
+ * Times are YYMMDDHHMMSS in terminal time (GMT+8); 00 fields repeat, so
+ * 000000080000 to 000000180000 means 08:00 to 18:00 every day.
+ * @param {Object} area - Area description with optional startTime and endTime
+ * @returns {Object} { attributes, startTime, endTime }
+ */
+function timeRangeOf(area) {
+  if (area.startTime === undefined && area.endTime === undefined) {
+    return { attributes: 0 };
+  }
+  for (const name of ['startTime', 'endTime']) {
+    if (typeof area[name] !== 'string' || !/^\d{12}$/.test(area[name])) {
+      throw invalidArgument(`${name} must be 12 digits YYMMDDHHMMSS`);
+    }
+  }
+  return { attributes: AREA_ATTRIBUTES.TIME_RANGE, startTime: area.startTime, endTime: area.endTime };
+}
+
+/**
+ * Speed limit fields
+ * @param {Object} area - Area description with optional maxSpeed (km/h),
+ *   overspeedDuration (s, default 10) and nightMaxSpeed (km/h, JT808-2019)
+ * @returns {Object|null} { maxSpeed, overspeedDuration, nightMaxSpeed }, or null without a limit
+ */
+function speedLimitOf(area) {
+  if (area.maxSpeed === undefined || area.maxSpeed === null) {
+    return null;
+  }
+  return {
+    maxSpeed: integerOf(area.maxSpeed, 'maxSpeed', 1, 0xffff),
+    overspeedDuration: integerOf(area.overspeedDuration === undefined ? 10 : area.overspeedDuration,
+      'overspeedDuration', 0, 0xff),
+    nightMaxSpeed: area.nightMaxSpeed === undefined
+      ? undefined
+      : integerOf(area.nightMaxSpeed, 'nightMaxSpeed', 1, 0xffff)
+  };
+}
+
+/**
+ * Fields shared by circular, rectangular and polygon areas
+ * @param {Object} area - Area description
+ * @param {Array<Object>} coordinates - Encoded positions of the area
+ * @returns {Object} { areaId, attributes, startTime, endTime, maxSpeed, ..., name }
+ */
+function areaHeaderOf(area, coordinates) {
+  const time = timeRangeOf(area);
+  const speed = speedLimitOf(area);
+  return {
+    areaId: integerOf(area.id, 'id', 0, 0xffffffff),
+    attributes: flagsOf(area.flags, AREA_FLAG_NAMES) | hemisphereOf(coordinates) | time.attributes |
+      (speed ? AREA_ATTRIBUTES.SPEED_LIMIT : 0),
+    startTime: time.startTime,
+    endTime: time.endTime,
+    ...speed,
+    name: area.name
+  };
+}
+
+/**
+ * Circular area setting item
+ * @param {Object} area - { id, center, radius (m), flags, startTime, endTime, maxSpeed, overspeedDuration,
+ *   nightMaxSpeed, name }
+ * @returns {Object} Item for MessageFactory.createCircularAreaSetting
+ */
+function circleOf(area) {
+  const center = coordinatesOf(area.center, 'center');
+  return {
+    ...areaHeaderOf(area, [center]),
+    centerLatitude: center.latitude,
+    centerLongitude: center.longitude,
+    radius: integerOf(Math.round(area.radius), 'radius', 1, 0xffffffff)
+  };
+}
+
+/**
+ * Rectangular area setting item
+ * @param {Object} area - { id, topLeft, bottomRight, ...as for circleOf }
+ * @returns {Object} Item for MessageFactory.createRectangularAreaSetting
+ */
+function rectangleOf(area) {
+  const topLeft = coordinatesOf(area.topLeft, 'topLeft');
+  const bottomRight = coordinatesOf(area.bottomRight, 'bottomRight');
+  return {
+    ...areaHeaderOf(area, [topLeft, bottomRight]),
+    topLeftLatitude: topLeft.latitude,
+    topLeftLongitude: topLeft.longitude,
+    bottomRightLatitude: bottomRight.latitude,
+    bottomRightLongitude: bottomRight.longitude
+  };
+}
+
+/**
+ * Polygon area setting
+ * @param {Object} area - { id, points, ...as for circleOf }
+ * @returns {Object} Area for MessageFactory.createPolygonAreaSetting
+ */
+function polygonOf(area) {
+  if (!Array.isArray(area.points) || area.points.length < 3 || area.points.length > 0xffff) {
+    throw invalidArgument('points must be an array of at least 3 positions');
+  }
+  const points = area.points.map((point, index) => coordinatesOf(point, `points[${index}]`));
+  return {
+    ...areaHeaderOf(area, points),
+    points: points.map(({ latitude, longitude }) => ({ latitude, longitude }))
+  };
+}
+
+/**
+ * Route setting
+ * Every turning point starts the segment to the next one. Width (m), speed
+ * limit and driving time thresholds (tooLongThreshold, insufficientThreshold
+ * in s) are given for the whole route and may be overridden per point.
+ * @param {Object} route - { id, points, width, flags, startTime, endTime, maxSpeed, overspeedDuration,
+ *   nightMaxSpeed, tooLongThreshold, insufficientThreshold, name }
+ * @returns {Object} Route for MessageFactory.createRouteSetting
+ */
+function routeOf(route) {
+  if (!Array.isArray(route.points) || route.points.length < 2 || route.points.length > 0xffff) {
+    throw invalidArgument('points must be an array of at least 2 positions');
+  }
+  const time = timeRangeOf(route);
+
+  const points = route.points.map((point, index) => {
+    const segment = { ...route, ...point };
+    const coordinates = coordinatesOf(point, `points[${index}]`);
+    const speed = speedLimitOf(segment);
+    const drivingTime = segment.tooLongThreshold !== undefined || segment.insufficientThreshold !== undefined;
+    return {
+      pointId: index + 1,
+      segmentId: index + 1,
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      width: integerOf(Math.round(segment.width), 'width', 1, 0xff),
+      segmentAttributes: (coordinates.south ? ROUTE_SEGMENT_ATTRIBUTES.SOUTH_LATITUDE : 0) |
+        (coordinates.west ? ROUTE_SEGMENT_ATTRIBUTES.WEST_LONGITUDE : 0) |
+        (drivingTime ? ROUTE_SEGMENT_ATTRIBUTES.DRIVING_TIME : 0) |
+        (speed ? ROUTE_SEGMENT_ATTRIBUTES.SPEED_LIMIT : 0),
+      tooLongThreshold: drivingTime ? integerOf(segment.tooLongThreshold || 0, 'tooLongThreshold', 0, 0xffff) : undefined,
+      insufficientThreshold: drivingTime
+        ? integerOf(segment.insufficientThreshold || 0, 'insufficientThreshold', 0, 0xffff)
+        : undefined,
+      ...speed
+    };
+  });
+
+  return {
+    routeId: integerOf(route.id, 'id', 0, 0xffffffff),
+    attributes: flagsOf(route.flags, ROUTE_FLAG_NAMES) | time.attributes,
+    startTime: time.startTime,
+    endTime: time.endTime,
+    name: route.name,
+    points
+  };
+}
+
+/**
+ * Build an area or route setting
+ * Circles and rectangles take up to 255 areas per message; polygons and
+ * routes take exactly one, which replaces any with the same ID.
+ * @param {string} areaType - circle, rectangle, polygon or route
+ * @param {Array<Object>} areas - Area descriptions, see circleOf, rectangleOf, polygonOf and routeOf
+ * @param {Object} options - Options
+ * @param {string} options.settingType - update (replace every area of the type), append or modify;
+ *   circles and rectangles only, default append
+ * @param {string} options.protocolVersion - Protocol version from PROTOCOL_VERSIONS
+ * @returns {Object} { messageId, body }
+ * @throws {Error} INVALID_ARGUMENT if an area is invalid
+ */
+function buildAreaSetting(areaType, areas, options = {}) {
+  areaTypeOf(areaType);
+  const single = areaType === 'polygon' || areaType === 'route';
+  if (!Array.isArray(areas) || areas.length === 0 || areas.length > (single ? 1 : 255) ||
+    areas.some((area) => !area || typeof area !== 'object')) {
+    throw invalidArgument(single ? `areas must hold exactly one ${areaType}` : 'areas must list 1 to 255 areas');
+  }
+
+  const messageId = AREA_MESSAGES[areaType].set;
+  const { protocolVersion } = options;
+  switch (areaType) {
+    case 'polygon':
+      return { messageId, body: MessageFactory.createPolygonAreaSetting(polygonOf(areas[0]), protocolVersion) };
+    case 'route':
+      return { messageId, body: MessageFactory.createRouteSetting(routeOf(areas[0]), protocolVersion) };
+    default: {
+      const settingName = (options.settingType || 'append').toUpperCase();
+      if (AREA_SETTING_TYPES[settingName] === undefined) {
+        throw invalidArgument('settingType must be one of update, append, modify');
+      }
+      const settingType = AREA_SETTING_TYPES[settingName];
+      const body = areaType === 'circle'
+        ? MessageFactory.createCircularAreaSetting(settingType, areas.map(circleOf), protocolVersion)
+        : MessageFactory.createRectangularAreaSetting(settingType, areas.map(rectangleOf), protocolVersion);
+      return { messageId, body };
+    }
+  }
+}
+
+/**
+ * Build an area or route deletion
+ * @param {string} areaType - circle, rectangle, polygon or route
+ * @param {Array<number>} ids - Area or route IDs, empty to delete every one of the type
+ * @returns {Object} { messageId, body }
+ * @throws {Error} INVALID_ARGUMENT if the IDs are invalid
+ */
+function buildAreaDeletion(areaType, ids) {
+  areaTypeOf(areaType);
+  if (!Array.isArray(ids) || ids.length > 255) {
+    throw invalidArgument('ids must list at most 255 area IDs');
+  }
+  const messageId = AREA_MESSAGES[areaType].delete;
+  return {
+    messageId,
+    body: MessageFactory.createAreaDeletion(messageId, ids.map((id) => integerOf(id, 'id', 0, 0xffffffff)))
+  };
+}
+
+/**
+ * Area type name of an AREA_TYPES value
+ * @param {number} locationType - AREA_TYPES value
+ * @returns {string|null} circle, rectangle, polygon or route, or null if unknown
+ */
+function areaTypeName(locationType) {
+  const name = Object.keys(AREA_TYPES).find((key) => AREA_TYPES[key] === locationType);
+  return name && locationType !== AREA_TYPES.NONE ? name.toLowerCase() : null;
+}
+
+/**
+ * Area and route alarms a terminal reported in a location's additional information
+ * @param {Object} additionalInfo - Decoded additional information items
+ * @returns {Array<Object>} { alarm, areaType, areaId } with direction ('in' or 'out') for
+ *   area_route, and drivingTime (s) and result ('insufficient' or 'too_long') for
+ *   route_driving_time; overspeed without an area is left out
+ */
+function areaAlarmsOf(additionalInfo) {
+  const alarms = [];
+  if (!additionalInfo) {
+    return alarms;
+  }
+
+  const { overspeedAlarm, areaRouteAlarm, routeDrivingTimeAlarm } = additionalInfo;
+  if (overspeedAlarm && overspeedAlarm.areaId !== null) {
+    alarms.push({ alarm: 'overspeed', areaType: areaTypeName(overspeedAlarm.locationType), areaId: overspeedAlarm.areaId });
+  }
+  if (areaRouteAlarm) {
+    alarms.push({
+      alarm: 'area_route',
+      areaType: areaTypeName(areaRouteAlarm.locationType),
+      areaId: areaRouteAlarm.areaId,
+      direction: areaRouteAlarm.direction
+    });
+  }
+  if (routeDrivingTimeAlarm) {
+    alarms.push({
+      alarm: 'route_driving_time',
+      areaType: 'route',
+      areaId: routeDrivingTimeAlarm.routeId,
+      drivingTime: routeDrivingTimeAlarm.drivingTime,
+      result: routeDrivingTimeAlarm.result
+    });
+  }
+  return alarms;
+}
+
+module.exports = {
+  AREA_FLAG_NAMES,
+  buildAreaSetting,
+  buildAreaDeletion,
+  areaAlarmsOf
+};
@@ -17,6 +17,63 @@ function calculateChecksum(buffer, start = 0, end = buffer.length) {
   return checksum;
 }
 
+/**
+ * JT808 escape rules: 0x7E <-> 0x7D 0x02, 0x7D <-> 0x7D 0x01
+ */
+const FLAG_BYTE = 0x7E;
+const ESCAPE_BYTE = 0x7D;
+
+/**
+ * Escape message data so it contains no flag bytes
+ * @param {Buffer} data - Unescaped data (message data plus checksum)
+ * @returns {Buffer} Escaped data
+ */
+function escapeData(data) {
+  const escaped = [];
+  for (const byte of data) {
+    if (byte === FLAG_BYTE) {
+      escaped.push(ESCAPE_BYTE, 0x02);
+    } else if (byte === ESCAPE_BYTE) {
+      escaped.push(ESCAPE_BYTE, 0x01);
+    } else {
+      escaped.push(byte);
+    }
+  }
+  return Buffer.from(escaped);
+}
+
+/**
+ * Restore escaped message data
+ * @param {Buffer} data - Escaped data between the flags
+ * @returns {Buffer} Unescaped data
+ * @throws {Error} If an escape byte is not followed by 0x01 or 0x02
+ */
+function unescapeData(data) {
+  if (data.indexOf(ESCAPE_BYTE) === -1) {
+    return data;
+  }
+
+  const unescaped = [];
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] !== ESCAPE_BYTE) {
+      unescaped.push(data[i]);
+      continue;
+    }
+
+    const next = data[i + 1];
+    if (next === 0x02) {
+      unescaped.push(FLAG_BYTE);
+    } else if (next === 0x01) {
+      unescaped.push(ESCAPE_BYTE);
+    } else {
+      const found = next === undefined ? 'end of data' : `0x${next.toString(16).padStart(2, '0')}`;
+      throw new Error(`Invalid escape sequence at offset ${i}: 0x7d followed by ${found}`);
+    }
+    i++;
+  }
+  return Buffer.from(unescaped);
+}
+
 /**
  * Validate JT808 message checksum
  * @param {Buffer} messageBuffer - Complete message buffer including checksum
@@ -29,16 +86,28 @@ function validateMessageChecksum(messageBuffer) {
 
   // JT808 message format: [0x7E] [message data] [checksum] [0x7E]
   // Find the actual message boundaries
-  const startFlag = messageBuffer.indexOf(0x7E);
-  const endFlag = messageBuffer.lastIndexOf(0x7E);
+  const startFlag = messageBuffer.indexOf(FLAG_BYTE);
+  const endFlag = messageBuffer.lastIndexOf(FLAG_BYTE);
   
   if (startFlag === -1 || endFlag === -1 || startFlag === endFlag) {
     return false; // Invalid message format
   }
 
-  // Extract message data (excluding start flag, checksum, and end flag)
-  const messageData = messageBuffer.slice(startFlag + 1, endFlag - 1);
-  const receivedChecksum = messageBuffer[endFlag - 1];
+  // Checksum is calculated over the unescaped data
+  let content;
+  try {
+    content = unescapeData(messageBuffer.slice(startFlag + 1, endFlag));
+  } catch (error) {
+    return false;
+  }
+
+  if (content.length < 1) {
+    return false;
+  }
+
+  // Extract message data (excluding checksum)
+  const messageData = content.slice(0, content.length - 1);
+  const receivedChecksum = content[content.length - 1];
   
   // Calculate expected checksum
   const calculatedChecksum = calculateChecksum(messageData);
@@ -47,37 +116,48 @@ function validateMessageChecksum(messageBuffer) {
 }
 
 /**
- * Add checksum to message data and wrap with flags
+ * Add checksum to message data, escape it and wrap with flags
  * @param {Buffer} messageData - Raw message data without flags or checksum
  * @returns {Buffer} Complete message with flags and checksum
  */
 function wrapMessage(messageData) {
   const checksum = calculateChecksum(messageData);
-  const wrappedMessage = Buffer.alloc(messageData.length + 3);
+  const escaped = escapeData(Buffer.concat([messageData, Buffer.from([checksum])]));
+  const wrappedMessage = Buffer.alloc(escaped.length + 2);
   
-  wrappedMessage[0] = 0x7E; // Start flag
-  messageData.copy(wrappedMessage, 1);
-  wrappedMessage[wrappedMessage.length - 2] = checksum;
-  wrappedMessage[wrappedMessage.length - 1] = 0x7E; // End flag
+  wrappedMessage[0] = FLAG_BYTE; // Start flag
+  escaped.copy(wrappedMessage, 1);
+  wrappedMessage[wrappedMessage.length - 1] = FLAG_BYTE; // End flag
   
   return wrappedMessage;
 }
 
 /**
- * Extract message data from wrapped message
+ * Extract and unescape message data from wrapped message
  * @param {Buffer} wrappedMessage - Complete message with flags and checksum
  * @returns {Object} Object containing messageData and isValid
  */
 function unwrapMessage(wrappedMessage) {
-  const startFlag = wrappedMessage.indexOf(0x7E);
-  const endFlag = wrappedMessage.lastIndexOf(0x7E);
+  const startFlag = wrappedMessage.indexOf(FLAG_BYTE);
+  const endFlag = wrappedMessage.lastIndexOf(FLAG_BYTE);
   
   if (startFlag === -1 || endFlag === -1 || startFlag === endFlag) {
     return { messageData: null, isValid: false, error: 'Invalid message format' };
   }
 
-  const messageData = wrappedMessage.slice(startFlag + 1, endFlag - 1);
-  const isValid = validateMessageChecksum(wrappedMessage);
+  let content;
+  try {
+    content = unescapeData(wrappedMessage.slice(startFlag + 1, endFlag));
+  } catch (error) {
+    return { messageData: null, isValid: false, error: error.message };
+  }
+
+  if (content.length < 1) {
+    return { messageData: null, isValid: false, error: 'Invalid message format' };
+  }
+
+  const messageData = content.slice(0, content.length - 1);
+  const isValid = calculateChecksum(messageData) === content[content.length - 1];
   
   return { messageData, isValid };
 }
@@ -85,6 +165,8 @@ function unwrapMessage(wrappedMessage) {
 module.exports = {
   calculateChecksum,
   validateMessageChecksum,
+  escapeData,
+  unescapeData,
   wrapMessage,
   unwrapMessage
-};
\ No newline at end of file
+};
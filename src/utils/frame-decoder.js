@@ -0,0 +1,112 @@
+/**
+ * Stream-aware JT808 frame decoder
+ * Reassembles complete 0x7E-delimited frames from a TCP byte stream
+ */
+
+const FLAG_BYTE = 0x7E;
+
+/**
+ * Default limits for buffered stream data
+ */
+const FRAME_DECODER_DEFAULTS = {
+  // Largest body (1023 bytes) plus header, checksum and flags, doubled for escaping
+  maxBufferSize: 4096
+};
+
+/**
+ * Per-connection frame decoder
+ * TCP may split one frame across several chunks or merge several frames into
+ * one chunk, so bytes are buffered until a complete frame is available.
+ */
+class FrameDecoder {
+  /**
+   * @param {Object} options - Decoder options
+   * @param {number} options.maxBufferSize - Maximum bytes buffered without a complete frame
+   */
+  constructor(options = {}) {
+    this.maxBufferSize = options.maxBufferSize || FRAME_DECODER_DEFAULTS.maxBufferSize;
+    this.buffer = Buffer.alloc(0);
+    this.droppedBytes = 0;
+    this.overflowCount = 0;
+  }
+
+  /**
+   * Append received bytes and extract every complete frame
+   * @param {Buffer} chunk - Bytes received from the socket
+   * @returns {Buffer[]} Complete frames including both 0x7E flags
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    const frames = [];
+
+    while (this.buffer.length > 0) {
+      const start = this.buffer.indexOf(FLAG_BYTE);
+
+      if (start === -1) {
+        // No frame start anywhere, everything buffered is junk
+        this.discard(this.buffer.length);
+        break;
+      }
+
+      if (start > 0) {
+        // Drop junk between frames
+        this.discard(start);
+      }
+
+      const end = this.buffer.indexOf(FLAG_BYTE, 1);
+      if (end === -1) {
+        break; // Frame incomplete, wait for more data
+      }
+
+      if (end === 1) {
+        // Two adjacent flags: the first one closed a frame we never saw
+        // the start of, so resynchronise on the second flag
+        this.discard(1);
+        continue;
+      }
+
+      frames.push(this.buffer.slice(0, end + 1));
+      this.buffer = this.buffer.slice(end + 1);
+    }
+
+    if (this.buffer.length > this.maxBufferSize) {
+      // A start flag without an end flag for this long is not a real frame
+      this.overflowCount++;
+      this.discard(this.buffer.length);
+    }
+
+    return frames;
+  }
+
+  /**
+   * Drop bytes from the front of the buffer
+   * @param {number} length - Number of bytes to drop
+   */
+  discard(length) {
+    this.droppedBytes += length;
+    this.buffer = this.buffer.slice(length);
+  }
+
+  /**
+   * Number of bytes waiting for the rest of their frame
+   * @returns {number} Buffered byte count
+   */
+  pending() {
+    return this.buffer.length;
+  }
+
+  /**
+   * Clear buffered data and counters
+   */
+  reset() {
+    this.buffer = Buffer.alloc(0);
+    this.droppedBytes = 0;
+    this.overflowCount = 0;
+  }
+}
+
+module.exports = {
+  FrameDecoder,
+  FRAME_DECODER_DEFAULTS
+};
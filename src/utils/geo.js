@@ -0,0 +1,122 @@
+/**
+ * Geometry on WGS-84 positions for geofencing
+ * Distances use a spherical earth. Polygon and corridor tests project onto a
+ * local flat plane around the point, which is accurate for zones up to a few
+ * hundred kilometres across; zones must not cross the antimeridian.
+ */
+
+/**
+ * Mean earth radius in metres
+ */
+const EARTH_RADIUS = 6371008.8;
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Great-circle distance between two positions
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} Distance in metres
+ */
+function distance(a, b) {
+  const dLatitude = toRadians(b.latitude - a.latitude);
+  const dLongitude = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLatitude / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Project a position onto a flat plane around an origin
+ * @param {Object} origin - { latitude, longitude } of the plane's origin
+ * @param {Object} position - { latitude, longitude }
+ * @returns {Object} { x, y } in metres east and north of the origin
+ */
+function toLocal(origin, position) {
+  return {
+    x: toRadians(position.longitude - origin.longitude) * EARTH_RADIUS * Math.cos(toRadians(origin.latitude)),
+    y: toRadians(position.latitude - origin.latitude) * EARTH_RADIUS
+  };
+}
+
+/**
+ * Whether a position lies inside a circle
+ * @param {Object} position - { latitude, longitude }
+ * @param {Object} center - { latitude, longitude }
+ * @param {number} radius - Radius in metres
+ * @returns {boolean} True if inside or on the edge
+ */
+function inCircle(position, center, radius) {
+  return distance(position, center) <= radius;
+}
+
+/**
+ * Whether a position lies inside a latitude/longitude rectangle
+ * @param {Object} position - { latitude, longitude }
+ * @param {Object} topLeft - North-west corner { latitude, longitude }
+ * @param {Object} bottomRight - South-east corner { latitude, longitude }
+ * @returns {boolean} True if inside or on the edge
+ */
+function inRectangle(position, topLeft, bottomRight) {
+  return position.latitude <= topLeft.latitude &&
+    position.latitude >= bottomRight.latitude &&
+    position.longitude >= topLeft.longitude &&
+    position.longitude <= bottomRight.longitude;
+}
+
+/**
+ * Whether a position lies inside a polygon (even-odd rule)
+ * @param {Object} position - { latitude, longitude }
+ * @param {Array<Object>} points - Vertices { latitude, longitude }, in order, not closed
+ * @returns {boolean} True if inside
+ */
+function inPolygon(position, points) {
+  const vertices = points.map((point) => toLocal(position, point));
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if ((a.y > 0) !== (b.y > 0) && 0 < a.x + ((0 - a.y) * (b.x - a.x)) / (b.y - a.y)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Shortest distance from a position to a polyline
+ * @param {Object} position - { latitude, longitude }
+ * @param {Array<Object>} points - Polyline vertices { latitude, longitude }, in order
+ * @returns {number} Distance in metres
+ */
+function distanceToPolyline(position, points) {
+  const vertices = points.map((point) => toLocal(position, point));
+  let shortest = Infinity;
+  for (let i = 1; i < vertices.length; i++) {
+    const a = vertices[i - 1];
+    const b = vertices[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    shortest = Math.min(shortest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+  return shortest;
+}
+
+module.exports = {
+  EARTH_RADIUS,
+  distance,
+  toLocal,
+  inCircle,
+  inRectangle,
+  inPolygon,
+  distanceToPolyline
+};
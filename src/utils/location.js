@@ -0,0 +1,101 @@
+/**
+ * Location normalization
+ * Turns a decoded location basic information block (0x0200 body, 0x0704 item,
+ * 0x0201 reply) into signed decimal degrees, km/h and a UTC timestamp.
+ */
+
+const { ALARM_FLAGS, STATUS_FLAGS, LOCATION_BATCH_TYPES } = require('../models/jt808-messages');
+
+/**
+ * Device clocks run on GMT+8
+ */
+const DEVICE_UTC_OFFSET_HOURS = 8;
+
+/**
+ * Names of the flags set in a bit field
+ * Multi-bit flags such as STATUS_FLAGS.LOAD_STATUS count as set when any of their bits is.
+ * @param {number} value - Flag word
+ * @param {Object} flags - Flag definitions, e.g. ALARM_FLAGS
+ * @returns {Array<string>} Flag names in definition order
+ */
+function flagNames(value, flags) {
+  return Object.keys(flags).filter((name) => (value & flags[name]) !== 0);
+}
+
+/**
+ * Convert device time to an ISO UTC timestamp
+ * @param {string} bcd - Device time as BCD 'YYMMDDHHMMSS' in GMT+8
+ * @returns {string|null} ISO 8601 UTC timestamp, or null if the time is not a valid date
+ */
+function deviceTimeToISO(bcd) {
+  if (typeof bcd !== 'string' || !/^\d{12}$/.test(bcd)) {
+    return null;
+  }
+
+  const [year, month, day, hour, minute, second] = bcd.match(/\d{2}/g).map(Number);
+  if (month < 1 || month > 12 || day < 1 || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  const local = new Date(Date.UTC(2000 + year, month - 1, day, hour, minute, second));
+  if (local.getUTCDate() !== day) {
+    return null; // e.g. February 30th
+  }
+
+  return new Date(local.getTime() - DEVICE_UTC_OFFSET_HOURS * 3600000).toISOString();
+}
+
+/**
+ * Normalize a decoded location
+ * @param {Object} location - Decoded location with raw alarmFlag, statusFlag,
+ *   latitude/longitude (degrees × 10^6), altitude, speed (0.1 km/h), direction,
+ *   timestamp (BCD) and optional additionalInfo
+ * @returns {Object} Normalized location
+ */
+function normalizeLocation(location) {
+  const alarmFlag = location.alarmFlag >>> 0;
+  const statusFlag = location.statusFlag >>> 0;
+  const latitude = location.latitude / 1e6;
+  const longitude = location.longitude / 1e6;
+
+  const normalized = {
+    latitude: statusFlag & STATUS_FLAGS.SOUTH_LATITUDE ? -latitude : latitude,
+    longitude: statusFlag & STATUS_FLAGS.WEST_LONGITUDE ? -longitude : longitude,
+    altitude: location.altitude, // m
+    speed: location.speed / 10, // km/h
+    direction: location.direction, // degrees from north
+    timestamp: deviceTimeToISO(location.timestamp),
+    deviceTime: location.timestamp,
+    accOn: (statusFlag & STATUS_FLAGS.ACC_ON) !== 0,
+    positioned: (statusFlag & STATUS_FLAGS.POSITIONING) !== 0,
+    alarmFlag,
+    statusFlag,
+    alarms: flagNames(alarmFlag, ALARM_FLAGS),
+    statuses: flagNames(statusFlag, STATUS_FLAGS)
+  };
+
+  if (location.additionalInfo) {
+    normalized.additionalInfo = location.additionalInfo;
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalize the locations of a batch report (0x0704)
+ * @param {Object} batch - Decoded LOCATION_BATCH_REPORT body
+ * @returns {Array<Object>} Normalized locations in report order, each with a
+ *   `blindArea` flag set when the batch supplements positions stored while offline
+ */
+function normalizeLocationBatch(batch) {
+  const blindArea = batch.dataType === LOCATION_BATCH_TYPES.BLIND_AREA_SUPPLEMENT;
+  return batch.locations.map((location) => ({ ...normalizeLocation(location), blindArea }));
+}
+
+module.exports = {
+  normalizeLocation,
+  normalizeLocationBatch,
+  deviceTimeToISO,
+  flagNames,
+  DEVICE_UTC_OFFSET_HOURS
+};
@@ -0,0 +1,49 @@
+/**
+ * Simple console and file logger shared by the server and its components
+ */
+
+const path = require("path");
+const fs = require("fs");
+
+const LOG_DIR = process.env.LOG_DIR || "logs";
+
+// Simple logger
+class Logger {
+  static log(level, message, data = null) {
+    const timestamp = new Date().toISOString();
+    const logEntry = `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+
+    console.log(logEntry);
+    if (data) {
+      console.log("Data:", data);
+    }
+
+    // Only write to file in development mode
+    if (process.env.NODE_ENV !== "production") {
+      try {
+        const logFile = path.join(
+          LOG_DIR,
+          `server-${new Date().toISOString().split("T")[0]}.log`
+        );
+        const logLine = data
+          ? `${logEntry} | Data: ${JSON.stringify(data)}\n`
+          : `${logEntry}\n`;
+        fs.appendFileSync(logFile, logLine);
+      } catch (error) {
+        console.warn(`Failed to write to log file: ${error.message}`);
+      }
+    }
+  }
+
+  static info(message, data) {
+    this.log("info", message, data);
+  }
+  static warn(message, data) {
+    this.log("warn", message, data);
+  }
+  static error(message, data) {
+    this.log("error", message, data);
+  }
+}
+
+module.exports = Logger;
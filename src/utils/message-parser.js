@@ -4,6 +4,7 @@
 
 const BufferParser = require('./buffer-parser');
 const { unwrapMessage } = require('./checksum');
+const { MESSAGE_IDS } = require('../models/jt808-messages');
 
 /**
  * JT808 Protocol versions
@@ -14,6 +15,28 @@ const PROTOCOL_VERSIONS = {
   JT808_2019: '2019'
 };
 
+/**
+ * Minimum JT808-2013 registration body length
+ * provinceId(2) + cityId(2) + manufacturerId(5) + deviceModel(20) + deviceId(7) + plateColor(1);
+ * JT808-2011 bodies use an 8-byte model and are 12 bytes shorter. The plate
+ * number fills the rest of the body, so a 2011 body with a plate of 12 bytes
+ * or more (a 17-character VIN) is as long as a 2013 one; the two are told
+ * apart by the byte at the 2013 plate color offset, which is a small color
+ * code in 2013 bodies and plate text in 2011 ones.
+ */
+const REGISTRATION_BODY_LENGTH_2013 = 37;
+
+/**
+ * Plate color codes are below this value; plate text (ASCII or GBK) is not
+ */
+const PLATE_TEXT_MIN_BYTE = 0x20;
+
+/**
+ * Largest body the 10-bit length field of the message properties can carry;
+ * longer bodies are split into sub-packages
+ */
+const MAX_BODY_LENGTH = 1023;
+
 /**
  * JT808 Message header structure
  */
@@ -22,6 +45,8 @@ class MessageHeader {
     this.messageId = 0;
     this.messageProperties = 0;
     this.protocolVersion = null;
+    this.versionFlag = false; // Bit 14 of properties, set by JT808-2019 terminals
+    this.versionNumber = null; // Protocol version byte (JT808-2019 only)
     this.deviceId = '';
     this.messageSequence = 0;
     this.messagePackage = null; // For fragmented messages
@@ -53,7 +78,7 @@ class RawMessageLogger {
     console.log(`\n=== PARSED HEADER ===`);
     console.log(`Device ID: ${deviceId}`);
     console.log(`Message ID: 0x${header.messageId.toString(16).padStart(4, '0').toUpperCase()}`);
-    console.log(`Protocol Version: ${header.protocolVersion || 'Unknown'}`);
+    console.log(`Protocol Version: ${header.protocolVersion || 'Unknown'}${header.versionFlag ? ` (version byte ${header.versionNumber})` : ''}`);
     console.log(`Message Length: ${header.messageLength}`);
     console.log(`Sequence: ${header.messageSequence}`);
     console.log(`Device ID (from header): ${header.deviceId}`);
@@ -137,20 +162,22 @@ class MessageParser {
     const messageLength = header.messageProperties & 0x03FF; // Bits 0-9
     const encryptionType = (header.messageProperties >> 10) & 0x07; // Bits 10-12
     const isFragmented = (header.messageProperties >> 13) & 0x01; // Bit 13
-    const reserved = (header.messageProperties >> 14) & 0x03; // Bits 14-15
 
     header.messageLength = messageLength;
     header.encryptionType = encryptionType;
+    header.versionFlag = ((header.messageProperties >> 14) & 0x01) === 1; // Bit 14
 
-    // Detect protocol version based on header structure and reserved bits
-    header.protocolVersion = MessageParser.detectProtocolVersion(header.messageId, reserved, messageData.length);
+    // The header alone tells 2019 from older versions; 2011 and 2013 share the
+    // same header layout and are told apart per session at registration
+    header.protocolVersion = header.versionFlag ? PROTOCOL_VERSIONS.JT808_2019 : PROTOCOL_VERSIONS.JT808_2013;
 
-    // Device ID - format depends on protocol version
-    if (header.protocolVersion === PROTOCOL_VERSIONS.JT808_2019) {
-      // JT808-2019: Device ID can be variable length, but typically 6 bytes BCD
-      header.deviceId = parser.readBCD(6);
+    // Device ID - layout depends on the version flag
+    if (header.versionFlag) {
+      // JT808-2019: protocol version byte followed by 10-byte BCD terminal phone number
+      header.versionNumber = parser.readUInt8();
+      header.deviceId = parser.readBCD(10);
     } else {
-      // JT808-2011/2013: Device ID is 6 bytes BCD
+      // JT808-2011/2013: 6-byte BCD terminal phone number
       header.deviceId = parser.readBCD(6);
     }
 
@@ -169,27 +196,27 @@ class MessageParser {
   }
 
   /**
-   * Detect JT808 protocol version
-   * @param {number} messageId - Message ID
-   * @param {number} reserved - Reserved bits from message properties
-   * @param {number} messageLength - Total message length
-   * @returns {string} Protocol version
+   * Detect a terminal's JT808 protocol version from its registration or authentication message
+   * 2019 is identified by the header version flag, 2011 and 2013 by the
+   * registration body length and plate color position. Other messages carry
+   * no reliable version hint.
+   * @param {MessageHeader} header - Parsed header
+   * @param {Buffer} body - Message body
+   * @returns {string|null} Protocol version, or null if the message cannot tell
    */
-  static detectProtocolVersion(messageId, reserved, messageLength) {
-    // JT808-2019 detection
-    if (reserved !== 0) {
+  static detectProtocolVersion(header, body) {
+    if (header.versionFlag) {
       return PROTOCOL_VERSIONS.JT808_2019;
     }
 
-    // Check for JT808-2019 specific message IDs
-    const jt808_2019_messages = [0x0001, 0x8001, 0x0102, 0x8103, 0x8104, 0x8106, 0x8107];
-    if (jt808_2019_messages.includes(messageId)) {
-      return PROTOCOL_VERSIONS.JT808_2019;
+    if (header.messageId === MESSAGE_IDS.TERMINAL_REGISTRATION) {
+      const plateColor = body[REGISTRATION_BODY_LENGTH_2013 - 1];
+      return body.length >= REGISTRATION_BODY_LENGTH_2013 && plateColor < PLATE_TEXT_MIN_BYTE
+        ? PROTOCOL_VERSIONS.JT808_2013
+        : PROTOCOL_VERSIONS.JT808_2011;
     }
 
-    // JT808-2013 vs 2011 detection (harder to distinguish)
-    // For now, default to 2013 as it's more common
-    return PROTOCOL_VERSIONS.JT808_2013;
+    return null;
   }
 
   /**
@@ -199,6 +226,10 @@ class MessageParser {
    */
   static getHeaderLength(header) {
     let length = 12; // Base header: messageId(2) + properties(2) + deviceId(6) + sequence(2)
+
+    if (header.versionFlag) {
+      length = 17; // JT808-2019: messageId(2) + properties(2) + version(1) + deviceId(10) + sequence(2)
+    }
     
     if (header.messagePackage) {
       length += 4; // Package info: total(2) + current(2)
@@ -213,11 +244,23 @@ class MessageParser {
    * @param {string} deviceId - Target device ID
    * @param {Buffer} bodyData - Message body data
    * @param {number} sequenceNumber - Message sequence number
+   * @param {Object} options - Header options
+   * @param {string} options.protocolVersion - Terminal protocol version; '2019' writes the 2019 header
+   * @param {number} options.versionNumber - JT808-2019 protocol version byte (default 1)
+   * @param {Object} options.messagePackage - Package info { total, current } for one sub-package
    * @returns {Buffer} Complete response message
+   * @throws {Error} If the body does not fit the length field
    */
-  static createResponseMessage(messageId, deviceId, bodyData = Buffer.alloc(0), sequenceNumber = 1) {
+  static createResponseMessage(messageId, deviceId, bodyData = Buffer.alloc(0), sequenceNumber = 1, options = {}) {
     const bodyLength = bodyData.length;
-    const headerLength = 12; // Standard header without fragmentation
+    const is2019 = options.protocolVersion === PROTOCOL_VERSIONS.JT808_2019;
+    const { messagePackage } = options;
+
+    if (bodyLength > MAX_BODY_LENGTH) {
+      throw new Error(`Message body of ${bodyLength} bytes exceeds ${MAX_BODY_LENGTH}; use createMessagePackets to split it`);
+    }
+
+    const headerLength = (is2019 ? 17 : 12) + (messagePackage ? 4 : 0);
     
     // Create header
     const header = Buffer.alloc(headerLength);
@@ -227,17 +270,40 @@ class MessageParser {
     header.writeUInt16BE(messageId, offset);
     offset += 2;
 
-    // Message Properties (length in bits 0-9, no encryption, no fragmentation)
-    header.writeUInt16BE(bodyLength, offset);
+    // Message Properties (length in bits 0-9, no encryption, fragmentation in bit 13, version flag in bit 14)
+    let properties = bodyLength;
+    if (messagePackage) {
+      properties |= 0x2000;
+    }
+    if (is2019) {
+      properties |= 0x4000;
+    }
+    header.writeUInt16BE(properties, offset);
     offset += 2;
 
-    // Device ID (6 bytes BCD)
-    const deviceIdBuffer = MessageParser.stringToBCD(deviceId, 6);
-    deviceIdBuffer.copy(header, offset);
-    offset += 6;
+    if (is2019) {
+      // Protocol version byte and 10-byte BCD terminal phone number
+      header.writeUInt8(options.versionNumber === undefined || options.versionNumber === null ? 1 : options.versionNumber, offset);
+      offset += 1;
+      MessageParser.stringToBCD(deviceId, 10).copy(header, offset);
+      offset += 10;
+    } else {
+      // Device ID (6 bytes BCD)
+      const deviceIdBuffer = MessageParser.stringToBCD(deviceId, 6);
+      deviceIdBuffer.copy(header, offset);
+      offset += 6;
+    }
 
     // Sequence Number
     header.writeUInt16BE(sequenceNumber, offset);
+    offset += 2;
+
+    // Package info: total packets, then this packet's number (1-based)
+    if (messagePackage) {
+      header.writeUInt16BE(messagePackage.total, offset);
+      offset += 2;
+      header.writeUInt16BE(messagePackage.current, offset);
+    }
 
     // Combine header and body
     const messageData = Buffer.concat([header, bodyData]);
@@ -245,6 +311,55 @@ class MessageParser {
     return messageData;
   }
 
+  /**
+   * Number of packets a downlink body is sent in
+   * @param {number} bodyLength - Body length in bytes
+   * @param {number} maxPacketBodyLength - Body bytes per sub-package (default and maximum 1023)
+   * @returns {number} Packet count, 1 for bodies that fit one packet
+   */
+  static packetCount(bodyLength, maxPacketBodyLength = MAX_BODY_LENGTH) {
+    return Math.max(1, Math.ceil(bodyLength / Math.min(maxPacketBodyLength, MAX_BODY_LENGTH)));
+  }
+
+  /**
+   * Create a downlink message, split into numbered sub-packages when the body
+   * is too long for one packet
+   * Sub-packages carry consecutive sequence numbers starting at sequenceNumber.
+   * @param {number} messageId - Message ID
+   * @param {string} deviceId - Target device ID
+   * @param {Buffer} bodyData - Message body data
+   * @param {number} sequenceNumber - Sequence number of the first packet
+   * @param {Object} options - Header options, as for createResponseMessage
+   * @param {number} options.maxPacketBodyLength - Body bytes per sub-package (default and maximum 1023)
+   * @returns {Array<Buffer>} Unwrapped messages, packet 1 first
+   */
+  static createMessagePackets(messageId, deviceId, bodyData = Buffer.alloc(0), sequenceNumber = 1, options = {}) {
+    const { maxPacketBodyLength = MAX_BODY_LENGTH, ...headerOptions } = options;
+    const packetBodyLength = Math.min(maxPacketBodyLength, MAX_BODY_LENGTH);
+
+    if (bodyData.length <= packetBodyLength) {
+      return [MessageParser.createResponseMessage(messageId, deviceId, bodyData, sequenceNumber, headerOptions)];
+    }
+
+    const total = MessageParser.packetCount(bodyData.length, packetBodyLength);
+    if (total > 0xffff) {
+      throw new Error(`Message body of ${bodyData.length} bytes needs more than 65535 packets`);
+    }
+
+    const packets = [];
+    for (let current = 1; current <= total; current++) {
+      const start = (current - 1) * packetBodyLength;
+      packets.push(MessageParser.createResponseMessage(
+        messageId,
+        deviceId,
+        bodyData.subarray(start, start + packetBodyLength),
+        (sequenceNumber + current - 1) & 0xffff,
+        { ...headerOptions, messagePackage: { total, current } }
+      ));
+    }
+    return packets;
+  }
+
   /**
    * Convert string to BCD format
    * @param {string} str - String to convert
@@ -269,5 +384,6 @@ module.exports = {
   MessageParser,
   MessageHeader,
   RawMessageLogger,
-  PROTOCOL_VERSIONS
+  PROTOCOL_VERSIONS,
+  MAX_BODY_LENGTH
 };
\ No newline at end of file
@@ -3,7 +3,18 @@
  */
 
 const BufferParser = require('./buffer-parser');
-const { MESSAGE_IDS, MESSAGE_STRUCTURES, ALARM_FLAGS, STATUS_FLAGS } = require('../models/jt808-messages');
+const { decodeAdditionalInfo } = require('./additional-info');
+const { encodeGBK } = require('./text-encoding');
+const { PROTOCOL_VERSIONS } = require('./message-parser');
+const {
+  MESSAGE_IDS,
+  MESSAGE_STRUCTURES,
+  MESSAGE_STRUCTURES_2013,
+  MESSAGE_STRUCTURES_2019,
+  ALARM_FLAGS,
+  STATUS_FLAGS,
+  TEXT_FLAGS
+} = require('../models/jt808-messages');
 
 /**
  * Message validation schemas
@@ -13,10 +24,11 @@ class MessageValidator {
    * Validate message structure against schema
    * @param {number} messageId - Message ID
    * @param {Buffer} messageBody - Message body data
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS (defaults to the 2011 layout)
    * @returns {Object} Validation result
    */
-  static validateMessage(messageId, messageBody) {
-    const structure = MESSAGE_STRUCTURES[messageId];
+  static validateMessage(messageId, messageBody, protocolVersion) {
+    const structure = MessageSerializer.getStructure(messageId, protocolVersion);
     
     if (!structure) {
       return {
@@ -26,7 +38,7 @@ class MessageValidator {
     }
 
     try {
-      const parsedData = MessageSerializer.deserialize(messageId, messageBody);
+      const parsedData = MessageSerializer.deserialize(messageId, messageBody, protocolVersion);
       const validationResult = MessageValidator.validateFields(structure.fields, parsedData);
       
       return {
@@ -53,6 +65,11 @@ class MessageValidator {
     for (const field of fieldSchema) {
       const value = data[field.name];
       
+      // Fields switched off by a flag bit are absent
+      if (!MessageSerializer.isPresent(field, data)) {
+        continue;
+      }
+
       // Check required fields
       if (value === undefined || value === null) {
         if (!field.optional) {
@@ -148,6 +165,12 @@ class MessageValidator {
         }
         break;
       
+      case 'additionalInfo':
+        if (typeof value !== 'object' || value === null) {
+          return { valid: false, error: 'Must be additional info object' };
+        }
+        break;
+      
       default:
         return { valid: false, error: `Unknown field type: ${field.type}` };
     }
@@ -190,25 +213,67 @@ class MessageValidator {
  * Message serialization and deserialization
  */
 class MessageSerializer {
+  /**
+   * Look up the body structure of a message for a protocol version
+   * Newer versions only override the structures whose layout changed.
+   * @param {number} messageId - Message ID
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS (defaults to the 2011 layout)
+   * @returns {Object|undefined} Structure definition, or undefined for unknown messages
+   */
+  static getStructure(messageId, protocolVersion) {
+    switch (protocolVersion) {
+      case PROTOCOL_VERSIONS.JT808_2019:
+        return MESSAGE_STRUCTURES_2019[messageId] || MESSAGE_STRUCTURES_2013[messageId] || MESSAGE_STRUCTURES[messageId];
+      case PROTOCOL_VERSIONS.JT808_2013:
+        return MESSAGE_STRUCTURES_2013[messageId] || MESSAGE_STRUCTURES[messageId];
+      default:
+        return MESSAGE_STRUCTURES[messageId];
+    }
+  }
+
   /**
    * Deserialize message body based on message ID
    * @param {number} messageId - Message ID
    * @param {Buffer} messageBody - Message body buffer
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS (defaults to the 2011 layout)
    * @returns {Object} Deserialized data
    */
-  static deserialize(messageId, messageBody) {
-    const structure = MESSAGE_STRUCTURES[messageId];
+  static deserialize(messageId, messageBody, protocolVersion) {
+    const structure = MessageSerializer.getStructure(messageId, protocolVersion);
     
     if (!structure) {
       throw new Error(`Unknown message ID: 0x${messageId.toString(16).padStart(4, '0')}`);
     }
 
-    const parser = new BufferParser(messageBody);
+    return MessageSerializer.deserializeStructure(structure, messageBody);
+  }
+
+  /**
+   * Deserialize message body with an explicit structure
+   * @param {Object} structure - Structure definition with fields
+   * @param {Buffer} messageBody - Message body buffer
+   * @returns {Object} Deserialized data
+   */
+  static deserializeStructure(structure, messageBody) {
+    return MessageSerializer.deserializeFields(structure.fields, new BufferParser(messageBody));
+  }
+
+  /**
+   * Deserialize a list of fields from the parser's position
+   * @param {Array} fields - Field schema definitions
+   * @param {BufferParser} parser - Buffer parser
+   * @returns {Object} Deserialized data
+   */
+  static deserializeFields(fields, parser) {
     const data = {};
 
-    for (const field of structure.fields) {
+    for (const field of fields) {
+      // Optional trailing fields may be left out entirely
+      if ((field.optional && parser.remaining() === 0) || !MessageSerializer.isPresent(field, data)) {
+        continue;
+      }
       try {
-        data[field.name] = MessageSerializer.deserializeField(field, parser);
+        data[field.name] = MessageSerializer.deserializeField(field, parser, data);
       } catch (error) {
         throw new Error(`Error deserializing field ${field.name}: ${error.message}`);
       }
@@ -217,13 +282,46 @@ class MessageSerializer {
     return data;
   }
 
+  /**
+   * Whether a field is in the body
+   * Fields with a flagField are only present while their flagMask bit is set
+   * in that earlier field, like the time and speed fields of area settings.
+   * @param {Object} field - Field schema
+   * @param {Object} data - Values of the earlier fields
+   * @returns {boolean} True if present
+   */
+  static isPresent(field, data) {
+    return !field.flagField || (data[field.flagField] & field.flagMask) !== 0;
+  }
+
+  /**
+   * Deserialize terminal authentication body (0x0102)
+   * JT808-2019 prefixes the auth code with its length and appends IMEI and
+   * software version; older terminals send the auth code alone.
+   * @param {Buffer} messageBody - Message body buffer
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS
+   * @returns {Object} Deserialized data with authCode, imei and softwareVersion
+   */
+  static deserializeAuthentication(messageBody, protocolVersion) {
+    if (protocolVersion === PROTOCOL_VERSIONS.JT808_2019) {
+      return MessageSerializer.deserialize(MESSAGE_IDS.TERMINAL_AUTH, messageBody, protocolVersion);
+    }
+
+    return {
+      ...MessageSerializer.deserialize(MESSAGE_IDS.TERMINAL_AUTH, messageBody, protocolVersion),
+      imei: null,
+      softwareVersion: null
+    };
+  }
+
   /**
    * Deserialize individual field
    * @param {Object} field - Field schema
    * @param {BufferParser} parser - Buffer parser
+   * @param {Object} data - Fields deserialized so far
    * @returns {*} Deserialized field value
    */
-  static deserializeField(field, parser) {
+  static deserializeField(field, parser, data = {}) {
     switch (field.type) {
       case 'uint8':
         return parser.readUInt8();
@@ -237,6 +335,8 @@ class MessageSerializer {
       case 'string':
         if (field.variable) {
           return parser.readASCII(parser.remaining());
+        } else if (field.lengthField) {
+          return parser.readASCII(data[field.lengthField]);
         } else {
           return parser.readASCII(field.length);
         }
@@ -247,6 +347,8 @@ class MessageSerializer {
       case 'bytes':
         if (field.variable) {
           return parser.readBytes(parser.remaining());
+        } else if (field.lengthField) {
+          return parser.readBytes(data[field.lengthField]);
         } else {
           return parser.readBytes(field.length);
         }
@@ -254,8 +356,11 @@ class MessageSerializer {
       case 'location':
         return MessageSerializer.deserializeLocation(parser);
       
+      case 'additionalInfo':
+        return decodeAdditionalInfo(parser.readBytes(parser.remaining()));
+      
       case 'array':
-        return MessageSerializer.deserializeArray(field, parser);
+        return MessageSerializer.deserializeArray(field, parser, data);
       
       default:
         throw new Error(`Unknown field type: ${field.type}`);
@@ -284,18 +389,43 @@ class MessageSerializer {
    * Deserialize array field
    * @param {Object} field - Field schema
    * @param {BufferParser} parser - Buffer parser
+   * @param {Object} data - Fields deserialized so far
    * @returns {Array} Array of deserialized items
    */
-  static deserializeArray(field, parser) {
+  static deserializeArray(field, parser, data = {}) {
     const items = [];
     
     if (field.itemType === 'location') {
-      // For location arrays, we need to know the count
-      const itemCount = field.countField ? parser.readUInt16BE() : 1;
+      // Item count comes from an earlier field, one location without it
+      const itemCount = field.countField ? data[field.countField] : 1;
       
       for (let i = 0; i < itemCount; i++) {
         items.push(MessageSerializer.deserializeLocation(parser));
       }
+    } else if (field.itemType === 'locationReport') {
+      // Each item is a 2-byte length followed by a 0x0200 body with its additional info
+      const structure = MESSAGE_STRUCTURES[MESSAGE_IDS.LOCATION_REPORT];
+      for (let i = 0; i < data[field.countField]; i++) {
+        const length = parser.readUInt16BE();
+        if (length > parser.remaining()) {
+          throw new Error(`Location item ${i + 1} length ${length} exceeds remaining ${parser.remaining()} bytes`);
+        }
+        items.push(MessageSerializer.deserializeStructure(structure, parser.readBytes(length)));
+      }
+    } else if (field.itemType === 'uint16') {
+      // Item count comes from an earlier field
+      for (let i = 0; i < data[field.countField]; i++) {
+        items.push(parser.readUInt16BE());
+      }
+    } else if (field.itemType === 'uint32') {
+      for (let i = 0; i < data[field.countField]; i++) {
+        items.push(parser.readUInt32BE());
+      }
+    } else if (field.itemType === 'structure') {
+      // Each item is laid out by itemFields
+      for (let i = 0; i < data[field.countField]; i++) {
+        items.push(MessageSerializer.deserializeFields(field.itemFields, parser));
+      }
     } else if (field.itemType === 'parameter') {
       // For parameter arrays, read until end of buffer
       while (parser.remaining() >= 5) { // Minimum parameter size
@@ -318,21 +448,34 @@ class MessageSerializer {
    * Serialize data to message body
    * @param {number} messageId - Message ID
    * @param {Object} data - Data to serialize
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS (defaults to the 2011 layout)
    * @returns {Buffer} Serialized message body
    */
-  static serialize(messageId, data) {
-    const structure = MESSAGE_STRUCTURES[messageId];
+  static serialize(messageId, data, protocolVersion) {
+    const structure = MessageSerializer.getStructure(messageId, protocolVersion);
     
     if (!structure) {
       throw new Error(`Unknown message ID: 0x${messageId.toString(16).padStart(4, '0')}`);
     }
 
+    return MessageSerializer.serializeFields(structure.fields, data);
+  }
+
+  /**
+   * Serialize a list of fields
+   * @param {Array} fields - Field schema definitions
+   * @param {Object} data - Data to serialize
+   * @returns {Buffer} Serialized fields
+   */
+  static serializeFields(fields, data) {
     const buffers = [];
 
-    for (const field of structure.fields) {
+    for (const field of fields) {
       const value = data[field.name];
       
-      if (value !== undefined && value !== null) {
+      if (!MessageSerializer.isPresent(field, data)) {
+        continue;
+      } else if (value !== undefined && value !== null) {
         const fieldBuffer = MessageSerializer.serializeField(field, value);
         buffers.push(fieldBuffer);
       } else if (!field.optional) {
@@ -367,7 +510,7 @@ class MessageSerializer {
         return uint32Buffer;
       
       case 'string':
-        if (field.variable) {
+        if (field.variable || field.lengthField) {
           return Buffer.from(value, 'ascii');
         } else {
           const stringBuffer = Buffer.alloc(field.length);
@@ -384,6 +527,13 @@ class MessageSerializer {
       case 'location':
         return MessageSerializer.serializeLocation(value);
       
+      case 'additionalInfo':
+        // Decoded items cannot be re-encoded; pass the raw item bytes
+        if (!Buffer.isBuffer(value)) {
+          throw new Error('Additional info must be given as encoded bytes');
+        }
+        return value;
+      
       case 'array':
         return MessageSerializer.serializeArray(field, value);
       
@@ -435,6 +585,25 @@ class MessageSerializer {
       for (const item of items) {
         buffers.push(MessageSerializer.serializeLocation(item));
       }
+    } else if (field.itemType === 'locationReport') {
+      for (const item of items) {
+        const report = MessageSerializer.serialize(MESSAGE_IDS.LOCATION_REPORT, item);
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(report.length, 0);
+        buffers.push(length, report);
+      }
+    } else if (field.itemType === 'uint16') {
+      const uint16Buffer = Buffer.alloc(items.length * 2);
+      items.forEach((item, index) => uint16Buffer.writeUInt16BE(item, index * 2));
+      buffers.push(uint16Buffer);
+    } else if (field.itemType === 'uint32') {
+      const uint32Buffer = Buffer.alloc(items.length * 4);
+      items.forEach((item, index) => uint32Buffer.writeUInt32BE(item, index * 4));
+      buffers.push(uint32Buffer);
+    } else if (field.itemType === 'structure') {
+      for (const item of items) {
+        buffers.push(MessageSerializer.serializeFields(field.itemFields, item));
+      }
     } else if (field.itemType === 'parameter') {
       for (const param of items) {
         const paramBuffer = Buffer.alloc(5 + param.value.length);
@@ -511,6 +680,23 @@ class MessageFactory {
     return MessageSerializer.serialize(MESSAGE_IDS.PLATFORM_GENERAL_RESPONSE, data);
   }
 
+  /**
+   * Create platform resend subpackage request (0x8003)
+   * @param {number} originalSequence - Sequence number of the first packet
+   * @param {Array<number>} packetIds - Missing packet numbers
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS
+   * @returns {Buffer} Message body buffer
+   */
+  static createResendSubpackageRequest(originalSequence, packetIds, protocolVersion) {
+    const data = {
+      originalSequence,
+      packetCount: packetIds.length,
+      packetIds
+    };
+
+    return MessageSerializer.serialize(MESSAGE_IDS.PLATFORM_RESEND_SUBPACKAGE_REQUEST, data, protocolVersion);
+  }
+
   /**
    * Create terminal parameter setting message
    * @param {Array} parameters - Array of parameter objects
@@ -525,6 +711,163 @@ class MessageFactory {
     return MessageSerializer.serialize(MESSAGE_IDS.SET_TERMINAL_PARAMETERS, data);
   }
 
+  /**
+   * Create text message send body (0x8300)
+   * @param {string} text - Message text, sent as GBK
+   * @param {number} flag - Flag bits from TEXT_FLAGS
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS
+   * @param {number} textType - JT808-2019 text type (1=notice, 2=service)
+   * @returns {Buffer} Message body buffer
+   */
+  static createTextMessage(text, flag = TEXT_FLAGS.TERMINAL_DISPLAY, protocolVersion, textType = 1) {
+    const data = {
+      flag,
+      textType,
+      text: encodeGBK(text)
+    };
+
+    return MessageSerializer.serialize(MESSAGE_IDS.TEXT_MESSAGE_SEND, data, protocolVersion);
+  }
+
+  /**
+   * Create terminal control body (0x8105)
+   * @param {number} commandFlag - Command word from TERMINAL_CONTROL_COMMANDS
+   * @param {string} commandParameter - Semicolon separated command parameters, if the command takes any
+   * @returns {Buffer} Message body buffer
+   */
+  static createTerminalControl(commandFlag, commandParameter = '') {
+    const data = {
+      commandFlag,
+      commandParameter
+    };
+
+    return MessageSerializer.serialize(MESSAGE_IDS.TERMINAL_CONTROL, data);
+  }
+
+  /**
+   * Create manual alarm confirmation body (0x8203)
+   * @param {number} replySequence - Sequence number of the alarm message, 0 for every alarm
+   * @param {number} alarmType - Alarm bits to confirm
+   * @returns {Buffer} Message body buffer
+   */
+  static createAlarmConfirmation(replySequence, alarmType) {
+    const data = {
+      replySequence,
+      alarmType
+    };
+
+    return MessageSerializer.serialize(MESSAGE_IDS.MANUAL_CONFIRMATION_ALARM, data);
+  }
+
+  /**
+   * Add the JT808-2019 night speed limit and name to an area, route or turning point
+   * The night limit defaults to the day limit; the name is sent as GBK.
+   * @param {Object} item - Area, route or turning point
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS
+   * @param {boolean} named - Whether the item carries a name (turning points do not)
+   * @returns {Object} Item ready for the serializer
+   */
+  static withAreaExtensions(item, protocolVersion, named = true) {
+    if (protocolVersion !== PROTOCOL_VERSIONS.JT808_2019) {
+      return item;
+    }
+    const extended = {
+      ...item,
+      nightMaxSpeed: item.nightMaxSpeed === undefined ? item.maxSpeed : item.nightMaxSpeed
+    };
+    if (named) {
+      extended.name = encodeGBK(item.name || '');
+      extended.nameLength = extended.name.length;
+    }
+    return extended;
+  }
+
+  /**
+   * Create circular area setting body (0x8600)
+   * @param {number} settingType - Setting type from AREA_SETTING_TYPES
+   * @param {Array<Object>} areas - Areas { areaId, attributes, centerLatitude, centerLongitude, radius,
+   *   startTime, endTime, maxSpeed, overspeedDuration, nightMaxSpeed, name }
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS
+   * @returns {Buffer} Message body buffer
+   */
+  static createCircularAreaSetting(settingType, areas, protocolVersion) {
+    const data = {
+      settingType,
+      areaCount: areas.length,
+      areas: areas.map((area) => MessageFactory.withAreaExtensions(area, protocolVersion))
+    };
+
+    return MessageSerializer.serialize(MESSAGE_IDS.SET_CIRCULAR_AREA, data, protocolVersion);
+  }
+
+  /**
+   * Create rectangular area setting body (0x8602)
+   * @param {number} settingType - Setting type from AREA_SETTING_TYPES
+   * @param {Array<Object>} areas - Areas { areaId, attributes, topLeftLatitude, topLeftLongitude,
+   *   bottomRightLatitude, bottomRightLongitude, startTime, endTime, maxSpeed, overspeedDuration,
+   *   nightMaxSpeed, name }
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS
+   * @returns {Buffer} Message body buffer
+   */
+  static createRectangularAreaSetting(settingType, areas, protocolVersion) {
+    const data = {
+      settingType,
+      areaCount: areas.length,
+      areas: areas.map((area) => MessageFactory.withAreaExtensions(area, protocolVersion))
+    };
+
+    return MessageSerializer.serialize(MESSAGE_IDS.SET_RECTANGULAR_AREA, data, protocolVersion);
+  }
+
+  /**
+   * Create polygon area setting body (0x8604)
+   * @param {Object} area - Area { areaId, attributes, startTime, endTime, maxSpeed, overspeedDuration,
+   *   points: [{ latitude, longitude }], nightMaxSpeed, name }
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS
+   * @returns {Buffer} Message body buffer
+   */
+  static createPolygonAreaSetting(area, protocolVersion) {
+    const data = {
+      ...MessageFactory.withAreaExtensions(area, protocolVersion),
+      pointCount: area.points.length
+    };
+
+    return MessageSerializer.serialize(MESSAGE_IDS.SET_POLYGON_AREA, data, protocolVersion);
+  }
+
+  /**
+   * Create route setting body (0x8606)
+   * @param {Object} route - Route { routeId, attributes, startTime, endTime, name, points: [{ pointId,
+   *   segmentId, latitude, longitude, width, segmentAttributes, tooLongThreshold, insufficientThreshold,
+   *   maxSpeed, overspeedDuration, nightMaxSpeed }] }
+   * @param {string} protocolVersion - Protocol version from PROTOCOL_VERSIONS
+   * @returns {Buffer} Message body buffer
+   */
+  static createRouteSetting(route, protocolVersion) {
+    const data = {
+      ...MessageFactory.withAreaExtensions(route, protocolVersion),
+      pointCount: route.points.length,
+      points: route.points.map((point) => MessageFactory.withAreaExtensions(point, protocolVersion, false))
+    };
+
+    return MessageSerializer.serialize(MESSAGE_IDS.SET_ROUTE, data, protocolVersion);
+  }
+
+  /**
+   * Create area or route deletion body (0x8601, 0x8603, 0x8605, 0x8607)
+   * @param {number} messageId - One of the DELETE_* area or route message IDs
+   * @param {Array<number>} areaIds - Area or route IDs; empty deletes every one of the type
+   * @returns {Buffer} Message body buffer
+   */
+  static createAreaDeletion(messageId, areaIds = []) {
+    const data = {
+      areaCount: areaIds.length,
+      areaIds
+    };
+
+    return MessageSerializer.serialize(messageId, data);
+  }
+
   /**
    * Create camera shot command message
    * @param {Object} shotParams - Camera shot parameters
@@ -0,0 +1,93 @@
+/**
+ * Helpers shared by the stores, engines and HTTP API
+ * Errors carry a code the API answers with (see API_ERRORS in http-api.js);
+ * paged queries take ISO times and return opaque base64url cursors.
+ */
+
+/**
+ * Error code of queries with invalid arguments
+ */
+const INVALID_ARGUMENT = 'INVALID_ARGUMENT';
+
+/**
+ * Create an error answered with the given API error code
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with code
+ */
+function apiError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create an error for an invalid argument
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_ARGUMENT
+ */
+function invalidArgument(message) {
+  return apiError(INVALID_ARGUMENT, message);
+}
+
+/**
+ * Convert a time argument to the stored ISO form
+ * @param {Date|string} value - Time
+ * @param {string} name - Argument name for the error message
+ * @returns {string} ISO 8601 UTC timestamp
+ * @throws {Error} INVALID_ARGUMENT if the time is not valid
+ */
+function toISOTime(value, name) {
+  const time = new Date(value);
+  if (value === undefined || value === null || Number.isNaN(time.getTime())) {
+    throw invalidArgument(`Invalid ${name} time: ${value}`);
+  }
+  return time.toISOString();
+}
+
+/**
+ * Encode the sort key of the last item of a page
+ * @param {*} key - Sort key
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @param {Function} isValid - Checks the decoded key; any JSON value is accepted by default
+ * @returns {*} Sort key
+ * @throws {Error} INVALID_ARGUMENT if the cursor is malformed
+ */
+function decodeCursor(cursor, isValid = () => true) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (isValid(key)) {
+      return key;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw invalidArgument('Invalid cursor');
+}
+
+/**
+ * Whether a decoded cursor is a [time, row ID] sort key
+ * @param {*} key - Decoded cursor
+ * @returns {boolean} True for an ISO time string followed by an integer ID
+ */
+function isTimeAndId(key) {
+  return Array.isArray(key) && key.length === 2 && typeof key[0] === 'string' && Number.isInteger(key[1]);
+}
+
+module.exports = {
+  INVALID_ARGUMENT,
+  apiError,
+  invalidArgument,
+  toISOTime,
+  encodeCursor,
+  decodeCursor,
+  isTimeAndId
+};
@@ -0,0 +1,69 @@
+/**
+ * GBK text encoding for downlink text
+ * JT808 strings are GBK. Node decodes GBK natively but cannot encode it, so
+ * the reverse table is built once from the decoder on first use.
+ */
+
+let encodeTable = null;
+
+/**
+ * Build the character to GBK bytes table
+ * @returns {Map<string, Buffer>} Two-byte GBK code by character
+ */
+function buildEncodeTable() {
+  const decoder = new TextDecoder('gbk');
+  const table = new Map();
+  for (let lead = 0x81; lead <= 0xfe; lead++) {
+    for (let trail = 0x40; trail <= 0xfe; trail++) {
+      if (trail === 0x7f) {
+        continue;
+      }
+      const bytes = Buffer.from([lead, trail]);
+      const character = decoder.decode(bytes);
+      if (character.length === 1 && character !== '�' && !table.has(character)) {
+        table.set(character, bytes);
+      }
+    }
+  }
+  return table;
+}
+
+/**
+ * Encode text as GBK
+ * @param {string} text - Text to encode
+ * @returns {Buffer} GBK bytes
+ * @throws {Error} If a character has no GBK code
+ */
+function encodeGBK(text) {
+  const parts = [];
+  for (const character of text) {
+    const code = character.codePointAt(0);
+    if (code < 0x80) {
+      parts.push(Buffer.from([code]));
+      continue;
+    }
+    if (!encodeTable) {
+      encodeTable = buildEncodeTable();
+    }
+    const bytes = encodeTable.get(character);
+    if (!bytes) {
+      throw new Error(`Character "${character}" cannot be encoded as GBK`);
+    }
+    parts.push(bytes);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode GBK bytes
+ * @param {Buffer} buffer - GBK bytes
+ * @returns {string} Decoded text
+ */
+function decodeGBK(buffer) {
+  return new TextDecoder('gbk').decode(buffer);
+}
+
+module.exports = {
+  encodeGBK,
+  decodeGBK
+};
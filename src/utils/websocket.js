@@ -0,0 +1,231 @@
+/**
+ * Minimal WebSocket (RFC 6455) framing for the live feed
+ * Only what a server needs: the handshake accept key, unmasked frames towards
+ * the client and a stream decoder for the masked frames the client sends.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * GUID appended to the client key for the handshake (RFC 6455 section 1.3)
+ */
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Frame opcodes
+ */
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+/**
+ * Close status codes
+ */
+const CLOSE_CODES = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  MESSAGE_TOO_BIG: 1009,
+  TRY_AGAIN_LATER: 1013
+};
+
+/**
+ * Default limits for received messages
+ */
+const WEBSOCKET_DEFAULTS = {
+  maxPayload: 64 * 1024 // Bytes per message, fragments included
+};
+
+/**
+ * Compute the Sec-WebSocket-Accept header for a client key
+ * @param {string} key - Sec-WebSocket-Key header
+ * @returns {string} Accept key
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Encode one unmasked, final frame
+ * @param {number} opcode - Frame opcode from OPCODES
+ * @param {Buffer|string} payload - Payload; strings are UTF-8 encoded
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length <= 0xffff) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Encode a close frame
+ * @param {number} code - Close status code from CLOSE_CODES
+ * @param {string} reason - Close reason
+ * @returns {Buffer} Frame
+ */
+function encodeClose(code, reason = '') {
+  const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+  payload.writeUInt16BE(code, 0);
+  payload.write(reason, 2);
+  return encodeFrame(OPCODES.CLOSE, payload);
+}
+
+/**
+ * Create a framing error that tells the caller how to close
+ * @param {number} closeCode - Close status code from CLOSE_CODES
+ * @param {string} message - Error message
+ * @returns {Error} Error with closeCode
+ */
+function framingError(closeCode, message) {
+  const error = new Error(message);
+  error.closeCode = closeCode;
+  return error;
+}
+
+/**
+ * Per-connection decoder for frames sent by a client
+ * Buffers partial frames, unmasks payloads and joins fragmented messages.
+ */
+class WebSocketFrameDecoder {
+  /**
+   * @param {Object} options - Decoder options
+   * @param {number} options.maxPayload - Largest message accepted, in bytes
+   */
+  constructor(options = {}) {
+    this.maxPayload = options.maxPayload || WEBSOCKET_DEFAULTS.maxPayload;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null; // { opcode, parts, size } of a message still being fragmented
+  }
+
+  /**
+   * Append received bytes and extract every complete message
+   * Control frames (close, ping, pong) are returned as they arrive, also
+   * between the fragments of a data message.
+   * @param {Buffer} chunk - Bytes received from the socket
+   * @returns {Array<Object>} Messages { opcode, payload }
+   * @throws {Error} With closeCode for unmasked, oversized or malformed frames
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const messages = [];
+
+    for (;;) {
+      const frame = this.readFrame();
+      if (!frame) {
+        return messages;
+      }
+
+      if (frame.opcode >= OPCODES.CLOSE) {
+        if (!frame.fin || frame.payload.length > 125) {
+          throw framingError(CLOSE_CODES.PROTOCOL_ERROR, 'Control frames must be final and at most 125 bytes');
+        }
+        messages.push({ opcode: frame.opcode, payload: frame.payload });
+        continue;
+      }
+
+      if (frame.opcode === OPCODES.CONTINUATION) {
+        if (!this.fragments) {
+          throw framingError(CLOSE_CODES.PROTOCOL_ERROR, 'Continuation frame without a message to continue');
+        }
+      } else if (this.fragments) {
+        throw framingError(CLOSE_CODES.PROTOCOL_ERROR, 'New message started before the previous one ended');
+      } else if (frame.opcode === OPCODES.TEXT || frame.opcode === OPCODES.BINARY) {
+        this.fragments = { opcode: frame.opcode, parts: [], size: 0 };
+      } else {
+        throw framingError(CLOSE_CODES.PROTOCOL_ERROR, `Unknown opcode 0x${frame.opcode.toString(16)}`);
+      }
+
+      this.fragments.parts.push(frame.payload);
+      this.fragments.size += frame.payload.length;
+      if (this.fragments.size > this.maxPayload) {
+        throw framingError(CLOSE_CODES.MESSAGE_TOO_BIG, `Message exceeds ${this.maxPayload} bytes`);
+      }
+      if (frame.fin) {
+        messages.push({ opcode: this.fragments.opcode, payload: Buffer.concat(this.fragments.parts) });
+        this.fragments = null;
+      }
+    }
+  }
+
+  /**
+   * Take one complete frame off the buffer
+   * @returns {Object|null} Frame { fin, opcode, payload }, or null if more bytes are needed
+   */
+  readFrame() {
+    if (this.buffer.length < 2) {
+      return null;
+    }
+
+    const fin = (this.buffer[0] & 0x80) !== 0;
+    const opcode = this.buffer[0] & 0x0f;
+    const masked = (this.buffer[1] & 0x80) !== 0;
+    let length = this.buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (!masked) {
+      throw framingError(CLOSE_CODES.PROTOCOL_ERROR, 'Client frames must be masked');
+    }
+    if (length === 126) {
+      if (this.buffer.length < 4) {
+        return null;
+      }
+      length = this.buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (this.buffer.length < 10) {
+        return null;
+      }
+      const longLength = this.buffer.readBigUInt64BE(2);
+      if (longLength > BigInt(this.maxPayload)) {
+        throw framingError(CLOSE_CODES.MESSAGE_TOO_BIG, `Message exceeds ${this.maxPayload} bytes`);
+      }
+      length = Number(longLength);
+      offset = 10;
+    }
+    if (length > this.maxPayload) {
+      throw framingError(CLOSE_CODES.MESSAGE_TOO_BIG, `Message exceeds ${this.maxPayload} bytes`);
+    }
+
+    if (this.buffer.length < offset + 4 + length) {
+      return null;
+    }
+
+    const mask = this.buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+    this.buffer = this.buffer.subarray(offset + 4 + length);
+
+    return { fin, opcode, payload };
+  }
+}
+
+module.exports = {
+  OPCODES,
+  CLOSE_CODES,
+  WEBSOCKET_DEFAULTS,
+  acceptKey,
+  encodeFrame,
+  encodeClose,
+  WebSocketFrameDecoder
+};
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for location additional information decoding
+ */
+
+import { describe, it, expect } from 'vitest';
+const { decodeAdditionalInfo } = require('../src/utils/additional-info');
+
+const item = (id, hex) => {
+  const value = Buffer.from(hex, 'hex');
+  return Buffer.concat([Buffer.from([id, value.length]), value]);
+};
+
+describe('decodeAdditionalInfo', () => {
+  it('should decode an empty list', () => {
+    expect(decodeAdditionalInfo(Buffer.alloc(0))).toEqual({ unknown: {} });
+  });
+
+  it('should decode numeric items with their units', () => {
+    const info = decodeAdditionalInfo(Buffer.concat([
+      item(0x01, '00003039'), // 1234.5 km
+      item(0x02, '01f4'), // 50.0 L
+      item(0x03, '0271'), // 62.5 km/h
+      item(0x04, '0007'),
+      item(0x25, '00000003'),
+      item(0x2a, '0005'),
+      item(0x2b, '00640032'),
+      item(0x30, '1f'),
+      item(0x31, '0c')
+    ]));
+
+    expect(info).toEqual({
+      mileage: 1234.5,
+      fuel: 50,
+      recorderSpeed: 62.5,
+      manualAlarmId: 7,
+      extendedSignals: 3,
+      ioStatus: 5,
+      analog: { ad0: 0x32, ad1: 0x64 },
+      signalStrength: 31,
+      gnssSatellites: 12,
+      unknown: {}
+    });
+  });
+
+  it('should decode overspeed alarms with and without an area', () => {
+    expect(decodeAdditionalInfo(item(0x11, '00')).overspeedAlarm).toEqual({ locationType: 0, areaId: null });
+    expect(decodeAdditionalInfo(item(0x11, '0100000064')).overspeedAlarm).toEqual({ locationType: 1, areaId: 100 });
+  });
+
+  it('should decode area/route and route driving time alarms', () => {
+    const info = decodeAdditionalInfo(Buffer.concat([
+      item(0x12, '040000000a01'),
+      item(0x13, '0000000b012c00')
+    ]));
+
+    expect(info.areaRouteAlarm).toEqual({ locationType: 4, areaId: 10, direction: 'out' });
+    expect(info.routeDrivingTimeAlarm).toEqual({ routeId: 11, drivingTime: 300, result: 'insufficient' });
+  });
+
+  it('should keep unknown, vendor and malformed items as hex', () => {
+    const info = decodeAdditionalInfo(Buffer.concat([
+      item(0xe1, 'deadbeef'),
+      item(0x31, '0c0d'),
+      item(0x01, '')
+    ]));
+
+    expect(info.unknown).toEqual({ '0xe1': 'deadbeef', '0x31': '0c0d', '0x01': '' });
+    expect(info.gnssSatellites).toBeUndefined();
+  });
+
+  it('should reject items running past the end', () => {
+    expect(() => decodeAdditionalInfo(Buffer.from([0x01, 0x04, 0x00]))).toThrow(
+      'Additional info item 0x01 length 4 exceeds remaining 1 bytes'
+    );
+    expect(() => decodeAdditionalInfo(Buffer.from([0x31]))).toThrow('Truncated additional info item at offset 0');
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Tests for alarm processing from location alarm flags
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import EventEmitter from 'events';
+const Database = require('../src/components/database');
+const { SqliteAlarmStore } = require('../src/components/alarm-store');
+const { AlarmEngine, ALARM_SEVERITIES } = require('../src/components/alarm-engine');
+const { MESSAGE_IDS, TERMINAL_PARAMETERS } = require('../src/models/jt808-messages');
+
+const PHONE = '013800000001';
+
+const location = (second, alarms = [], overrides = {}) => ({
+  latitude: 22.5 + second / 1000,
+  longitude: 114.0,
+  timestamp: `2024-03-15T00:30:${String(second).padStart(2, '0')}.000Z`,
+  alarms,
+  ...overrides
+});
+
+describe('AlarmEngine', () => {
+  let database;
+  let store;
+  let server;
+  let engine;
+
+  beforeEach(() => {
+    database = new Database(':memory:');
+    store = new SqliteAlarmStore(database);
+    server = {
+      sendCommand: vi.fn(async () => ({ result: 0, resultName: 'SUCCESS', success: true })),
+      commands: Object.assign(new EventEmitter(), {
+        send: vi.fn(async () => ({ status: 'completed', response: { result: 0, success: true } }))
+      })
+    };
+    engine = new AlarmEngine(store, server);
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  it('should open an alarm when a flag rises and close it when it falls', async () => {
+    const opened = vi.fn();
+    const closed = vi.fn();
+    engine.on('opened', opened);
+    engine.on('closed', closed);
+
+    const first = await engine.process(PHONE, [location(0, ['OVERSPEED_ALARM'])], { messageSequence: 3 });
+    expect(first.opened).toHaveLength(1);
+    expect(first.opened[0]).toMatchObject({
+      phoneNumber: PHONE,
+      type: 'OVERSPEED_ALARM',
+      flag: 0x2,
+      severity: ALARM_SEVERITIES.MAJOR,
+      status: 'open',
+      startPosition: { latitude: 22.5, longitude: 114.0 },
+      messageSequence: 3
+    });
+
+    const repeated = await engine.process(PHONE, [location(10, ['OVERSPEED_ALARM'])]);
+    expect(repeated).toEqual({ opened: [], closed: [] });
+
+    const last = await engine.process(PHONE, [location(30)]);
+    expect(last.closed[0]).toMatchObject({
+      status: 'closed',
+      endedAt: '2024-03-15T00:30:30.000Z',
+      durationSeconds: 30,
+      endPosition: { latitude: 22.53, longitude: 114.0 }
+    });
+    expect(opened).toHaveBeenCalledTimes(1);
+    expect(closed).toHaveBeenCalledTimes(1);
+    expect(engine.listOpen(PHONE)).toEqual([]);
+  });
+
+  it('should apply batched reports in device time order and skip older ones', async () => {
+    const changes = await engine.process(PHONE, [
+      location(20),
+      location(0, ['EMERGENCY_ALARM']),
+      location(10, ['EMERGENCY_ALARM', 'FATIGUE_DRIVING'])
+    ]);
+
+    expect(changes.opened.map((alarm) => alarm.type)).toEqual(['EMERGENCY_ALARM', 'FATIGUE_DRIVING']);
+    expect(changes.closed.map((alarm) => [alarm.type, alarm.durationSeconds])).toEqual([
+      ['EMERGENCY_ALARM', 20],
+      ['FATIGUE_DRIVING', 10]
+    ]);
+
+    const late = await engine.process(PHONE, [location(5, ['EMERGENCY_ALARM'])]);
+    expect(late).toEqual({ opened: [], closed: [] });
+  });
+
+  it('should keep alarms of different terminals apart', async () => {
+    await engine.process(PHONE, [location(0, ['EMERGENCY_ALARM'])]);
+    await engine.process('013800000002', [location(0, ['GNSS_ANTENNA_DISCONNECTED'])]);
+
+    expect(engine.listOpen().map((alarm) => [alarm.phoneNumber, alarm.severity])).toEqual([
+      [PHONE, ALARM_SEVERITIES.CRITICAL],
+      ['013800000002', ALARM_SEVERITIES.MINOR]
+    ]);
+    expect(engine.listOpen('013800000002')).toHaveLength(1);
+  });
+
+  it('should allow severity overrides', () => {
+    const custom = new AlarmEngine(store, server, { severities: { GNSS_MODULE_FAULT: ALARM_SEVERITIES.CRITICAL } });
+    expect(custom.severityOf('GNSS_MODULE_FAULT')).toBe(ALARM_SEVERITIES.CRITICAL);
+    expect(custom.severityOf('EMERGENCY_ALARM')).toBe(ALARM_SEVERITIES.CRITICAL);
+    expect(custom.severityOf('LCD_FAULT')).toBe(ALARM_SEVERITIES.MINOR);
+  });
+
+  it('should reload open alarms and close them on the next report', async () => {
+    await engine.process(PHONE, [location(0, ['EMERGENCY_ALARM'])]);
+
+    const restarted = new AlarmEngine(store, server);
+    expect(await restarted.load()).toBe(1);
+    const changes = await restarted.process(PHONE, [location(40)]);
+    expect(changes.closed[0]).toMatchObject({ type: 'EMERGENCY_ALARM', durationSeconds: 40 });
+  });
+
+  it('should hold reports that arrive while open alarms are still loading', async () => {
+    await engine.process(PHONE, [location(0, ['EMERGENCY_ALARM'])]);
+
+    const restarted = new AlarmEngine(store, server);
+    const loading = restarted.load();
+    const changes = await restarted.process(PHONE, [location(10, ['EMERGENCY_ALARM'])]);
+    await loading;
+
+    expect(changes).toEqual({ opened: [], closed: [] });
+    expect(await store.listOpen()).toHaveLength(1);
+  });
+
+  it('should confirm emergency alarms with 0x8203', async () => {
+    const confirmed = vi.fn();
+    engine.on('confirmed', confirmed);
+    const { opened } = await engine.process(PHONE, [location(0, ['EMERGENCY_ALARM'])], { messageSequence: 5 });
+
+    const { alarm, response } = await engine.confirm(opened[0].id);
+
+    expect(server.sendCommand).toHaveBeenCalledWith(PHONE, MESSAGE_IDS.MANUAL_CONFIRMATION_ALARM, expect.any(Buffer));
+    expect(server.sendCommand.mock.calls[0][2].toString('hex')).toBe('0005' + '00000001');
+    expect(response.success).toBe(true);
+    expect(alarm.confirmedAt).not.toBeNull();
+    expect(confirmed).toHaveBeenCalledWith(alarm);
+    expect(engine.listOpen(PHONE)[0].confirmedAt).toBe(alarm.confirmedAt);
+  });
+
+  it('should not record a confirmation the terminal refused', async () => {
+    server.sendCommand.mockResolvedValueOnce({ result: 1, resultName: 'FAILURE', success: false });
+    const { opened } = await engine.process(PHONE, [location(0, ['EMERGENCY_ALARM'])]);
+
+    const { alarm, response } = await engine.confirm(opened[0].id);
+    expect(response.success).toBe(false);
+    expect(alarm.confirmedAt).toBeNull();
+  });
+
+  it('should reject confirming unknown, closed or self-clearing alarms', async () => {
+    await expect(engine.confirm(42)).rejects.toMatchObject({ code: 'NOT_FOUND' });
+
+    const { opened } = await engine.process(PHONE, [location(0, ['OVERSPEED_ALARM', 'EMERGENCY_ALARM'])]);
+    const overspeed = opened.find((alarm) => alarm.type === 'OVERSPEED_ALARM');
+    await expect(engine.confirm(overspeed.id)).rejects.toMatchObject({ code: 'ALARM_NOT_CONFIRMABLE' });
+
+    const { closed } = await engine.process(PHONE, [location(10)]);
+    const emergency = closed.find((alarm) => alarm.type === 'EMERGENCY_ALARM');
+    await expect(engine.confirm(emergency.id)).rejects.toMatchObject({ code: 'ALARM_NOT_CONFIRMABLE' });
+    expect(server.sendCommand).not.toHaveBeenCalled();
+  });
+
+  it('should write opening, closing and confirmation to the audit trail', async () => {
+    const { opened } = await engine.process(PHONE, [location(0, ['EMERGENCY_ALARM'])]);
+    await engine.confirm(opened[0].id, 'alice');
+    await engine.process(PHONE, [location(10)]);
+
+    const { events } = await store.listEvents({ alarmId: opened[0].id });
+    expect(events.map(({ action, actor }) => [action, actor])).toEqual([
+      ['opened', 'system'],
+      ['confirmed', 'alice'],
+      ['closed', 'system']
+    ]);
+  });
+
+  it('should acknowledge an alarm once, with who and an optional note', async () => {
+    const acknowledgedEvent = vi.fn();
+    engine.on('acknowledged', acknowledgedEvent);
+    const { opened } = await engine.process(PHONE, [location(0, ['EMERGENCY_ALARM'])]);
+
+    const acknowledged = await engine.acknowledge(opened[0].id, 'alice', 'Driver is fine');
+
+    expect(acknowledged).toMatchObject({ acknowledgedBy: 'alice' });
+    expect(acknowledged.acknowledgedAt).not.toBeNull();
+    expect(acknowledgedEvent).toHaveBeenCalledWith(acknowledged);
+    expect(engine.listOpen(PHONE)[0].acknowledgedBy).toBe('alice');
+    const { events } = await store.listEvents({ action: 'acknowledged' });
+    expect(events[0]).toMatchObject({ actor: 'alice', note: 'Driver is fine' });
+
+    await expect(engine.acknowledge(opened[0].id, 'bob')).rejects.toMatchObject({
+      code: 'ALARM_ALREADY_ACKNOWLEDGED',
+      message: `Alarm ${opened[0].id} was already acknowledged by alice`
+    });
+    await expect(engine.acknowledge(opened[0].id, ' ')).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    await expect(engine.acknowledge(42, 'bob')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  it('should add notes to alarms', async () => {
+    const { opened } = await engine.process(PHONE, [location(0, ['OVERSPEED_ALARM'])]);
+
+    const event = await engine.addNote(opened[0].id, 'bob', 'Asked the driver to slow down');
+
+    expect(event).toMatchObject({ alarmId: opened[0].id, phoneNumber: PHONE, action: 'note', actor: 'bob' });
+    await expect(engine.addNote(opened[0].id, 'bob', '')).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+  });
+
+  it('should escalate critical alarms nobody acknowledged in time', async () => {
+    const escalatedEvent = vi.fn();
+    engine.on('escalated', escalatedEvent);
+    const { opened } = await engine.process(PHONE, [
+      location(0, ['EMERGENCY_ALARM', 'VEHICLE_THEFT', 'OVERSPEED_ALARM'])
+    ]);
+    const [emergency, theft] = opened.filter((alarm) => alarm.severity === 'critical');
+    await engine.acknowledge(theft.id, 'alice');
+
+    expect(await engine.escalate(new Date('2024-03-15T00:34:00.000Z'))).toEqual([]);
+    const escalated = await engine.escalate(new Date('2024-03-15T00:35:00.000Z'));
+    expect(escalated.map((alarm) => alarm.id)).toEqual([emergency.id]);
+    expect(escalated[0].escalatedAt).toBe('2024-03-15T00:35:00.000Z');
+    expect(escalatedEvent).toHaveBeenCalledTimes(1);
+    expect(await engine.escalate(new Date('2024-03-15T01:00:00.000Z'))).toEqual([]);
+
+    const { events } = await store.listEvents({ action: 'escalated' });
+    expect(events[0]).toMatchObject({ alarmId: emergency.id, actor: 'system', note: 'Not acknowledged within 300s' });
+  });
+
+  it('should not escalate when the timeout is 0', async () => {
+    const quiet = new AlarmEngine(store, server, { escalationTimeout: 0 });
+    await quiet.process(PHONE, [location(0, ['EMERGENCY_ALARM'])]);
+    expect(await quiet.escalate(new Date('2024-03-16T00:00:00.000Z'))).toEqual([]);
+  });
+
+  it('should push alarm masks to the terminal and stop opening masked alarms', async () => {
+    const mask = await engine.setMask(PHONE, ['OVERSPEED_ALARM', 'FATIGUE_DRIVING'], 'alice');
+
+    expect(server.commands.send).toHaveBeenCalledWith(
+      PHONE,
+      { type: 'set_parameters', parameters: [{ id: TERMINAL_PARAMETERS.ALARM_MASK, value: 0x6 }] },
+      { queue: true }
+    );
+    expect(mask).toMatchObject({
+      phoneNumber: PHONE,
+      mask: 0x6,
+      types: ['OVERSPEED_ALARM', 'FATIGUE_DRIVING'],
+      status: 'applied',
+      updatedBy: 'alice'
+    });
+
+    const { opened } = await engine.process(PHONE, [location(0, ['OVERSPEED_ALARM', 'EMERGENCY_ALARM'])]);
+    expect(opened.map((alarm) => alarm.type)).toEqual(['EMERGENCY_ALARM']);
+
+    const { events } = await store.listEvents({ phoneNumber: PHONE, action: 'mask_changed' });
+    expect(events[0]).toMatchObject({ alarmId: null, actor: 'alice', note: 'OVERSPEED_ALARM, FATIGUE_DRIVING' });
+    expect(engine.getMask('013800000002')).toMatchObject({ mask: 0, types: [], status: null });
+    await expect(engine.setMask(PHONE, ['NOT_AN_ALARM'], 'alice')).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+  });
+
+  it('should settle a queued alarm mask when the terminal answers', async () => {
+    server.commands.send.mockResolvedValueOnce({ status: 'queued', id: 'queued-1', phoneNumber: PHONE });
+    const pending = await engine.setMask(PHONE, ['OVERSPEED_ALARM'], 'alice');
+    expect(pending).toMatchObject({ status: 'pending', commandId: 'queued-1' });
+
+    const settled = new Promise((resolve) => engine.once('mask', resolve));
+    server.commands.emit('result', { id: 'queued-1', phoneNumber: PHONE, status: 'expired', error: { message: 'gone' } });
+    expect(await settled).toMatchObject({ status: 'failed', commandId: null });
+
+    const { events } = await store.listEvents({ action: 'mask_failed' });
+    expect(events[0]).toMatchObject({ actor: 'system', note: 'gone' });
+  });
+
+  it('should record a mask the terminal could not be sent', async () => {
+    server.commands.send.mockRejectedValueOnce(Object.assign(new Error('timed out'), { code: 'COMMAND_TIMEOUT' }));
+
+    await expect(engine.setMask(PHONE, ['OVERSPEED_ALARM'], 'alice')).rejects.toMatchObject({ code: 'COMMAND_TIMEOUT' });
+    expect(engine.getMask(PHONE)).toMatchObject({ mask: 0x2, status: 'failed' });
+  });
+
+  it('should reload alarm masks', async () => {
+    await engine.setMask(PHONE, ['OVERSPEED_ALARM'], 'alice');
+
+    const restarted = new AlarmEngine(store, server);
+    await restarted.load();
+    expect(restarted.getMask(PHONE)).toMatchObject({ mask: 0x2, status: 'applied' });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for the SQLite alarm store
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+const Database = require('../src/components/database');
+const {
+  SqliteAlarmStore,
+  ALARM_STATUSES,
+  ALARM_ACTIONS,
+  MASK_STATUSES
+} = require('../src/components/alarm-store');
+
+const alarm = (overrides = {}) => ({
+  phoneNumber: '013800000001',
+  type: 'EMERGENCY_ALARM',
+  flag: 0x1,
+  severity: 'critical',
+  startedAt: '2024-03-15T00:30:00.000Z',
+  startPosition: { latitude: 22.543096, longitude: 114.057865 },
+  messageSequence: 7,
+  ...overrides
+});
+
+describe('SqliteAlarmStore', () => {
+  let database;
+  let store;
+
+  beforeEach(() => {
+    database = new Database(':memory:');
+    store = new SqliteAlarmStore(database);
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  it('should open an alarm record', async () => {
+    const opened = await store.open(alarm());
+    expect(opened).toEqual({
+      id: 1,
+      phoneNumber: '013800000001',
+      type: 'EMERGENCY_ALARM',
+      flag: 0x1,
+      severity: 'critical',
+      status: ALARM_STATUSES.OPEN,
+      startedAt: '2024-03-15T00:30:00.000Z',
+      endedAt: null,
+      durationSeconds: null,
+      startPosition: { latitude: 22.543096, longitude: 114.057865 },
+      endPosition: null,
+      messageSequence: 7,
+      confirmedAt: null,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      escalatedAt: null
+    });
+  });
+
+  it('should close an alarm record with end position and duration', async () => {
+    const { id } = await store.open(alarm());
+    const closed = await store.close(id, {
+      endedAt: '2024-03-15T00:31:30.000Z',
+      endPosition: { latitude: 22.6, longitude: 114.1 }
+    });
+
+    expect(closed).toMatchObject({
+      status: ALARM_STATUSES.CLOSED,
+      endedAt: '2024-03-15T00:31:30.000Z',
+      durationSeconds: 90,
+      endPosition: { latitude: 22.6, longitude: 114.1 }
+    });
+    expect(await store.close(id, { endedAt: '2024-03-15T00:32:00.000Z' })).toBeNull();
+  });
+
+  it('should list open alarms, oldest first', async () => {
+    await store.open(alarm({ startedAt: '2024-03-15T00:31:00.000Z' }));
+    await store.open(alarm({ type: 'OVERSPEED_ALARM', flag: 0x2 }));
+    await store.open(alarm({ phoneNumber: '013800000002' }));
+    const { id } = await store.open(alarm({ type: 'FATIGUE_DRIVING', flag: 0x4 }));
+    await store.close(id, { endedAt: '2024-03-15T00:35:00.000Z' });
+
+    expect((await store.listOpen()).map((record) => record.id)).toEqual([2, 3, 1]);
+    expect((await store.listOpen('013800000001')).map((record) => record.id)).toEqual([2, 1]);
+  });
+
+  it('should record confirmations', async () => {
+    const { id } = await store.open(alarm());
+    const confirmed = await store.markConfirmed(id, new Date('2024-03-15T00:30:10.000Z'));
+    expect(confirmed.confirmedAt).toBe('2024-03-15T00:30:10.000Z');
+    expect(await store.get(99)).toBeNull();
+  });
+
+  it('should acknowledge and escalate an alarm only once', async () => {
+    const { id } = await store.open(alarm());
+    const acknowledged = await store.acknowledge(id, 'alice', new Date('2024-03-15T00:31:00.000Z'));
+
+    expect(acknowledged).toMatchObject({ acknowledgedAt: '2024-03-15T00:31:00.000Z', acknowledgedBy: 'alice' });
+    expect(await store.acknowledge(id, 'bob')).toBeNull();
+    expect(await store.markEscalated(id)).toBeNull();
+  });
+
+  it('should list unacknowledged alarms due for escalation', async () => {
+    await store.open(alarm());
+    await store.open(alarm({ type: 'OVERSPEED_ALARM', flag: 0x2, severity: 'major' }));
+    await store.open(alarm({ startedAt: '2024-03-15T00:40:00.000Z' }));
+    const { id } = await store.open(alarm({ phoneNumber: '013800000002' }));
+    await store.markEscalated(id);
+
+    const due = await store.listUnacknowledged(['critical'], new Date('2024-03-15T00:35:00.000Z'));
+    expect(due.map((record) => record.id)).toEqual([1]);
+  });
+
+  it('should page through alarm history newest first with filters', async () => {
+    for (let minute = 0; minute < 5; minute++) {
+      await store.open(alarm({ startedAt: `2024-03-15T00:3${minute}:00.000Z` }));
+    }
+    await store.open(alarm({ phoneNumber: '013800000002', startedAt: '2024-03-15T00:33:30.000Z' }));
+    await store.acknowledge(2, 'alice');
+    await store.close(3, { endedAt: '2024-03-15T00:36:00.000Z' });
+
+    const first = await store.list({ phoneNumber: '013800000001' }, { limit: 3 });
+    const second = await store.list({ phoneNumber: '013800000001' }, { limit: 3, cursor: first.nextCursor });
+    expect(first.alarms.map((record) => record.id)).toEqual([5, 4, 3]);
+    expect(second.alarms.map((record) => record.id)).toEqual([2, 1]);
+    expect(second.nextCursor).toBeNull();
+
+    expect((await store.list({ acknowledged: true })).alarms.map((record) => record.id)).toEqual([2]);
+    expect((await store.list({ status: ALARM_STATUSES.CLOSED })).alarms.map((record) => record.id)).toEqual([3]);
+    const window = await store.list({ from: '2024-03-15T00:33:00Z', to: '2024-03-15T00:34:00Z' });
+    expect(window.alarms.map((record) => record.id)).toEqual([5, 6, 4]);
+
+    await expect(store.list({ from: 'yesterday' })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    await expect(store.list({}, { cursor: 'bogus' })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+    await expect(store.list({}, { limit: 5000 })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+  });
+
+  it('should keep an audit trail', async () => {
+    const { id } = await store.open(alarm());
+    await store.addEvent({ alarmId: id, phoneNumber: '013800000001', action: ALARM_ACTIONS.OPENED, actor: 'system' });
+    await store.addEvent({
+      alarmId: id,
+      phoneNumber: '013800000001',
+      action: ALARM_ACTIONS.NOTE,
+      actor: 'alice',
+      note: 'Called the driver'
+    });
+    await store.addEvent({ phoneNumber: '013800000002', action: ALARM_ACTIONS.MASK_CHANGED, actor: 'bob' });
+
+    const trail = await store.listEvents({ alarmId: id });
+    expect(trail.events.map((event) => event.action)).toEqual(['opened', 'note']);
+    expect(trail.events[1]).toMatchObject({ alarmId: id, actor: 'alice', note: 'Called the driver' });
+
+    const first = await store.listEvents({}, { limit: 2 });
+    const rest = await store.listEvents({}, { limit: 2, cursor: first.nextCursor });
+    expect(rest.events).toEqual([expect.objectContaining({ alarmId: null, actor: 'bob' })]);
+    expect((await store.listEvents({ actor: 'alice' })).events).toHaveLength(1);
+  });
+
+  it('should save alarm masks and their terminal state', async () => {
+    expect(await store.getMask('013800000001')).toBeNull();
+    const pending = { phoneNumber: '013800000001', status: MASK_STATUSES.PENDING };
+    await store.saveMask({ ...pending, mask: 0x2, commandId: 'c1', updatedBy: 'alice' });
+    await store.saveMask({ ...pending, mask: 0x6, commandId: 'c2', updatedBy: 'bob' });
+    const applied = await store.setMaskStatus('013800000001', MASK_STATUSES.APPLIED);
+
+    expect(applied).toMatchObject({ mask: 0x6, status: 'applied', commandId: null, updatedBy: 'bob' });
+    expect(await store.listMasks()).toEqual([applied]);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for terminal-side area and route settings
+ */
+
+import { describe, it, expect } from 'vitest';
+const { buildAreaSetting, buildAreaDeletion, areaAlarmsOf } = require('../src/utils/area-settings');
+const { MessageSerializer } = require('../src/utils/message-validator');
+const { MESSAGE_IDS, AREA_ATTRIBUTES, AREA_SETTING_TYPES } = require('../src/models/jt808-messages');
+const { INVALID_ARGUMENT } = require('../src/utils/query');
+
+const at = (latitude, longitude) => ({ latitude, longitude });
+
+describe('buildAreaSetting', () => {
+  it('should encode a circle with hemisphere, time, speed and alarm bits', () => {
+    const { messageId, body } = buildAreaSetting('circle', [{
+      id: 7,
+      center: at(-33.8688, -70.25),
+      radius: 250.4,
+      flags: ['ENTER_ALARM_PLATFORM', 'EXIT_ALARM_DRIVER'],
+      startTime: '000000080000',
+      endTime: '000000180000',
+      maxSpeed: 40
+    }], { settingType: 'update' });
+
+    expect(messageId).toBe(MESSAGE_IDS.SET_CIRCULAR_AREA);
+    const decoded = MessageSerializer.deserialize(messageId, body);
+    expect(decoded.settingType).toBe(AREA_SETTING_TYPES.UPDATE);
+    expect(decoded.areas).toEqual([{
+      areaId: 7,
+      attributes: AREA_ATTRIBUTES.TIME_RANGE | AREA_ATTRIBUTES.SPEED_LIMIT | AREA_ATTRIBUTES.ENTER_ALARM_PLATFORM |
+        AREA_ATTRIBUTES.EXIT_ALARM_DRIVER | AREA_ATTRIBUTES.SOUTH_LATITUDE | AREA_ATTRIBUTES.WEST_LONGITUDE,
+      centerLatitude: 33868800,
+      centerLongitude: 70250000,
+      radius: 250,
+      startTime: '000000080000',
+      endTime: '000000180000',
+      maxSpeed: 40,
+      overspeedDuration: 10
+    }]);
+  });
+
+  it('should append rectangles by default and name them for JT808-2019', () => {
+    const { messageId, body } = buildAreaSetting('rectangle', [
+      { id: 1, topLeft: at(22.6, 113.9), bottomRight: at(22.4, 114.1), name: 'Yard' },
+      { id: 2, topLeft: at(23, 113), bottomRight: at(22.9, 113.2), maxSpeed: 30, nightMaxSpeed: 20 }
+    ], { protocolVersion: '2019' });
+
+    const decoded = MessageSerializer.deserialize(messageId, body, '2019');
+    expect(decoded.settingType).toBe(AREA_SETTING_TYPES.APPEND);
+    expect(decoded.areas.map((area) => area.name.toString())).toEqual(['Yard', '']);
+    expect(decoded.areas[1]).toMatchObject({ maxSpeed: 30, nightMaxSpeed: 20, topLeftLatitude: 23000000 });
+  });
+
+  it('should encode one polygon or route per message', () => {
+    const polygon = buildAreaSetting('polygon', [{ id: 4, points: [at(1, 1), at(1, 2), at(2, 2)] }]);
+    expect(polygon.messageId).toBe(MESSAGE_IDS.SET_POLYGON_AREA);
+    expect(MessageSerializer.deserialize(polygon.messageId, polygon.body)).toMatchObject({
+      areaId: 4,
+      pointCount: 3,
+      points: [{ latitude: 1000000, longitude: 1000000 }, { latitude: 1000000, longitude: 2000000 },
+        { latitude: 2000000, longitude: 2000000 }]
+    });
+
+    const route = buildAreaSetting('route', [{
+      id: 5,
+      width: 50,
+      maxSpeed: 90,
+      flags: ['EXIT_ALARM_PLATFORM'],
+      points: [at(22.5, 114), { ...at(-0.5, 114.2), width: 80, tooLongThreshold: 3600 }, at(-0.6, 114.3)]
+    }]);
+    const decoded = MessageSerializer.deserialize(route.messageId, route.body);
+    expect(decoded).toMatchObject({ routeId: 5, attributes: AREA_ATTRIBUTES.EXIT_ALARM_PLATFORM, pointCount: 3 });
+    expect(decoded.points.map((point) => [point.pointId, point.segmentId, point.width, point.segmentAttributes]))
+      .toEqual([[1, 1, 50, 0x02], [2, 2, 80, 0x07], [3, 3, 50, 0x06]]);
+    expect(decoded.points[1]).toMatchObject({ tooLongThreshold: 3600, insufficientThreshold: 0, maxSpeed: 90 });
+  });
+
+  it.each([
+    ['hexagon', [{ id: 1 }], {}, 'areaType must be one of circle, rectangle, polygon, route'],
+    ['circle', [], {}, 'areas must list 1 to 255 areas'],
+    ['polygon', [{}, {}], {}, 'areas must hold exactly one polygon'],
+    ['circle', [{ id: 1, center: at(1, 1), radius: 10 }], { settingType: 'replace' }, 'settingType must be one of'],
+    ['circle', [{ id: 1, center: at(1, 1), radius: 10, flags: ['SOUTH_LATITUDE'] }], {}, 'flags must list names'],
+    ['circle', [{ id: 1, center: at(1, 1), radius: 10, startTime: '0800' }], {}, 'startTime must be 12 digits'],
+    ['circle', [{ id: -1, center: at(1, 1), radius: 10 }], {}, 'id must be an integer'],
+    ['rectangle', [{ id: 1, topLeft: at(1, -1), bottomRight: at(0, 1) }], {}, 'must not cross the equator'],
+    ['route', [{ id: 1, width: 300, points: [at(1, 1), at(1, 2)] }], {}, 'width must be an integer from 1 to 255']
+  ])('should reject an invalid %s setting', (areaType, areas, options, message) => {
+    expect(() => buildAreaSetting(areaType, areas, options)).toThrow(expect.objectContaining({
+      code: INVALID_ARGUMENT,
+      message: expect.stringContaining(message)
+    }));
+  });
+});
+
+describe('buildAreaDeletion', () => {
+  it('should delete the listed areas, or every area of the type', () => {
+    expect(buildAreaDeletion('rectangle', [3])).toEqual({
+      messageId: MESSAGE_IDS.DELETE_RECTANGULAR_AREA,
+      body: Buffer.from('0100000003', 'hex')
+    });
+    expect(buildAreaDeletion('route', []).body.toString('hex')).toBe('00');
+    expect(() => buildAreaDeletion('route')).toThrow('ids must list at most 255 area IDs');
+  });
+});
+
+describe('areaAlarmsOf', () => {
+  it('should name the area types of reported area and route alarms', () => {
+    expect(areaAlarmsOf({
+      overspeedAlarm: { locationType: 1, areaId: 7 },
+      areaRouteAlarm: { locationType: 4, areaId: 5, direction: 'out' },
+      routeDrivingTimeAlarm: { routeId: 5, drivingTime: 4000, result: 'too_long' }
+    })).toEqual([
+      { alarm: 'overspeed', areaType: 'circle', areaId: 7 },
+      { alarm: 'area_route', areaType: 'route', areaId: 5, direction: 'out' },
+      { alarm: 'route_driving_time', areaType: 'route', areaId: 5, drivingTime: 4000, result: 'too_long' }
+    ]);
+  });
+
+  it('should skip overspeed without an area and locations without items', () => {
+    expect(areaAlarmsOf({ overspeedAlarm: { locationType: 0, areaId: null } })).toEqual([]);
+    expect(areaAlarmsOf(undefined)).toEqual([]);
+  });
+});
@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
-const { calculateChecksum, validateMessageChecksum, wrapMessage, unwrapMessage } = require('../src/utils/checksum');
+const { calculateChecksum, validateMessageChecksum, escapeData, unescapeData, wrapMessage, unwrapMessage } = require('../src/utils/checksum');
 
 describe('Checksum utilities', () => {
   describe('calculateChecksum', () => {
@@ -66,6 +66,75 @@ describe('Checksum utilities', () => {
     });
   });
 
+  describe('escapeData and unescapeData', () => {
+    it('should escape flag and escape bytes', () => {
+      const data = Buffer.from([0x30, 0x7E, 0x08, 0x7D, 0x55]);
+
+      expect(escapeData(data)).toEqual(Buffer.from([0x30, 0x7D, 0x02, 0x08, 0x7D, 0x01, 0x55]));
+    });
+
+    it('should unescape escaped sequences', () => {
+      const data = Buffer.from([0x30, 0x7D, 0x02, 0x08, 0x7D, 0x01, 0x55]);
+
+      expect(unescapeData(data)).toEqual(Buffer.from([0x30, 0x7E, 0x08, 0x7D, 0x55]));
+    });
+
+    it('should leave data without special bytes unchanged', () => {
+      const data = Buffer.from([0x01, 0x02, 0x03]);
+
+      expect(escapeData(data)).toEqual(data);
+      expect(unescapeData(data)).toEqual(data);
+    });
+
+    it('should reject invalid escape sequences', () => {
+      expect(() => unescapeData(Buffer.from([0x01, 0x7D, 0x03]))).toThrow('Invalid escape sequence at offset 1');
+    });
+
+    it('should reject trailing escape byte', () => {
+      expect(() => unescapeData(Buffer.from([0x01, 0x7D]))).toThrow('end of data');
+    });
+  });
+
+  describe('Escaping in wrapMessage and unwrapMessage', () => {
+    it('should escape body bytes when wrapping', () => {
+      const originalData = Buffer.from([0x01, 0x7E, 0x7D, 0x02]);
+      const wrappedMessage = wrapMessage(originalData);
+
+      // No flag bytes may appear between the start and end flags
+      expect(wrappedMessage.slice(1, -1).includes(0x7E)).toBe(false);
+      expect(wrappedMessage.slice(1, 6)).toEqual(Buffer.from([0x01, 0x7D, 0x02, 0x7D, 0x01]));
+    });
+
+    it('should round-trip data containing special bytes', () => {
+      const originalData = Buffer.from([0x7E, 0x7D, 0x7D, 0x02, 0x7E, 0x01]);
+      const wrappedMessage = wrapMessage(originalData);
+
+      const { messageData, isValid } = unwrapMessage(wrappedMessage);
+      expect(isValid).toBe(true);
+      expect(messageData).toEqual(originalData);
+      expect(validateMessageChecksum(wrappedMessage)).toBe(true);
+    });
+
+    it('should escape a checksum equal to a flag byte', () => {
+      // XOR of the data is 0x7E
+      const originalData = Buffer.from([0x70, 0x0E]);
+      const wrappedMessage = wrapMessage(originalData);
+
+      expect(wrappedMessage).toEqual(Buffer.from([0x7E, 0x70, 0x0E, 0x7D, 0x02, 0x7E]));
+      expect(unwrapMessage(wrappedMessage).isValid).toBe(true);
+    });
+
+    it('should report invalid escape sequences when unwrapping', () => {
+      const invalidMessage = Buffer.from([0x7E, 0x01, 0x7D, 0x05, 0x00, 0x7E]);
+
+      const result = unwrapMessage(invalidMessage);
+      expect(result.isValid).toBe(false);
+      expect(result.messageData).toBe(null);
+      expect(result.error).toContain('Invalid escape sequence');
+      expect(validateMessageChecksum(invalidMessage)).toBe(false);
+    });
+  });
+
   describe('validateMessageChecksum', () => {
     it('should validate correct checksum', () => {
       const messageData = Buffer.from([0x01, 0x02, 0x03]);
@@ -0,0 +1,236 @@
+/**
+ * Tests for operator commands
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+const { CommandService } = require('../src/components/command-service');
+const { MESSAGE_IDS } = require('../src/models/jt808-messages');
+const { MessageSerializer } = require('../src/utils/message-validator');
+
+// Server double with one terminal whose connection can be toggled
+const createServer = (connected = true) => {
+  const server = {
+    connected,
+    findConnection: vi.fn(() => (server.connected ? { session: { protocolVersion: '2013' } } : undefined)),
+    sendCommand: vi.fn(async (phoneNumber, messageId) => ({ replyMessageId: messageId, result: 0, success: true }))
+  };
+  return server;
+};
+
+describe('CommandService', () => {
+  describe('build', () => {
+    it('should build a text message from flag names', () => {
+      const { messageId, body } = CommandService.build({ type: 'text', text: 'Hi', flags: ['EMERGENCY', 'TTS'] });
+      expect(messageId).toBe(MESSAGE_IDS.TEXT_MESSAGE_SEND);
+      expect(body.toString('hex')).toBe('09' + '4869');
+    });
+
+    it('should build empty location and parameter queries', () => {
+      expect(CommandService.build({ type: 'location_query' }))
+        .toEqual({ messageId: MESSAGE_IDS.LOCATION_INFO_QUERY, body: Buffer.alloc(0) });
+      expect(CommandService.build({ type: 'query_parameters' }))
+        .toEqual({ messageId: MESSAGE_IDS.QUERY_TERMINAL_PARAMETERS, body: Buffer.alloc(0) });
+    });
+
+    it('should encode parameters by value type', () => {
+      const { body } = CommandService.build({
+        type: 'set_parameters',
+        parameters: [
+          { id: 0x0001, value: 30 },
+          { id: 0x0013, value: 'gps.example.com' },
+          { id: 0x0084, type: 'uint8', value: 1 },
+          { id: 0x0110, type: 'hex', value: '0102030405060708' }
+        ]
+      });
+      const decoded = MessageSerializer.deserialize(MESSAGE_IDS.SET_TERMINAL_PARAMETERS, body);
+
+      expect(decoded.parameterCount).toBe(4);
+      expect(decoded.parameters.map(({ id, value }) => [id, value.toString('hex')])).toEqual([
+        [0x0001, '0000001e'],
+        [0x0013, Buffer.from('gps.example.com').toString('hex')],
+        [0x0084, '01'],
+        [0x0110, '0102030405060708']
+      ]);
+    });
+
+    it('should resolve terminal control command names', () => {
+      const { messageId, body } = CommandService.build({ type: 'terminal_control', command: 'RESET' });
+      expect(messageId).toBe(MESSAGE_IDS.TERMINAL_CONTROL);
+      expect(body.toString('hex')).toBe('04');
+    });
+
+    it('should fill camera shot defaults', () => {
+      const { body } = CommandService.build({ type: 'camera_shot', channelId: 2 });
+      expect(MessageSerializer.deserialize(MESSAGE_IDS.CAMERA_SHOT_COMMAND, body)).toMatchObject({
+        channelId: 2,
+        shotCommand: 1,
+        shotCount: 1,
+        saveFlag: 0,
+        quality: 5
+      });
+    });
+
+    it('should build area settings for the terminal\'s protocol version and area deletions', () => {
+      const command = {
+        type: 'set_area',
+        areaType: 'circle',
+        settingType: 'modify',
+        areas: [{ id: 3, center: { latitude: 22.5, longitude: 114 }, radius: 100, name: 'Depot' }]
+      };
+      const { messageId, body } = CommandService.build(command, '2019');
+      expect(messageId).toBe(MESSAGE_IDS.SET_CIRCULAR_AREA);
+      expect(MessageSerializer.deserialize(messageId, body, '2019')).toMatchObject({
+        settingType: 2,
+        areas: [{ areaId: 3, radius: 100, nameLength: 5 }]
+      });
+
+      expect(CommandService.build({ type: 'delete_area', areaType: 'polygon', ids: [3] }).messageId)
+        .toBe(MESSAGE_IDS.DELETE_POLYGON_AREA);
+    });
+
+    it.each([
+      [{ type: 'reboot' }, 'type must be one of'],
+      [{ type: 'set_area', areaType: 'route', areas: [] }, 'areas must hold exactly one route'],
+      [{ type: 'text' }, 'text is required'],
+      [{ type: 'text', text: 'x', flags: ['LOUD'] }, 'flags must list names'],
+      [{ type: 'set_parameters', parameters: [] }, 'parameters must list 1 to 255 parameters'],
+      [{ type: 'set_parameters', parameters: [{ id: 1, type: 'uint8', value: 300 }] }, 'value must fit uint8'],
+      [{ type: 'terminal_control', command: 'SELF_DESTRUCT' }, 'command must be one of'],
+      [{ type: 'camera_shot', quality: 11 }, 'quality must be an integer from 0 to 10']
+    ])('should reject invalid command %j', (command, message) => {
+      expect(() => CommandService.build(command)).toThrow(message);
+      try {
+        CommandService.build(command);
+      } catch (error) {
+        expect(error.code).toBe('INVALID_ARGUMENT');
+      }
+    });
+  });
+
+  describe('send', () => {
+    it('should send to a connected terminal and report the result', async () => {
+      const server = createServer();
+      const commands = new CommandService(server);
+      const results = [];
+      commands.on('result', (result) => results.push(result));
+
+      const result = await commands.send('013800000001', { type: 'location_query' });
+
+      expect(server.sendCommand).toHaveBeenCalledWith('013800000001', MESSAGE_IDS.LOCATION_INFO_QUERY, Buffer.alloc(0));
+      expect(result).toEqual({ status: 'completed', response: { replyMessageId: 0x8201, result: 0, success: true } });
+      expect(results).toEqual([{
+        id: null,
+        phoneNumber: '013800000001',
+        type: 'location_query',
+        status: 'completed',
+        response: result.response
+      }]);
+    });
+
+    it('should report failed commands', async () => {
+      const server = createServer();
+      server.sendCommand.mockRejectedValue(Object.assign(new Error('No response'), { code: 'COMMAND_TIMEOUT' }));
+      const commands = new CommandService(server);
+      const results = [];
+      commands.on('result', (result) => results.push(result));
+
+      await expect(commands.send('013800000001', { type: 'query_parameters' })).rejects.toThrow('No response');
+      expect(results[0]).toMatchObject({ status: 'failed', error: { code: 'COMMAND_TIMEOUT', message: 'No response' } });
+    });
+
+    it('should refuse offline terminals unless asked to queue', async () => {
+      const commands = new CommandService(createServer(false));
+
+      await expect(commands.send('013800000001', { type: 'location_query' }))
+        .rejects.toMatchObject({ code: 'TERMINAL_OFFLINE' });
+
+      const queued = await commands.send('013800000001', { type: 'location_query' }, { queue: true });
+      expect(queued).toMatchObject({ status: 'queued', phoneNumber: '013800000001', command: { type: 'location_query' } });
+      expect(commands.queued('013800000001')).toHaveLength(1);
+    });
+
+    it('should validate commands before queueing them', async () => {
+      const commands = new CommandService(createServer(false));
+      await expect(commands.send('013800000001', { type: 'text' }, { queue: true }))
+        .rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+      expect(commands.queued('013800000001')).toEqual([]);
+    });
+
+    it('should limit queued commands per terminal', async () => {
+      const commands = new CommandService(createServer(false), { maxQueued: 1 });
+      await commands.send('013800000001', { type: 'location_query' }, { queue: true });
+      await expect(commands.send('013800000001', { type: 'location_query' }, { queue: true }))
+        .rejects.toMatchObject({ code: 'QUEUE_FULL' });
+    });
+  });
+
+  describe('flush', () => {
+    it('should send queued commands in order once the terminal is back', async () => {
+      const server = createServer(false);
+      const commands = new CommandService(server);
+      const first = await commands.send('013800000001', { type: 'location_query' }, { queue: true });
+      await commands.send('013800000001', { type: 'terminal_control', command: 'RESET' }, { queue: true });
+      const results = [];
+      commands.on('result', (result) => results.push(result));
+
+      server.connected = true;
+      expect(await commands.flush('013800000001')).toBe(2);
+
+      expect(server.sendCommand.mock.calls.map(([, messageId]) => messageId))
+        .toEqual([MESSAGE_IDS.LOCATION_INFO_QUERY, MESSAGE_IDS.TERMINAL_CONTROL]);
+      expect(results.map(({ id, status }) => [id, status])[0]).toEqual([first.id, 'completed']);
+      expect(commands.queued('013800000001')).toEqual([]);
+    });
+
+    it('should keep commands queued while the terminal is offline', async () => {
+      const server = createServer(false);
+      const commands = new CommandService(server);
+      await commands.send('013800000001', { type: 'location_query' }, { queue: true });
+
+      expect(await commands.flush('013800000001')).toBe(0);
+      expect(commands.queued('013800000001')).toHaveLength(1);
+    });
+
+    it('should keep the command in flight queued when the terminal drops', async () => {
+      const server = createServer(false);
+      const commands = new CommandService(server);
+      const first = await commands.send('013800000001', { type: 'location_query' }, { queue: true });
+      const second = await commands.send('013800000001', { type: 'terminal_control', command: 'RESET' }, { queue: true });
+      server.sendCommand.mockImplementationOnce(async () => {
+        server.connected = false;
+        throw Object.assign(new Error('Session closed: socket closed'), { code: 'COMMAND_ABORTED' });
+      });
+
+      server.connected = true;
+      expect(await commands.flush('013800000001')).toBe(0);
+
+      expect(server.sendCommand).toHaveBeenCalledTimes(1);
+      expect(commands.queued('013800000001').map(({ id }) => id)).toEqual([first.id, second.id]);
+    });
+
+    it('should not send a command twice when the terminal reconnects during a flush', async () => {
+      const server = createServer(false);
+      const commands = new CommandService(server);
+      await commands.send('013800000001', { type: 'location_query' }, { queue: true });
+      await commands.send('013800000001', { type: 'terminal_control', command: 'RESET' }, { queue: true });
+
+      server.connected = true;
+      const [first, second] = await Promise.all([commands.flush('013800000001'), commands.flush('013800000001')]);
+
+      expect(first + second).toBe(2);
+      expect(server.sendCommand).toHaveBeenCalledTimes(2);
+      expect(commands.queued('013800000001')).toEqual([]);
+      expect(commands.flushing.size).toBe(0);
+    });
+
+    it('should expire commands that waited too long', async () => {
+      const commands = new CommandService(createServer(false), { queueTtl: 1000 });
+      const queued = await commands.send('013800000001', { type: 'location_query' }, { queue: true });
+      const results = [];
+      commands.on('result', (result) => results.push(result));
+
+      expect(commands.queued('013800000001', new Date(queued.queuedAt.getTime() + 1001))).toEqual([]);
+      expect(results).toEqual([expect.objectContaining({ id: queued.id, status: 'expired' })]);
+    });
+  });
+});
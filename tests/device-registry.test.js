@@ -0,0 +1,177 @@
+/**
+ * Unit tests for DeviceRegistry
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+const Database = require('../src/components/database');
+const { DeviceRegistry } = require('../src/components/device-registry');
+const { REGISTRATION_RESULTS } = require('../src/models/jt808-messages');
+
+const registration = (overrides = {}) => ({
+  provinceId: 44,
+  cityId: 300,
+  manufacturerId: 'TESTM',
+  deviceModel: 'MODEL123',
+  deviceId: 'SN12345',
+  plateColor: 1,
+  plateNumber: 'B12345',
+  ...overrides
+});
+
+describe('DeviceRegistry', () => {
+  let database;
+  let registry;
+
+  beforeEach(() => {
+    database = new Database(':memory:');
+    registry = new DeviceRegistry(database);
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  describe('Device provisioning', () => {
+    it('should add and fetch a device', async () => {
+      await registry.addDevice({ phoneNumber: '013912345678', plateNumber: 'B12345' });
+
+      const device = await registry.getDevice('013912345678');
+      expect(device.phoneNumber).toBe('013912345678');
+      expect(device.plateNumber).toBe('B12345');
+      expect(device.authCode).toBe(null);
+    });
+
+    it('should require a phone number', async () => {
+      await expect(registry.addDevice({})).rejects.toThrow('phone number is required');
+    });
+
+    it('should list and remove devices', async () => {
+      await registry.addDevice({ phoneNumber: '013900000002' });
+      await registry.addDevice({ phoneNumber: '013900000001' });
+
+      const devices = await registry.listDevices();
+      expect(devices.map((device) => device.phoneNumber)).toEqual(['013900000001', '013900000002']);
+
+      expect(await registry.removeDevice('013900000001')).toBe(true);
+      expect(await registry.getDevice('013900000001')).toBe(null);
+    });
+  });
+
+  describe('registerTerminal', () => {
+    it('should register a provisioned terminal and issue an auth code', async () => {
+      await registry.addDevice({ phoneNumber: '013912345678' });
+
+      const { result, authCode } = await registry.registerTerminal('013912345678', registration());
+
+      expect(result).toBe(REGISTRATION_RESULTS.SUCCESS);
+      expect(authCode).toMatch(/^[0-9A-F]{16}$/);
+
+      const device = await registry.getDevice('013912345678');
+      expect(device.authCode).toBe(authCode);
+      expect(device.terminalId).toBe('SN12345');
+      expect(device.manufacturerId).toBe('TESTM');
+      expect(device.registeredAt).toBeDefined();
+    });
+
+    it('should store the protocol version the terminal registered with', async () => {
+      await registry.addDevice({ phoneNumber: '013912345678' });
+
+      await registry.registerTerminal('013912345678', registration(), '2013');
+
+      expect((await registry.getDevice('013912345678')).protocolVersion).toBe('2013');
+    });
+
+    it('should reject unknown terminals', async () => {
+      const { result, authCode } = await registry.registerTerminal('013912345678', registration());
+
+      expect(result).toBe(REGISTRATION_RESULTS.TERMINAL_NOT_FOUND);
+      expect(authCode).toBe('');
+    });
+
+    it('should accept unknown terminals when allowed', async () => {
+      registry = new DeviceRegistry(database, { allowUnknownDevices: true });
+
+      const { result } = await registry.registerTerminal('013912345678', registration());
+
+      expect(result).toBe(REGISTRATION_RESULTS.SUCCESS);
+      expect(await registry.getDevice('013912345678')).not.toBe(null);
+    });
+
+    it('should keep the auth code when the same terminal registers again', async () => {
+      await registry.addDevice({ phoneNumber: '013912345678' });
+
+      const first = await registry.registerTerminal('013912345678', registration());
+      const second = await registry.registerTerminal('013912345678', registration());
+
+      expect(second.result).toBe(REGISTRATION_RESULTS.SUCCESS);
+      expect(second.authCode).toBe(first.authCode);
+    });
+
+    it('should reject a different terminal on an already registered phone number', async () => {
+      await registry.addDevice({ phoneNumber: '013912345678' });
+      await registry.registerTerminal('013912345678', registration());
+
+      const { result } = await registry.registerTerminal('013912345678', registration({ deviceId: 'OTHER01' }));
+
+      expect(result).toBe(REGISTRATION_RESULTS.TERMINAL_ALREADY_REGISTERED);
+    });
+
+    it('should reject a first registration from a terminal other than the provisioned one', async () => {
+      await registry.addDevice({ phoneNumber: '013912345678', terminalId: 'SN12345' });
+
+      const { result, authCode } = await registry.registerTerminal('013912345678', registration({ deviceId: 'OTHER01' }));
+
+      expect(result).toBe(REGISTRATION_RESULTS.TERMINAL_NOT_FOUND);
+      expect(authCode).toBe('');
+      expect(await registry.getDevice('013912345678')).toMatchObject({ terminalId: 'SN12345', authCode: null });
+    });
+
+    it('should reject a vehicle that does not match the provisioned plate', async () => {
+      await registry.addDevice({ phoneNumber: '013912345678', plateNumber: 'B99999' });
+
+      const { result } = await registry.registerTerminal('013912345678', registration());
+
+      expect(result).toBe(REGISTRATION_RESULTS.VEHICLE_NOT_FOUND);
+    });
+
+    it('should reject a vehicle already registered to another terminal', async () => {
+      await registry.addDevice({ phoneNumber: '013900000001' });
+      await registry.addDevice({ phoneNumber: '013900000002' });
+      await registry.registerTerminal('013900000001', registration());
+
+      const { result } = await registry.registerTerminal('013900000002', registration({ deviceId: 'SN99999' }));
+
+      expect(result).toBe(REGISTRATION_RESULTS.VEHICLE_ALREADY_REGISTERED);
+    });
+  });
+
+  describe('authenticateTerminal', () => {
+    it('should authenticate with the issued auth code', async () => {
+      await registry.addDevice({ phoneNumber: '013912345678' });
+      const { authCode } = await registry.registerTerminal('013912345678', registration());
+
+      const device = await registry.authenticateTerminal('013912345678', {
+        authCode,
+        imei: '860000000000001',
+        softwareVersion: 'V1.0.0'
+      });
+
+      expect(device.imei).toBe('860000000000001');
+      expect(device.softwareVersion).toBe('V1.0.0');
+      expect(device.authenticatedAt).toBeDefined();
+    });
+
+    it('should reject a wrong auth code', async () => {
+      await registry.addDevice({ phoneNumber: '013912345678' });
+      await registry.registerTerminal('013912345678', registration());
+
+      expect(await registry.authenticateTerminal('013912345678', { authCode: 'WRONG' })).toBe(null);
+    });
+
+    it('should reject terminals that never registered', async () => {
+      await registry.addDevice({ phoneNumber: '013912345678' });
+
+      expect(await registry.authenticateTerminal('013912345678', { authCode: '' })).toBe(null);
+    });
+  });
+});
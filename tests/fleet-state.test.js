@@ -0,0 +1,125 @@
+/**
+ * Unit tests for the in-memory fleet state
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+const { FleetState } = require('../src/components/fleet-state');
+
+const location = (second, overrides = {}) => ({
+  latitude: 22.543096,
+  longitude: 114.057865,
+  altitude: 35,
+  speed: 62.5,
+  direction: 90,
+  accOn: true,
+  positioned: true,
+  alarms: [],
+  timestamp: `2024-03-15T00:30:${String(second).padStart(2, '0')}.000Z`,
+  ...overrides
+});
+
+describe('FleetState', () => {
+  it('should keep the newest position by device time', () => {
+    const fleet = new FleetState();
+
+    expect(fleet.updateLocation('013800000001', location(30, { speed: 40 }))).toBe(true);
+    expect(fleet.updateLocation('013800000001', location(10, { speed: 0 }))).toBe(false);
+
+    expect(fleet.get('013800000001')).toMatchObject({
+      phoneNumber: '013800000001',
+      online: false,
+      latitude: 22.543096,
+      speed: 40,
+      accOn: true,
+      timestamp: '2024-03-15T00:30:30.000Z'
+    });
+  });
+
+  it('should ignore locations without a device time', () => {
+    const fleet = new FleetState();
+
+    expect(fleet.updateLocation('013800000001', location(0, { timestamp: null }))).toBe(false);
+    expect(fleet.get('013800000001').latitude).toBe(null);
+  });
+
+  it('should track active alarms and emit location updates', () => {
+    const fleet = new FleetState();
+    const listener = vi.fn();
+    fleet.on('location', listener);
+
+    fleet.updateLocation('013800000001', location(0, { alarms: ['EMERGENCY_ALARM'] }));
+    fleet.updateLocation('013800000001', location(5));
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener.mock.calls[0][0].alarms).toEqual(['EMERGENCY_ALARM']);
+    expect(fleet.get('013800000001').alarms).toEqual([]);
+  });
+
+  it('should emit alarm changes on live updates only', () => {
+    const fleet = new FleetState();
+    const alarms = vi.fn();
+    fleet.on('alarm', alarms);
+
+    fleet.updateLocation('013800000001', location(10, { alarms: ['OVERSPEED'] }), { silent: true });
+    fleet.updateLocation('013800000001', location(20, { alarms: ['OVERSPEED', 'EMERGENCY'] }));
+    fleet.updateLocation('013800000001', location(30, { alarms: ['EMERGENCY'] }));
+    fleet.updateLocation('013800000001', location(40, { alarms: ['EMERGENCY'] }));
+
+    expect(alarms.mock.calls.map(([{ raised, cleared }]) => [raised, cleared])).toEqual([
+      [['EMERGENCY'], []],
+      [[], ['OVERSPEED']]
+    ]);
+    expect(alarms.mock.calls[0][0]).toMatchObject({ phoneNumber: '013800000001', state: { speed: 62.5 } });
+  });
+
+  it('should track online state changes', () => {
+    const fleet = new FleetState();
+    const online = vi.fn();
+    const offline = vi.fn();
+    fleet.on('online', online);
+    fleet.on('offline', offline);
+
+    expect(fleet.setOnline('013800000001', true)).toBe(true);
+    expect(fleet.setOnline('013800000001', true)).toBe(false);
+    expect(fleet.setOnline('013800000001', false)).toBe(true);
+
+    expect(online).toHaveBeenCalledTimes(1);
+    expect(offline).toHaveBeenCalledTimes(1);
+    expect(fleet.get('013800000001').online).toBe(false);
+    expect(fleet.get('013800000001').onlineChangedAt).toBeInstanceOf(Date);
+  });
+
+  it('should seed from the store without overriding newer positions', async () => {
+    const fleet = new FleetState();
+    const listener = vi.fn();
+    fleet.on('location', listener);
+    fleet.updateLocation('013800000001', location(50));
+    listener.mockClear();
+    const store = {
+      listLatest: async () => [
+        { phoneNumber: '013800000001', ...location(20) },
+        { phoneNumber: '013800000002', ...location(40, { accOn: false }) }
+      ]
+    };
+
+    expect(await fleet.seed(store)).toBe(2);
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(fleet.get('013800000001').timestamp).toBe('2024-03-15T00:30:50.000Z');
+    expect(fleet.get('013800000002').accOn).toBe(false);
+  });
+
+  it('should return snapshot copies ordered by phone number', () => {
+    const fleet = new FleetState();
+    fleet.updateLocation('013800000002', location(0, { alarms: ['OVERSPEED_ALARM'] }));
+    fleet.setOnline('013800000001', true);
+
+    const snapshot = fleet.snapshot();
+    snapshot[1].alarms.push('EMERGENCY_ALARM');
+
+    expect(snapshot.map((state) => state.phoneNumber)).toEqual(['013800000001', '013800000002']);
+    expect(snapshot[0].online).toBe(true);
+    expect(fleet.get('013800000002').alarms).toEqual(['OVERSPEED_ALARM']);
+    expect(fleet.get('013800000009')).toBe(null);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for FrameDecoder
+ */
+
+import { describe, it, expect } from 'vitest';
+const { FrameDecoder, FRAME_DECODER_DEFAULTS } = require('../src/utils/frame-decoder');
+const { wrapMessage } = require('../src/utils/checksum');
+
+// Heartbeat message (0x0002) for device 123456789012
+const heartbeat = (sequence) => wrapMessage(Buffer.from([
+  0x00, 0x02, 0x00, 0x00,
+  0x12, 0x34, 0x56, 0x78, 0x90, 0x12,
+  0x00, sequence
+]));
+
+describe('FrameDecoder', () => {
+  describe('Complete frames', () => {
+    it('should return a single complete frame', () => {
+      const decoder = new FrameDecoder();
+      const frame = heartbeat(1);
+
+      const frames = decoder.push(frame);
+
+      expect(frames).toHaveLength(1);
+      expect(frames[0]).toEqual(frame);
+      expect(decoder.pending()).toBe(0);
+    });
+
+    it('should split several frames merged into one chunk', () => {
+      const decoder = new FrameDecoder();
+      const chunk = Buffer.concat([heartbeat(1), heartbeat(2), heartbeat(3)]);
+
+      const frames = decoder.push(chunk);
+
+      expect(frames).toHaveLength(3);
+      expect(frames[0]).toEqual(heartbeat(1));
+      expect(frames[1]).toEqual(heartbeat(2));
+      expect(frames[2]).toEqual(heartbeat(3));
+    });
+  });
+
+  describe('Split frames', () => {
+    it('should buffer a frame split across chunks', () => {
+      const decoder = new FrameDecoder();
+      const frame = heartbeat(1);
+
+      expect(decoder.push(frame.slice(0, 5))).toHaveLength(0);
+      expect(decoder.pending()).toBe(5);
+      expect(decoder.push(frame.slice(5, 10))).toHaveLength(0);
+
+      const frames = decoder.push(frame.slice(10));
+      expect(frames).toHaveLength(1);
+      expect(frames[0]).toEqual(frame);
+    });
+
+    it('should handle a chunk ending one frame and starting another', () => {
+      const decoder = new FrameDecoder();
+      const stream = Buffer.concat([heartbeat(1), heartbeat(2)]);
+
+      const first = decoder.push(stream.slice(0, 20));
+      const second = decoder.push(stream.slice(20));
+
+      expect(first).toHaveLength(1);
+      expect(second).toHaveLength(1);
+      expect(second[0]).toEqual(heartbeat(2));
+    });
+
+    it('should decode byte-by-byte delivery', () => {
+      const decoder = new FrameDecoder();
+      const frame = heartbeat(7);
+      const frames = [];
+
+      for (let i = 0; i < frame.length; i++) {
+        frames.push(...decoder.push(frame.slice(i, i + 1)));
+      }
+
+      expect(frames).toHaveLength(1);
+      expect(frames[0]).toEqual(frame);
+    });
+  });
+
+  describe('Junk handling', () => {
+    it('should drop bytes between frames', () => {
+      const decoder = new FrameDecoder();
+      const junk = Buffer.from('HEAD / HTTP/1.1\r\n', 'ascii');
+
+      const frames = decoder.push(Buffer.concat([junk, heartbeat(1), Buffer.from([0x00, 0x01]), heartbeat(2)]));
+
+      expect(frames).toHaveLength(2);
+      expect(decoder.droppedBytes).toBe(junk.length + 2);
+    });
+
+    it('should drop data with no start flag', () => {
+      const decoder = new FrameDecoder();
+
+      expect(decoder.push(Buffer.from('TEST_DATA'))).toHaveLength(0);
+      expect(decoder.pending()).toBe(0);
+    });
+
+    it('should resynchronise on adjacent flags', () => {
+      const decoder = new FrameDecoder();
+      const frame = heartbeat(1);
+
+      const frames = decoder.push(Buffer.concat([Buffer.from([0x7E]), frame]));
+
+      expect(frames).toHaveLength(1);
+      expect(frames[0]).toEqual(frame);
+    });
+  });
+
+  describe('Buffer limits', () => {
+    it('should use default maximum buffer size', () => {
+      expect(new FrameDecoder().maxBufferSize).toBe(FRAME_DECODER_DEFAULTS.maxBufferSize);
+    });
+
+    it('should discard an unterminated frame exceeding the limit', () => {
+      const decoder = new FrameDecoder({ maxBufferSize: 32 });
+
+      decoder.push(Buffer.concat([Buffer.from([0x7E]), Buffer.alloc(40, 0x01)]));
+
+      expect(decoder.pending()).toBe(0);
+      expect(decoder.overflowCount).toBe(1);
+
+      // Decoder recovers for subsequent frames
+      const frames = decoder.push(heartbeat(1));
+      expect(frames).toHaveLength(1);
+    });
+
+    it('should reset buffered data and counters', () => {
+      const decoder = new FrameDecoder();
+      decoder.push(Buffer.from([0x01, 0x7E, 0x02]));
+
+      decoder.reset();
+
+      expect(decoder.pending()).toBe(0);
+      expect(decoder.droppedBytes).toBe(0);
+    });
+  });
+});
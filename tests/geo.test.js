@@ -0,0 +1,51 @@
+/**
+ * Unit tests for geofencing geometry
+ */
+
+import { describe, it, expect } from 'vitest';
+const { distance, toLocal, inCircle, inRectangle, inPolygon, distanceToPolyline } = require('../src/utils/geo');
+
+const at = (latitude, longitude) => ({ latitude, longitude });
+
+describe('geo', () => {
+  it('should measure great-circle distances', () => {
+    expect(distance(at(0, 0), at(0, 1))).toBeCloseTo(111195, -1);
+    expect(distance(at(22.5, 114), at(22.501, 114))).toBeCloseTo(111.2, 0);
+    expect(distance(at(22.5, 114), at(22.5, 114))).toBe(0);
+  });
+
+  it('should project positions onto a local plane in metres', () => {
+    const local = toLocal(at(60, 10), at(60.001, 10.002));
+    expect(local.y).toBeCloseTo(111.2, 0);
+    expect(local.x).toBeCloseTo(111.2, 0); // Longitude degrees are half as long at 60°
+  });
+
+  it('should test circles', () => {
+    expect(inCircle(at(22.5009, 114), at(22.5, 114), 100)).toBe(false);
+    expect(inCircle(at(22.5008, 114), at(22.5, 114), 100)).toBe(true);
+  });
+
+  it('should test rectangles given their north-west and south-east corners', () => {
+    const topLeft = at(22.6, 114.0);
+    const bottomRight = at(22.5, 114.1);
+    expect(inRectangle(at(22.55, 114.05), topLeft, bottomRight)).toBe(true);
+    expect(inRectangle(at(22.65, 114.05), topLeft, bottomRight)).toBe(false);
+    expect(inRectangle(at(22.55, 113.95), topLeft, bottomRight)).toBe(false);
+  });
+
+  it('should test concave polygons', () => {
+    // A U shape open to the north
+    const points = [at(0, 0), at(0, 3), at(3, 3), at(3, 2), at(1, 2), at(1, 1), at(3, 1), at(3, 0)];
+    expect(inPolygon(at(0.5, 1.5), points)).toBe(true);
+    expect(inPolygon(at(2, 0.5), points)).toBe(true);
+    expect(inPolygon(at(2, 1.5), points)).toBe(false);
+    expect(inPolygon(at(-1, 1.5), points)).toBe(false);
+  });
+
+  it('should measure the distance to a polyline', () => {
+    const points = [at(22.5, 114.0), at(22.5, 114.01), at(22.51, 114.01)];
+    expect(distanceToPolyline(at(22.5005, 114.005), points)).toBeCloseTo(55.6, 0);
+    expect(distanceToPolyline(at(22.505, 114.0105), points)).toBeCloseTo(51.4, 0);
+    expect(distanceToPolyline(at(22.5, 113.999), points)).toBeCloseTo(102.8, 0);
+  });
+});
@@ -0,0 +1,306 @@
+/**
+ * Tests for server-side geofencing
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const Database = require('../src/components/database');
+const { SqliteGeofenceStore } = require('../src/components/geofence-store');
+const { GeofenceEngine, validateGeofence, contains } = require('../src/components/geofence-engine');
+
+const PHONE = '013800000001';
+
+const depot = {
+  name: 'Depot',
+  type: 'circle',
+  center: { latitude: 22.5, longitude: 114.0 },
+  radius: 100
+};
+
+const location = (second, latitude, overrides = {}) => ({
+  latitude,
+  longitude: 114.0,
+  speed: 20,
+  positioned: true,
+  timestamp: new Date(Date.UTC(2024, 2, 15, 0, 30, second)).toISOString(),
+  ...overrides
+});
+
+const at = (latitude, longitude) => ({ latitude, longitude });
+
+describe('validateGeofence', () => {
+  it('should split a definition into name, type and geometry', () => {
+    expect(validateGeofence({ ...depot, name: ' Depot ', speedLimit: 30 })).toEqual({
+      name: 'Depot',
+      type: 'circle',
+      geometry: { center: { latitude: 22.5, longitude: 114.0 }, radius: 100 },
+      speedLimit: 30,
+      dwellTime: null,
+      devices: null
+    });
+  });
+
+  it('should reject invalid definitions', () => {
+    const invalid = [
+      [{ ...depot, name: '' }, 'name is required'],
+      [{ ...depot, type: 'hexagon' }, 'type must be one of circle, rectangle, polygon, route'],
+      [{ ...depot, radius: 0 }, 'radius must be a positive number'],
+      [{ ...depot, center: at(95, 0) }, 'center must be a { latitude, longitude } position'],
+      [{ name: 'Box', type: 'rectangle', topLeft: at(22.4, 114), bottomRight: at(22.5, 114.1) },
+        'topLeft must be north-west of bottomRight'],
+      [{ name: 'Area', type: 'polygon', points: [at(0, 0)] }, 'points must be an array of at least 3 positions'],
+      [{ name: 'Road', type: 'route', points: [at(0, 0), at(0, 1)] }, 'width is required'],
+      [{ ...depot, dwellTime: 1.5 }, 'dwellTime must be a positive integer'],
+      [{ ...depot, devices: '013800000001' }, 'devices must be an array of phone numbers']
+    ];
+    for (const [definition, message] of invalid) {
+      expect(() => validateGeofence(definition)).toThrow(message);
+    }
+  });
+
+  it('should test positions against every shape', () => {
+    const route = { type: 'route', points: [at(22.5, 114.0), at(22.5, 114.01)], width: 100 };
+    expect(contains(route, at(22.5004, 114.005))).toBe(true);
+    expect(contains(route, at(22.5005, 114.005))).toBe(false);
+    const rectangle = { type: 'rectangle', topLeft: at(22.6, 114), bottomRight: at(22.5, 114.1) };
+    expect(contains(rectangle, at(22.55, 114.05))).toBe(true);
+    const polygon = { type: 'polygon', points: [at(22.5, 114), at(22.6, 114), at(22.6, 114.1)] };
+    expect(contains(polygon, at(22.58, 114.01))).toBe(true);
+    expect(contains(polygon, at(22.52, 114.09))).toBe(false);
+  });
+});
+
+describe('GeofenceEngine', () => {
+  let database;
+  let store;
+  let engine;
+
+  beforeEach(() => {
+    database = new Database(':memory:');
+    store = new SqliteGeofenceStore(database);
+    engine = new GeofenceEngine(store);
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  it('should create, update and delete geofences with unique names', async () => {
+    const created = await engine.create(depot);
+    expect(created).toMatchObject({ id: 1, name: 'Depot', type: 'circle', radius: 100, speedLimit: null, devices: null });
+
+    await engine.create({ ...depot, name: 'Yard' });
+    await expect(engine.create(depot)).rejects.toMatchObject({ code: 'GEOFENCE_NAME_TAKEN' });
+    await expect(engine.update(2, depot)).rejects.toMatchObject({ code: 'GEOFENCE_NAME_TAKEN' });
+
+    const updated = await engine.update(1, { ...depot, radius: 250, speedLimit: 15 });
+    expect(updated).toMatchObject({ radius: 250, speedLimit: 15 });
+    expect((await store.get(1)).radius).toBe(250);
+
+    await engine.delete(2);
+    expect(engine.list().map((geofence) => geofence.name)).toEqual(['Depot']);
+    expect(() => engine.get(2)).toThrow('Geofence 2 not found');
+  });
+
+  it('should raise enter, dwell and exit events', async () => {
+    const entered = vi.fn();
+    engine.on('enter', entered);
+    await engine.create({ ...depot, dwellTime: 60 });
+
+    const events = await engine.process(PHONE, [
+      location(0, 22.51),
+      location(10, 22.5),
+      location(40, 22.5001),
+      location(70, 22.5002),
+      location(100, 22.5003),
+      location(130, 22.51)
+    ]);
+
+    expect(events.map((event) => [event.type, event.timestamp, event.durationSeconds])).toEqual([
+      ['enter', '2024-03-15T00:30:10.000Z', null],
+      ['dwell', '2024-03-15T00:31:10.000Z', 60],
+      ['exit', '2024-03-15T00:32:10.000Z', 120]
+    ]);
+    expect(events[0]).toMatchObject({ geofenceId: 1, geofenceName: 'Depot', phoneNumber: PHONE, speed: 20 });
+    expect(entered).toHaveBeenCalledWith(events[0]);
+  });
+
+  it('should raise a speeding event once per overspeed inside a zone', async () => {
+    await engine.create({ ...depot, speedLimit: 30 });
+
+    const events = await engine.process(PHONE, [
+      location(0, 22.5, { speed: 40 }),
+      location(10, 22.5, { speed: 45 }),
+      location(20, 22.5, { speed: 25 }),
+      location(30, 22.5, { speed: 35 }),
+      location(40, 22.6, { speed: 80 })
+    ]);
+
+    expect(events.map((event) => [event.type, event.speed])).toEqual([
+      ['enter', 40],
+      ['speeding', 40],
+      ['speeding', 35],
+      ['exit', 80]
+    ]);
+  });
+
+  it('should ignore older, unpositioned and other terminals\' locations', async () => {
+    await engine.create({ ...depot, devices: ['013800000002'] });
+    expect(await engine.process(PHONE, [location(0, 22.5)])).toEqual([]);
+
+    await engine.process('013800000002', [location(10, 22.5)]);
+    const ignored = await engine.process('013800000002', [
+      location(5, 22.6),
+      location(20, 22.6, { positioned: false })
+    ]);
+
+    expect(ignored).toEqual([]);
+    expect(engine.insideOf('013800000002')).toEqual([
+      { geofenceId: 1, name: 'Depot', enteredAt: '2024-03-15T00:30:10.000Z' }
+    ]);
+  });
+
+  it('should remember which terminals are inside across restarts', async () => {
+    await engine.create({ ...depot, dwellTime: 30 });
+    await engine.create({ ...depot, name: 'Yard' });
+    await engine.process(PHONE, [location(0, 22.5), location(30, 22.5)]);
+    await engine.process('013800000002', [location(0, 22.5), location(10, 22.6)]);
+    await engine.delete(2);
+
+    const restarted = new GeofenceEngine(store);
+    expect(await restarted.load()).toBe(1);
+    expect(restarted.insideOf(PHONE)).toEqual([{ geofenceId: 1, name: 'Depot', enteredAt: '2024-03-15T00:30:00.000Z' }]);
+    expect(restarted.insideOf('013800000002')).toEqual([]);
+
+    const events = await restarted.process(PHONE, [location(60, 22.5), location(90, 22.6)]);
+    expect(events.map((event) => [event.type, event.durationSeconds])).toEqual([['exit', 90]]);
+  });
+
+  it('should not restore terminals inside a geofence that no longer applies to them', async () => {
+    await engine.create(depot);
+    await engine.process(PHONE, [location(0, 22.5)]);
+    await engine.update(1, { ...depot, devices: ['013800000002'] });
+    await engine.process(PHONE, [location(10, 22.5)]);
+    expect(engine.insideOf(PHONE)).toEqual([]);
+
+    const restarted = new GeofenceEngine(store);
+    await restarted.load();
+    expect(restarted.insideOf(PHONE)).toEqual([]);
+  });
+
+  it('should leave the zones unchanged when an event cannot be stored', async () => {
+    await engine.create(depot);
+    await engine.process(PHONE, [location(0, 22.5)]);
+    vi.spyOn(store, 'addEvent').mockRejectedValueOnce(new Error('SQLITE_BUSY: database is locked'));
+
+    await expect(engine.process(PHONE, [location(10, 22.6)])).rejects.toThrow('SQLITE_BUSY');
+    expect(engine.insideOf(PHONE)).toEqual([{ geofenceId: 1, name: 'Depot', enteredAt: '2024-03-15T00:30:00.000Z' }]);
+
+    const events = await engine.process(PHONE, [location(20, 22.6)]);
+    expect(events.map((event) => [event.type, event.durationSeconds])).toEqual([['exit', 20]]);
+    expect(engine.insideOf(PHONE)).toEqual([]);
+  });
+
+  it('should sync geofences to terminals as areas and routes with the geofence ID', async () => {
+    const commands = { send: vi.fn(async () => ({ status: 'completed', response: { success: true } })) };
+    engine = new GeofenceEngine(store, commands);
+    await engine.create({ ...depot, speedLimit: 29.6 });
+    await engine.create({ name: 'Road', type: 'route', points: [at(22.5, 114), at(22.6, 114.1)], width: 40 });
+
+    await engine.syncToDevice(1, PHONE, { settingType: 'update', startTime: '000000080000', endTime: '000000180000' });
+    expect(commands.send).toHaveBeenCalledWith(PHONE, {
+      type: 'set_area',
+      areaType: 'circle',
+      settingType: 'update',
+      areas: [expect.objectContaining({
+        id: 1,
+        name: 'Depot',
+        center: depot.center,
+        radius: 100,
+        maxSpeed: 30,
+        flags: ['ENTER_ALARM_PLATFORM', 'EXIT_ALARM_PLATFORM'],
+        startTime: '000000080000'
+      })]
+    }, { queue: false });
+
+    await engine.syncToDevice(2, PHONE, { queue: true, flags: ['EXIT_ALARM_DRIVER'] });
+    expect(commands.send.mock.calls[1][1].areas[0]).toMatchObject({ points: [at(22.5, 114), at(22.6, 114.1)], width: 40 });
+    expect(commands.send.mock.calls[1][2]).toEqual({ queue: true });
+
+    await engine.removeFromDevice(2, PHONE);
+    expect(commands.send).toHaveBeenLastCalledWith(PHONE, { type: 'delete_area', areaType: 'route', ids: [2] }, { queue: false });
+    await expect(engine.syncToDevice(9, PHONE)).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+
+  it('should keep routes too wide for a terminal on the platform', async () => {
+    const commands = { send: vi.fn() };
+    engine = new GeofenceEngine(store, commands);
+    await engine.create({ name: 'Highway', type: 'route', points: [at(22.5, 114), at(22.6, 114.1)], width: 400 });
+
+    await expect(engine.syncToDevice(1, PHONE)).rejects.toMatchObject({
+      code: 'INVALID_ARGUMENT',
+      message: expect.stringContaining('only the platform checks it')
+    });
+    expect(commands.send).not.toHaveBeenCalled();
+  });
+
+  it('should emit area alarms reported by the terminal with the synced geofence', async () => {
+    const reported = vi.fn();
+    engine.on('terminal_alarm', reported);
+    await engine.create(depot);
+
+    await engine.process(PHONE, [
+      location(0, 22.6, { additionalInfo: { areaRouteAlarm: { locationType: 1, areaId: 1, direction: 'in' } } }),
+      location(10, 22.6, { additionalInfo: { overspeedAlarm: { locationType: 3, areaId: 1 } } })
+    ]);
+
+    expect(reported.mock.calls.map(([event]) => event)).toEqual([
+      {
+        phoneNumber: PHONE,
+        timestamp: '2024-03-15T00:30:00.000Z',
+        position: at(22.6, 114.0),
+        alarm: 'area_route',
+        areaType: 'circle',
+        areaId: 1,
+        direction: 'in',
+        geofenceId: 1,
+        geofenceName: 'Depot'
+      },
+      expect.objectContaining({ alarm: 'overspeed', areaType: 'polygon', areaId: 1, geofenceId: null, geofenceName: null })
+    ]);
+  });
+
+  it('should hold reports that arrive while geofences are still loading', async () => {
+    await engine.create(depot);
+    await engine.process(PHONE, [location(0, 22.5)]);
+
+    let release;
+    const listInside = store.listInside.bind(store);
+    vi.spyOn(store, 'listInside').mockImplementation(() => new Promise((resolve) => {
+      release = () => resolve(listInside());
+    }));
+    const restarted = new GeofenceEngine(store);
+    const loading = restarted.load();
+    await vi.waitFor(() => expect(release).toBeDefined());
+
+    const processing = restarted.process(PHONE, [location(10, 22.5)]);
+    release();
+    await loading;
+    const events = await processing;
+
+    expect(events).toEqual([]);
+    expect((await store.listEvents({ type: 'enter' })).events).toHaveLength(1);
+  });
+
+  it('should page through stored events with filters', async () => {
+    await engine.create(depot);
+    await engine.process(PHONE, [location(0, 22.5), location(10, 22.6), location(20, 22.5)]);
+
+    const first = await store.listEvents({ phoneNumber: PHONE }, { limit: 2 });
+    const rest = await store.listEvents({ phoneNumber: PHONE }, { limit: 2, cursor: first.nextCursor });
+    expect(first.events.map((event) => event.type)).toEqual(['enter', 'exit']);
+    expect(rest.events.map((event) => event.type)).toEqual(['enter']);
+    expect(rest.nextCursor).toBeNull();
+    expect((await store.listEvents({ type: 'exit' })).events).toHaveLength(1);
+    await expect(store.listEvents({}, { cursor: 'bogus' })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT' });
+  });
+});
@@ -0,0 +1,470 @@
+/**
+ * Tests for the JSON HTTP API
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import http from 'http';
+import net from 'net';
+import { DashcamTCPServer, createHttpServer } from '../src/server.js';
+const Database = require('../src/components/database');
+const { DeviceRegistry } = require('../src/components/device-registry');
+const { HttpApi } = require('../src/components/http-api');
+
+const location = (second, overrides = {}) => ({
+  latitude: 22.543096,
+  longitude: 114.057865,
+  altitude: 35,
+  speed: 62.5,
+  direction: 90,
+  accOn: true,
+  positioned: true,
+  alarms: [],
+  alarmFlag: 0,
+  statusFlag: 0x3,
+  timestamp: `2024-03-15T00:30:${String(second).padStart(2, '0')}.000Z`,
+  ...overrides
+});
+
+describe('HttpApi', () => {
+  let server;
+  let registry;
+  let httpServer;
+  let tcpServer;
+  let baseUrl;
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, options);
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    registry = new DeviceRegistry(new Database(':memory:'));
+    server = new DashcamTCPServer(0, '127.0.0.1', { registry });
+    httpServer = createHttpServer(server);
+    tcpServer = net.createServer((socket) => server.handleConnection(socket));
+
+    await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+    await new Promise((resolve) => tcpServer.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+    await registry.addDevice({ phoneNumber: '013800000003', plateNumber: 'B00003' });
+    await registry.addDevice({ phoneNumber: '013800000001', plateNumber: 'B00001' });
+    await registry.addDevice({ phoneNumber: '013800000002', plateNumber: 'B00002' });
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => httpServer.close(resolve));
+    await new Promise((resolve) => tcpServer.close(resolve));
+    await registry.database.close();
+  });
+
+  it('should keep serving the health check', async () => {
+    const { status, body } = await request('/health');
+
+    expect(status).toBe(200);
+    expect(body.status).toBe('healthy');
+  });
+
+  it('should serve the dashboard and its settings', async () => {
+    const root = await fetch(`${baseUrl}/`, { redirect: 'manual' });
+    const page = await fetch(`${baseUrl}/dashboard/`);
+    const settings = await request('/api/dashboard');
+
+    expect(root.status).toBe(302);
+    expect(root.headers.get('location')).toBe('/dashboard/');
+    expect(page.headers.get('content-type')).toBe('text/html; charset=utf-8');
+    expect(await page.text()).toContain('<script src="dashboard.js"></script>');
+    expect(settings.body.data).toEqual({ tileUrl: null, attribution: '' });
+  });
+
+  it('should page through registered devices without auth codes', async () => {
+    const first = await request('/api/devices?limit=2');
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.map((device) => device.phoneNumber)).toEqual(['013800000001', '013800000002']);
+    expect(first.body.data[0]).not.toHaveProperty('authCode');
+    expect(first.body.data[0].online).toBe(false);
+    expect(first.body.pagination.limit).toBe(2);
+
+    const second = await request(`/api/devices?limit=2&cursor=${first.body.pagination.nextCursor}`);
+    expect(second.body.data.map((device) => device.phoneNumber)).toEqual(['013800000003']);
+    expect(second.body.pagination.nextCursor).toBe(null);
+  });
+
+  it('should return one device with its cached state', async () => {
+    server.fleetState.updateLocation('013800000001', location(10));
+
+    const { status, body } = await request('/api/devices/013800000001');
+
+    expect(status).toBe(200);
+    expect(body.data.plateNumber).toBe('B00001');
+    expect(body.data.state).toMatchObject({ latitude: 22.543096, speed: 62.5 });
+  });
+
+  it('should answer unknown devices and routes with not found', async () => {
+    const device = await request('/api/devices/013899999999');
+    const route = await request('/api/unknown');
+
+    expect(device.status).toBe(404);
+    expect(device.body).toEqual({ error: { code: 'NOT_FOUND', message: 'Device 013899999999 not found' } });
+    expect(route.status).toBe(404);
+    expect(route.body.error.code).toBe('NOT_FOUND');
+  });
+
+  it('should reject unsupported methods', async () => {
+    const { status, body } = await request('/api/devices', { method: 'POST' });
+
+    expect(status).toBe(405);
+    expect(body.error.code).toBe('METHOD_NOT_ALLOWED');
+  });
+
+  it('should return the latest position from memory, then from the store', async () => {
+    await server.locationStore.save('013800000002', [location(20)]);
+
+    const cached = await request('/api/devices/013800000001/position');
+    const stored = await request('/api/devices/013800000002/position');
+    const missing = await request('/api/devices/013800000003/position');
+
+    expect(cached.body.data.timestamp).toBe('2024-03-15T00:30:10.000Z');
+    expect(stored.body.data).toMatchObject({ phoneNumber: '013800000002', timestamp: '2024-03-15T00:30:20.000Z' });
+    expect(missing.status).toBe(404);
+  });
+
+  it('should page through a track between two times', async () => {
+    await server.locationStore.save('013800000003', [location(1), location(2), location(3)]);
+    const path = '/api/devices/013800000003/track?from=2024-03-15T00:00:00Z&to=2024-03-15T01:00:00Z';
+
+    const first = await request(`${path}&limit=2`);
+    const second = await request(`${path}&limit=2&cursor=${first.body.pagination.nextCursor}`);
+
+    expect(first.body.data.map((point) => point.timestamp)).toEqual([
+      '2024-03-15T00:30:01.000Z',
+      '2024-03-15T00:30:02.000Z'
+    ]);
+    expect(second.body.data.map((point) => point.timestamp)).toEqual(['2024-03-15T00:30:03.000Z']);
+    expect(second.body.pagination).toEqual({ limit: 2, nextCursor: null });
+  });
+
+  it('should reject invalid track queries', async () => {
+    const missing = await request('/api/devices/013800000003/track?from=2024-03-15T00:00:00Z');
+    const invalid = await request('/api/devices/013800000003/track?from=soon&to=2024-03-15T01:00:00Z');
+    const limit = await request('/api/devices/013800000003/track?from=2024-03-15&to=2024-03-16&limit=0');
+    const cursor = await request('/api/devices/013800000003/track?from=2024-03-15&to=2024-03-16&cursor=x');
+
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toEqual({ code: 'INVALID_ARGUMENT', message: 'to is required' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.message).toBe('Invalid start time: soon');
+    expect(limit.status).toBe(400);
+    expect(cursor.body.error).toEqual({ code: 'INVALID_ARGUMENT', message: 'Invalid cursor' });
+  });
+
+  it('should list sessions and disconnect one', async () => {
+    const client = net.createConnection({ port: tcpServer.address().port, host: '127.0.0.1' });
+    const closed = new Promise((resolve) => client.on('close', resolve));
+    await new Promise((resolve) => client.once('data', resolve));
+
+    const listed = await request('/api/sessions');
+    expect(listed.body.data).toHaveLength(1);
+    const [session] = listed.body.data;
+    expect(session).toMatchObject({
+      state: 'connected',
+      remoteAddress: '127.0.0.1',
+      protocolVersion: null,
+      lastHeartbeatAt: null
+    });
+
+    const disconnected = await request(`/api/sessions/${session.connectionId}`, { method: 'DELETE' });
+    await closed;
+
+    expect(disconnected.body.data).toEqual({ connectionId: session.connectionId, closed: true });
+    const again = await request(`/api/sessions/${session.connectionId}`, { method: 'DELETE' });
+    expect(again.status).toBe(404);
+  });
+
+  it('should send a command to a connected terminal and return its answer', async () => {
+    vi.spyOn(server, 'findConnection').mockReturnValue({ session: { protocolVersion: null } });
+    const sendCommand = vi.spyOn(server, 'sendCommand').mockResolvedValue({
+      replySequence: 5,
+      replyMessageId: 0x8300,
+      result: 0,
+      resultName: 'success',
+      success: true
+    });
+
+    try {
+      const { status, body } = await request('/api/devices/013800000001/commands', {
+        method: 'POST',
+        body: JSON.stringify({ type: 'text', text: 'Hello' })
+      });
+
+      expect(status).toBe(200);
+      expect(body.data).toEqual({
+        status: 'completed',
+        response: { replySequence: 5, replyMessageId: 0x8300, result: 0, resultName: 'success', success: true }
+      });
+      expect(sendCommand.mock.calls[0][1]).toBe(0x8300);
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+
+  it('should refuse or queue commands for offline terminals', async () => {
+    const path = '/api/devices/013800000002/commands';
+    const offline = await request(path, { method: 'POST', body: JSON.stringify({ type: 'location_query' }) });
+    const queued = await request(path, { method: 'POST', body: JSON.stringify({ type: 'location_query', queue: true }) });
+    const listed = await request(path);
+
+    expect(offline.status).toBe(409);
+    expect(offline.body.error).toEqual({ code: 'TERMINAL_OFFLINE', message: 'Terminal 013800000002 is not connected' });
+    expect(queued.status).toBe(202);
+    expect(queued.body.data).toMatchObject({ status: 'queued', phoneNumber: '013800000002', command: { type: 'location_query' } });
+    expect(listed.body.data.map((command) => command.id)).toEqual([queued.body.data.id]);
+  });
+
+  it('should reject invalid commands and unknown devices', async () => {
+    const path = '/api/devices/013800000001/commands';
+    const malformed = await request(path, { method: 'POST', body: '{' });
+    const invalid = await request(path, { method: 'POST', body: JSON.stringify({ type: 'explode' }) });
+    const tooLarge = await request(path, { method: 'POST', body: JSON.stringify({ type: 'text', text: 'x'.repeat(70000) }) });
+    const unknown = await request('/api/devices/013899999999/commands', {
+      method: 'POST',
+      body: JSON.stringify({ type: 'location_query' })
+    });
+
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.message).toBe('Request body must be JSON');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.message).toMatch(/^type must be one of text, location_query/);
+    expect(tooLarge.status).toBe(413);
+    expect(unknown.status).toBe(404);
+  });
+
+  it('should list, return and confirm alarms', async () => {
+    await server.alarms.process('013800000003', [
+      location(0, { alarms: ['EMERGENCY_ALARM', 'OVERSPEED_ALARM'] })
+    ], { messageSequence: 9 });
+    const all = await request('/api/alarms');
+    const device = await request('/api/devices/013800000003/alarms');
+    const [emergency, overspeed] = all.body.data;
+
+    expect(all.body.data.map((alarm) => alarm.type)).toEqual(['EMERGENCY_ALARM', 'OVERSPEED_ALARM']);
+    expect(device.body.data).toEqual(all.body.data);
+    expect((await request(`/api/alarms/${emergency.id}`)).body.data).toMatchObject({
+      phoneNumber: '013800000003',
+      severity: 'critical',
+      status: 'open',
+      messageSequence: 9
+    });
+    expect((await request('/api/alarms/999')).status).toBe(404);
+
+    const notConfirmable = await request(`/api/alarms/${overspeed.id}/confirm`, { method: 'POST' });
+    const offline = await request(`/api/alarms/${emergency.id}/confirm`, { method: 'POST' });
+    expect(notConfirmable.status).toBe(409);
+    expect(notConfirmable.body.error.code).toBe('ALARM_NOT_CONFIRMABLE');
+    expect(offline.status).toBe(409);
+    expect(offline.body.error.code).toBe('TERMINAL_OFFLINE');
+  });
+
+  it('should acknowledge alarms, take notes and return the audit trail', async () => {
+    await server.alarms.process('013800000002', [location(0, { alarms: ['VEHICLE_THEFT'] })]);
+    const [alarm] = (await request('/api/devices/013800000002/alarms')).body.data;
+    const path = `/api/alarms/${alarm.id}`;
+
+    const missingOperator = await request(`${path}/acknowledge`, { method: 'POST', body: JSON.stringify({}) });
+    const acknowledged = await request(`${path}/acknowledge`, {
+      method: 'POST',
+      body: JSON.stringify({ operator: 'alice', note: 'On it' })
+    });
+    const again = await request(`${path}/acknowledge`, { method: 'POST', body: JSON.stringify({ operator: 'bob' }) });
+    const note = await request(`${path}/notes`, {
+      method: 'POST',
+      body: JSON.stringify({ operator: 'bob', note: 'Police informed' })
+    });
+    const events = await request(`${path}/events`);
+    const byBob = await request('/api/alarms/events?actor=bob');
+
+    expect(missingOperator.status).toBe(400);
+    expect(missingOperator.body.error.message).toBe('operator is required');
+    expect(acknowledged.body.data).toMatchObject({ id: alarm.id, acknowledgedBy: 'alice' });
+    expect(again.status).toBe(409);
+    expect(again.body.error.code).toBe('ALARM_ALREADY_ACKNOWLEDGED');
+    expect(note.status).toBe(201);
+    expect(note.body.data).toMatchObject({ alarmId: alarm.id, action: 'note', actor: 'bob', note: 'Police informed' });
+    expect(events.body.data.map(({ action, actor }) => [action, actor])).toEqual([
+      ['opened', 'system'],
+      ['acknowledged', 'alice'],
+      ['note', 'bob']
+    ]);
+    expect(byBob.body.data).toEqual([note.body.data]);
+    expect((await request('/api/alarms/999/events')).status).toBe(404);
+  });
+
+  it('should page through alarm history with filters', async () => {
+    await server.alarms.process('013800000001', [
+      location(10, { alarms: ['OVERSPEED_ALARM'] }),
+      location(20),
+      location(30, { alarms: ['OVERSPEED_ALARM'] })
+    ]);
+
+    const path = '/api/alarms/history?phoneNumber=013800000001&limit=1';
+    const first = await request(path);
+    const second = await request(`${path}&cursor=${first.body.pagination.nextCursor}`);
+    const closed = await request('/api/alarms/history?phoneNumber=013800000001&status=closed');
+    const invalid = await request('/api/alarms/history?acknowledged=maybe');
+
+    expect(first.body.data[0]).toMatchObject({ status: 'open', startedAt: '2024-03-15T00:30:30.000Z' });
+    expect(second.body.data[0]).toMatchObject({ status: 'closed', durationSeconds: 10 });
+    expect(closed.body.data).toHaveLength(1);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should set and return a device alarm mask', async () => {
+    const path = '/api/devices/013800000001/alarm-mask';
+    const before = await request(path);
+    const queued = await request(path, {
+      method: 'PUT',
+      body: JSON.stringify({ operator: 'alice', types: ['OVERSPEED_ALARM'] })
+    });
+    const after = await request(path);
+    const invalid = await request(path, { method: 'PUT', body: JSON.stringify({ operator: 'alice', types: 'all' }) });
+
+    expect(before.body.data).toMatchObject({ mask: 0, types: [], status: null });
+    expect(queued.status).toBe(202);
+    expect(queued.body.data).toMatchObject({ mask: 0x2, types: ['OVERSPEED_ALARM'], status: 'pending', updatedBy: 'alice' });
+    expect(server.commands.queued('013800000001').map((command) => command.id)).toContain(queued.body.data.commandId);
+    expect(after.body.data).toEqual(queued.body.data);
+    expect(invalid.status).toBe(400);
+    expect((await request('/api/devices/013899999999/alarm-mask', {
+      method: 'PUT',
+      body: JSON.stringify({ operator: 'alice', types: [] })
+    })).status).toBe(404);
+  });
+
+  it('should manage geofences and report their events', async () => {
+    const json = (method, body) => ({ method, body: JSON.stringify(body) });
+    const depot = { name: 'Depot', type: 'circle', center: { latitude: 22.543096, longitude: 114.057865 }, radius: 200 };
+
+    const created = await request('/api/geofences', json('POST', depot));
+    const duplicate = await request('/api/geofences', json('POST', depot));
+    const invalid = await request('/api/geofences', json('POST', { ...depot, name: 'Bad', radius: -1 }));
+    const path = `/api/geofences/${created.body.data.id}`;
+    const updated = await request(path, json('PUT', { ...depot, speedLimit: 30 }));
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ name: 'Depot', type: 'circle', radius: 200 });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error.code).toBe('GEOFENCE_NAME_TAKEN');
+    expect(invalid.status).toBe(400);
+    expect(updated.body.data.speedLimit).toBe(30);
+    expect((await request('/api/geofences')).body.data).toEqual([updated.body.data]);
+    expect((await request(path)).body.data).toEqual(updated.body.data);
+
+    await server.geofences.process('013800000003', [location(0), location(10, { latitude: 22.6 })]);
+    await server.geofences.process('013800000002', [location(0)]);
+    const events = await request(`/api/geofences/events?geofenceId=${created.body.data.id}&phoneNumber=013800000003`);
+    const inside = await request('/api/devices/013800000002/geofences');
+
+    expect(events.body.data.map((event) => event.type)).toEqual(['enter', 'speeding', 'exit']);
+    expect(inside.body.data).toEqual([{ geofenceId: created.body.data.id, name: 'Depot', enteredAt: '2024-03-15T00:30:00.000Z' }]);
+    expect((await request('/api/geofences/events?geofenceId=x')).status).toBe(400);
+
+    expect((await request(path, { method: 'DELETE' })).body.data.name).toBe('Depot');
+    expect((await request(path)).status).toBe(404);
+    expect((await request('/api/devices/013800000002/geofences')).body.data).toEqual([]);
+  });
+
+  it('should sync geofences down to terminals and remove them again', async () => {
+    const json = (method, body) => ({ method, body: JSON.stringify(body) });
+    const { body: { data: yard } } = await request('/api/geofences', json('POST', {
+      name: 'Yard',
+      type: 'polygon',
+      points: [{ latitude: 22.5, longitude: 114 }, { latitude: 22.5, longitude: 114.1 }, { latitude: 22.6, longitude: 114 }]
+    }));
+    const path = `/api/geofences/${yard.id}/devices`;
+
+    vi.spyOn(server, 'findConnection').mockReturnValue({ session: { protocolVersion: '2019' } });
+    const sendCommand = vi.spyOn(server, 'sendCommand').mockResolvedValue({ replyMessageId: 0x8604, result: 0, success: true });
+    try {
+      const synced = await request(`${path}/013800000001`, json('POST', { flags: ['ENTER_ALARM_DRIVER'] }));
+      const removed = await request(`${path}/013800000001`, { method: 'DELETE' });
+      const invalid = await request(`${path}/013800000001`, json('POST', { startTime: 'tomorrow' }));
+
+      expect(synced.status).toBe(200);
+      expect(synced.body.data.status).toBe('completed');
+      expect(sendCommand.mock.calls[0][1]).toBe(0x8604);
+      expect(sendCommand.mock.calls[0][2].readUInt32BE(0)).toBe(yard.id);
+      expect(removed.body.data.status).toBe('completed');
+      expect(sendCommand.mock.calls[1][1]).toBe(0x8605);
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.message).toBe('startTime must be 12 digits YYMMDDHHMMSS');
+    } finally {
+      vi.restoreAllMocks();
+    }
+
+    const queued = await request(`${path}/013800000002`, json('POST', { queue: true }));
+    expect(queued.status).toBe(202);
+    expect(queued.body.data.command).toMatchObject({ type: 'set_area', areaType: 'polygon' });
+    expect((await request(`${path}/013899999999`, json('POST', {}))).status).toBe(404);
+    expect((await request('/api/geofences/999/devices/013800000001', json('POST', {}))).status).toBe(404);
+  });
+});
+
+describe('HttpApi with API tokens', () => {
+  let alarms;
+  let httpServer;
+  let baseUrl;
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, options);
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    alarms = {
+      listOpen: vi.fn(() => []),
+      addNote: vi.fn(async (id, operator, note) => ({ alarmId: id, actor: operator, note }))
+    };
+    const api = new HttpApi({ alarms }, { tokens: { s3cret: 'alice' } });
+    httpServer = http.createServer((req, res) => api.handle(req, res));
+    await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => httpServer.close(resolve));
+  });
+
+  it('should refuse requests that change state without a valid token', async () => {
+    const body = JSON.stringify({ operator: 'mallory', note: 'Ignore' });
+    const missing = await request('/api/alarms/1/notes', { method: 'POST', body });
+    const wrong = await request('/api/alarms/1/notes', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer guess' },
+      body
+    });
+
+    expect(missing.status).toBe(401);
+    expect(missing.body.error.code).toBe('UNAUTHORIZED');
+    expect(wrong.status).toBe(401);
+    expect(alarms.addNote).not.toHaveBeenCalled();
+  });
+
+  it('should keep reads open', async () => {
+    const { status } = await request('/api/alarms');
+
+    expect(status).toBe(200);
+  });
+
+  it('should audit the operator of the token rather than the one in the body', async () => {
+    const { status, body } = await request('/api/alarms/1/notes', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer s3cret' },
+      body: JSON.stringify({ operator: 'mallory', note: 'Called the driver' })
+    });
+
+    expect(status).toBe(201);
+    expect(alarms.addNote).toHaveBeenCalledWith(1, 'alice', 'Called the driver');
+    expect(body.data.actor).toBe('alice');
+  });
+});
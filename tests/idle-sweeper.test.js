@@ -0,0 +1,77 @@
+/**
+ * Unit tests for IdleSweeper
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+const { IdleSweeper, IDLE_SWEEPER_DEFAULTS } = require('../src/components/idle-sweeper');
+const { Session, SESSION_STATES } = require('../src/components/session');
+const { TERMINAL_PARAMETERS } = require('../src/models/jt808-messages');
+
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+const createSession = (id, heartbeatInterval = 30) => {
+  const socket = { destroyed: false, destroy: vi.fn() };
+  return new Session(id, socket, { id }, { heartbeatInterval });
+};
+
+describe('IdleSweeper', () => {
+  it('should use default options', () => {
+    const sweeper = new IdleSweeper(() => []);
+
+    expect(sweeper.timeoutMultiplier).toBe(IDLE_SWEEPER_DEFAULTS.timeoutMultiplier);
+    expect(sweeper.sweepInterval).toBe(IDLE_SWEEPER_DEFAULTS.sweepInterval);
+  });
+
+  it('should close sessions silent longer than the multiple of the heartbeat interval', () => {
+    const now = new Date('2024-01-01T00:10:00Z');
+    const idle = createSession(1);
+    const active = createSession(2);
+    idle.touch(new Date(now - 91 * 1000));
+    active.touch(new Date(now - 89 * 1000));
+
+    const sweeper = new IdleSweeper(() => [idle, active], { timeoutMultiplier: 3 });
+    const closed = sweeper.sweep(now);
+
+    expect(closed).toEqual([idle]);
+    expect(idle.state).toBe(SESSION_STATES.CLOSED);
+    expect(idle.closeReason).toBe('idle timeout: no data for 91s (heartbeat interval 30s)');
+    expect(idle.socket.destroy).toHaveBeenCalled();
+    expect(active.state).toBe(SESSION_STATES.CONNECTED);
+  });
+
+  it('should keep sessions alive on heartbeat', () => {
+    const now = new Date('2024-01-01T00:10:00Z');
+    const session = createSession(1);
+    session.touch(new Date(now - 200 * 1000));
+    session.recordHeartbeat(new Date(now - 10 * 1000));
+
+    const sweeper = new IdleSweeper(() => [session]);
+
+    expect(sweeper.sweep(now)).toHaveLength(0);
+    expect(session.lastHeartbeatAt).toEqual(new Date(now - 10 * 1000));
+  });
+
+  it('should honour heartbeat interval set through terminal parameters', () => {
+    const now = new Date('2024-01-01T00:10:00Z');
+    const session = createSession(1);
+    const value = Buffer.alloc(4);
+    value.writeUInt32BE(120, 0);
+    session.applyParameters([{ id: TERMINAL_PARAMETERS.HEARTBEAT_INTERVAL, length: 4, value }]);
+    session.touch(new Date(now - 300 * 1000));
+
+    const sweeper = new IdleSweeper(() => [session]);
+
+    expect(session.heartbeatInterval).toBe(120);
+    expect(sweeper.sweep(now)).toHaveLength(0);
+  });
+
+  it('should start and stop the timer', () => {
+    const sweeper = new IdleSweeper(() => []);
+
+    sweeper.start();
+    expect(sweeper.timer).not.toBe(null);
+
+    sweeper.stop();
+    expect(sweeper.timer).toBe(null);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Tests for the WebSocket live feed
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import EventEmitter from 'events';
+const { LiveFeed } = require('../src/components/live-feed');
+const { FleetState } = require('../src/components/fleet-state');
+const { OPCODES } = require('../src/utils/websocket');
+
+// Masked client frame
+const clientFrame = (opcode, payload = '') => {
+  const data = Buffer.from(payload);
+  const mask = Buffer.from([1, 2, 3, 4]);
+  return Buffer.concat([
+    Buffer.from([0x80 | opcode, 0x80 | data.length]),
+    mask,
+    Buffer.from(data.map((byte, i) => byte ^ mask[i % 4]))
+  ]);
+};
+
+// Open a feed connection; next() resolves with the next server frame
+const connect = (port, path = '/api/live') => new Promise((resolve, reject) => {
+  const request = http.request({
+    port,
+    host: '127.0.0.1',
+    path,
+    headers: {
+      Connection: 'Upgrade',
+      Upgrade: 'websocket',
+      'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+      'Sec-WebSocket-Version': '13'
+    }
+  });
+  request.on('response', (response) => resolve({ status: response.statusCode }));
+  request.on('error', reject);
+  request.on('upgrade', (response, socket, head) => {
+    let buffer = Buffer.alloc(0);
+    const frames = [];
+    const waiting = [];
+    const deliver = () => {
+      while (frames.length > 0 && waiting.length > 0) {
+        waiting.shift()(frames.shift());
+      }
+    };
+    const receive = (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      while (buffer.length >= 2) {
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+          length = buffer.readUInt16BE(2);
+          offset = 4;
+        }
+        if (buffer.length < offset + length) break;
+        const payload = buffer.slice(offset, offset + length);
+        const opcode = buffer[0] & 0x0f;
+        frames.push({ opcode, payload, message: opcode === OPCODES.TEXT ? JSON.parse(payload) : null });
+        buffer = buffer.slice(offset + length);
+      }
+      deliver();
+    };
+    socket.on('data', receive);
+    receive(head);
+
+    resolve({
+      status: 101,
+      accept: response.headers['sec-websocket-accept'],
+      socket,
+      send: (opcode, payload) => socket.write(clientFrame(opcode, payload)),
+      next: () => new Promise((done, fail) => {
+        const timer = setTimeout(() => fail(new Error('Frame timeout')), 2000);
+        waiting.push((frame) => {
+          clearTimeout(timer);
+          done(frame);
+        });
+        deliver();
+      })
+    });
+  });
+  request.end();
+});
+
+const location = (second, alarms = []) => ({
+  latitude: 22.5,
+  longitude: 114.0,
+  altitude: 0,
+  speed: 40,
+  direction: 0,
+  accOn: true,
+  positioned: true,
+  alarms,
+  timestamp: `2024-03-15T00:30:${String(second).padStart(2, '0')}.000Z`
+});
+
+describe('LiveFeed', () => {
+  let server;
+  let feed;
+  let httpServer;
+  let port;
+  let clients;
+
+  const open = async (path) => {
+    const client = await connect(port, path);
+    if (client.socket) {
+      clients.push(client);
+    }
+    return client;
+  };
+
+  beforeEach(async () => {
+    server = {
+      fleetState: new FleetState(),
+      commands: new EventEmitter(),
+      alarms: new EventEmitter(),
+      geofences: new EventEmitter()
+    };
+    httpServer = http.createServer((request, response) => response.end());
+    feed = new LiveFeed(server, { pingInterval: 60000 }).attach(httpServer);
+    clients = [];
+    await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+    port = httpServer.address().port;
+  });
+
+  afterEach(async () => {
+    clients.forEach((client) => client.socket.destroy());
+    feed.close();
+    await new Promise((resolve) => httpServer.close(resolve));
+  });
+
+  it('should complete the handshake and confirm the subscription', async () => {
+    const client = await open();
+    expect(client.status).toBe(101);
+    expect(client.accept).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    expect((await client.next()).message).toMatchObject({ type: 'subscribed', data: { devices: 'all' } });
+  });
+
+  it('should refuse other paths', async () => {
+    expect((await connect(port, '/api/other')).status).toBe(404);
+  });
+
+  it('should push locations, alarms and online changes', async () => {
+    const client = await open();
+    await client.next();
+
+    server.fleetState.setOnline('013800000001', true);
+    server.fleetState.updateLocation('013800000001', location(1, ['EMERGENCY']));
+
+    const online = (await client.next()).message;
+    const position = (await client.next()).message;
+    const alarm = (await client.next()).message;
+    expect(online).toMatchObject({ type: 'online', phoneNumber: '013800000001', data: { online: true } });
+    expect(position).toMatchObject({ type: 'location', phoneNumber: '013800000001', data: { speed: 40 } });
+    expect(alarm).toMatchObject({ type: 'alarm', data: { raised: ['EMERGENCY'], cleared: [], alarms: ['EMERGENCY'] } });
+  });
+
+  it('should push command results', async () => {
+    const client = await open();
+    await client.next();
+
+    server.commands.emit('result', { id: null, phoneNumber: '013800000001', type: 'location_query', status: 'completed' });
+    expect((await client.next()).message).toMatchObject({ type: 'command', data: { status: 'completed' } });
+  });
+
+  it('should push alarm records', async () => {
+    const client = await open();
+    await client.next();
+
+    server.alarms.emit('opened', { id: 1, phoneNumber: '013800000001', type: 'EMERGENCY_ALARM', status: 'open' });
+    expect((await client.next()).message).toMatchObject({
+      type: 'alarm_opened',
+      phoneNumber: '013800000001',
+      data: { id: 1, type: 'EMERGENCY_ALARM' }
+    });
+  });
+
+  it('should only send events of subscribed devices', async () => {
+    const client = await open('/api/live?devices=013800000002');
+    expect((await client.next()).message.data).toEqual({ devices: ['013800000002'] });
+
+    server.fleetState.setOnline('013800000001', true);
+    server.fleetState.setOnline('013800000002', true);
+    expect((await client.next()).message.phoneNumber).toBe('013800000002');
+
+    client.send(OPCODES.TEXT, JSON.stringify({ type: 'subscribe', devices: ['013800000001'] }));
+    expect((await client.next()).message.data).toEqual({ devices: ['013800000001'] });
+    server.fleetState.setOnline('013800000002', false);
+    server.fleetState.setOnline('013800000001', false);
+    expect((await client.next()).message).toMatchObject({ type: 'offline', phoneNumber: '013800000001' });
+
+    client.send(OPCODES.TEXT, JSON.stringify({ type: 'unsubscribe', devices: ['013800000001'] }));
+    expect((await client.next()).message.data).toEqual({ devices: [] });
+  });
+
+  it('should keep the other devices when unsubscribing from one of all', async () => {
+    const client = await open();
+    await client.next();
+
+    client.send(OPCODES.TEXT, JSON.stringify({ type: 'unsubscribe', devices: ['013800000001'] }));
+    expect((await client.next()).message.data).toEqual({ devices: 'all', except: ['013800000001'] });
+
+    server.fleetState.setOnline('013800000001', true);
+    server.fleetState.setOnline('013800000002', true);
+    expect((await client.next()).message).toMatchObject({ type: 'online', phoneNumber: '013800000002' });
+
+    client.send(OPCODES.TEXT, JSON.stringify({ type: 'subscribe', devices: 'all' }));
+    expect((await client.next()).message.data).toEqual({ devices: 'all', except: [] });
+    server.fleetState.setOnline('013800000001', false);
+    expect((await client.next()).message).toMatchObject({ type: 'offline', phoneNumber: '013800000001' });
+  });
+
+  it('should answer invalid messages with an error event', async () => {
+    const client = await open();
+    await client.next();
+
+    client.send(OPCODES.TEXT, JSON.stringify({ type: 'subscribe', devices: 42 }));
+    expect((await client.next()).message).toMatchObject({
+      type: 'error',
+      data: { message: 'devices must be "all" or an array of phone numbers' }
+    });
+  });
+
+  it('should answer pings and drop clients that miss a ping', async () => {
+    const client = await open();
+    await client.next();
+
+    client.send(OPCODES.PING, 'hi');
+    const pong = await client.next();
+    expect(pong.opcode).toBe(OPCODES.PONG);
+    expect(pong.payload.toString()).toBe('hi');
+
+    feed.heartbeat();
+    expect((await client.next()).opcode).toBe(OPCODES.PING);
+    const closed = new Promise((resolve) => client.socket.on('close', resolve));
+    feed.heartbeat();
+    await closed;
+    expect(feed.clients.size).toBe(0);
+  });
+
+  it('should drop clients that fall too far behind', async () => {
+    const client = await open();
+    await client.next();
+    const [feedClient] = feed.clients;
+    Object.defineProperty(feedClient.socket, 'writableLength', { value: 2 * 1024 * 1024 });
+
+    expect(feed.publish('online', '013800000001', {})).toBe(0);
+    expect(feed.clients.size).toBe(0);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit tests for the SQLite location store
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+const Database = require('../src/components/database');
+const { SqliteLocationStore } = require('../src/components/location-store');
+const { LocationRepository } = require('../src/components/location-repository');
+
+const location = (second, overrides = {}) => ({
+  latitude: 22.543096,
+  longitude: 114.057865,
+  altitude: 35,
+  speed: 62.5,
+  direction: 90,
+  timestamp: `2024-03-15T00:30:${String(second).padStart(2, '0')}.000Z`,
+  alarmFlag: 0,
+  statusFlag: 0x3,
+  additionalInfo: { mileage: 1234.5, unknown: {} },
+  ...overrides
+});
+
+describe('SqliteLocationStore', () => {
+  let database;
+  let store;
+
+  beforeEach(() => {
+    database = new Database(':memory:');
+    store = new SqliteLocationStore(database, { maxPageSize: 100 });
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  it('should implement the location repository interface', () => {
+    expect(store).toBeInstanceOf(LocationRepository);
+  });
+
+  it('should store locations and read them back', async () => {
+    const counts = await store.save('013800000001', [location(0)], { messageId: 0x0200 });
+    expect(counts).toEqual({ inserted: 1, duplicates: 0, skipped: 0 });
+
+    const latest = await store.getLatest('013800000001');
+    expect(latest).toMatchObject({
+      phoneNumber: '013800000001',
+      latitude: 22.543096,
+      longitude: 114.057865,
+      speed: 62.5,
+      timestamp: '2024-03-15T00:30:00.000Z',
+      accOn: true,
+      positioned: true,
+      statuses: ['ACC_ON', 'POSITIONING'],
+      alarms: [],
+      blindArea: false,
+      messageId: 0x0200,
+      additionalInfo: { mileage: 1234.5, unknown: {} }
+    });
+  });
+
+  it('should drop resent points and points without a device time', async () => {
+    await store.save('013800000001', [location(0), location(10)]);
+
+    const counts = await store.save('013800000001', [
+      location(0, { blindArea: true }),
+      location(10),
+      location(20),
+      location(30, { timestamp: null })
+    ]);
+
+    expect(counts).toEqual({ inserted: 1, duplicates: 2, skipped: 1 });
+  });
+
+  it('should keep distinct points reported in the same second', async () => {
+    const counts = await store.save('013800000001', [location(0), location(0, { alarmFlag: 0x1 })]);
+
+    expect(counts.inserted).toBe(2);
+  });
+
+  it('should query a track between two times in device time order', async () => {
+    await store.save('013800000001', [location(30), location(10), location(50)]);
+    await store.save('013800000002', [location(20)]);
+
+    const { locations, nextCursor } = await store.getTrack(
+      '013800000001',
+      '2024-03-15T00:30:10.000Z',
+      new Date('2024-03-15T00:30:30.000Z')
+    );
+
+    expect(locations.map((item) => item.timestamp)).toEqual([
+      '2024-03-15T00:30:10.000Z',
+      '2024-03-15T00:30:30.000Z'
+    ]);
+    expect(nextCursor).toBe(null);
+  });
+
+  it('should page through large tracks', async () => {
+    const points = Array.from({ length: 25 }, (_, index) => location(index));
+    await store.save('013800000001', points);
+
+    const timestamps = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const page = await store.getTrack('013800000001', '2024-03-15T00:00:00Z', '2024-03-15T01:00:00Z', {
+        limit: 10,
+        cursor
+      });
+      timestamps.push(...page.locations.map((item) => item.timestamp));
+      cursor = page.nextCursor;
+      pages++;
+    } while (cursor);
+
+    expect(pages).toBe(3);
+    expect(timestamps).toHaveLength(25);
+    expect(timestamps).toEqual(points.map((point) => point.timestamp));
+  });
+
+  it('should reject invalid track queries', async () => {
+    await expect(store.getTrack('013800000001', 'yesterday', '2024-03-15T01:00:00Z'))
+      .rejects.toThrow('Invalid start time');
+    await expect(store.getTrack('013800000001', '2024-03-15T00:00:00Z', '2024-03-15T01:00:00Z', { limit: 101 }))
+      .rejects.toThrow('Page size must be an integer from 1 to 100');
+    await expect(store.getTrack('013800000001', '2024-03-15T00:00:00Z', '2024-03-15T01:00:00Z', { cursor: 'bad' }))
+      .rejects.toThrow('Invalid cursor');
+  });
+
+  it('should return the latest location by device time, not arrival', async () => {
+    await store.save('013800000001', [location(30)]);
+    await store.save('013800000001', [location(10, { blindArea: true })]);
+
+    expect((await store.getLatest('013800000001')).timestamp).toBe('2024-03-15T00:30:30.000Z');
+    expect(await store.getLatest('013800000009')).toBe(null);
+  });
+
+  it('should list the latest location of every device', async () => {
+    await store.save('013800000002', [location(10), location(40)]);
+    await store.save('013800000001', [location(20), location(5)]);
+
+    const latest = await store.listLatest();
+
+    expect(latest.map((item) => [item.phoneNumber, item.timestamp])).toEqual([
+      ['013800000001', '2024-03-15T00:30:20.000Z'],
+      ['013800000002', '2024-03-15T00:30:40.000Z']
+    ]);
+  });
+});
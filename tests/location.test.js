@@ -0,0 +1,119 @@
+/**
+ * Unit tests for location normalization
+ */
+
+import { describe, it, expect } from 'vitest';
+const { normalizeLocation, normalizeLocationBatch, deviceTimeToISO, flagNames } = require('../src/utils/location');
+const { ALARM_FLAGS, STATUS_FLAGS } = require('../src/models/jt808-messages');
+
+const location = (overrides = {}) => ({
+  alarmFlag: 0,
+  statusFlag: STATUS_FLAGS.ACC_ON | STATUS_FLAGS.POSITIONING,
+  latitude: 22543096,
+  longitude: 114057865,
+  altitude: 35,
+  speed: 625,
+  direction: 90,
+  timestamp: '240315083000',
+  ...overrides
+});
+
+describe('deviceTimeToISO', () => {
+  it('should convert GMT+8 device time to UTC', () => {
+    expect(deviceTimeToISO('240315083000')).toBe('2024-03-15T00:30:00.000Z');
+  });
+
+  it('should roll back across midnight and year boundaries', () => {
+    expect(deviceTimeToISO('250101050000')).toBe('2024-12-31T21:00:00.000Z');
+  });
+
+  it('should return null for invalid device times', () => {
+    expect(deviceTimeToISO('000000000000')).toBeNull();
+    expect(deviceTimeToISO('240230120000')).toBeNull();
+    expect(deviceTimeToISO('241301120000')).toBeNull();
+    expect(deviceTimeToISO('2403150830')).toBeNull();
+    expect(deviceTimeToISO(undefined)).toBeNull();
+  });
+});
+
+describe('flagNames', () => {
+  it('should list set flags in definition order', () => {
+    const value = ALARM_FLAGS.OVERSPEED_ALARM | ALARM_FLAGS.EMERGENCY_ALARM;
+    expect(flagNames(value, ALARM_FLAGS)).toEqual(['EMERGENCY_ALARM', 'OVERSPEED_ALARM']);
+  });
+
+  it('should handle bit 31', () => {
+    expect(flagNames(0x80000000, ALARM_FLAGS)).toEqual(['ILLEGAL_DOOR_OPEN']);
+  });
+});
+
+describe('normalizeLocation', () => {
+  it('should convert units and decode flags', () => {
+    expect(normalizeLocation(location())).toEqual({
+      latitude: 22.543096,
+      longitude: 114.057865,
+      altitude: 35,
+      speed: 62.5,
+      direction: 90,
+      timestamp: '2024-03-15T00:30:00.000Z',
+      deviceTime: '240315083000',
+      accOn: true,
+      positioned: true,
+      alarmFlag: 0,
+      statusFlag: 0x3,
+      alarms: [],
+      statuses: ['ACC_ON', 'POSITIONING']
+    });
+  });
+
+  it('should sign southern and western coordinates', () => {
+    const normalized = normalizeLocation(location({
+      statusFlag: STATUS_FLAGS.SOUTH_LATITUDE | STATUS_FLAGS.WEST_LONGITUDE,
+      latitude: 33868820,
+      longitude: 70669265
+    }));
+
+    expect(normalized.latitude).toBe(-33.86882);
+    expect(normalized.longitude).toBe(-70.669265);
+    expect(normalized.accOn).toBe(false);
+    expect(normalized.positioned).toBe(false);
+  });
+
+  it('should name alarm and status bits from the 2013 layout', () => {
+    const normalized = normalizeLocation(location({
+      alarmFlag: ALARM_FLAGS.IN_OUT_AREA | ALARM_FLAGS.COLLISION_ROLLOVER_ALARM,
+      statusFlag: STATUS_FLAGS.DOOR1_OPEN | STATUS_FLAGS.BEIDOU_POSITIONING | 0x100
+    }));
+
+    expect(normalized.alarms).toEqual(['IN_OUT_AREA', 'COLLISION_ROLLOVER_ALARM']);
+    expect(normalized.statuses).toEqual(['LOAD_STATUS', 'DOOR1_OPEN', 'BEIDOU_POSITIONING']);
+  });
+
+  it('should keep decoded additional information', () => {
+    const additionalInfo = { mileage: 1234.5, unknown: {} };
+    expect(normalizeLocation(location({ additionalInfo })).additionalInfo).toBe(additionalInfo);
+  });
+});
+
+describe('normalizeLocationBatch', () => {
+  it('should normalize every item and flag blind-area supplements', () => {
+    const batch = {
+      itemCount: 2,
+      dataType: 1,
+      locations: [location(), location({ timestamp: '240315083010', speed: 0 })]
+    };
+
+    const locations = normalizeLocationBatch(batch);
+
+    expect(locations).toHaveLength(2);
+    expect(locations.map((item) => item.blindArea)).toEqual([true, true]);
+    expect(locations[1].timestamp).toBe('2024-03-15T00:30:10.000Z');
+    expect(locations[1].speed).toBe(0);
+  });
+
+  it('should not flag normal batches', () => {
+    const locations = normalizeLocationBatch({ itemCount: 1, dataType: 0, locations: [location()] });
+
+    expect(locations[0].blindArea).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for MessageDispatcher
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+const { MessageDispatcher, MessageContext } = require('../src/components/message-dispatcher');
+const { MessageHeader } = require('../src/utils/message-parser');
+const { MESSAGE_IDS, GENERAL_RESPONSE_RESULTS } = require('../src/models/jt808-messages');
+
+const createContext = (messageId, rawBody = Buffer.alloc(0)) => {
+  const header = new MessageHeader();
+  header.messageId = messageId;
+  header.messageSequence = 0x1234;
+  header.deviceId = '123456789012';
+
+  const sent = [];
+  const context = new MessageContext({
+    session: { id: 1 },
+    header,
+    rawBody,
+    send: (id, body) => sent.push({ id, body })
+  });
+
+  return { context, sent };
+};
+
+describe('MessageDispatcher', () => {
+  describe('Handler registry', () => {
+    it('should register and unregister handlers', () => {
+      const dispatcher = new MessageDispatcher();
+      const handler = () => {};
+
+      dispatcher.register(MESSAGE_IDS.TERMINAL_HEARTBEAT, handler);
+      expect(dispatcher.hasHandler(MESSAGE_IDS.TERMINAL_HEARTBEAT)).toBe(true);
+
+      expect(dispatcher.unregister(MESSAGE_IDS.TERMINAL_HEARTBEAT)).toBe(true);
+      expect(dispatcher.hasHandler(MESSAGE_IDS.TERMINAL_HEARTBEAT)).toBe(false);
+    });
+
+    it('should reject non-function handlers', () => {
+      const dispatcher = new MessageDispatcher();
+
+      expect(() => dispatcher.register(0x0002, 'not a handler')).toThrow('must be a function');
+    });
+  });
+
+  describe('dispatch', () => {
+    it('should route message to its handler with decoded body', async () => {
+      const dispatcher = new MessageDispatcher();
+      const handler = vi.fn();
+      dispatcher.register(MESSAGE_IDS.TERMINAL_AUTH, handler);
+
+      const { context } = createContext(MESSAGE_IDS.TERMINAL_AUTH, Buffer.from('AUTH123', 'ascii'));
+      const outcome = await dispatcher.dispatch(context);
+
+      expect(outcome.status).toBe('handled');
+      expect(handler).toHaveBeenCalledWith(context);
+      expect(context.body).toEqual({ authCode: 'AUTH123' });
+      expect(context.session).toEqual({ id: 1 });
+    });
+
+    it('should reply not supported for unknown message IDs', async () => {
+      const dispatcher = new MessageDispatcher();
+      const { context, sent } = createContext(0x0f01);
+
+      const outcome = await dispatcher.dispatch(context);
+
+      expect(outcome.status).toBe('unsupported');
+      expect(sent).toHaveLength(1);
+      expect(sent[0].id).toBe(MESSAGE_IDS.PLATFORM_GENERAL_RESPONSE);
+      // Reply sequence, reply message ID, result
+      expect(sent[0].body).toEqual(Buffer.from([0x12, 0x34, 0x0f, 0x01, GENERAL_RESPONSE_RESULTS.NOT_SUPPORTED]));
+    });
+
+    it('should reply message error when body cannot be decoded', async () => {
+      const dispatcher = new MessageDispatcher();
+      const handler = vi.fn();
+      dispatcher.register(MESSAGE_IDS.LOCATION_REPORT, handler);
+
+      const { context, sent } = createContext(MESSAGE_IDS.LOCATION_REPORT, Buffer.from([0x00, 0x01]));
+      const outcome = await dispatcher.dispatch(context);
+
+      expect(outcome.status).toBe('invalid');
+      expect(handler).not.toHaveBeenCalled();
+      expect(sent[0].body[4]).toBe(GENERAL_RESPONSE_RESULTS.MESSAGE_ERROR);
+    });
+
+    it('should reply failure when handler throws', async () => {
+      const dispatcher = new MessageDispatcher();
+      dispatcher.register(MESSAGE_IDS.TERMINAL_HEARTBEAT, async () => {
+        throw new Error('Handler failed');
+      });
+
+      const { context, sent } = createContext(MESSAGE_IDS.TERMINAL_HEARTBEAT);
+      const outcome = await dispatcher.dispatch(context);
+
+      expect(outcome.status).toBe('failed');
+      expect(outcome.error.message).toBe('Handler failed');
+      expect(sent[0].body[4]).toBe(GENERAL_RESPONSE_RESULTS.FAILURE);
+    });
+
+    it('should leave body undecoded for messages without a structure', async () => {
+      const dispatcher = new MessageDispatcher();
+      const handler = vi.fn();
+      dispatcher.register(MESSAGE_IDS.DATA_UPLINK_TRANSPARENT, handler);
+
+      const { context } = createContext(MESSAGE_IDS.DATA_UPLINK_TRANSPARENT, Buffer.from([0x01]));
+      await dispatcher.dispatch(context);
+
+      expect(handler).toHaveBeenCalled();
+      expect(context.body).toBe(null);
+      expect(context.rawBody).toEqual(Buffer.from([0x01]));
+    });
+  });
+
+  describe('MessageContext', () => {
+    it('should send general response for the original message', () => {
+      const { context, sent } = createContext(MESSAGE_IDS.TERMINAL_HEARTBEAT);
+
+      context.respond();
+
+      expect(sent[0].id).toBe(MESSAGE_IDS.PLATFORM_GENERAL_RESPONSE);
+      expect(sent[0].body).toEqual(Buffer.from([0x12, 0x34, 0x00, 0x02, GENERAL_RESPONSE_RESULTS.SUCCESS]));
+    });
+  });
+});
@@ -12,20 +12,44 @@ const mockConsoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
 
 describe('MessageParser', () => {
   describe('Protocol version detection', () => {
-    it('should detect JT808-2019 from reserved bits', () => {
-      const version = MessageParser.detectProtocolVersion(0x0100, 0x01, 20);
-      expect(version).toBe(PROTOCOL_VERSIONS.JT808_2019);
-    });
+    const createHeader = (messageId, versionFlag = false) => {
+      const header = new MessageHeader();
+      header.messageId = messageId;
+      header.versionFlag = versionFlag;
+      return header;
+    };
 
-    it('should detect JT808-2019 from specific message IDs', () => {
-      const version = MessageParser.detectProtocolVersion(0x0102, 0x00, 20);
+    it('should detect JT808-2019 from the version flag', () => {
+      const version = MessageParser.detectProtocolVersion(createHeader(0x0102, true), Buffer.alloc(10));
       expect(version).toBe(PROTOCOL_VERSIONS.JT808_2019);
     });
 
-    it('should default to JT808-2013 for standard messages', () => {
-      const version = MessageParser.detectProtocolVersion(0x0100, 0x00, 20);
+    it('should detect JT808-2013 from registration body length', () => {
+      const version = MessageParser.detectProtocolVersion(createHeader(0x0100), Buffer.alloc(37 + 8));
       expect(version).toBe(PROTOCOL_VERSIONS.JT808_2013);
     });
+
+    it('should detect JT808-2011 from short registration body', () => {
+      const version = MessageParser.detectProtocolVersion(createHeader(0x0100), Buffer.alloc(25 + 8));
+      expect(version).toBe(PROTOCOL_VERSIONS.JT808_2011);
+    });
+
+    it('should detect JT808-2011 from a registration with a long plate number', () => {
+      const body = Buffer.concat([
+        Buffer.from('001f0073', 'hex'),
+        Buffer.from('MFRIDMODEL001TERM001', 'ascii'), // manufacturer(5) + model(8) + terminal ID(7) ...
+        Buffer.from([2]), // ... + plate color
+        Buffer.from('LSVAM4187C2184847', 'ascii') // VIN as plate number
+      ]);
+      expect(body.length).toBeGreaterThanOrEqual(37);
+
+      expect(MessageParser.detectProtocolVersion(createHeader(0x0100), body)).toBe(PROTOCOL_VERSIONS.JT808_2011);
+    });
+
+    it('should not guess version from other messages', () => {
+      expect(MessageParser.detectProtocolVersion(createHeader(0x0102), Buffer.alloc(8))).toBe(null);
+      expect(MessageParser.detectProtocolVersion(createHeader(0x0200), Buffer.alloc(28))).toBe(null);
+    });
   });
 
   describe('Header parsing', () => {
@@ -107,6 +131,57 @@ describe('MessageParser', () => {
     });
   });
 
+  describe('JT808-2019 header parsing', () => {
+    // 2019 header: ID, properties (bit 14 set), version, 10-byte BCD phone, sequence
+    const create2019Header = (messageId, properties, sequence) => {
+      const header = Buffer.alloc(17);
+      header.writeUInt16BE(messageId, 0);
+      header.writeUInt16BE(properties | 0x4000, 2);
+      header.writeUInt8(1, 4);
+      Buffer.from([0x00, 0x00, 0x00, 0x00, 0x01, 0x39, 0x12, 0x34, 0x56, 0x78]).copy(header, 5);
+      header.writeUInt16BE(sequence, 15);
+      return header;
+    };
+
+    it('should parse version byte and 10-byte phone number', () => {
+      const header = MessageParser.parseHeader(create2019Header(0x0200, 0x001C, 7));
+
+      expect(header.versionFlag).toBe(true);
+      expect(header.versionNumber).toBe(1);
+      expect(header.protocolVersion).toBe(PROTOCOL_VERSIONS.JT808_2019);
+      expect(header.deviceId).toBe('00000000013912345678');
+      expect(header.messageSequence).toBe(7);
+      expect(header.messageLength).toBe(28);
+    });
+
+    it('should parse package info after the 2019 header', () => {
+      const headerBuffer = Buffer.concat([create2019Header(0x0801, 0x2000, 9), Buffer.from([0x00, 0x05, 0x00, 0x02])]);
+
+      const header = MessageParser.parseHeader(headerBuffer);
+
+      expect(header.messagePackage).toEqual({ total: 5, current: 2 });
+      expect(MessageParser.getHeaderLength(header)).toBe(21);
+    });
+
+    it('should extract body of a 2019 message', () => {
+      const body = Buffer.from([0x0A, 0x0B, 0x0C]);
+      const wrappedMessage = wrapMessage(Buffer.concat([create2019Header(0x0f01, body.length, 1), body]));
+
+      const result = MessageParser.parseMessage(wrappedMessage, 'test-device');
+
+      expect(result.success).toBe(true);
+      expect(result.protocolVersion).toBe(PROTOCOL_VERSIONS.JT808_2019);
+      expect(result.body).toEqual(body);
+    });
+
+    it('should calculate 2019 header length', () => {
+      const header = new MessageHeader();
+      header.versionFlag = true;
+
+      expect(MessageParser.getHeaderLength(header)).toBe(17);
+    });
+  });
+
   describe('Message parsing', () => {
     it('should parse complete valid message', () => {
       // Create a simple registration message
@@ -200,6 +275,74 @@ describe('MessageParser', () => {
     });
   });
 
+  describe('JT808-2019 response message creation', () => {
+    it('should mirror the 2019 header layout', () => {
+      const bodyData = Buffer.from([0x00, 0x01, 0x02, 0x00, 0x00]);
+
+      const responseMessage = MessageParser.createResponseMessage(0x8001, '00000000013912345678', bodyData, 3, {
+        protocolVersion: PROTOCOL_VERSIONS.JT808_2019,
+        versionNumber: 1
+      });
+
+      expect(responseMessage.length).toBe(22); // 17 header + 5 body
+      expect(responseMessage.readUInt16BE(2) & 0x4000).toBe(0x4000); // Version flag
+      expect(responseMessage.readUInt16BE(2) & 0x03FF).toBe(bodyData.length);
+      expect(responseMessage[4]).toBe(1);
+      expect(responseMessage.slice(5, 15).toString('hex')).toBe('00000000013912345678');
+      expect(responseMessage.readUInt16BE(15)).toBe(3);
+
+      const header = MessageParser.parseHeader(responseMessage);
+      expect(header.deviceId).toBe('00000000013912345678');
+    });
+  });
+
+  describe('Outbound message splitting', () => {
+    it('should refuse a body too long for the length field', () => {
+      expect(() => MessageParser.createResponseMessage(0x8300, '013912345678', Buffer.alloc(1024), 1))
+        .toThrow('Message body of 1024 bytes exceeds 1023');
+    });
+
+    it('should keep a body of up to 1023 bytes in one packet', () => {
+      const packets = MessageParser.createMessagePackets(0x8300, '013912345678', Buffer.alloc(1023), 7);
+
+      expect(packets).toHaveLength(1);
+      expect(packets[0].readUInt16BE(2)).toBe(1023); // No fragmentation bit
+    });
+
+    it('should split a long body into numbered sub-packages', () => {
+      const body = Buffer.alloc(2500);
+      for (let i = 0; i < body.length; i++) {
+        body[i] = i & 0xff;
+      }
+
+      const packets = MessageParser.createMessagePackets(0x8108, '013912345678', body, 0xfffe);
+
+      expect(packets).toHaveLength(3);
+      const headers = packets.map((packet) => MessageParser.parseHeader(packet));
+      expect(headers.map((header) => header.messageLength)).toEqual([1023, 1023, 454]);
+      expect(headers.map((header) => header.messageSequence)).toEqual([0xfffe, 0xffff, 0]);
+      expect(headers.map((header) => header.messagePackage)).toEqual([
+        { total: 3, current: 1 },
+        { total: 3, current: 2 },
+        { total: 3, current: 3 }
+      ]);
+      expect(Buffer.concat(packets.map((packet) => packet.slice(16)))).toEqual(body);
+    });
+
+    it('should split with a 2019 header and a smaller packet size', () => {
+      const packets = MessageParser.createMessagePackets(0x8401, '013912345678', Buffer.alloc(250), 1, {
+        protocolVersion: PROTOCOL_VERSIONS.JT808_2019,
+        maxPacketBodyLength: 100
+      });
+
+      expect(packets).toHaveLength(3);
+      const header = MessageParser.parseHeader(packets[2]);
+      expect(header.versionFlag).toBe(true);
+      expect(header.messagePackage).toEqual({ total: 3, current: 3 });
+      expect(packets[2].length).toBe(21 + 50);
+    });
+  });
+
   describe('BCD conversion', () => {
     it('should convert string to BCD correctly', () => {
       const result = MessageParser.stringToBCD('123456', 3);
@@ -4,7 +4,7 @@
 
 import { describe, it, expect } from 'vitest';
 const { MessageValidator, MessageSerializer, MessageFactory } = require('../src/utils/message-validator');
-const { MESSAGE_IDS } = require('../src/models/jt808-messages');
+const { MESSAGE_IDS, TEXT_FLAGS, AREA_SETTING_TYPES } = require('../src/models/jt808-messages');
 
 describe('MessageValidator', () => {
   describe('validateMessage', () => {
@@ -48,7 +48,7 @@ describe('MessageValidator', () => {
 
     it('should validate location report message', () => {
       // Create location report message body
-      const bodyData = Buffer.alloc(28 + 4); // 28 bytes location + 4 bytes additional
+      const bodyData = Buffer.alloc(28 + 3); // 28 bytes location + 3 bytes additional
       let offset = 0;
 
       // Alarm flag
@@ -84,8 +84,8 @@ describe('MessageValidator', () => {
       timestampBCD.copy(bodyData, offset);
       offset += 6;
 
-      // Additional info (4 bytes)
-      bodyData.writeUInt32BE(0x12345678, offset);
+      // Additional info: GNSS satellite count 12 (ID 0x31, length 1)
+      Buffer.from([0x31, 0x01, 0x0c]).copy(bodyData, offset);
 
       const result = MessageValidator.validateMessage(MESSAGE_IDS.LOCATION_REPORT, bodyData);
       
@@ -98,6 +98,7 @@ describe('MessageValidator', () => {
       expect(result.data.speed).toBe(605);
       expect(result.data.direction).toBe(90);
       expect(result.data.timestamp).toBe('231222143000');
+      expect(result.data.additionalInfo.gnssSatellites).toBe(12);
     });
   });
 
@@ -224,7 +225,7 @@ describe('MessageSerializer', () => {
         speed: 605,
         direction: 90,
         timestamp: '231222143000',
-        additionalInfo: Buffer.from([0x01, 0x02, 0x03, 0x04])
+        additionalInfo: Buffer.from([0x01, 0x04, 0x00, 0x00, 0x30, 0x39, 0x30, 0x01, 0x1f])
       };
 
       const serialized = MessageSerializer.serialize(MESSAGE_IDS.LOCATION_REPORT, locationData);
@@ -238,7 +239,7 @@ describe('MessageSerializer', () => {
       expect(deserialized.speed).toBe(locationData.speed);
       expect(deserialized.direction).toBe(locationData.direction);
       expect(deserialized.timestamp).toBe(locationData.timestamp);
-      expect(deserialized.additionalInfo).toEqual(locationData.additionalInfo);
+      expect(deserialized.additionalInfo).toEqual({ mileage: 1234.5, signalStrength: 31, unknown: {} });
     });
   });
 
@@ -320,6 +321,181 @@ describe('MessageSerializer', () => {
     });
   });
 
+  describe('protocol version structures', () => {
+    const registrationBody = (manufacturerLength, modelLength, idLength) => {
+      const field = (value, length) => {
+        const buffer = Buffer.alloc(length);
+        buffer.write(value, 'ascii');
+        return buffer;
+      };
+      return Buffer.concat([
+        Buffer.from([0x00, 0x2c, 0x01, 0x2c]),
+        field('TESTM', manufacturerLength),
+        field('MODEL123', modelLength),
+        field('SN12345', idLength),
+        Buffer.from([0x01]),
+        Buffer.from('B12345', 'ascii')
+      ]);
+    };
+
+    it('should decode JT808-2011 registration by default', () => {
+      const data = MessageSerializer.deserialize(MESSAGE_IDS.TERMINAL_REGISTRATION, registrationBody(5, 8, 7));
+
+      expect(data.deviceModel).toBe('MODEL123');
+      expect(data.deviceId).toBe('SN12345');
+      expect(data.plateNumber).toBe('B12345');
+    });
+
+    it('should decode JT808-2013 registration with a 20-byte model', () => {
+      const data = MessageSerializer.deserialize(MESSAGE_IDS.TERMINAL_REGISTRATION, registrationBody(5, 20, 7), '2013');
+
+      expect(data.deviceModel).toBe('MODEL123');
+      expect(data.deviceId).toBe('SN12345');
+      expect(data.plateNumber).toBe('B12345');
+    });
+
+    it('should decode JT808-2019 registration with wider identifiers', () => {
+      const data = MessageSerializer.deserialize(MESSAGE_IDS.TERMINAL_REGISTRATION, registrationBody(11, 30, 30), '2019');
+
+      expect(data.manufacturerId).toBe('TESTM');
+      expect(data.deviceModel).toBe('MODEL123');
+      expect(data.deviceId).toBe('SN12345');
+      expect(data.plateNumber).toBe('B12345');
+    });
+
+    it('should fall back to the base structure for unchanged messages', () => {
+      expect(MessageSerializer.getStructure(MESSAGE_IDS.TERMINAL_REGISTRATION_RESPONSE, '2019'))
+        .toBe(MessageSerializer.getStructure(MESSAGE_IDS.TERMINAL_REGISTRATION_RESPONSE));
+    });
+  });
+
+  describe('location batch report', () => {
+    const basic = (latitude, timestamp) => {
+      const buffer = Buffer.alloc(28);
+      buffer.writeUInt32BE(0x3, 4);
+      buffer.writeUInt32BE(latitude, 8);
+      buffer.writeUInt32BE(116407400, 12);
+      buffer.writeUInt16BE(300, 18);
+      MessageSerializer.stringToBCD(timestamp, 6).copy(buffer, 22);
+      return buffer;
+    };
+    const item = (report) => Buffer.concat([Buffer.from([report.length >> 8, report.length & 0xff]), report]);
+
+    it('should read the count before the type and split items by their length prefix', () => {
+      const body = Buffer.concat([
+        Buffer.from('000201', 'hex'),
+        item(Buffer.concat([basic(39904200, '240315083000'), Buffer.from('3001', 'hex'), Buffer.from([0x1f])])),
+        item(basic(39904300, '240315083010'))
+      ]);
+
+      const data = MessageSerializer.deserialize(MESSAGE_IDS.LOCATION_BATCH_REPORT, body);
+
+      expect(data.itemCount).toBe(2);
+      expect(data.dataType).toBe(1);
+      expect(data.locations).toHaveLength(2);
+      expect(data.locations[0]).toMatchObject({ latitude: 39904200, speed: 300, timestamp: '240315083000' });
+      expect(data.locations[0].additionalInfo).toEqual({ signalStrength: 31, unknown: {} });
+      expect(data.locations[1]).toMatchObject({ latitude: 39904300, timestamp: '240315083010' });
+      expect(data.locations[1].additionalInfo).toEqual({ unknown: {} });
+    });
+
+    it('should round-trip serialized batches', () => {
+      const report = {
+        alarmFlag: 0,
+        statusFlag: 0x3,
+        latitude: 39904200,
+        longitude: 116407400,
+        altitude: 50,
+        speed: 0,
+        direction: 180,
+        timestamp: '240315083000',
+        additionalInfo: Buffer.from('310109', 'hex')
+      };
+      const body = MessageSerializer.serialize(MESSAGE_IDS.LOCATION_BATCH_REPORT, {
+        itemCount: 1,
+        dataType: 0,
+        locations: [report]
+      });
+
+      expect(body.subarray(0, 5).toString('hex')).toBe('000100001f');
+      expect(MessageSerializer.deserialize(MESSAGE_IDS.LOCATION_BATCH_REPORT, body).locations[0].additionalInfo)
+        .toEqual({ gnssSatellites: 9, unknown: {} });
+    });
+
+    it('should reject items longer than the remaining body', () => {
+      const body = Buffer.concat([Buffer.from('00010000ff', 'hex'), basic(39904200, '240315083000')]);
+
+      expect(() => MessageSerializer.deserialize(MESSAGE_IDS.LOCATION_BATCH_REPORT, body))
+        .toThrow('Location item 1 length 255 exceeds remaining 28 bytes');
+    });
+  });
+
+  describe('command responses', () => {
+    it('should decode a camera shot response with multimedia IDs', () => {
+      const body = Buffer.from('0007' + '00' + '0002' + '00000011' + '00000012', 'hex');
+      expect(MessageSerializer.deserialize(MESSAGE_IDS.CAMERA_SHOT_IMMEDIATELY, body)).toEqual({
+        replySequence: 7,
+        result: 0,
+        multimediaIdCount: 2,
+        multimediaIds: [0x11, 0x12]
+      });
+    });
+
+    it('should decode a failed camera shot response without the optional list', () => {
+      const body = Buffer.from('000701', 'hex');
+      expect(MessageSerializer.deserialize(MESSAGE_IDS.CAMERA_SHOT_IMMEDIATELY, body))
+        .toEqual({ replySequence: 7, result: 1 });
+    });
+
+    it('should decode queried terminal parameters', () => {
+      const body = Buffer.from('0009' + '01' + '00000001' + '04' + '0000003c', 'hex');
+      const decoded = MessageSerializer.deserialize(MESSAGE_IDS.QUERY_TERMINAL_PARAMETERS_RESPONSE, body);
+      expect(decoded.replySequence).toBe(9);
+      expect(decoded.parameters).toEqual([{ id: 1, length: 4, value: Buffer.from('0000003c', 'hex') }]);
+    });
+  });
+
+  describe('terminal general response', () => {
+    it('should decode reply sequence, reply ID and result', () => {
+      const data = MessageSerializer.deserialize(MESSAGE_IDS.TERMINAL_GENERAL_RESPONSE, Buffer.from('002a880104', 'hex'));
+
+      expect(data).toEqual({ replySequence: 42, replyMessageId: 0x8801, result: 4 });
+    });
+
+    it('should reject unknown result codes', () => {
+      const result = MessageValidator.validateMessage(MESSAGE_IDS.TERMINAL_GENERAL_RESPONSE, Buffer.from('002a880109', 'hex'));
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('Field result');
+    });
+  });
+
+  describe('deserializeAuthentication', () => {
+    it('should deserialize JT808-2013 auth code only body', () => {
+      const data = MessageSerializer.deserializeAuthentication(Buffer.from('AUTH1234', 'ascii'), '2013');
+
+      expect(data).toEqual({ authCode: 'AUTH1234', imei: null, softwareVersion: null });
+    });
+
+    it('should deserialize JT808-2019 body with IMEI and software version', () => {
+      const softwareVersion = Buffer.alloc(20);
+      softwareVersion.write('V2.1.0', 'ascii');
+      const body = Buffer.concat([
+        Buffer.from([8]),
+        Buffer.from('AUTH1234', 'ascii'),
+        Buffer.from('860000000000001', 'ascii'),
+        softwareVersion
+      ]);
+
+      const data = MessageSerializer.deserializeAuthentication(body, '2019');
+
+      expect(data.authCodeLength).toBe(8);
+      expect(data.authCode).toBe('AUTH1234');
+      expect(data.imei).toBe('860000000000001');
+      expect(data.softwareVersion).toBe('V2.1.0');
+    });
+  });
+
   describe('error handling', () => {
     it('should throw error for unknown message ID in serialize', () => {
       expect(() => {
@@ -384,6 +560,22 @@ describe('MessageFactory', () => {
     });
   });
 
+  describe('createResendSubpackageRequest', () => {
+    it('should list missing packets with a byte count', () => {
+      const buffer = MessageFactory.createResendSubpackageRequest(0x1234, [2, 5], '2013');
+
+      expect(buffer.toString('hex')).toBe('12340200020005');
+    });
+
+    it('should use a word count for JT808-2019', () => {
+      const buffer = MessageFactory.createResendSubpackageRequest(0x1234, [2, 5], '2019');
+
+      expect(buffer.toString('hex')).toBe('1234000200020005');
+      expect(MessageSerializer.deserialize(MESSAGE_IDS.TERMINAL_RESEND_SUBPACKAGE_REQUEST, buffer, '2019'))
+        .toEqual({ originalSequence: 0x1234, packetCount: 2, packetIds: [2, 5] });
+    });
+  });
+
   describe('createParameterSetting', () => {
     it('should create parameter setting message', () => {
       const parameters = [
@@ -403,6 +595,125 @@ describe('MessageFactory', () => {
     });
   });
 
+  describe('createTextMessage', () => {
+    it('should encode the text as GBK after the flag', () => {
+      const buffer = MessageFactory.createTextMessage('你好 ABC', TEXT_FLAGS.TERMINAL_DISPLAY | TEXT_FLAGS.TTS);
+      expect(buffer.toString('hex')).toBe('0c' + 'c4e3bac3' + '20414243');
+    });
+
+    it('should add the text type for JT808-2019', () => {
+      const buffer = MessageFactory.createTextMessage('OK', TEXT_FLAGS.EMERGENCY, '2019', 2);
+      expect(buffer.toString('hex')).toBe('01' + '02' + '4f4b');
+    });
+
+    it('should reject characters GBK cannot encode', () => {
+      expect(() => MessageFactory.createTextMessage('\u{1F600}')).toThrow('cannot be encoded as GBK');
+    });
+  });
+
+  describe('createAlarmConfirmation', () => {
+    it('should write the alarm message sequence and the confirmed flags', () => {
+      const buffer = MessageFactory.createAlarmConfirmation(5, 0x80000001);
+      expect(buffer.toString('hex')).toBe('0005' + '80000001');
+      expect(MessageSerializer.deserialize(MESSAGE_IDS.MANUAL_CONFIRMATION_ALARM, buffer))
+        .toEqual({ replySequence: 5, alarmType: 0x80000001 });
+    });
+  });
+
+  describe('area and route settings', () => {
+    const circle = {
+      areaId: 7,
+      attributes: 0x0003,
+      centerLatitude: 22500000,
+      centerLongitude: 114000000,
+      radius: 500,
+      startTime: '000000080000',
+      endTime: '000000180000',
+      maxSpeed: 60,
+      overspeedDuration: 10
+    };
+
+    it('should write time and speed fields only when their attribute bits are set', () => {
+      const buffer = MessageFactory.createCircularAreaSetting(AREA_SETTING_TYPES.APPEND, [circle]);
+      expect(buffer.toString('hex')).toBe(
+        '01' + '01' + '00000007' + '0003' + '015752a0' + '06cb8080' + '000001f4' +
+        '000000080000' + '000000180000' + '003c' + '0a'
+      );
+      expect(MessageSerializer.deserialize(MESSAGE_IDS.SET_CIRCULAR_AREA, buffer).areas).toEqual([circle]);
+
+      const plain = MessageFactory.createCircularAreaSetting(AREA_SETTING_TYPES.UPDATE, [{ ...circle, attributes: 0 }]);
+      expect(plain).toHaveLength(2 + 18);
+      expect(MessageSerializer.deserialize(MESSAGE_IDS.SET_CIRCULAR_AREA, plain).areas[0]).not.toHaveProperty('maxSpeed');
+    });
+
+    it('should add the night speed limit and GBK name for JT808-2019', () => {
+      const buffer = MessageFactory.createRectangularAreaSetting(AREA_SETTING_TYPES.MODIFY, [{
+        areaId: 1,
+        attributes: 0x0002,
+        topLeftLatitude: 22600000,
+        topLeftLongitude: 113900000,
+        bottomRightLatitude: 22400000,
+        bottomRightLongitude: 114100000,
+        maxSpeed: 80,
+        overspeedDuration: 5,
+        name: '仓库'
+      }], '2019');
+      expect(buffer.slice(-11).toString('hex')).toBe('0050' + '05' + '0050' + '0004' + 'b2d6bfe2');
+      expect(MessageSerializer.deserialize(MESSAGE_IDS.SET_RECTANGULAR_AREA, buffer, '2019').areas[0])
+        .toMatchObject({ maxSpeed: 80, nightMaxSpeed: 80, nameLength: 4 });
+    });
+
+    it('should write polygon vertices after the area header', () => {
+      const buffer = MessageFactory.createPolygonAreaSetting({
+        areaId: 3,
+        attributes: 0,
+        points: [{ latitude: 1, longitude: 2 }, { latitude: 3, longitude: 4 }, { latitude: 5, longitude: 6 }]
+      });
+      expect(buffer.toString('hex')).toBe(
+        '00000003' + '0000' + '0003' + '00000001' + '00000002' + '00000003' + '00000004' + '00000005' + '00000006'
+      );
+    });
+
+    it('should write route segments with their own driving time and speed fields', () => {
+      const route = {
+        routeId: 9,
+        attributes: 0,
+        points: [
+          { pointId: 1, segmentId: 1, latitude: 1, longitude: 2, width: 40, segmentAttributes: 0x01,
+            tooLongThreshold: 600, insufficientThreshold: 60 },
+          { pointId: 2, segmentId: 2, latitude: 3, longitude: 4, width: 40, segmentAttributes: 0x02,
+            maxSpeed: 70, overspeedDuration: 10 }
+        ]
+      };
+      const decoded = MessageSerializer.deserialize(MESSAGE_IDS.SET_ROUTE, MessageFactory.createRouteSetting(route));
+      expect(decoded).toEqual({ ...route, pointCount: 2 });
+
+      const extended = MessageSerializer.deserialize(
+        MESSAGE_IDS.SET_ROUTE,
+        MessageFactory.createRouteSetting({ ...route, name: 'A1' }, '2019'),
+        '2019'
+      );
+      expect(extended.points[1].nightMaxSpeed).toBe(70);
+      expect(extended.points[0]).not.toHaveProperty('nightMaxSpeed');
+      expect(extended.name.toString()).toBe('A1');
+    });
+
+    it('should list the IDs to delete, none for all', () => {
+      expect(MessageFactory.createAreaDeletion(MESSAGE_IDS.DELETE_ROUTE, [1, 2]).toString('hex'))
+        .toBe('02' + '00000001' + '00000002');
+      expect(MessageFactory.createAreaDeletion(MESSAGE_IDS.DELETE_CIRCULAR_AREA).toString('hex')).toBe('00');
+    });
+  });
+
+  describe('createTerminalControl', () => {
+    it('should write the command word and its parameters', () => {
+      expect(MessageFactory.createTerminalControl(4).toString('hex')).toBe('04');
+      const buffer = MessageFactory.createTerminalControl(2, '1;AUTH;APN;;;;host;7001;;60');
+      expect(buffer[0]).toBe(2);
+      expect(buffer.slice(1).toString('ascii')).toBe('1;AUTH;APN;;;;host;7001;;60');
+    });
+  });
+
   describe('createCameraShotCommand', () => {
     it('should create camera shot command message', () => {
       const shotParams = {
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for PacketReassembler
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+const { PacketReassembler, PACKET_REASSEMBLER_DEFAULTS } = require('../src/components/packet-reassembler');
+const { MessageHeader } = require('../src/utils/message-parser');
+
+vi.spyOn(console, 'log').mockImplementation(() => {});
+
+const packet = (messageId, firstSequence, current, total, deviceId = '013912345678') => {
+  const header = new MessageHeader();
+  header.messageId = messageId;
+  header.deviceId = deviceId;
+  header.messageSequence = (firstSequence + current - 1) & 0xffff;
+  header.messagePackage = { total, current };
+  return { header, body: Buffer.from([current, current]) };
+};
+
+const pushAll = (reassembler, packets, now) => packets.map(({ header, body }) => reassembler.push(header, body, now));
+
+describe('PacketReassembler', () => {
+  it('should use default options', () => {
+    const reassembler = new PacketReassembler();
+
+    expect(reassembler.timeout).toBe(PACKET_REASSEMBLER_DEFAULTS.timeout);
+    expect(reassembler.maxResendRequests).toBe(PACKET_REASSEMBLER_DEFAULTS.maxResendRequests);
+    expect(reassembler.resendDelay).toBe(PACKET_REASSEMBLER_DEFAULTS.resendDelay);
+    expect(reassembler.maxPendingSets).toBe(PACKET_REASSEMBLER_DEFAULTS.maxPendingSets);
+  });
+
+  it('should emit one message once all packets arrive', () => {
+    const reassembler = new PacketReassembler();
+    const packets = [1, 2, 3].map((current) => packet(0x0801, 100, current, 3));
+
+    const results = pushAll(reassembler, packets);
+
+    expect(results.slice(0, 2)).toEqual([null, null]);
+    const { header, body } = results[2];
+    expect(header).toBeInstanceOf(MessageHeader);
+    expect(header.messageId).toBe(0x0801);
+    expect(header.messageSequence).toBe(100);
+    expect(header.messageLength).toBe(6);
+    expect(body.toString('hex')).toBe('010102020303');
+    expect(reassembler.pending()).toBe(0);
+  });
+
+  it('should reorder packets that arrive out of order', () => {
+    const reassembler = new PacketReassembler();
+    const packets = [3, 1, 2].map((current) => packet(0x0704, 10, current, 3));
+
+    const { header, body } = pushAll(reassembler, packets)[2];
+
+    expect(header.messageSequence).toBe(10);
+    expect(body.toString('hex')).toBe('010102020303');
+  });
+
+  it('should ignore duplicate packets', () => {
+    const reassembler = new PacketReassembler();
+    const packets = [1, 1, 2].map((current) => packet(0x0104, 10, current, 2));
+
+    const results = pushAll(reassembler, packets);
+
+    expect(results[1]).toBe(null);
+    expect(results[2].body.toString('hex')).toBe('01010202');
+  });
+
+  it('should keep sets of different devices, messages and sequences apart', () => {
+    const reassembler = new PacketReassembler();
+
+    pushAll(reassembler, [
+      packet(0x0801, 10, 1, 2),
+      packet(0x0801, 10, 1, 2, '013900000000'),
+      packet(0x0704, 10, 1, 2),
+      packet(0x0801, 20, 1, 2)
+    ]);
+
+    expect(reassembler.pending()).toBe(4);
+  });
+
+  it('should key sets by the first sequence across the 16-bit wrap', () => {
+    const reassembler = new PacketReassembler();
+    const packets = [2, 1].map((current) => packet(0x0801, 0xffff, current, 2));
+
+    const { header } = pushAll(reassembler, packets)[1];
+
+    expect(packets[0].header.messageSequence).toBe(0);
+    expect(header.messageSequence).toBe(0xffff);
+  });
+
+  it('should reject invalid package info', () => {
+    const reassembler = new PacketReassembler();
+    const { header, body } = packet(0x0801, 10, 3, 2);
+
+    expect(() => reassembler.push(header, body)).toThrow('Invalid package info: packet 3 of 2');
+  });
+
+  it('should request missing packets once the resend delay after the last packet passes', () => {
+    const reassembler = new PacketReassembler({ resendDelay: 500 });
+    const missing = vi.fn();
+    reassembler.on('missing', missing);
+    const start = new Date('2024-01-01T00:00:00Z');
+    const at = (ms) => new Date(start.getTime() + ms);
+
+    pushAll(reassembler, [packet(0x0801, 10, 1, 4), packet(0x0801, 10, 4, 4)], start);
+
+    expect(missing).not.toHaveBeenCalled();
+    reassembler.sweep(at(499));
+    expect(missing).not.toHaveBeenCalled();
+    reassembler.sweep(at(500));
+    reassembler.sweep(at(1000));
+    expect(missing).toHaveBeenCalledTimes(1);
+    expect(missing).toHaveBeenCalledWith({
+      deviceId: '013912345678',
+      messageId: 0x0801,
+      firstSequence: 10,
+      total: 4,
+      missing: [2, 3],
+      attempt: 1
+    });
+  });
+
+  it('should not request packets that were only reordered in transit', () => {
+    const reassembler = new PacketReassembler({ resendDelay: 500 });
+    const missing = vi.fn();
+    reassembler.on('missing', missing);
+    const start = new Date('2024-01-01T00:00:00Z');
+    const at = (ms) => new Date(start.getTime() + ms);
+
+    pushAll(reassembler, [packet(0x0801, 10, 1, 3), packet(0x0801, 10, 3, 3)], start);
+    reassembler.sweep(at(100));
+    const [reassembled] = pushAll(reassembler, [packet(0x0801, 10, 2, 3)], at(200));
+    reassembler.sweep(at(1000));
+
+    expect(reassembled).not.toBeNull();
+    expect(missing).not.toHaveBeenCalled();
+  });
+
+  it('should request missing packets again after each timeout, then drop the set', () => {
+    const reassembler = new PacketReassembler({ timeout: 1000, maxResendRequests: 2 });
+    const missing = vi.fn();
+    const expired = vi.fn();
+    reassembler.on('missing', missing);
+    reassembler.on('expired', expired);
+    const start = new Date('2024-01-01T00:00:00Z');
+    const at = (ms) => new Date(start.getTime() + ms);
+
+    pushAll(reassembler, [packet(0x0801, 10, 1, 3)], start);
+
+    expect(reassembler.sweep(at(1000))).toBe(0);
+    expect(missing).not.toHaveBeenCalled();
+    expect(reassembler.sweep(at(1001))).toBe(0);
+    expect(reassembler.sweep(at(2002))).toBe(0);
+    expect(missing.mock.calls.map(([request]) => request.attempt)).toEqual([1, 2]);
+    expect(missing).toHaveBeenLastCalledWith(expect.objectContaining({ missing: [2, 3] }));
+
+    expect(reassembler.sweep(at(3003))).toBe(1);
+    expect(reassembler.pending()).toBe(0);
+    expect(expired).toHaveBeenCalledWith(expect.objectContaining({
+      deviceId: '013912345678',
+      messageId: 0x0801,
+      firstSequence: 10,
+      total: 3,
+      received: 1,
+      missing: [2, 3],
+      reason: 'reassembly timeout'
+    }));
+  });
+
+  it('should complete a set from resent packets', () => {
+    const reassembler = new PacketReassembler();
+    pushAll(reassembler, [packet(0x0801, 10, 1, 3), packet(0x0801, 10, 3, 3)]);
+
+    const [assembled] = pushAll(reassembler, [packet(0x0801, 10, 2, 3)]);
+
+    expect(assembled.body.toString('hex')).toBe('010102020303');
+  });
+
+  it('should drop the oldest set beyond the pending limit', () => {
+    const reassembler = new PacketReassembler({ maxPendingSets: 2 });
+    const expired = vi.fn();
+    reassembler.on('expired', expired);
+
+    pushAll(reassembler, [packet(0x0801, 10, 1, 2), packet(0x0801, 20, 1, 2), packet(0x0801, 30, 1, 2)]);
+
+    expect(reassembler.pending()).toBe(2);
+    expect(expired).toHaveBeenCalledWith(expect.objectContaining({ firstSequence: 10 }));
+  });
+});
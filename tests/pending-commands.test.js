@@ -0,0 +1,122 @@
+/**
+ * Unit tests for PendingCommands
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+const { PendingCommands, COMMAND_TIMEOUT } = require('../src/components/pending-commands');
+
+describe('PendingCommands', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const addCommand = (pending, overrides = {}) => {
+    const retransmit = vi.fn();
+    const promise = pending.add({
+      messageId: 0x8300,
+      sequenceNumbers: [7],
+      retransmit,
+      timeout: 1000,
+      retransmissions: 2,
+      ...overrides
+    });
+    return { promise, retransmit };
+  };
+
+  it('should resolve with the matching terminal response', async () => {
+    const pending = new PendingCommands();
+    const { promise, retransmit } = addCommand(pending);
+
+    expect(pending.resolve(7, 0x8103, { result: 0 })).toBe(false);
+    expect(pending.resolve(8, 0x8300, { result: 0 })).toBe(false);
+    expect(pending.resolve(7, 0x8300, { result: 0 })).toBe(true);
+
+    await expect(promise).resolves.toEqual({ result: 0 });
+    expect(retransmit).not.toHaveBeenCalled();
+    expect(pending.size()).toBe(0);
+  });
+
+  it('should retransmit with growing timeouts and then fail', async () => {
+    const pending = new PendingCommands();
+    const { promise, retransmit } = addCommand(pending);
+    const failed = expect(promise).rejects.toMatchObject({
+      code: COMMAND_TIMEOUT,
+      message: 'No response to 0x8300 (sequence 7) after 3 attempts over 9s'
+    });
+
+    await vi.advanceTimersByTimeAsync(999);
+    expect(retransmit).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1);
+    expect(retransmit).toHaveBeenLastCalledWith(1);
+
+    // T(N) × (N + 1): 2s after the first retransmission, 6s after the second
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(retransmit).toHaveBeenLastCalledWith(2);
+    await vi.advanceTimersByTimeAsync(5999);
+    expect(pending.size()).toBe(1);
+    await vi.advanceTimersByTimeAsync(1);
+
+    await failed;
+    expect(retransmit).toHaveBeenCalledTimes(2);
+    expect(pending.size()).toBe(0);
+  });
+
+  it('should multiply each timeout by the next retransmission number', async () => {
+    const pending = new PendingCommands();
+    const { promise, retransmit } = addCommand(pending, { retransmissions: 4 });
+    const failed = expect(promise).rejects.toThrow('after 5 attempts over 153s');
+
+    await vi.advanceTimersByTimeAsync(1000 + 2000);
+    expect(retransmit).toHaveBeenCalledTimes(2);
+
+    // Third wait is 6T, fourth 24T
+    await vi.advanceTimersByTimeAsync(5999);
+    expect(retransmit).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(retransmit).toHaveBeenLastCalledWith(3);
+    await vi.advanceTimersByTimeAsync(23999);
+    expect(retransmit).toHaveBeenCalledTimes(3);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(retransmit).toHaveBeenLastCalledWith(4);
+
+    await vi.advanceTimersByTimeAsync(120000);
+    await failed;
+  });
+
+  it('should settle a split command on the reply to its last packet', async () => {
+    const pending = new PendingCommands();
+    const { promise } = addCommand(pending, { messageId: 0x8108, sequenceNumbers: [65535, 0] });
+
+    expect(pending.resolve(65535, 0x8108, { result: 0 })).toBe(true);
+    expect(pending.size()).toBe(1);
+    expect(pending.resolve(0, 0x8108, { result: 0 })).toBe(true);
+
+    await expect(promise).resolves.toEqual({ result: 0 });
+  });
+
+  it('should settle a split command early on a failed packet', async () => {
+    const pending = new PendingCommands();
+    const { promise } = addCommand(pending, { messageId: 0x8108, sequenceNumbers: [1, 2] });
+
+    pending.resolve(1, 0x8108, { result: 2 });
+
+    await expect(promise).resolves.toEqual({ result: 2 });
+    expect(pending.size()).toBe(0);
+  });
+
+  it('should reject every pending command', async () => {
+    const pending = new PendingCommands();
+    const first = addCommand(pending);
+    const second = addCommand(pending, { sequenceNumbers: [8] });
+
+    pending.rejectAll('Session closed: idle timeout');
+
+    await expect(first.promise).rejects.toThrow('Session closed: idle timeout');
+    await expect(second.promise).rejects.toThrow('Session closed: idle timeout');
+    expect(pending.size()).toBe(0);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Unit tests for the shared query helpers
+ */
+
+import { describe, it, expect } from 'vitest';
+const { INVALID_ARGUMENT, apiError, invalidArgument, toISOTime, encodeCursor, decodeCursor, isTimeAndId } =
+  require('../src/utils/query');
+
+describe('query helpers', () => {
+  it('should create errors with an API error code', () => {
+    expect(apiError('NOT_FOUND', 'Gone')).toMatchObject({ code: 'NOT_FOUND', message: 'Gone' });
+    expect(invalidArgument('Bad')).toMatchObject({ code: INVALID_ARGUMENT, message: 'Bad' });
+  });
+
+  it('should convert times to ISO form and reject invalid ones', () => {
+    expect(toISOTime('2024-03-15T08:30:00+08:00', 'from')).toBe('2024-03-15T00:30:00.000Z');
+    expect(toISOTime(new Date(0), 'from')).toBe('1970-01-01T00:00:00.000Z');
+    expect(() => toISOTime('yesterday', 'from')).toThrow('Invalid from time: yesterday');
+    expect(() => toISOTime(null, 'to')).toThrow(expect.objectContaining({ code: INVALID_ARGUMENT }));
+  });
+
+  it('should round-trip cursors and reject malformed ones', () => {
+    const cursor = encodeCursor(['2024-03-15T00:30:00.000Z', 7]);
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor, isTimeAndId)).toEqual(['2024-03-15T00:30:00.000Z', 7]);
+    expect(decodeCursor(encodeCursor({ name: 'Depot' }))).toEqual({ name: 'Depot' });
+
+    expect(() => decodeCursor('not json')).toThrow('Invalid cursor');
+    expect(() => decodeCursor(encodeCursor([7, '2024-03-15T00:30:00.000Z']), isTimeAndId))
+      .toThrow(expect.objectContaining({ code: INVALID_ARGUMENT }));
+  });
+});
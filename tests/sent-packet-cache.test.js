@@ -0,0 +1,53 @@
+/**
+ * Unit tests for SentPacketCache
+ */
+
+import { describe, it, expect } from 'vitest';
+const { SentPacketCache, SENT_PACKET_CACHE_DEFAULTS } = require('../src/components/sent-packet-cache');
+
+const frames = [Buffer.from('01', 'hex'), Buffer.from('02', 'hex'), Buffer.from('03', 'hex')];
+
+describe('SentPacketCache', () => {
+  it('should use default options', () => {
+    const cache = new SentPacketCache();
+
+    expect(cache.ttl).toBe(SENT_PACKET_CACHE_DEFAULTS.ttl);
+    expect(cache.maxResends).toBe(SENT_PACKET_CACHE_DEFAULTS.maxResends);
+  });
+
+  it('should return the requested frames', () => {
+    const cache = new SentPacketCache();
+    cache.record('013912345678', 40, frames);
+
+    const { frames: resent, error } = cache.resend('013912345678', 40, [3, 1]);
+
+    expect(error).toBeUndefined();
+    expect(resent).toEqual([frames[2], frames[0]]);
+  });
+
+  it('should reject unknown messages and packet numbers out of range', () => {
+    const cache = new SentPacketCache();
+    cache.record('013912345678', 40, frames);
+
+    expect(cache.resend('013900000000', 40, [1]).error).toBe('no split message with first sequence 40');
+    expect(cache.resend('013912345678', 40, [0, 4]).error).toBe('packet numbers out of range 1-3: 0, 4');
+  });
+
+  it('should stop resending after the limit', () => {
+    const cache = new SentPacketCache({ maxResends: 1 });
+    cache.record('013912345678', 40, frames);
+
+    expect(cache.resend('013912345678', 40, [1]).frames).toHaveLength(1);
+    expect(cache.resend('013912345678', 40, [1]).error).toBe('resend limit of 1 reached for first sequence 40');
+  });
+
+  it('should forget messages older than the TTL', () => {
+    const cache = new SentPacketCache({ ttl: 1000 });
+    const sentAt = new Date('2024-01-01T00:00:00Z');
+    cache.record('013912345678', 40, frames, sentAt);
+
+    expect(cache.resend('013912345678', 40, [1], new Date(sentAt.getTime() + 1000)).frames).toHaveLength(1);
+    expect(cache.resend('013912345678', 40, [1], new Date(sentAt.getTime() + 1001)).error).toBeDefined();
+    expect(cache.size()).toBe(0);
+  });
+});
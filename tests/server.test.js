@@ -1,13 +1,112 @@
 import { describe, it, expect, beforeAll, afterAll } from 'vitest';
 import net from 'net';
 import { DashcamTCPServer, Logger } from '../src/server.js';
+const { wrapMessage, unwrapMessage } = require('../src/utils/checksum');
+const { FrameDecoder } = require('../src/utils/frame-decoder');
+const { MessageParser } = require('../src/utils/message-parser');
+const Database = require('../src/components/database');
+const { DeviceRegistry } = require('../src/components/device-registry');
+
+// Build a wrapped JT808-2013 message from the terminal
+const createMessage = (messageId, phoneNumber, sequence, body = Buffer.alloc(0)) => {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(messageId, 0);
+  header.writeUInt16BE(body.length, 2);
+  MessageParser.stringToBCD(phoneNumber, 6).copy(header, 4);
+  header.writeUInt16BE(sequence, 10);
+  return wrapMessage(Buffer.concat([header, body]));
+};
+
+// Build one wrapped packet of a multi-packet JT808-2013 message
+const createPacket = (messageId, phoneNumber, sequence, total, current, body) => {
+  const header = Buffer.alloc(16);
+  header.writeUInt16BE(messageId, 0);
+  header.writeUInt16BE(0x2000 | body.length, 2);
+  MessageParser.stringToBCD(phoneNumber, 6).copy(header, 4);
+  header.writeUInt16BE(sequence, 10);
+  header.writeUInt16BE(total, 12);
+  header.writeUInt16BE(current, 14);
+  return wrapMessage(Buffer.concat([header, body]));
+};
+
+// Connect as a terminal; receive(count) resolves with the next `count` JT808 replies
+const connectTerminal = (port) => new Promise((resolve, reject) => {
+  const client = net.createConnection({ port, host: '127.0.0.1' });
+  const decoder = new FrameDecoder();
+  const replies = [];
+  let waiting = null;
+
+  const deliver = () => {
+    if (waiting && replies.length >= waiting.count) {
+      const { count, done } = waiting;
+      waiting = null;
+      done(replies.splice(0, count));
+    }
+  };
+
+  client.on('data', (data) => {
+    for (const frame of decoder.push(data)) {
+      const { messageData } = unwrapMessage(frame);
+      replies.push({
+        messageId: messageData.readUInt16BE(0),
+        phoneNumber: messageData.slice(4, 10).toString('hex'),
+        sequence: messageData.readUInt16BE(10),
+        body: messageData.slice(12)
+      });
+    }
+    deliver();
+  });
+
+  client.on('error', reject);
+
+  client.on('connect', () => resolve({
+    socket: client,
+    send: (message) => client.write(message),
+    receive: (count = 1) => new Promise((done, fail) => {
+      const timer = setTimeout(() => fail(new Error('Response timeout')), 2000);
+      waiting = {
+        count,
+        done: (result) => {
+          clearTimeout(timer);
+          done(result);
+        }
+      };
+      deliver();
+    }),
+    end: () => client.end()
+  }));
+});
+
+// Registration body for a 2011 terminal (8-byte model) or, with modelLength 20, a 2013 terminal
+const registrationBody = (terminalId = 'SN12345', plateNumber = '', modelLength = 8) => Buffer.concat([
+  Buffer.from([0x00, 0x2c, 0x01, 0x2c]), // Province 44, city 300
+  Buffer.from('TESTM', 'ascii'),
+  Buffer.concat([Buffer.from('MODEL123', 'ascii')], modelLength),
+  Buffer.from(terminalId, 'ascii'),
+  Buffer.from([plateNumber ? 0x01 : 0x00]),
+  Buffer.from(plateNumber, 'ascii')
+]);
+
+// Register and authenticate a provisioned terminal
+const authenticateTerminal = async (terminal, registry, phoneNumber) => {
+  await registry.addDevice({ phoneNumber });
+  terminal.send(createMessage(0x0100, phoneNumber, 1, registrationBody()));
+  const [registration] = await terminal.receive();
+  const authCode = registration.body.slice(3);
+
+  terminal.send(createMessage(0x0102, phoneNumber, 2, authCode));
+  const [authReply] = await terminal.receive();
+  return authReply;
+};
 
 describe('DashcamTCPServer', () => {
   let server;
+  let registry;
   const TEST_PORT = 7002; // Use different port for testing
   
   beforeAll(async () => {
-    server = new DashcamTCPServer(TEST_PORT, '127.0.0.1');
+    registry = new DeviceRegistry(new Database(':memory:'));
+    server = new DashcamTCPServer(TEST_PORT, '127.0.0.1', { registry });
     
     return new Promise((resolve) => {
       server.server = net.createServer((socket) => {
@@ -123,6 +222,573 @@ describe('DashcamTCPServer', () => {
       }, 3000);
     });
   });
+
+  it('should process frames split and merged across TCP packets', async () => {
+    const client = net.createConnection({ port: TEST_PORT, host: '127.0.0.1' });
+    const heartbeat = (sequence) => wrapMessage(Buffer.from([
+      0x00, 0x02, 0x00, 0x00, 0x12, 0x34, 0x56, 0x78, 0x90, 0x12, 0x00, sequence
+    ]));
+    const stream = Buffer.concat([heartbeat(1), heartbeat(2), heartbeat(3)]);
+
+    return new Promise((resolve, reject) => {
+      let received = Buffer.alloc(0);
+
+      client.on('connect', () => {
+        // First packet carries one and a half frames, second carries the rest
+        client.write(stream.slice(0, 22));
+        setTimeout(() => client.write(stream.slice(22)), 50);
+      });
+
+      client.on('data', (data) => {
+        received = Buffer.concat([received, data]);
+        const responses = received.toString('hex').match(/7e8001/g) || [];
+        if (responses.length === 3) {
+          client.end();
+          resolve();
+        }
+      });
+
+      client.on('error', reject);
+
+      setTimeout(() => reject(new Error('Response timeout')), 2000);
+    });
+  });
+
+  it('should reply not supported to messages without a handler', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013912345678');
+
+    // Unregistered message 0x0f01 with sequence 0x0042
+    terminal.send(createMessage(0x0f01, '013912345678', 0x42));
+    const [reply] = await terminal.receive();
+    terminal.end();
+
+    expect(reply.messageId).toBe(0x8001);
+    expect(reply.phoneNumber).toBe('013912345678');
+    // Body: reply sequence, reply message ID, result 3 (not supported)
+    expect(reply.body.toString('hex')).toBe('00420f0103');
+  });
+
+  it('should register a provisioned terminal', async () => {
+    await registry.addDevice({ phoneNumber: '013800000001' });
+    const terminal = await connectTerminal(TEST_PORT);
+
+    terminal.send(createMessage(0x0100, '013800000001', 5, registrationBody('SN12345', 'B12345')));
+    const [reply] = await terminal.receive();
+    terminal.end();
+
+    expect(reply.messageId).toBe(0x8100);
+    expect(reply.phoneNumber).toBe('013800000001');
+    expect(reply.body.readUInt16BE(0)).toBe(5); // Reply sequence
+    expect(reply.body[2]).toBe(0); // Success
+
+    const device = await registry.getDevice('013800000001');
+    expect(reply.body.slice(3).toString('ascii')).toBe(device.authCode);
+    expect(device.protocolVersion).toBe('2011');
+  });
+
+  it('should decide JT808-2013 from the registration body and keep it for the session', async () => {
+    await registry.addDevice({ phoneNumber: '013800000008' });
+    const terminal = await connectTerminal(TEST_PORT);
+
+    terminal.send(createMessage(0x0100, '013800000008', 1, registrationBody('SN20130', 'B20130', 20)));
+    const [registration] = await terminal.receive();
+    terminal.send(createMessage(0x0102, '013800000008', 2, registration.body.slice(3)));
+    const [authReply] = await terminal.receive();
+
+    expect(registration.body[2]).toBe(0);
+    expect(authReply.body[4]).toBe(0);
+
+    const device = await registry.getDevice('013800000008');
+    expect(device.protocolVersion).toBe('2013');
+    expect(device.deviceModel).toBe('MODEL123');
+    expect(device.terminalId).toBe('SN20130');
+    expect(device.plateNumber).toBe('B20130');
+
+    const connection = server.getConnections().find((conn) => conn.deviceId === '013800000008');
+    expect(connection.protocolVersion).toBe('2013');
+    terminal.end();
+  });
+
+  it('should reuse the registered protocol version when a terminal reconnects', async () => {
+    await registry.addDevice({ phoneNumber: '013800000009' });
+    const first = await connectTerminal(TEST_PORT);
+    first.send(createMessage(0x0100, '013800000009', 1, registrationBody('SN20131', 'B20131', 20)));
+    const [registration] = await first.receive();
+    first.end();
+
+    const terminal = await connectTerminal(TEST_PORT);
+    terminal.send(createMessage(0x0102, '013800000009', 1, registration.body.slice(3)));
+    const [authReply] = await terminal.receive();
+
+    expect(authReply.body[4]).toBe(0);
+    const connection = server.getConnections().find((conn) => conn.deviceId === '013800000009');
+    expect(connection.protocolVersion).toBe('2013');
+    terminal.end();
+  });
+
+  it('should reject registration from an unknown terminal', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+
+    terminal.send(createMessage(0x0100, '013800000099', 6, registrationBody()));
+    const [reply] = await terminal.receive();
+    terminal.end();
+
+    expect(reply.messageId).toBe(0x8100);
+    expect(reply.body[2]).toBe(4); // No such terminal in database
+    expect(reply.body.length).toBe(3); // No auth code
+  });
+
+  it('should authenticate a registered terminal and bind its phone number', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+
+    const reply = await authenticateTerminal(terminal, registry, '013800000002');
+
+    expect(reply.messageId).toBe(0x8001);
+    expect(reply.body.toString('hex')).toBe('0002010200');
+
+    const connection = server.getConnections().find((conn) => conn.deviceId === '013800000002');
+    expect(connection.state).toBe('authenticated');
+    expect(connection.phoneNumber).toBe('013800000002');
+    terminal.end();
+  });
+
+  it('should reject a wrong auth code', async () => {
+    await registry.addDevice({ phoneNumber: '013800000003' });
+    const terminal = await connectTerminal(TEST_PORT);
+
+    terminal.send(createMessage(0x0100, '013800000003', 1, registrationBody()));
+    await terminal.receive();
+    terminal.send(createMessage(0x0102, '013800000003', 2, Buffer.from('WRONG', 'ascii')));
+    const [reply] = await terminal.receive();
+    terminal.end();
+
+    expect(reply.body.toString('hex')).toBe('0002010201'); // Failure
+  });
+
+  it('should refuse business messages before authentication', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+
+    terminal.send(createMessage(0x0f01, '013800000004', 9));
+    const [reply] = await terminal.receive();
+    terminal.end();
+
+    expect(reply.messageId).toBe(0x8001);
+    expect(reply.body.toString('hex')).toBe('00090f0101'); // Failure
+  });
+
+  it('should close the previous session when a terminal re-authenticates', async () => {
+    const first = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(first, registry, '013800000005');
+    const closed = new Promise((resolve) => first.socket.on('close', resolve));
+
+    const second = await connectTerminal(TEST_PORT);
+    const authCode = (await registry.getDevice('013800000005')).authCode;
+    second.send(createMessage(0x0102, '013800000005', 1, Buffer.from(authCode, 'ascii')));
+    const [reply] = await second.receive();
+
+    expect(reply.body[4]).toBe(0);
+    await closed;
+    second.end();
+  });
+
+  it('should acknowledge heartbeats from an authenticated terminal', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000006');
+
+    terminal.send(createMessage(0x0002, '013800000006', 3));
+    const [reply] = await terminal.receive();
+    terminal.end();
+
+    expect(reply.messageId).toBe(0x8001);
+    expect(reply.body.toString('hex')).toBe('0003000200');
+
+    const connection = server.getConnections().find((conn) => conn.phoneNumber === '013800000006');
+    expect(connection.lastHeartbeatAt).toBeInstanceOf(Date);
+  });
+
+  it('should list closed connections with their close reason', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000007');
+    const closed = new Promise((resolve) => terminal.socket.on('close', resolve));
+
+    const session = server.getConnections().find((conn) => conn.phoneNumber === '013800000007');
+    server.idleSweeper.sweep(new Date(Date.now() + session.heartbeatInterval * 4 * 1000));
+    await closed;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    const listed = server.getConnections({ includeClosed: true })
+      .find((conn) => conn.phoneNumber === '013800000007');
+    expect(listed.state).toBe('closed');
+    expect(listed.closeReason).toContain('idle timeout');
+  });
+
+  it('should dispatch a multi-packet message once all packets arrive', async () => {
+    const handled = [];
+    server.dispatcher.register(0x0104, async (context) => {
+      handled.push(context);
+      await context.respond();
+    });
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000010');
+
+    terminal.send(createPacket(0x0104, '013800000010', 12, 3, 3, Buffer.from('cc', 'hex')));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    server.reassembler.sweep(new Date(Date.now() + server.reassembler.resendDelay));
+    const [resendRequest] = await terminal.receive();
+    terminal.send(createPacket(0x0104, '013800000010', 10, 3, 1, Buffer.from('aa', 'hex')));
+    terminal.send(createPacket(0x0104, '013800000010', 10, 3, 1, Buffer.from('aa', 'hex')));
+    terminal.send(createPacket(0x0104, '013800000010', 11, 3, 2, Buffer.from('bb', 'hex')));
+    const [reply] = await terminal.receive();
+    terminal.end();
+    server.dispatcher.unregister(0x0104);
+
+    // Packet 3 arrived first and nothing followed, so packets 1 and 2 were requested again
+    expect(resendRequest.messageId).toBe(0x8003);
+    expect(resendRequest.body.toString('hex')).toBe('000a0200010002');
+    expect(handled).toHaveLength(1);
+    expect(handled[0].rawBody.toString('hex')).toBe('aabbcc');
+    expect(handled[0].header.messageSequence).toBe(10);
+    expect(reply.messageId).toBe(0x8001);
+    expect(reply.body.toString('hex')).toBe('000a010400');
+  });
+
+  it('should resend packets of a split downlink requested with 0x0005', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000011');
+    const frames = [1, 2, 3].map((current) =>
+      createMessage(0x8108, '013800000011', 39 + current, Buffer.from([current])));
+    server.sentPackets.record('013800000011', 40, frames);
+
+    // Original sequence 40, 1 packet: number 2; then packet 9, which does not exist
+    terminal.send(createMessage(0x0005, '013800000011', 3, Buffer.from('0028010002', 'hex')));
+    terminal.send(createMessage(0x0005, '013800000011', 4, Buffer.from('0028010009', 'hex')));
+    const [resent, reply] = await terminal.receive(2);
+    terminal.end();
+
+    expect(resent.messageId).toBe(0x8108);
+    expect(resent.body.toString('hex')).toBe('02');
+    expect(reply.messageId).toBe(0x8001);
+    expect(reply.body.toString('hex')).toBe('0004000501');
+  });
+
+  it('should split long downlinks into sub-packages', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000012');
+    const { id } = server.getConnections().find((conn) => conn.deviceId === '013800000012');
+
+    expect(server.sendMessage(id, '013800000012', 0x8300, Buffer.alloc(1500, 0x41))).toBe(true);
+    const packets = await terminal.receive(2);
+    terminal.end();
+
+    expect(packets.map((packet) => packet.messageId)).toEqual([0x8300, 0x8300]);
+    // Package info (total, current) precedes each body
+    expect(packets.map((packet) => packet.body.slice(0, 4).toString('hex'))).toEqual(['00020001', '00020002']);
+    expect(packets.map((packet) => packet.body.length - 4)).toEqual([1023, 477]);
+  });
+
+  it('should resolve a command with the terminal general response', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000013');
+
+    const result = server.sendCommand('013800000013', 0x8300, Buffer.from('0048656c6c6f', 'hex'));
+    const [command] = await terminal.receive();
+    const response = Buffer.alloc(5);
+    response.writeUInt16BE(command.sequence, 0);
+    response.writeUInt16BE(0x8300, 2);
+    terminal.send(createMessage(0x0001, '013800000013', 3, response));
+
+    await expect(result).resolves.toEqual({
+      replySequence: command.sequence,
+      replyMessageId: 0x8300,
+      result: 0,
+      resultName: 'success',
+      success: true
+    });
+    // Registration response and auth response used sequence numbers 0 and 1
+    expect(command.sequence).toBe(2);
+    terminal.end();
+  });
+
+  it('should report a command the terminal does not support', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000015');
+
+    const result = server.sendCommand('013800000015', 0x8801, Buffer.alloc(12));
+    const [command] = await terminal.receive();
+    const response = Buffer.alloc(5);
+    response.writeUInt16BE(command.sequence, 0);
+    response.writeUInt16BE(0x8801, 2);
+    response.writeUInt8(3, 4);
+    terminal.send(createMessage(0x0001, '013800000015', 3, response));
+
+    await expect(result).resolves.toMatchObject({ result: 3, resultName: 'not_supported', success: false });
+    terminal.end();
+  });
+
+  it('should retransmit unanswered commands and then time out', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000014');
+    const { session } = server.findConnection('013800000014');
+    session.responseTimeout = 0.05;
+    session.retransmissionCount = 1;
+
+    const result = server.sendCommand('013800000014', 0x8201);
+    const [command, retransmission] = await terminal.receive(2);
+
+    expect(retransmission.sequence).toBe(command.sequence);
+    await expect(result).rejects.toMatchObject({
+      code: 'COMMAND_TIMEOUT',
+      message: `No response to 0x8201 (sequence ${command.sequence}) after 2 attempts over 0.15s`
+    });
+    terminal.end();
+  });
+
+  it('should refuse commands for terminals that are not connected', async () => {
+    await expect(server.sendCommand('013899999999', 0x8201)).rejects.toMatchObject({
+      code: 'TERMINAL_OFFLINE'
+    });
+  });
+
+  it('should store location reports and batch reports', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000016');
+    const basic = (latitude, time) => Buffer.concat([
+      Buffer.from('0000000000000007', 'hex'), // ACC on, positioned, south latitude
+      Buffer.from(latitude, 'hex'),
+      Buffer.from('06cc4f48', 'hex'),
+      Buffer.from('0023027100b4', 'hex'),
+      Buffer.from(time, 'hex'),
+      Buffer.from('310109', 'hex')
+    ]);
+    const item = (body) => Buffer.concat([Buffer.from([0x00, body.length]), body]);
+
+    terminal.send(createMessage(0x0200, '013800000016', 3, basic('0157bc06', '240315083000')));
+    terminal.send(createMessage(0x0704, '013800000016', 4, Buffer.concat([
+      Buffer.from('000201', 'hex'),
+      item(basic('0157bc06', '240315083000')),
+      item(basic('0157bc10', '240315082000'))
+    ])));
+    const [locationReply, batchReply] = await terminal.receive(2);
+    terminal.end();
+
+    expect(locationReply.body.toString('hex')).toBe('0003020000');
+    expect(batchReply.body.toString('hex')).toBe('0004070400');
+
+    const { locations } = await server.locationStore.getTrack(
+      '013800000016',
+      '2024-03-15T00:00:00Z',
+      '2024-03-15T01:00:00Z'
+    );
+    expect(locations).toHaveLength(2);
+    expect(locations[0]).toMatchObject({
+      latitude: -22.526992,
+      longitude: 114.052936,
+      speed: 62.5,
+      timestamp: '2024-03-15T00:20:00.000Z',
+      blindArea: true,
+      messageId: 0x0704
+    });
+    expect(locations[1]).toMatchObject({ timestamp: '2024-03-15T00:30:00.000Z', blindArea: false });
+    expect(locations[1].additionalInfo.gnssSatellites).toBe(9);
+
+    // The blind-area point is older, so the fleet snapshot keeps the live one
+    const state = server.getFleetSnapshot().find((device) => device.phoneNumber === '013800000016');
+    expect(state).toMatchObject({
+      latitude: -22.526982,
+      speed: 62.5,
+      accOn: true,
+      timestamp: '2024-03-15T00:30:00.000Z'
+    });
+  });
+
+  it('should report terminals online until their session closes', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000017');
+    const online = server.fleetState.get('013800000017');
+
+    const closed = new Promise((resolve) => server.fleetState.once('offline', resolve));
+    terminal.end();
+    const offline = await closed;
+
+    expect(online.online).toBe(true);
+    expect(offline.phoneNumber).toBe('013800000017');
+    expect(server.fleetState.get('013800000017').online).toBe(false);
+  });
+
+  it('should answer a location query with the queried position and store it', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000018');
+
+    const result = server.commands.send('013800000018', { type: 'location_query' });
+    const [query] = await terminal.receive();
+    const reply = Buffer.alloc(2);
+    reply.writeUInt16BE(query.sequence, 0);
+    terminal.send(createMessage(0x0201, '013800000018', 3, Buffer.concat([
+      reply,
+      Buffer.from('0000000000000003', 'hex'), // ACC on, positioned
+      Buffer.from('0157bc06' + '06cc4f48', 'hex'),
+      Buffer.from('0023027100b4', 'hex'),
+      Buffer.from('240315083000', 'hex')
+    ])));
+
+    const { status, response } = await result;
+    terminal.end();
+
+    expect(query.messageId).toBe(0x8201);
+    expect(query.body).toHaveLength(0);
+    expect(status).toBe('completed');
+    expect(response).toMatchObject({
+      replySequence: query.sequence,
+      replyMessageId: 0x8201,
+      success: true,
+      location: { latitude: 22.526982, longitude: 114.052936, timestamp: '2024-03-15T00:30:00.000Z' }
+    });
+    expect(await server.locationStore.getLatest('013800000018')).toMatchObject({ messageId: 0x0201 });
+    expect(server.fleetState.get('013800000018').timestamp).toBe('2024-03-15T00:30:00.000Z');
+  });
+
+  it('should send queued commands once the terminal authenticates', async () => {
+    const queued = await server.commands.send('013800000019', { type: 'text', text: 'Hi' }, { queue: true });
+    const completed = new Promise((resolve) => server.commands.once('result', resolve));
+
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000019');
+    const [command] = await terminal.receive();
+    const response = Buffer.alloc(5);
+    response.writeUInt16BE(command.sequence, 0);
+    response.writeUInt16BE(0x8300, 2);
+    terminal.send(createMessage(0x0001, '013800000019', 3, response));
+
+    const result = await completed;
+    terminal.end();
+
+    expect(command.messageId).toBe(0x8300);
+    expect(command.body.toString('hex')).toBe('04' + '4869');
+    expect(result).toMatchObject({ id: queued.id, phoneNumber: '013800000019', status: 'completed' });
+    expect(server.commands.queued('013800000019')).toEqual([]);
+  });
+
+  it('should open, confirm and close an emergency alarm', async () => {
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000020');
+    const report = (alarmFlag, time) => Buffer.concat([
+      Buffer.from(alarmFlag, 'hex'),
+      Buffer.from('00000003', 'hex'), // ACC on, positioned
+      Buffer.from('0157bc06' + '06cc4f48', 'hex'),
+      Buffer.from('0023027100b4', 'hex'),
+      Buffer.from(time, 'hex')
+    ]);
+
+    const opened = new Promise((resolve) => server.alarms.once('opened', resolve));
+    terminal.send(createMessage(0x0200, '013800000020', 3, report('00000001', '240315083000')));
+    await terminal.receive();
+    const alarm = await opened;
+
+    const confirming = server.alarms.confirm(alarm.id);
+    const [confirmation] = await terminal.receive();
+    const response = Buffer.alloc(5);
+    response.writeUInt16BE(confirmation.sequence, 0);
+    response.writeUInt16BE(0x8203, 2);
+    terminal.send(createMessage(0x0001, '013800000020', 4, response));
+    const confirmed = await confirming;
+
+    const closed = new Promise((resolve) => server.alarms.once('closed', resolve));
+    terminal.send(createMessage(0x0200, '013800000020', 5, report('00000000', '240315083100')));
+    const ended = await closed;
+    terminal.end();
+
+    expect(alarm).toMatchObject({ phoneNumber: '013800000020', type: 'EMERGENCY_ALARM', messageSequence: 3 });
+    expect(confirmation.messageId).toBe(0x8203);
+    expect(confirmation.body.toString('hex')).toBe('0003' + '00000001');
+    expect(confirmed.alarm.confirmedAt).not.toBeNull();
+    expect(ended).toMatchObject({ id: alarm.id, status: 'closed', durationSeconds: 60 });
+  });
+
+  it('should push a queued alarm mask once the terminal authenticates', async () => {
+    const pending = await server.alarms.setMask('013800000021', ['OVERSPEED_ALARM'], 'alice');
+    const applied = new Promise((resolve) => server.alarms.once('mask', resolve));
+
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000021');
+    const [command] = await terminal.receive();
+    const response = Buffer.alloc(5);
+    response.writeUInt16BE(command.sequence, 0);
+    response.writeUInt16BE(0x8103, 2);
+    terminal.send(createMessage(0x0001, '013800000021', 3, response));
+
+    const mask = await applied;
+    terminal.end();
+
+    expect(pending.status).toBe('pending');
+    expect(command.messageId).toBe(0x8103);
+    expect(command.body.toString('hex')).toBe('01' + '00000050' + '04' + '00000002');
+    expect(mask).toMatchObject({ phoneNumber: '013800000021', mask: 0x2, status: 'applied', commandId: null });
+  });
+
+  it('should check reported locations against platform geofences', async () => {
+    const geofence = await server.geofences.create({
+      name: 'Server test depot',
+      type: 'circle',
+      center: { latitude: 22.526982, longitude: 114.052936 },
+      radius: 50,
+      devices: ['013800000022']
+    });
+    const terminal = await connectTerminal(TEST_PORT);
+    await authenticateTerminal(terminal, registry, '013800000022');
+
+    const entered = new Promise((resolve) => server.geofences.once('enter', resolve));
+    terminal.send(createMessage(0x0200, '013800000022', 3, Buffer.concat([
+      Buffer.from('00000000' + '00000003', 'hex'), // No alarms; ACC on, positioned
+      Buffer.from('0157bc06' + '06cc4f48', 'hex'),
+      Buffer.from('0023027100b4', 'hex'),
+      Buffer.from('240315083000', 'hex')
+    ])));
+    const event = await entered;
+    terminal.end();
+    await server.geofences.delete(geofence.id);
+
+    expect(event).toMatchObject({
+      geofenceId: geofence.id,
+      phoneNumber: '013800000022',
+      type: 'enter',
+      timestamp: '2024-03-15T00:30:00.000Z'
+    });
+  });
+
+  it('should reply to JT808-2019 terminals with a 2019 header', async () => {
+    const client = net.createConnection({ port: TEST_PORT, host: '127.0.0.1' });
+    const header = Buffer.alloc(17);
+    header.writeUInt16BE(0x0002, 0);
+    header.writeUInt16BE(0x4000, 2);
+    header.writeUInt8(1, 4);
+    MessageParser.stringToBCD('013912345678', 10).copy(header, 5);
+    header.writeUInt16BE(4, 15);
+
+    return new Promise((resolve, reject) => {
+      const decoder = new FrameDecoder();
+
+      client.on('connect', () => client.write(wrapMessage(header)));
+
+      client.on('data', (data) => {
+        const [frame] = decoder.push(data);
+        if (!frame) return;
+
+        const { messageData } = unwrapMessage(frame);
+        const reply = MessageParser.parseHeader(messageData);
+        expect(reply.messageId).toBe(0x8001);
+        expect(reply.versionFlag).toBe(true);
+        expect(reply.deviceId).toBe('00000000013912345678');
+        expect(messageData.slice(17, 21).toString('hex')).toBe('00040002');
+        client.end();
+        resolve();
+      });
+
+      client.on('error', reject);
+
+      setTimeout(() => reject(new Error('Response timeout')), 2000);
+    });
+  });
 });
 
 describe('Logger', () => {
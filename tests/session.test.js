@@ -0,0 +1,147 @@
+/**
+ * Unit tests for Session
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+const { Session, SESSION_STATES } = require('../src/components/session');
+const { MESSAGE_IDS, TERMINAL_PARAMETERS } = require('../src/models/jt808-messages');
+
+const createSession = () => {
+  const socket = { destroyed: false, destroy: vi.fn(function destroy() { this.destroyed = true; }) };
+  return new Session(1, socket, { id: 1, deviceId: null });
+};
+
+describe('Session', () => {
+  describe('State transitions', () => {
+    it('should start connected', () => {
+      const session = createSession();
+
+      expect(session.state).toBe(SESSION_STATES.CONNECTED);
+      expect(session.isAuthenticated()).toBe(false);
+    });
+
+    it('should move through registration and authentication', () => {
+      const session = createSession();
+      const listener = vi.fn();
+      session.on('statechange', listener);
+
+      session.markRegistered('013912345678');
+      session.authenticate('013912345678', { imei: '860000000000001', softwareVersion: 'V1.0' });
+
+      expect(session.state).toBe(SESSION_STATES.AUTHENTICATED);
+      expect(session.info.deviceId).toBe('013912345678');
+      expect(session.imei).toBe('860000000000001');
+      expect(listener).toHaveBeenCalledWith(SESSION_STATES.REGISTERED, SESSION_STATES.CONNECTED);
+      expect(listener).toHaveBeenCalledWith(SESSION_STATES.AUTHENTICATED, SESSION_STATES.REGISTERED);
+    });
+
+    it('should allow authentication without registration', () => {
+      const session = createSession();
+
+      session.authenticate('013912345678');
+
+      expect(session.isAuthenticated()).toBe(true);
+    });
+
+    it('should close once and destroy the socket', () => {
+      const session = createSession();
+
+      expect(session.close('test')).toBe(true);
+      expect(session.close('again')).toBe(false);
+      expect(session.closeReason).toBe('test');
+      expect(session.socket.destroy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject transitions out of closed', () => {
+      const session = createSession();
+      session.close('test');
+
+      expect(() => session.authenticate('013912345678')).toThrow('Invalid session transition: closed -> authenticated');
+    });
+  });
+
+  describe('Protocol version', () => {
+    it('should keep the first protocol version decided', () => {
+      const session = createSession();
+
+      expect(session.setProtocolVersion('2019', 1)).toBe(true);
+      expect(session.setProtocolVersion('2013')).toBe(false);
+
+      expect(session.protocolVersion).toBe('2019');
+      expect(session.versionNumber).toBe(1);
+      expect(session.toJSON().protocolVersion).toBe('2019');
+    });
+  });
+
+  describe('Downlink sequence numbers', () => {
+    it('should count up from 0 and wrap after 65535', () => {
+      const session = createSession();
+
+      expect(session.nextSequence()).toBe(0);
+      expect(session.nextSequence()).toBe(1);
+
+      session.sequenceNumber = 65534;
+      expect(session.nextSequence(3)).toBe(65534);
+      expect(session.nextSequence()).toBe(1);
+    });
+  });
+
+  describe('Command responses', () => {
+    it('should take response timeout and retransmissions from terminal parameters', () => {
+      const session = createSession();
+      const dword = (value) => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeUInt32BE(value, 0);
+        return buffer;
+      };
+
+      session.applyParameters([
+        { id: TERMINAL_PARAMETERS.TCP_TIMEOUT, length: 4, value: dword(20) },
+        { id: TERMINAL_PARAMETERS.TCP_RETRANSMISSION_COUNT, length: 4, value: dword(1) }
+      ]);
+
+      expect(session.responseTimeout).toBe(20);
+      expect(session.retransmissionCount).toBe(1);
+    });
+
+    it('should fail pending commands when closed', async () => {
+      const session = createSession();
+      const command = session.pendingCommands.add({
+        messageId: 0x8300,
+        sequenceNumbers: [0],
+        retransmit: vi.fn(),
+        timeout: 10000,
+        retransmissions: 0
+      });
+
+      session.close('idle timeout');
+
+      await expect(command).rejects.toThrow('Session closed: idle timeout');
+    });
+  });
+
+  describe('accepts', () => {
+    it('should accept only registration and authentication before authentication', () => {
+      const session = createSession();
+
+      expect(session.accepts(MESSAGE_IDS.TERMINAL_REGISTRATION, '013912345678')).toBe(true);
+      expect(session.accepts(MESSAGE_IDS.TERMINAL_AUTH, '013912345678')).toBe(true);
+      expect(session.accepts(MESSAGE_IDS.LOCATION_REPORT, '013912345678')).toBe(false);
+    });
+
+    it('should accept business messages from the bound phone number only', () => {
+      const session = createSession();
+      session.authenticate('013912345678');
+
+      expect(session.accepts(MESSAGE_IDS.LOCATION_REPORT, '013912345678')).toBe(true);
+      expect(session.accepts(MESSAGE_IDS.LOCATION_REPORT, '013900000000')).toBe(false);
+    });
+
+    it('should accept nothing once closed', () => {
+      const session = createSession();
+      session.close('test');
+
+      expect(session.accepts(MESSAGE_IDS.TERMINAL_AUTH, '013912345678')).toBe(false);
+    });
+  });
+});
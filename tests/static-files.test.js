@@ -0,0 +1,67 @@
+/**
+ * Tests for static file serving
+ */
+
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+const { StaticFiles } = require('../src/components/static-files');
+
+const root = path.join(__dirname, '../src/public/dashboard');
+
+// Minimal response double recording what was written
+const createResponse = () => {
+  const response = {
+    status: null,
+    headers: null,
+    body: null,
+    writeHead: (status, headers = {}) => {
+      response.status = status;
+      response.headers = headers;
+    },
+    end: (body) => {
+      response.body = body;
+    }
+  };
+  return response;
+};
+
+describe('StaticFiles', () => {
+  const files = new StaticFiles(root, { prefix: '/dashboard' });
+
+  it('should resolve paths under the prefix to files under the root', () => {
+    expect(files.resolve('/dashboard/')).toBe(path.join(root, 'index.html'));
+    expect(files.resolve('/dashboard/dashboard.js')).toBe(path.join(root, 'dashboard.js'));
+    expect(files.resolve('/api/devices')).toBe(null);
+    expect(files.resolve('/dashboardx/index.html')).toBe(null);
+  });
+
+  it('should never resolve outside the root', () => {
+    expect(files.resolve('/dashboard/../../server.js')).toBe(null);
+    expect(files.resolve('/dashboard/%2e%2e/%2e%2e/server.js')).toBe(null);
+    expect(files.resolve('/dashboard/%E0%A4%A')).toBe(null);
+  });
+
+  it('should serve files with their content type', async () => {
+    const response = createResponse();
+    expect(await files.handle({ method: 'GET', url: '/dashboard/dashboard.css' }, response)).toBe(true);
+    expect(response.status).toBe(200);
+    expect(response.headers['Content-Type']).toBe('text/css; charset=utf-8');
+    expect(response.body.toString()).toContain('#map');
+  });
+
+  it('should redirect the bare prefix and answer missing files with 404', async () => {
+    const redirect = createResponse();
+    const missing = createResponse();
+    await files.handle({ method: 'GET', url: '/dashboard' }, redirect);
+    await files.handle({ method: 'GET', url: '/dashboard/missing.js' }, missing);
+
+    expect(redirect.status).toBe(301);
+    expect(redirect.headers.Location).toBe('/dashboard/');
+    expect(missing.status).toBe(404);
+  });
+
+  it('should leave other requests to the caller', async () => {
+    expect(await files.handle({ method: 'GET', url: '/api/fleet' }, createResponse())).toBe(false);
+    expect(await files.handle({ method: 'POST', url: '/dashboard/' }, createResponse())).toBe(false);
+  });
+});
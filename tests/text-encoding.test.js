@@ -0,0 +1,21 @@
+/**
+ * Tests for GBK text encoding
+ */
+
+import { describe, it, expect } from 'vitest';
+const { encodeGBK, decodeGBK } = require('../src/utils/text-encoding');
+
+describe('text encoding', () => {
+  it('should encode ASCII as single bytes and Chinese as GBK pairs', () => {
+    expect(encodeGBK('粤B 12345').toString('hex')).toBe('d4c142' + '20' + '3132333435');
+  });
+
+  it('should round-trip through the decoder', () => {
+    const text = '前方路段限速 60 公里';
+    expect(decodeGBK(encodeGBK(text))).toBe(text);
+  });
+
+  it('should reject characters outside GBK', () => {
+    expect(() => encodeGBK('ok \u{1F697}')).toThrow('cannot be encoded as GBK');
+  });
+});
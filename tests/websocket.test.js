@@ -0,0 +1,100 @@
+/**
+ * Tests for WebSocket framing
+ */
+
+import { describe, it, expect } from 'vitest';
+const {
+  OPCODES,
+  CLOSE_CODES,
+  acceptKey,
+  encodeFrame,
+  encodeClose,
+  WebSocketFrameDecoder
+} = require('../src/utils/websocket');
+
+// Build a masked client frame
+const clientFrame = (opcode, payload, fin = true) => {
+  const data = Buffer.from(payload);
+  const mask = Buffer.from([0x11, 0x22, 0x33, 0x44]);
+  const masked = Buffer.from(data.map((byte, i) => byte ^ mask[i % 4]));
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | data.length]);
+  } else {
+    header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | 126, data.length >> 8, data.length & 0xff]);
+  }
+  return Buffer.concat([header, mask, masked]);
+};
+
+describe('WebSocket framing', () => {
+  it('should compute the handshake accept key', () => {
+    // Example from RFC 6455 section 1.3
+    expect(acceptKey('dGhlIHNhbXBsZSBub25jZQ==')).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  });
+
+  it('should encode short, 16-bit and 64-bit payload lengths', () => {
+    expect(encodeFrame(OPCODES.TEXT, 'Hi').toString('hex')).toBe('81024869');
+
+    const medium = encodeFrame(OPCODES.TEXT, Buffer.alloc(300));
+    expect(medium.slice(0, 4).toString('hex')).toBe('817e012c');
+    expect(medium).toHaveLength(304);
+
+    const large = encodeFrame(OPCODES.BINARY, Buffer.alloc(70000));
+    expect(large.slice(0, 10).toString('hex')).toBe('827f0000000000011170');
+  });
+
+  it('should encode close frames with code and reason', () => {
+    expect(encodeClose(CLOSE_CODES.NORMAL, 'bye').toString('hex')).toBe('880503e8627965');
+  });
+
+  it('should unmask client frames split across chunks', () => {
+    const decoder = new WebSocketFrameDecoder();
+    const frame = clientFrame(OPCODES.TEXT, '{"type":"subscribe"}');
+
+    expect(decoder.push(frame.slice(0, 5))).toEqual([]);
+    const [message] = decoder.push(frame.slice(5));
+    expect(message.opcode).toBe(OPCODES.TEXT);
+    expect(message.payload.toString()).toBe('{"type":"subscribe"}');
+  });
+
+  it('should read 16-bit lengths and several frames per chunk', () => {
+    const decoder = new WebSocketFrameDecoder();
+    const messages = decoder.push(Buffer.concat([
+      clientFrame(OPCODES.TEXT, 'x'.repeat(200)),
+      clientFrame(OPCODES.PING, 'p')
+    ]));
+    expect(messages.map(({ opcode, payload }) => [opcode, payload.length])).toEqual([[OPCODES.TEXT, 200], [OPCODES.PING, 1]]);
+  });
+
+  it('should join fragments around interleaved control frames', () => {
+    const decoder = new WebSocketFrameDecoder();
+    const messages = decoder.push(Buffer.concat([
+      clientFrame(OPCODES.TEXT, 'Hel', false),
+      clientFrame(OPCODES.PONG, ''),
+      clientFrame(OPCODES.CONTINUATION, 'lo')
+    ]));
+    expect(messages.map(({ opcode, payload }) => [opcode, payload.toString()]))
+      .toEqual([[OPCODES.PONG, ''], [OPCODES.TEXT, 'Hello']]);
+  });
+
+  it('should reject unmasked frames', () => {
+    const decoder = new WebSocketFrameDecoder();
+    expect(() => decoder.push(encodeFrame(OPCODES.TEXT, 'x'))).toThrow('Client frames must be masked');
+  });
+
+  it('should reject oversized messages before buffering them', () => {
+    const decoder = new WebSocketFrameDecoder({ maxPayload: 100 });
+    const frame = clientFrame(OPCODES.TEXT, 'x'.repeat(200));
+    try {
+      decoder.push(frame.slice(0, 8));
+      throw new Error('Expected a framing error');
+    } catch (error) {
+      expect(error.closeCode).toBe(CLOSE_CODES.MESSAGE_TOO_BIG);
+    }
+  });
+
+  it('should reject continuation frames without a message', () => {
+    const decoder = new WebSocketFrameDecoder();
+    expect(() => decoder.push(clientFrame(OPCODES.CONTINUATION, 'x'))).toThrow('Continuation frame without a message');
+  });
+});